@@ -1,6 +1,7 @@
 import { ChainOfThoughtService } from "../../services/ai/chain-of-thought.service.js";
 import { CalendarIntegrationService } from "../../services/ai/calendar-integration.service.js";
 import { AdvancedObjectManagerService } from "../../services/ai/advanced-object-manager.service.js";
+import { getPageOptions, setPageHeaders } from "../../utils/pagination.service.js";
 import { ENHANCED_SYSTEM_PROMPT } from "../../prompts/enhanced-system.prompt.js";
 
 /**
@@ -113,8 +114,10 @@ export class EnhancedAIController {
                 });
             }
 
-            const result = await this.objectManager.findObjects(query, userId, options);
+            const page = getPageOptions(options);
+            const result = await this.objectManager.findObjects(query, userId, { ...options, ...page });
 
+            setPageHeaders(res, { total: result.totalFound, nextCursor: result.nextCursor });
             res.json({
                 success: true,
                 data: result,
@@ -123,7 +126,7 @@ export class EnhancedAIController {
 
         } catch (error) {
             console.error("Error in findObjects:", error);
-            res.status(500).json({
+            res.status(error.statusCode || 500).json({
                 error: "Error searching objects",
                 message: error.message,
                 success: false
@@ -1,8 +1,9 @@
 import Joi from "joi";
-import { getInboxObject, getObjectsWithDate, reorderObjects, getInboxObjects, getThisWeekObjects, updateInboxObject, getAllObjects, getUserOverdueObjects, getUserObjectsByDate, moveObjecttoDate, getUserTodayObjects } from "../../services/lib/object.service.js";
+import { getInboxObject, getObjectsWithDate, deleteInboxObject, reorderObjects, getInboxObjects, getThisWeekObjects, updateInboxObject, getAllObjects, getUserOverdueObjects, getUserObjectsByDate, moveObjecttoDate, getUserTodayObjects } from "../../services/lib/object.service.js";
 import { updateUser } from "../../services/core/user.service.js";
 import { UpdateUserPayload } from "../../payloads/core/user.payload.js";
-import { updateContent, deleteContent } from "../../utils/helper.service.js"
+import { updateContent } from "../../utils/helper.service.js"
+import { getPageOptions, paginateList, setPageHeaders } from "../../utils/pagination.service.js";
 
 const { ValidationError } = Joi;
 
@@ -67,7 +68,8 @@ const getInboxObjectsController = async (req, res, next) => {
     try {
         const me = req.user._id;
 
-        const objects = await getInboxObjects(me);
+        const { items: objects, total, nextCursor } = await getInboxObjects(me, getPageOptions(req.query));
+        setPageHeaders(res, { total, nextCursor });
 
         res.status(200).json({
             response: objects
@@ -81,7 +83,8 @@ export const getObjectsWithDateController = async (req, res, next) => {
     try {
         const me = req.user._id;
 
-        const objects = await getObjectsWithDate(me);
+        const { items: objects, total, nextCursor } = await getObjectsWithDate(me, getPageOptions(req.query));
+        setPageHeaders(res, { total, nextCursor });
 
         res.status(200).json({
             response: objects
@@ -146,13 +149,12 @@ export const deleteInboxObjectController = async (req, res, next) => {
         const me = req.user._id;
         const { object: id } = req.params;
 
-        await updateInboxObject(id, me, { isDeleted: true });
-
-        await deleteContent(id);
+        const trash = await deleteInboxObject(id, me);
 
         res.status(200).json({
             success: true,
-            message: "Object deleted successfully"
+            message: "Object moved to trash",
+            trash
         });
     } catch (err) {
         next(err);
@@ -162,7 +164,9 @@ export const deleteInboxObjectController = async (req, res, next) => {
 const getAllObjectsController = async (req, res, next) => {
     try {
         const me = req.user._id;
-        const objects = await getAllObjects(me);
+        const excludeArchived = req.query.excludeArchived === "true";
+        const { items: objects, total, nextCursor } = await getAllObjects(me, getPageOptions(req.query), { excludeArchived });
+        setPageHeaders(res, { total, nextCursor });
 
         res.status(200).json({
             response: objects
@@ -175,7 +179,8 @@ const getAllObjectsController = async (req, res, next) => {
 const getUserTodayObjectsController = async (req, res, next) => {
     try {
         const me = req.user.id;
-        const todayObjects = await getUserTodayObjects(me);
+        const includeBlocked = req.query.includeBlocked === "true";
+        const todayObjects = await getUserTodayObjects(me, { includeBlocked });
         const overdueObjects = await getUserOverdueObjects(me);
         res.json({
             response: {
@@ -191,7 +196,9 @@ const getUserTodayObjectsController = async (req, res, next) => {
 const getUserOverdueObjectsController = async (req, res, next) => {
     try {
         const me = req.user.id;
-        const objects = await getUserOverdueObjects(me);
+        const overdueObjects = await getUserOverdueObjects(me);
+        const { items: objects, total, nextCursor } = paginateList(overdueObjects, getPageOptions(req.query));
+        setPageHeaders(res, { total, nextCursor });
         res.json({
             response: objects
         });
@@ -220,7 +227,7 @@ const getUserObjectsByDateController = async (req, res, next) => {
 const moveObjecttoDateController = async (req, res, next) => {
     try {
         const { id, dueDate } = req.body;
-        const objects = await moveObjecttoDate(dueDate, id);
+        const objects = await moveObjecttoDate(dueDate, id, { type: "user", id: req.user._id });
         res.json({
             response: objects
         });
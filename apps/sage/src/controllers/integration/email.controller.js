@@ -5,7 +5,8 @@ import { environment } from "../../loaders/environment.loader.js";
 import { User } from "../../models/core/user.model.js";
 import { Object } from "../../models/lib/object.model.js";
 import { saveContent } from "../../utils/helper.service.js";
-import { broadcastToUser } from "../../loaders/websocket.loader.js";
+import { publishToUser } from "../../services/lib/notificationChannel.service.js";
+import { getMatchingViews } from "../../services/lib/view.service.js";
 
 // Webhook to handle incoming push notifications from Gmail
 const handlePushNotification = async (req, res) => {
@@ -130,6 +131,7 @@ const createIssueFromEmail = async (email, user) => {
                 metadata,
                 updatedAt: new Date()
             });
+            existingIssue.$locals.actor = { type: "integration", id: "gmail" };
             await existingIssue.save();
             message = `Updated issue from email: ${subject}`;
             action = "update";
@@ -146,6 +148,7 @@ const createIssueFromEmail = async (email, user) => {
                 createdAt: new Date(),
                 updatedAt: new Date()
             });
+            newIssue.$locals.actor = { type: "integration", id: "gmail" };
             const savedIssue = await newIssue.save();
             await saveContent(savedIssue);
             message = `Created new issue from email: ${subject}`;
@@ -158,10 +161,11 @@ const createIssueFromEmail = async (email, user) => {
                 type: "gmail",
                 message,
                 action,
-                item: broadcastObject
+                item: broadcastObject,
+                views: action === "create" && broadcastObject ? await getMatchingViews(user._id, broadcastObject._id) : []
             };
 
-            broadcastToUser(user._id.toString(), broadcastData, true);
+            await publishToUser(user._id, broadcastData);
         }
 
         return broadcastObject;
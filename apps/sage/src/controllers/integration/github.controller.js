@@ -62,10 +62,9 @@ const handleGithubWebhook = async (req, res, next) => {
             return res.status(401).send({ message: 'Invalid signature' });
         }
 
-        const event = req.headers['x-github-event'];
         const payload = req.body;
 
-        await processWebhookEvent(event, payload);
+        await processWebhookEvent(payload);
 
         res.status(200).send({ message: 'Webhook received and processed' });
     } catch (err) {
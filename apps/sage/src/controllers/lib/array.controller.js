@@ -1,4 +1,4 @@
-import { createArray, getArrays, getArray, updateArray, getArrayByName } from "../../services/lib/array.service.js";
+import { createArray, getArrays, getArray, updateArray, getArrayByName, deleteArray } from "../../services/lib/array.service.js";
 
 const createArrayController = async (req, res, next) => {
     try {
@@ -73,10 +73,25 @@ const updateArrayController = async (req, res, next) => {
     }
 };
 
+const deleteArrayController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const { array: id } = req.params;
+        const trash = await deleteArray(id, user);
+
+        res.status(200).json({
+            trash
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
 export {
     createArrayController,
     getArraysController,
     getArrayController,
     updateArrayController,
-    getArrayByNameController
+    getArrayByNameController,
+    deleteArrayController
 }
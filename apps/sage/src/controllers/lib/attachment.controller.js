@@ -0,0 +1,108 @@
+import {
+    getStorageUsage,
+    createAttachment,
+    getAttachments,
+    getAttachment,
+    deleteAttachment,
+    openAttachmentFile
+} from "../../services/lib/attachment.service.js";
+import { getPageOptions, setPageHeaders } from "../../utils/pagination.service.js";
+
+// Mounted under /inbox/:object/ and /journals/:journal/
+const getParent = (params) => ({ object: params.object, journal: params.journal });
+
+const createAttachmentController = async (req, res, next) => {
+    try {
+        const attachment = await createAttachment(req.user, req.file, getParent(req.params));
+
+        res.status(200).json({
+            response: attachment
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+const getAttachmentsController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const { items: attachments, total, nextCursor } = await getAttachments(user, getParent(req.params), getPageOptions(req.query));
+        setPageHeaders(res, { total, nextCursor });
+
+        res.status(200).json({
+            response: attachments
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+const getAttachmentController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const { attachment: id } = req.params;
+        const attachment = await getAttachment(user, id);
+
+        res.status(200).json({
+            response: attachment
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+const deleteAttachmentController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const { attachment: id } = req.params;
+        await deleteAttachment(user, id);
+
+        res.status(200).json({
+            response: "Attachment deleted"
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+const getStorageUsageController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const usage = await getStorageUsage(user);
+
+        res.status(200).json({
+            response: usage
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// Public: the signature in the URL is the only credential
+const downloadAttachmentController = async (req, res, next) => {
+    try {
+        const { asset: id } = req.params;
+        const { filename, contentType, disposition, size, stream } = await openAttachmentFile(id, req.query);
+
+        res.setHeader("Content-Type", contentType);
+        res.setHeader("Content-Disposition", `${disposition}; filename*=UTF-8''${encodeURIComponent(filename)}`);
+        res.setHeader("X-Content-Type-Options", "nosniff");
+        res.setHeader("Cache-Control", "private, max-age=300");
+        if (size) {
+            res.setHeader("Content-Length", size);
+        }
+        stream.on("error", next);
+        stream.pipe(res);
+    } catch (err) {
+        next(err);
+    }
+};
+
+export {
+    createAttachmentController,
+    getAttachmentsController,
+    getAttachmentController,
+    deleteAttachmentController,
+    getStorageUsageController,
+    downloadAttachmentController
+}
@@ -0,0 +1,69 @@
+import Joi from "joi";
+import { getCalendarFeed, generateCalendarFeed, revokeCalendarFeed, renderCalendarFeed } from "../../services/lib/calendarFeed.service.js";
+import { CalendarFeedQueryPayload } from "../../payloads/lib/calendarFeed.payload.js";
+
+const { ValidationError } = Joi;
+
+const getCalendarFeedController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const feed = await getCalendarFeed(user);
+
+        res.status(200).json({
+            response: feed
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+const generateCalendarFeedController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const feed = await generateCalendarFeed(user);
+
+        res.status(200).json({
+            response: feed
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+const revokeCalendarFeedController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        await revokeCalendarFeed(user);
+
+        res.status(200).json({
+            response: "Calendar feed revoked"
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// Public: the token in the URL is the only credential
+const calendarFeedIcsController = async (req, res, next) => {
+    try {
+        const options = await CalendarFeedQueryPayload.validateAsync(req.query);
+        const { token } = req.params;
+        const calendar = await renderCalendarFeed(token, options);
+
+        res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+        res.setHeader("Content-Disposition", "inline; filename=\"sage.ics\"");
+        res.setHeader("Cache-Control", "private, max-age=900");
+        res.status(200).send(calendar);
+    } catch (err) {
+        const error = new Error(err);
+        error.statusCode = err instanceof ValidationError ? 400 : (err.statusCode || 500);
+        next(error);
+    }
+};
+
+export {
+    getCalendarFeedController,
+    generateCalendarFeedController,
+    revokeCalendarFeedController,
+    calendarFeedIcsController
+}
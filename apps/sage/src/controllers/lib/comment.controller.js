@@ -0,0 +1,132 @@
+import Joi from "joi";
+import {
+    getComments,
+    createComment,
+    updateComment,
+    deleteComment,
+    getObjectActivity,
+    getCommentSync,
+    updateCommentSync
+} from "../../services/lib/comment.service.js";
+import { CommentPayload, CommentSyncPayload } from "../../payloads/lib/comment.payload.js";
+import { getPageOptions, setPageHeaders } from "../../utils/pagination.service.js";
+
+const { ValidationError } = Joi;
+
+const getCommentsController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const { object } = req.params;
+        const { items: comments, total, nextCursor } = await getComments(user, object, getPageOptions(req.query));
+        setPageHeaders(res, { total, nextCursor });
+
+        res.status(200).json({
+            response: comments
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+const createCommentController = async (req, res, next) => {
+    try {
+        const commentData = await CommentPayload.validateAsync(req.body);
+        const user = req.user._id;
+        const { object } = req.params;
+        const comment = await createComment(user, object, commentData);
+
+        res.status(200).json({
+            response: comment
+        });
+    } catch (err) {
+        const error = new Error(err);
+        error.statusCode = err instanceof ValidationError ? 400 : (err.statusCode || 500);
+        next(error);
+    }
+};
+
+const updateCommentController = async (req, res, next) => {
+    try {
+        const commentData = await CommentPayload.validateAsync(req.body);
+        const user = req.user._id;
+        const { comment: id } = req.params;
+        const comment = await updateComment(user, id, commentData);
+
+        res.status(200).json({
+            response: comment
+        });
+    } catch (err) {
+        const error = new Error(err);
+        error.statusCode = err instanceof ValidationError ? 400 : (err.statusCode || 500);
+        next(error);
+    }
+};
+
+const deleteCommentController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const { comment: id } = req.params;
+        await deleteComment(user, id);
+
+        res.status(200).json({
+            response: "Comment deleted"
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+const getObjectActivityController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const { object } = req.params;
+        const { before } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+        const activity = await getObjectActivity(user, object, { limit, before });
+
+        res.status(200).json({
+            response: activity
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+const getCommentSyncController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const settings = await getCommentSync(user);
+
+        res.status(200).json({
+            response: settings
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+const updateCommentSyncController = async (req, res, next) => {
+    try {
+        const syncData = await CommentSyncPayload.validateAsync(req.body);
+        const user = req.user._id;
+        const settings = await updateCommentSync(user, syncData);
+
+        res.status(200).json({
+            response: settings
+        });
+    } catch (err) {
+        const error = new Error(err);
+        error.statusCode = err instanceof ValidationError ? 400 : (err.statusCode || 500);
+        next(error);
+    }
+};
+
+export {
+    getCommentsController,
+    createCommentController,
+    updateCommentController,
+    deleteCommentController,
+    getObjectActivityController,
+    getCommentSyncController,
+    updateCommentSyncController
+}
@@ -0,0 +1,106 @@
+import Joi from "joi";
+import {
+    getCurrentCycleReport,
+    getCycleHistory,
+    getCycle,
+    getVelocity,
+    getCycleSettings,
+    updateCycleSettings
+} from "../../services/lib/cycle.service.js";
+import { CycleSettingsPayload } from "../../payloads/lib/cycle.payload.js";
+import { getPageOptions, setPageHeaders } from "../../utils/pagination.service.js";
+
+const { ValidationError } = Joi;
+
+const getCurrentCycleController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const cycle = await getCurrentCycleReport(user);
+
+        res.status(200).json({
+            response: cycle
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+const getCycleHistoryController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const { items: cycles, total, nextCursor } = await getCycleHistory(user, getPageOptions(req.query));
+        setPageHeaders(res, { total, nextCursor });
+
+        res.status(200).json({
+            response: cycles
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+const getCycleController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const { cycle: id } = req.params;
+        const cycle = await getCycle(user, id);
+
+        res.status(200).json({
+            response: cycle
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+const getVelocityController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const count = Math.min(parseInt(req.query.count, 10) || 6, 52);
+        const velocity = await getVelocity(user, { count });
+
+        res.status(200).json({
+            response: velocity
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+const getCycleSettingsController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const settings = await getCycleSettings(user);
+
+        res.status(200).json({
+            response: settings
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+const updateCycleSettingsController = async (req, res, next) => {
+    try {
+        const settingsData = await CycleSettingsPayload.validateAsync(req.body);
+        const user = req.user._id;
+        const settings = await updateCycleSettings(user, settingsData);
+
+        res.status(200).json({
+            response: settings
+        });
+    } catch (err) {
+        const error = new Error(err);
+        error.statusCode = err instanceof ValidationError ? 400 : (err.statusCode || 500);
+        next(error);
+    }
+};
+
+export {
+    getCurrentCycleController,
+    getCycleHistoryController,
+    getCycleController,
+    getVelocityController,
+    getCycleSettingsController,
+    updateCycleSettingsController
+}
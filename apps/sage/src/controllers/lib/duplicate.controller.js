@@ -0,0 +1,68 @@
+import Joi from "joi";
+import { getDuplicateSuggestions, getObjectDuplicates, mergeObjects } from "../../services/lib/duplicate.service.js";
+import { MergeObjectsPayload } from "../../payloads/lib/duplicate.payload.js";
+import { updateContent, deleteContent } from "../../utils/helper.service.js";
+
+const { ValidationError } = Joi;
+
+const getDuplicateSuggestionsController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+        const suggestions = await getDuplicateSuggestions(user, { limit });
+
+        res.status(200).json({
+            response: suggestions
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+const getObjectDuplicatesController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const { object } = req.params;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 10, 50);
+        const duplicates = await getObjectDuplicates(user, object, { limit });
+
+        res.status(200).json({
+            response: duplicates
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+const mergeObjectsController = async (req, res, next) => {
+    try {
+        const { aliases } = await MergeObjectsPayload.validateAsync(req.body);
+        const user = req.user._id;
+        const { object } = req.params;
+        const result = await mergeObjects(user, object, aliases);
+
+        // Aliases leave semantic search, the canonical object carries their labels now
+        try {
+            await updateContent(result.object);
+            for (const alias of result.aliases) {
+                await deleteContent(alias._id);
+            }
+        } catch (error) {
+            console.error(`Failed to update vectors after merging into ${result.object._id}:`, error);
+        }
+
+        res.status(200).json({
+            response: result
+        });
+    } catch (err) {
+        const error = new Error(err);
+        error.statusCode = err instanceof ValidationError ? 400 : (err.statusCode || 500);
+        next(error);
+    }
+};
+
+export {
+    getDuplicateSuggestionsController,
+    getObjectDuplicatesController,
+    mergeObjectsController
+}
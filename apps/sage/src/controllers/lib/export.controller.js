@@ -0,0 +1,71 @@
+import Joi from "joi";
+import { SYNC_EXPORT_LIMIT, countExportItems, buildExport, startExportJob, getExport, getExportDownload } from "../../services/lib/export.service.js";
+import { ExportPayload } from "../../payloads/lib/export.payload.js";
+
+const { ValidationError } = Joi;
+
+const setDownloadHeaders = (res, filename, size) => {
+    res.setHeader("Content-Type", "application/gzip");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    if (size) {
+        res.setHeader("Content-Length", size);
+    }
+};
+
+const exportController = async (req, res, next) => {
+    try {
+        const { format, background } = await ExportPayload.validateAsync(req.query);
+        const user = req.user._id;
+
+        if (background || await countExportItems(user) > SYNC_EXPORT_LIMIT) {
+            const exportDoc = await startExportJob(req.user, format);
+            return res.status(202).json({
+                response: exportDoc,
+                statusUrl: `/api/export/${exportDoc._id}/`,
+                downloadUrl: `/api/export/${exportDoc._id}/download/`
+            });
+        }
+
+        const { filename, buffer } = await buildExport(user, format);
+        setDownloadHeaders(res, filename, buffer.length);
+        res.status(200).send(buffer);
+    } catch (err) {
+        const error = new Error(err);
+        error.statusCode = err instanceof ValidationError ? 400 : (err.statusCode || 500);
+        next(error);
+    }
+};
+
+const getExportController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const { export: id } = req.params;
+        const exportDoc = await getExport(user, id);
+
+        res.status(200).json({
+            response: exportDoc
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+const downloadExportController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const { export: id } = req.params;
+        const { filename, size, stream } = await getExportDownload(user, id);
+
+        setDownloadHeaders(res, filename, size);
+        stream.on("error", next);
+        stream.pipe(res);
+    } catch (err) {
+        next(err);
+    }
+};
+
+export {
+    exportController,
+    getExportController,
+    downloadExportController
+}
@@ -5,10 +5,7 @@ const uploadFileController = async (req, res, next) => {
         if (!req.file) {
             return res.status(400).json({ error: 'No file uploaded' });
         }
-        const user = req.user.id
-        const file = req.file;
-        const s3Url = file.location;
-        const fileAsset = await uploadFile(s3Url, user);
+        const fileAsset = await uploadFile(req.user, req.file);
         res.status(200).json({
             fileAsset
         });
@@ -0,0 +1,70 @@
+import Joi from "joi";
+import { importObjects } from "../../services/lib/import.service.js";
+import { importCalendarFile } from "../../services/lib/icalImport.service.js";
+import { ImportPayload, IcalImportPayload } from "../../payloads/lib/import.payload.js";
+
+const { ValidationError } = Joi;
+
+const runImport = async (req, res, next, dryRun) => {
+    try {
+        const body = { ...req.body };
+        // Multipart forms send the column mapping as a JSON string
+        if (typeof body.mapping === "string") {
+            try {
+                body.mapping = JSON.parse(body.mapping);
+            } catch {
+                return res.status(400).json({ error: 'mapping must be a JSON object' });
+            }
+        }
+        const importData = await ImportPayload.validateAsync(body);
+        const content = req.file ? req.file.buffer.toString("utf-8") : importData.content;
+        if (!content) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        const report = await importObjects(req.user, {
+            ...importData,
+            content,
+            projectName: importData.projectName || req.file?.originalname?.replace(/\.[^.]+$/, "") || null,
+            dryRun: dryRun || importData.dryRun
+        });
+
+        res.status(200).json({
+            response: report
+        });
+    } catch (err) {
+        const error = new Error(err);
+        error.statusCode = err instanceof ValidationError ? 400 : (err.statusCode || 500);
+        next(error);
+    }
+};
+
+const importController = (req, res, next) => runImport(req, res, next, false);
+
+const previewImportController = (req, res, next) => runImport(req, res, next, true);
+
+const importCalendarController = async (req, res, next) => {
+    try {
+        const { content, dryRun } = await IcalImportPayload.validateAsync(req.body);
+        const calendar = req.file ? req.file.buffer.toString("utf-8") : content;
+        if (!calendar) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        const report = await importCalendarFile(req.user, { content: calendar, dryRun });
+
+        res.status(200).json({
+            response: report
+        });
+    } catch (err) {
+        const error = new Error(err);
+        error.statusCode = err instanceof ValidationError ? 400 : (err.statusCode || 500);
+        next(error);
+    }
+};
+
+export {
+    importController,
+    previewImportController,
+    importCalendarController
+}
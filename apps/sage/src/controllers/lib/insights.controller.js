@@ -0,0 +1,20 @@
+import { getInsights } from "../../services/lib/insights.service.js";
+
+const getInsightsController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const { from, to } = req.query;
+        const refresh = req.query.refresh === "true";
+        const insights = await getInsights(user, { from, to, refresh, timezone: req.user.timezone });
+
+        res.status(200).json({
+            response: insights
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+export {
+    getInsightsController
+}
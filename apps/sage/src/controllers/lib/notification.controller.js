@@ -0,0 +1,89 @@
+import Joi from "joi";
+import { getNotifications, getUnreadCount, markNotificationsRead, getNotificationSettings, updateNotificationSettings } from "../../services/lib/notification.service.js";
+import { NotificationListPayload, MarkNotificationsReadPayload, NotificationSettingsPayload } from "../../payloads/lib/notification.payload.js";
+import { getPageOptions, setPageHeaders } from "../../utils/pagination.service.js";
+
+const { ValidationError } = Joi;
+
+const getNotificationsController = async (req, res, next) => {
+    try {
+        const { unread, source } = await NotificationListPayload.validateAsync(req.query);
+        const user = req.user._id;
+        const { items: notifications, total, nextCursor } = await getNotifications(user, { unread, source }, getPageOptions(req.query));
+        setPageHeaders(res, { total, nextCursor });
+
+        res.status(200).json({
+            response: notifications
+        });
+    } catch (err) {
+        const error = new Error(err);
+        error.statusCode = err instanceof ValidationError ? 400 : (err.statusCode || 500);
+        next(error);
+    }
+};
+
+const getUnreadCountController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const counts = await getUnreadCount(user);
+
+        res.status(200).json({
+            response: counts
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+const markNotificationsReadController = async (req, res, next) => {
+    try {
+        const readData = await MarkNotificationsReadPayload.validateAsync(req.body);
+        const user = req.user._id;
+        const count = await markNotificationsRead(user, readData);
+
+        res.status(200).json({
+            response: { count }
+        });
+    } catch (err) {
+        const error = new Error(err);
+        error.statusCode = err instanceof ValidationError ? 400 : (err.statusCode || 500);
+        next(error);
+    }
+};
+
+const getNotificationSettingsController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const settings = await getNotificationSettings(user);
+
+        res.status(200).json({
+            response: settings
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+const updateNotificationSettingsController = async (req, res, next) => {
+    try {
+        const settingsData = await NotificationSettingsPayload.validateAsync(req.body);
+        const user = req.user._id;
+        const settings = await updateNotificationSettings(user, settingsData);
+
+        res.status(200).json({
+            response: settings
+        });
+    } catch (err) {
+        const error = new Error(err);
+        error.statusCode = err instanceof ValidationError ? 400 : (err.statusCode || 500);
+        next(error);
+    }
+};
+
+export {
+    getNotificationsController,
+    getUnreadCountController,
+    markNotificationsReadController,
+    getNotificationSettingsController,
+    updateNotificationSettingsController
+}
@@ -1,6 +1,10 @@
-import { createObject, createInboxObject, filterObjects, updateObject, getAllObjectsByBloack, getObject, getObjectFilterByLabel, searchObjectsByTitle, getThisWeekObjectsByDateRange, getUserFavoriteObjects, getSubObjects, getObjectsBySource, getObjectsByTypeAndSource, getUserUpcomingObjects, getObjectsByRecurrence } from "../../services/lib/object.service.js";
+import { createObject, createInboxObject, filterObjects, updateObject, getAllObjectsByBloack, getObject, getObjectFilterByLabel, searchObjectsByTitle, getThisWeekObjectsByDateRange, getUserFavoriteObjects, getSubObjects, getObjectsBySource, getObjectsByTypeAndSource, getUserUpcomingObjects, getObjectsByRecurrence, getUpcomingOccurrences, executeObjectBatch, getObjectTree, moveObjectToParent } from "../../services/lib/object.service.js";
 import { linkPreviewGenerator } from "../../services/lib/linkPreview.service.js";
-import { saveContent } from "../../utils/helper.service.js";
+import Joi from "joi";
+import { saveContent, updateContent } from "../../utils/helper.service.js";
+import { broadcastToUser } from "../../loaders/websocket.loader.js";
+import { BatchObjectsPayload } from "../../payloads/lib/object.payload.js";
+import { getPageOptions, setPageHeaders } from "../../utils/pagination.service.js";
 import { linearQueue } from "../../loaders/bullmq.loader.js";
 import { Object } from "../../models/lib/object.model.js";
 
@@ -109,7 +113,7 @@ const updateObjectController = async (req, res, next) => {
     try {
         const { array, block, object: id } = req.params;
         const updateData = req.body;
-        const object = await updateObject(id, updateData, array, block);
+        const object = await updateObject(id, updateData, array, block, { type: "user", id: req.user._id });
 
         res.status(200).json({
             object
@@ -123,11 +127,14 @@ const filterObjectsController = async (req, res, next) => {
     try {
         const user = req.user._id;
         const filters = {
-            dueDate: req.query.dueDate
+            q: req.query.q,
+            dueDate: req.query.dueDate,
+            timezone: req.user.timezone
         };
         const sortOptions = req.query.sort;
 
-        const objects = await filterObjects(user, filters, sortOptions);
+        const { items: objects, total, nextCursor } = await filterObjects(user, filters, sortOptions, getPageOptions(req.query));
+        setPageHeaders(res, { total, nextCursor });
 
         res.status(200).json({
             response: objects
@@ -141,7 +148,8 @@ const getAllObjectsByBloackController = async (req, res, next) => {
     try {
         const user = req.user._id;
         const { array, block } = req.params;
-        const objects = await getAllObjectsByBloack(user, array, block);
+        const { items: objects, total, nextCursor } = await getAllObjectsByBloack(user, array, block, getPageOptions(req.query));
+        setPageHeaders(res, { total, nextCursor });
 
         res.status(200).json({
             objects
@@ -172,7 +180,8 @@ const getObjectFilterByLabelController = async (req, res, next) => {
     const user = req.user._id;
 
     try {
-        const objects = await getObjectFilterByLabel(name, user, array);
+        const { items: objects, total, nextCursor } = await getObjectFilterByLabel(name, user, array, getPageOptions(req.query));
+        setPageHeaders(res, { total, nextCursor });
         res.status(200).json(objects);
     } catch (err) {
         next(err);
@@ -203,7 +212,8 @@ const getThisWeekObjectsByDateRangeController = async (req, res, next) => {
             });
         }
 
-        const objects = await getThisWeekObjectsByDateRange(me, new Date(startDate), new Date(endDate));
+        const { items: objects, total, nextCursor } = await getThisWeekObjectsByDateRange(me, new Date(startDate), new Date(endDate), getPageOptions(req.query));
+        setPageHeaders(res, { total, nextCursor });
 
         res.status(200).json({
             response: objects
@@ -217,7 +227,8 @@ const getUserFavoriteObjectsController = async (req, res, next) => {
     try {
         const user = req.user._id;
 
-        const objects = await getUserFavoriteObjects(user);
+        const { items: objects, total, nextCursor } = await getUserFavoriteObjects(user, getPageOptions(req.query));
+        setPageHeaders(res, { total, nextCursor });
 
         res.status(200).json({
             response: objects
@@ -230,9 +241,10 @@ const getUserFavoriteObjectsController = async (req, res, next) => {
 const getSubObjectsController = async (req, res, next) => {
     try {
         const user = req.user._id;
-        const { object: parentId } = req.params;
+        const { item: parentId } = req.params;
 
-        const subObjects = await getSubObjects(user, parentId);
+        const { items: subObjects, total, nextCursor } = await getSubObjects(user, parentId, getPageOptions(req.query));
+        setPageHeaders(res, { total, nextCursor });
 
         res.status(200).json({
             response: subObjects
@@ -242,11 +254,45 @@ const getSubObjectsController = async (req, res, next) => {
     }
 };
 
+const getObjectTreeController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const { object } = req.params;
+        const depth = Math.min(Math.max(parseInt(req.query.depth, 10) || 3, 1), 10);
+        const includeCompleted = req.query.includeCompleted !== "false";
+
+        const tree = await getObjectTree(user, object, { depth, includeCompleted });
+
+        res.status(200).json({
+            response: tree
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+const moveObjectToParentController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const { object } = req.params;
+        const { parent = null } = req.body;
+
+        const updatedObject = await moveObjectToParent(user, object, parent);
+
+        res.status(200).json({
+            response: updatedObject
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
 const getObjectsByTypeAndSourceController = async (req, res, next) => {
     try {
         const user = req.user._id;
         const { type, source } = req.query;
-        const objects = await getObjectsByTypeAndSource(user, { type, source });
+        const { items: objects, total, nextCursor } = await getObjectsByTypeAndSource(user, { type, source }, getPageOptions(req.query));
+        setPageHeaders(res, { total, nextCursor });
         res.json({
             objects
         });
@@ -259,7 +305,8 @@ const getObjectsBySourceController = async (req, res, next) => {
     try {
         const user = req.user._id;
         const { source } = req.query;
-        const objects = await getObjectsBySource(user, source);
+        const { items: objects, total, nextCursor } = await getObjectsBySource(user, source, getPageOptions(req.query));
+        setPageHeaders(res, { total, nextCursor });
         res.json({ objects });
     } catch (error) {
         next(error);
@@ -310,7 +357,8 @@ export async function createObjectFromAI (content, user) {
 export const getUserUpcomingObjectsController = async (req, res, next) => {
     try {
         const user = req.user._id;
-        const objects = await getUserUpcomingObjects(user);
+        const { items: objects, total, nextCursor } = await getUserUpcomingObjects(user, getPageOptions(req.query));
+        setPageHeaders(res, { total, nextCursor });
         res.json({ objects });
     } catch (error) {
         next(error);
@@ -322,7 +370,8 @@ export const getObjectsByRecurrenceController = async (req, res, next) => {
         console.log('Recurrence API called');
         const user = req.user._id;
         // console.log('User ID:', user);
-        const objects = await getObjectsByRecurrence(user);
+        const { items: objects, total, nextCursor } = await getObjectsByRecurrence(user, getPageOptions(req.query));
+        setPageHeaders(res, { total, nextCursor });
         console.log('Recurrence objects found:', objects.length);
         res.json({ objects });
     } catch (error) {
@@ -331,6 +380,52 @@ export const getObjectsByRecurrenceController = async (req, res, next) => {
     }
 }
 
+export const getUpcomingOccurrencesController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const days = Math.min(parseInt(req.query.days, 10) || 14, 366);
+        const occurrences = await getUpcomingOccurrences(user, { days, timezone: req.user.timezone });
+        res.json({ occurrences });
+    } catch (error) {
+        next(error);
+    }
+}
+
+export const batchObjectsController = async (req, res, next) => {
+    try {
+        const { operations } = await BatchObjectsPayload.validateAsync(req.body);
+        const user = req.user._id;
+        const result = await executeObjectBatch(user, operations);
+
+        // update in vector db
+        for (const object of result.objects) {
+            try {
+                await updateContent(object);
+            } catch (error) {
+                console.error(`Failed to update vector for object ${object._id}:`, error);
+            }
+        }
+
+        if (result.objects.length || result.deleted.length) {
+            broadcastToUser(user.toString(), {
+                type: "batch",
+                message: `Updated ${result.objects.length} and deleted ${result.deleted.length} objects`,
+                action: "batch",
+                items: result.objects,
+                deleted: result.deleted
+            }, true);
+        }
+
+        res.status(200).json({
+            response: result
+        });
+    } catch (err) {
+        const error = new Error(err);
+        error.statusCode = err instanceof Joi.ValidationError ? 400 : (err.statusCode || 500);
+        next(error);
+    }
+}
+
 export {
     createObjectController,
     filterObjectsController,
@@ -343,6 +438,8 @@ export {
     getThisWeekObjectsByDateRangeController,
     getUserFavoriteObjectsController,
     getSubObjectsController,
+    getObjectTreeController,
+    moveObjectToParentController,
     getObjectsByTypeAndSourceController,
     getObjectsBySourceController,
 }
@@ -0,0 +1,89 @@
+import Joi from "joi";
+import { createRelation, deleteRelation, getObjectRelations, getBlockers, getBlockedObjects } from "../../services/lib/relation.service.js";
+import { CreateRelationPayload } from "../../payloads/lib/relation.payload.js";
+import { getPageOptions, setPageHeaders } from "../../utils/pagination.service.js";
+
+const { ValidationError } = Joi;
+
+const getObjectRelationsController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const { object } = req.params;
+        const relations = await getObjectRelations(user, object);
+
+        res.status(200).json({
+            response: relations
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+const createRelationController = async (req, res, next) => {
+    try {
+        const { type, target } = await CreateRelationPayload.validateAsync(req.body);
+        const user = req.user._id;
+        const { object } = req.params;
+        const relation = await createRelation(user, object, target, type);
+
+        res.status(200).json({
+            response: relation
+        });
+    } catch (err) {
+        const error = new Error(err);
+        error.statusCode = err instanceof ValidationError ? 400 : (err.statusCode || 500);
+        next(error);
+    }
+};
+
+const deleteRelationController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const { object, relation } = req.params;
+        await deleteRelation(user, object, relation);
+
+        res.status(200).json({
+            success: true,
+            message: "Relation removed"
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+const getBlockersController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const { object } = req.params;
+        const transitive = req.query.transitive === "true";
+        const blockers = await getBlockers(user, object, { transitive });
+
+        res.status(200).json({
+            response: blockers
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+const getBlockedObjectsController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const { items: objects, total, nextCursor } = await getBlockedObjects(user, getPageOptions(req.query));
+        setPageHeaders(res, { total, nextCursor });
+
+        res.status(200).json({
+            response: objects
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+export {
+    getObjectRelationsController,
+    createRelationController,
+    deleteRelationController,
+    getBlockersController,
+    getBlockedObjectsController
+}
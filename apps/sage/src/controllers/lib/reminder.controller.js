@@ -0,0 +1,106 @@
+import Joi from "joi";
+import { createReminder, getObjectReminders, getUpcomingReminders, deleteReminder, snoozeReminder, dismissReminder } from "../../services/lib/reminder.service.js";
+import { CreateReminderPayload, SnoozeReminderPayload } from "../../payloads/lib/reminder.payload.js";
+import { getPageOptions, setPageHeaders } from "../../utils/pagination.service.js";
+
+const { ValidationError } = Joi;
+
+const createReminderController = async (req, res, next) => {
+    try {
+        const reminderData = await CreateReminderPayload.validateAsync(req.body);
+        const user = req.user._id;
+        const { object: id } = req.params;
+        const reminder = await createReminder(user, id, reminderData);
+
+        res.status(200).json({
+            response: reminder
+        });
+    } catch (err) {
+        const error = new Error(err);
+        error.statusCode = err instanceof ValidationError ? 400 : (err.statusCode || 500);
+        next(error);
+    }
+};
+
+const getObjectRemindersController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const { object: id } = req.params;
+        const reminders = await getObjectReminders(user, id);
+
+        res.status(200).json({
+            response: reminders
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+const getUpcomingRemindersController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const { items: reminders, total, nextCursor } = await getUpcomingReminders(user, getPageOptions(req.query));
+        setPageHeaders(res, { total, nextCursor });
+
+        res.status(200).json({
+            response: reminders
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+const deleteReminderController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const { reminder: id } = req.params;
+        await deleteReminder(user, id);
+
+        res.status(200).json({
+            success: true,
+            message: "Reminder deleted"
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+const snoozeReminderController = async (req, res, next) => {
+    try {
+        const snoozeData = await SnoozeReminderPayload.validateAsync(req.body);
+        const user = req.user._id;
+        const { reminder: id } = req.params;
+        const reminder = await snoozeReminder(user, id, snoozeData);
+
+        res.status(200).json({
+            response: reminder
+        });
+    } catch (err) {
+        const error = new Error(err);
+        error.statusCode = err instanceof ValidationError ? 400 : (err.statusCode || 500);
+        next(error);
+    }
+};
+
+const dismissReminderController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const { reminder: id } = req.params;
+        const reminder = await dismissReminder(user, id);
+
+        res.status(200).json({
+            response: reminder
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+export {
+    createReminderController,
+    getObjectRemindersController,
+    getUpcomingRemindersController,
+    deleteReminderController,
+    snoozeReminderController,
+    dismissReminderController
+}
@@ -0,0 +1,142 @@
+import Joi from "joi";
+import {
+    getRetentionPolicies,
+    createRetentionPolicy,
+    updateRetentionPolicy,
+    deleteRetentionPolicy,
+    previewRetention,
+    startRetentionRun,
+    getRetentionRuns,
+    getRetentionRun
+} from "../../services/lib/retention.service.js";
+import { CreateRetentionPolicyPayload, UpdateRetentionPolicyPayload } from "../../payloads/lib/retention.payload.js";
+import { getPageOptions, setPageHeaders } from "../../utils/pagination.service.js";
+
+const { ValidationError } = Joi;
+
+const getRetentionPoliciesController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const policies = await getRetentionPolicies(user);
+
+        res.status(200).json({
+            response: policies
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+const createRetentionPolicyController = async (req, res, next) => {
+    try {
+        const policyData = await CreateRetentionPolicyPayload.validateAsync(req.body);
+        const user = req.user._id;
+        const policy = await createRetentionPolicy(user, policyData);
+
+        res.status(200).json({
+            response: policy
+        });
+    } catch (err) {
+        const error = new Error(err);
+        error.statusCode = err instanceof ValidationError ? 400 : (err.statusCode || 500);
+        next(error);
+    }
+};
+
+const updateRetentionPolicyController = async (req, res, next) => {
+    try {
+        const policyData = await UpdateRetentionPolicyPayload.validateAsync(req.body);
+        const user = req.user._id;
+        const { policy: id } = req.params;
+        const policy = await updateRetentionPolicy(user, id, policyData);
+
+        res.status(200).json({
+            response: policy
+        });
+    } catch (err) {
+        const error = new Error(err);
+        error.statusCode = err instanceof ValidationError ? 400 : (err.statusCode || 500);
+        next(error);
+    }
+};
+
+const deleteRetentionPolicyController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const { policy: id } = req.params;
+        await deleteRetentionPolicy(user, id);
+
+        res.status(200).json({
+            success: true,
+            message: "Retention policy deleted"
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+const previewRetentionController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const { policy } = req.query;
+        const preview = await previewRetention(user, { policy });
+
+        res.status(200).json({
+            response: preview
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+const startRetentionRunController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const run = await startRetentionRun(user);
+
+        res.status(202).json({
+            response: run
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+const getRetentionRunsController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const { items: runs, total, nextCursor } = await getRetentionRuns(user, getPageOptions(req.query));
+        setPageHeaders(res, { total, nextCursor });
+
+        res.status(200).json({
+            response: runs
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+const getRetentionRunController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const { run: id } = req.params;
+        const run = await getRetentionRun(user, id);
+
+        res.status(200).json({
+            response: run
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+export {
+    getRetentionPoliciesController,
+    createRetentionPolicyController,
+    updateRetentionPolicyController,
+    deleteRetentionPolicyController,
+    previewRetentionController,
+    startRetentionRunController,
+    getRetentionRunsController,
+    getRetentionRunController
+}
@@ -0,0 +1,40 @@
+import { getObjectHistory, revertObjectRevision } from "../../services/lib/revision.service.js";
+import { updateContent } from "../../utils/helper.service.js";
+
+const getObjectHistoryController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const { object } = req.params;
+        const { before } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+        const revisions = await getObjectHistory(user, object, { limit, before });
+
+        res.status(200).json({
+            response: revisions
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+const revertObjectRevisionController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const { object, revision } = req.params;
+        const force = req.query.force === "true" || req.body?.force === true;
+        const updatedObject = await revertObjectRevision(user, object, revision, force);
+        // update in vector db
+        await updateContent(updatedObject);
+
+        res.status(200).json({
+            response: updatedObject
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+export {
+    getObjectHistoryController,
+    revertObjectRevisionController
+}
@@ -0,0 +1,31 @@
+import { search } from "../../services/lib/search.service.js";
+
+const searchController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const { q, scope, source, type, status, cursor } = req.query;
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+        const includeArchived = req.query.includeArchived === "true";
+
+        const result = await search(user, {
+            query: q,
+            scope,
+            source,
+            type,
+            status,
+            includeArchived,
+            limit,
+            cursor
+        });
+
+        res.status(200).json({
+            response: result
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+export {
+    searchController
+}
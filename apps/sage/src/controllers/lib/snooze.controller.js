@@ -0,0 +1,57 @@
+import Joi from "joi";
+import { snoozeObject, unsnoozeObject, getSnoozedObjects } from "../../services/lib/snooze.service.js";
+import { SnoozeObjectPayload } from "../../payloads/lib/snooze.payload.js";
+import { getPageOptions, setPageHeaders } from "../../utils/pagination.service.js";
+
+const { ValidationError } = Joi;
+
+const snoozeObjectController = async (req, res, next) => {
+    try {
+        const snoozeData = await SnoozeObjectPayload.validateAsync(req.body);
+        const user = req.user._id;
+        const { object: id } = req.params;
+        const object = await snoozeObject(user, id, snoozeData);
+
+        res.status(200).json({
+            response: object
+        });
+    } catch (err) {
+        const error = new Error(err);
+        error.statusCode = err instanceof ValidationError ? 400 : (err.statusCode || 500);
+        next(error);
+    }
+};
+
+const unsnoozeObjectController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const { object: id } = req.params;
+        const object = await unsnoozeObject(user, id);
+
+        res.status(200).json({
+            response: object
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+const getSnoozedObjectsController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const { items: objects, total, nextCursor } = await getSnoozedObjects(user, getPageOptions(req.query));
+        setPageHeaders(res, { total, nextCursor });
+
+        res.status(200).json({
+            response: objects
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+export {
+    snoozeObjectController,
+    unsnoozeObjectController,
+    getSnoozedObjectsController
+}
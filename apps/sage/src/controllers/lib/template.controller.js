@@ -0,0 +1,114 @@
+import Joi from "joi";
+import {
+    getTemplates,
+    getTemplate,
+    createTemplate,
+    updateTemplate,
+    deleteTemplate,
+    instantiateTemplate
+} from "../../services/lib/template.service.js";
+import { CreateTemplatePayload, UpdateTemplatePayload, InstantiateTemplatePayload } from "../../payloads/lib/template.payload.js";
+import { getPageOptions, setPageHeaders } from "../../utils/pagination.service.js";
+
+const { ValidationError } = Joi;
+
+const getTemplatesController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const { items: templates, total, nextCursor } = await getTemplates(user, getPageOptions(req.query));
+        setPageHeaders(res, { total, nextCursor });
+
+        res.status(200).json({
+            response: templates
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+const getTemplateController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const { template: id } = req.params;
+        const template = await getTemplate(user, id);
+
+        res.status(200).json({
+            response: template
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+const createTemplateController = async (req, res, next) => {
+    try {
+        const templateData = await CreateTemplatePayload.validateAsync(req.body);
+        const user = req.user._id;
+        const template = await createTemplate(user, templateData);
+
+        res.status(200).json({
+            response: template
+        });
+    } catch (err) {
+        const error = new Error(err);
+        error.statusCode = err instanceof ValidationError ? 400 : (err.statusCode || 500);
+        next(error);
+    }
+};
+
+const updateTemplateController = async (req, res, next) => {
+    try {
+        const templateData = await UpdateTemplatePayload.validateAsync(req.body);
+        const user = req.user._id;
+        const { template: id } = req.params;
+        const template = await updateTemplate(user, id, templateData);
+
+        res.status(200).json({
+            response: template
+        });
+    } catch (err) {
+        const error = new Error(err);
+        error.statusCode = err instanceof ValidationError ? 400 : (err.statusCode || 500);
+        next(error);
+    }
+};
+
+const deleteTemplateController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const { template: id } = req.params;
+        await deleteTemplate(user, id);
+
+        res.status(200).json({
+            response: "Template deleted"
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+const instantiateTemplateController = async (req, res, next) => {
+    try {
+        const options = await InstantiateTemplatePayload.validateAsync(req.body);
+        const user = req.user._id;
+        const { template: id } = req.params;
+        const object = await instantiateTemplate(user, id, options);
+
+        res.status(200).json({
+            response: object
+        });
+    } catch (err) {
+        const error = new Error(err);
+        error.statusCode = err instanceof ValidationError ? 400 : (err.statusCode || 500);
+        next(error);
+    }
+};
+
+export {
+    getTemplatesController,
+    getTemplateController,
+    createTemplateController,
+    updateTemplateController,
+    deleteTemplateController,
+    instantiateTemplateController
+}
@@ -0,0 +1,172 @@
+import Joi from "joi";
+import { setEstimate, getRunningTimer, startTimer, stopTimer, addTimeEntry, getObjectTimeEntries, updateTimeEntry, deleteTimeEntry, getTimeReport } from "../../services/lib/timeTracking.service.js";
+import { EstimatePayload, StartTimerPayload, CreateTimeEntryPayload, UpdateTimeEntryPayload } from "../../payloads/lib/timeTracking.payload.js";
+import { broadcastToUser } from "../../loaders/websocket.loader.js";
+import { updateContent } from "../../utils/helper.service.js";
+
+const { ValidationError } = Joi;
+
+const setEstimateController = async (req, res, next) => {
+    try {
+        const { estimate } = await EstimatePayload.validateAsync(req.body);
+        const user = req.user._id;
+        const { object: id } = req.params;
+        const object = await setEstimate(user, id, estimate, { type: "user", id: user });
+        await updateContent(object);
+
+        res.status(200).json({
+            response: object
+        });
+    } catch (err) {
+        const error = new Error(err);
+        error.statusCode = err instanceof ValidationError ? 400 : (err.statusCode || 500);
+        next(error);
+    }
+};
+
+const getRunningTimerController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const entry = await getRunningTimer(user);
+
+        res.status(200).json({
+            response: entry
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+const startTimerController = async (req, res, next) => {
+    try {
+        const { note } = await StartTimerPayload.validateAsync(req.body || {});
+        const user = req.user._id;
+        const { object: id } = req.params;
+        const { entry, stopped } = await startTimer(user, id, { note });
+
+        broadcastToUser(user.toString(), {
+            type: "timer",
+            message: "Timer started",
+            action: "start",
+            item: entry,
+            stopped
+        }, true);
+
+        res.status(200).json({
+            response: { entry, stopped }
+        });
+    } catch (err) {
+        const error = new Error(err);
+        error.statusCode = err instanceof ValidationError ? 400 : (err.statusCode || 500);
+        next(error);
+    }
+};
+
+const stopTimerController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const entry = await stopTimer(user);
+
+        broadcastToUser(user.toString(), {
+            type: "timer",
+            message: "Timer stopped",
+            action: "stop",
+            item: entry
+        }, true);
+
+        res.status(200).json({
+            response: entry
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+const getObjectTimeEntriesController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const { object: id } = req.params;
+        const entries = await getObjectTimeEntries(user, id);
+
+        res.status(200).json({
+            response: entries
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+const addTimeEntryController = async (req, res, next) => {
+    try {
+        const entryData = await CreateTimeEntryPayload.validateAsync(req.body);
+        const user = req.user._id;
+        const { object: id } = req.params;
+        const entry = await addTimeEntry(user, id, entryData);
+
+        res.status(200).json({
+            response: entry
+        });
+    } catch (err) {
+        const error = new Error(err);
+        error.statusCode = err instanceof ValidationError ? 400 : (err.statusCode || 500);
+        next(error);
+    }
+};
+
+const updateTimeEntryController = async (req, res, next) => {
+    try {
+        const updateData = await UpdateTimeEntryPayload.validateAsync(req.body);
+        const user = req.user._id;
+        const { entry: id } = req.params;
+        const entry = await updateTimeEntry(user, id, updateData);
+
+        res.status(200).json({
+            response: entry
+        });
+    } catch (err) {
+        const error = new Error(err);
+        error.statusCode = err instanceof ValidationError ? 400 : (err.statusCode || 500);
+        next(error);
+    }
+};
+
+const deleteTimeEntryController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const { entry: id } = req.params;
+        await deleteTimeEntry(user, id);
+
+        res.status(200).json({
+            success: true,
+            message: "Time entry deleted"
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+const getTimeReportController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const { from, to, groupBy } = req.query;
+        const report = await getTimeReport(user, { from, to, groupBy, timezone: req.user.timezone });
+
+        res.status(200).json({
+            response: report
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+export {
+    setEstimateController,
+    getRunningTimerController,
+    startTimerController,
+    stopTimerController,
+    getObjectTimeEntriesController,
+    addTimeEntryController,
+    updateTimeEntryController,
+    deleteTimeEntryController,
+    getTimeReportController
+}
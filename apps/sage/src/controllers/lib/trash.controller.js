@@ -0,0 +1,50 @@
+import { getTrash, restoreFromTrash, deleteFromTrash } from "../../services/lib/trash.service.js";
+
+const getTrashController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const { type } = req.query;
+        const trash = await getTrash(user, type);
+
+        res.status(200).json({
+            response: trash
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+const restoreFromTrashController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const { id } = req.params;
+        const item = await restoreFromTrash(user, id);
+
+        res.status(200).json({
+            response: item
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+const deleteFromTrashController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const { id } = req.params;
+        const purged = await deleteFromTrash(user, id);
+
+        res.status(200).json({
+            success: true,
+            purged
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+export {
+    getTrashController,
+    restoreFromTrashController,
+    deleteFromTrashController
+}
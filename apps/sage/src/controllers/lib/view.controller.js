@@ -0,0 +1,105 @@
+import Joi from "joi";
+import { createView, getViews, getView, updateView, deleteView, getViewObjects } from "../../services/lib/view.service.js";
+import { CreateViewPayload, UpdateViewPayload } from "../../payloads/lib/view.payload.js";
+import { getPageOptions, setPageHeaders } from "../../utils/pagination.service.js";
+
+const { ValidationError } = Joi;
+
+const createViewController = async (req, res, next) => {
+    try {
+        const viewData = await CreateViewPayload.validateAsync(req.body);
+        const user = req.user._id;
+        const view = await createView(user, viewData);
+
+        res.status(200).json({
+            response: view
+        });
+    } catch (err) {
+        const error = new Error(err);
+        error.statusCode = err instanceof ValidationError ? 400 : (err.statusCode || 500);
+        next(error);
+    }
+};
+
+const getViewsController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const views = await getViews(user);
+
+        res.status(200).json({
+            response: views
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+const getViewController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const { view: id } = req.params;
+        const view = await getView(user, id);
+
+        res.status(200).json({
+            response: view
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+const updateViewController = async (req, res, next) => {
+    try {
+        const updateData = await UpdateViewPayload.validateAsync(req.body);
+        const user = req.user._id;
+        const { view: id } = req.params;
+        const view = await updateView(user, id, updateData);
+
+        res.status(200).json({
+            response: view
+        });
+    } catch (err) {
+        const error = new Error(err);
+        error.statusCode = err instanceof ValidationError ? 400 : (err.statusCode || 500);
+        next(error);
+    }
+};
+
+const deleteViewController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const { view: id } = req.params;
+        await deleteView(user, id);
+
+        res.status(200).json({
+            success: true,
+            message: "View deleted"
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+const getViewObjectsController = async (req, res, next) => {
+    try {
+        const user = req.user._id;
+        const { view: id } = req.params;
+        const result = await getViewObjects(user, id, { timezone: req.user.timezone }, getPageOptions(req.query));
+        setPageHeaders(res, result);
+
+        res.status(200).json({
+            response: result
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+export {
+    createViewController,
+    getViewsController,
+    getViewController,
+    updateViewController,
+    deleteViewController,
+    getViewObjectsController
+}
@@ -11,10 +11,19 @@ import bodyParser from "body-parser";
 import { linearWorker } from "./jobs/linear.job.js"
 import { initWorker } from "./jobs/init.job.js";
 import { XWorker } from "./jobs/x.job.js";
+import { trashWorker } from "./jobs/trash.job.js";
+import { searchWorker } from "./jobs/search.job.js";
+import { reminderWorker } from "./jobs/reminder.job.js";
+import { snoozeWorker } from "./jobs/snooze.job.js";
+import { exportWorker } from "./jobs/export.job.js";
+import { templateWorker } from "./jobs/template.job.js";
+import { retentionWorker } from "./jobs/retention.job.js";
+import { cycleWorker } from "./jobs/cycle.job.js";
+import { insightsWorker } from "./jobs/insights.job.js";
 
 const { ValidationError } = Joi;
 const app = express();
-app.use(cors());
+app.use(cors({ exposedHeaders: ["X-Total-Count", "X-Next-Cursor"] }));
 
 app.use('/linear/webhook', bodyParser.raw({ type: 'application/json' }));
 
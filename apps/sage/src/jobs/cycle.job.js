@@ -1,75 +1,49 @@
 import { cycleQueue } from '../loaders/bullmq.loader.js';
 import { Worker } from "bullmq";
 import { redisConnection } from "../loaders/redis.loader.js";
-import { Object } from '../models/lib/object.model.js';
-
-const getPreviousWeekDateRange = () => {
-    const now = new Date();
-    const dayOfWeek = now.getDay();
-    const startOfPreviousWeek = new Date(now);
-    startOfPreviousWeek.setDate(now.getDate() - dayOfWeek - 7);
-    startOfPreviousWeek.setHours(0, 0, 0, 0);
-    const endOfPreviousWeek = new Date(startOfPreviousWeek);
-    endOfPreviousWeek.setDate(startOfPreviousWeek.getDate() + 6);
-    endOfPreviousWeek.setHours(23, 59, 59, 999);
-
-    return { startOfPreviousWeek, endOfPreviousWeek };
-};
-
-const getCurrentWeekDateRange = () => {
-    const now = new Date();
-    const dayOfWeek = now.getDay();
-
-    const startOfWeek = new Date(now);
-    startOfWeek.setDate(now.getDate() - dayOfWeek);
-    startOfWeek.setHours(0, 0, 0, 0);
-
-    const endOfWeek = new Date(startOfWeek);
-    endOfWeek.setDate(startOfWeek.getDate() + 6);
-    endOfWeek.setHours(23, 59, 59, 999);
-
-    return { startOfWeek, endOfWeek };
-};
+import { rolloverDueCycles, openMissingCycles } from '../services/lib/cycle.service.js';
 
 const cycleWorker = new Worker('cycleQueue', async job => {
-    console.log('Processing job to move overdue items to the next cycle...');
-
     try {
-        const { startOfPreviousWeek, endOfPreviousWeek } = getPreviousWeekDateRange();
-        const { startOfWeek, endOfWeek } = getCurrentWeekDateRange();
-
-        const overdueItems = await Object.find({
-            "cycle.startsAt": { $gte: startOfPreviousWeek, $lte: endOfPreviousWeek },
-            isCompleted: false,
-            isArchived: false,
-            isDeleted: false
-        });
-
-        if (overdueItems.length === 0) {
-            console.log("No overdue items found for the previous week.");
-            return;
+        if (job.name === 'rolloverCycles') {
+            const count = await rolloverDueCycles();
+            if (count) {
+                console.log(`Rolled over ${count} cycles.`);
+            }
+        } else if (job.name === 'startCycles') {
+            const count = await openMissingCycles();
+            console.log(`Opened cycles for ${count} users.`);
         }
-
-        await Object.updateMany(
-            { _id: { $in: overdueItems.map(item => item._id) } },
-            { $set: { "cycle.startsAt": startOfWeek, "cycle.endsAt": endOfWeek } }
-        );
-
-        console.log(`Processed ${overdueItems.length} overdue items and moved them to the current week's cycle.`);
     } catch (error) {
         console.error('Error processing job:', error);
         throw error;
     }
 }, {
     connection: redisConnection,
-    concurrency: 5
+    concurrency: 1
+});
+
+cycleWorker.on('failed', (job, err) => {
+    console.error(`Job with id ${job.id} failed with error: ${err.message}`);
 });
 
 const addCycleJob = async () => {
-    await cycleQueue.add('moveOverdueItems', {}, {
-        jobId: 'moveOverdueItemsJob',
+    // Cycles now end per user, in their own timezone, instead of every Sunday for everyone
+    await cycleQueue.removeRepeatable('moveOverdueItems', { cron: '0 0 * * 0' }, 'moveOverdueItemsJob');
+
+    await cycleQueue.add('rolloverCycles', {}, {
+        jobId: 'rolloverCyclesJob',
+        repeat: {
+            cron: '*/15 * * * *' // Runs every 15 minutes
+        },
+        removeOnComplete: true,
+        attempts: 3,
+        backoff: 1000
+    });
+    await cycleQueue.add('startCycles', {}, {
+        jobId: 'startCyclesJob',
         repeat: {
-            cron: '0 0 * * 0' // Runs every Sunday at 12:00 AM
+            cron: '30 0 * * *' // Runs every day at 12:30 AM
         },
         removeOnComplete: true,
         attempts: 3,
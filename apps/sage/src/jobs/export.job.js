@@ -0,0 +1,52 @@
+import { exportQueue } from '../loaders/bullmq.loader.js';
+import { Worker } from "bullmq";
+import { redisConnection } from "../loaders/redis.loader.js";
+import { runExport, cleanupExports } from '../services/lib/export.service.js';
+
+const exportWorker = new Worker('exportQueue', async job => {
+    try {
+        if (job.name === 'runExport') {
+            const exportDoc = await runExport(job.data.export);
+            if (exportDoc) {
+                console.log(`Export ${exportDoc._id} finished (${exportDoc.size} bytes).`);
+            }
+        } else if (job.name === 'cleanupExports') {
+            const { expired, failed } = await cleanupExports();
+            console.log(`Removed ${expired} expired exports, failed ${failed} stale ones.`);
+        }
+    } catch (error) {
+        console.error('Error processing job:', error);
+        throw error;
+    }
+}, {
+    connection: redisConnection,
+    concurrency: 1
+});
+
+exportWorker.on('failed', (job, err) => {
+    console.error(`Job with id ${job.id} failed with error: ${err.message}`);
+});
+
+const addExportCleanupJob = async () => {
+    await exportQueue.add('cleanupExports', {}, {
+        jobId: 'cleanupExportsJob',
+        repeat: {
+            cron: '30 * * * *' // Runs every hour
+        },
+        removeOnComplete: true,
+        attempts: 3,
+        backoff: 1000
+    });
+};
+
+addExportCleanupJob().then(() => {
+    console.log('Export cleanup job scheduled successfully!');
+}).catch(err => {
+    console.error('Failed to schedule export cleanup job:', err);
+});
+
+export {
+    exportQueue,
+    exportWorker,
+    addExportCleanupJob
+};
@@ -0,0 +1,47 @@
+import { insightsQueue } from '../loaders/bullmq.loader.js';
+import { Worker } from "bullmq";
+import { redisConnection } from "../loaders/redis.loader.js";
+import { refreshRecentRollups } from '../services/lib/insights.service.js';
+
+const insightsWorker = new Worker('insightsQueue', async job => {
+    try {
+        if (job.name === 'refreshRollups') {
+            const count = await refreshRecentRollups();
+            console.log(`Refreshed insights of ${count} users.`);
+        }
+    } catch (error) {
+        console.error('Error processing job:', error);
+        throw error;
+    }
+}, {
+    connection: redisConnection,
+    concurrency: 1
+});
+
+insightsWorker.on('failed', (job, err) => {
+    console.error(`Job with id ${job.id} failed with error: ${err.message}`);
+});
+
+const addInsightsJob = async () => {
+    await insightsQueue.add('refreshRollups', {}, {
+        jobId: 'refreshInsightRollupsJob',
+        repeat: {
+            cron: '0 2 * * *' // Runs every day at 2:00 AM
+        },
+        removeOnComplete: true,
+        attempts: 3,
+        backoff: 1000
+    });
+};
+
+addInsightsJob().then(() => {
+    console.log('Insights job scheduled successfully!');
+}).catch(err => {
+    console.error('Failed to schedule insights job:', err);
+});
+
+export {
+    insightsQueue,
+    insightsWorker,
+    addInsightsJob
+};
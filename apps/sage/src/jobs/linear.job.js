@@ -39,7 +39,7 @@ const processLinearJob = async (job) => {
             await updateInboxObject(objectId, user, {
                 id: linearIssue.id,
                 "metadata.url": linearIssue.url
-            });
+            }, { type: "integration", id: "linear" });
 
             console.log(`Updated issue ${objectId} with Linear ID: ${linearIssue.id}`);
         }
@@ -0,0 +1,33 @@
+import { reminderQueue } from '../loaders/bullmq.loader.js';
+import { Worker } from "bullmq";
+import { redisConnection } from "../loaders/redis.loader.js";
+import { deliverReminder, rescheduleObjectReminders } from '../services/lib/reminder.service.js';
+
+const reminderWorker = new Worker('reminderQueue', async job => {
+    try {
+        if (job.name === 'deliverReminder') {
+            const deliveries = await deliverReminder(job.data.reminder, job.data.fireAt);
+            if (deliveries) {
+                console.log(`Delivered reminder ${job.data.reminder}:`, deliveries);
+            }
+        } else if (job.name === 'rescheduleObject') {
+            const count = await rescheduleObjectReminders(job.data.object);
+            console.log(`Rescheduled ${count} reminders for object ${job.data.object}.`);
+        }
+    } catch (error) {
+        console.error('Error processing job:', error);
+        throw error;
+    }
+}, {
+    connection: redisConnection,
+    concurrency: 5
+});
+
+reminderWorker.on('failed', (job, err) => {
+    console.error(`Job with id ${job.id} failed with error: ${err.message}`);
+});
+
+export {
+    reminderQueue,
+    reminderWorker
+};
@@ -0,0 +1,52 @@
+import { retentionQueue } from '../loaders/bullmq.loader.js';
+import { Worker } from "bullmq";
+import { redisConnection } from "../loaders/redis.loader.js";
+import { queueScheduledRetention, runRetention } from '../services/lib/retention.service.js';
+
+const retentionWorker = new Worker('retentionQueue', async job => {
+    try {
+        if (job.name === 'applyPolicies') {
+            const count = await queueScheduledRetention();
+            console.log(`Queued retention runs for ${count} users.`);
+        } else if (job.name === 'runPolicies') {
+            const run = await runRetention(job.data.run);
+            if (run) {
+                console.log(`Retention run ${run._id}: ${run.archived} archived, ${run.deleted} deleted.`);
+            }
+        }
+    } catch (error) {
+        console.error('Error processing job:', error);
+        throw error;
+    }
+}, {
+    connection: redisConnection,
+    concurrency: 1
+});
+
+retentionWorker.on('failed', (job, err) => {
+    console.error(`Job with id ${job.id} failed with error: ${err.message}`);
+});
+
+const addRetentionJob = async () => {
+    await retentionQueue.add('applyPolicies', {}, {
+        jobId: 'applyRetentionPoliciesJob',
+        repeat: {
+            cron: '0 3 * * *' // Runs every day at 3:00 AM
+        },
+        removeOnComplete: true,
+        attempts: 3,
+        backoff: 1000
+    });
+};
+
+addRetentionJob().then(() => {
+    console.log('Retention job scheduled successfully!');
+}).catch(err => {
+    console.error('Failed to schedule retention job:', err);
+});
+
+export {
+    retentionQueue,
+    retentionWorker,
+    addRetentionJob
+};
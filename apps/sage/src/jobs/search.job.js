@@ -0,0 +1,54 @@
+import { searchQueue } from '../loaders/bullmq.loader.js';
+import { Worker } from "bullmq";
+import { redisConnection } from "../loaders/redis.loader.js";
+import { backfillSearchText } from '../services/lib/search.service.js';
+
+const searchWorker = new Worker('searchQueue', async job => {
+    console.log('Processing job to backfill search text...');
+
+    try {
+        let processed;
+        let total = 0;
+        // Keep going while full batches come back so a backlog clears in one run
+        do {
+            processed = await backfillSearchText();
+            total += processed;
+        } while (processed === 200);
+
+        console.log(`Backfilled search text for ${total} objects.`);
+    } catch (error) {
+        console.error('Error processing job:', error);
+        throw error;
+    }
+}, {
+    connection: redisConnection,
+    concurrency: 1
+});
+
+searchWorker.on('failed', (job, err) => {
+    console.error(`Job with id ${job.id} failed with error: ${err.message}`);
+});
+
+const addSearchJob = async () => {
+    await searchQueue.add('backfillSearchText', {}, {
+        jobId: 'backfillSearchTextJob',
+        repeat: {
+            cron: '*/15 * * * *' // Runs every 15 minutes
+        },
+        removeOnComplete: true,
+        attempts: 3,
+        backoff: 1000
+    });
+};
+
+addSearchJob().then(() => {
+    console.log('Search backfill job scheduled successfully!');
+}).catch(err => {
+    console.error('Failed to schedule search backfill job:', err);
+});
+
+export {
+    searchQueue,
+    searchWorker,
+    addSearchJob
+};
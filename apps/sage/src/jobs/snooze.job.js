@@ -0,0 +1,57 @@
+import { snoozeQueue } from '../loaders/bullmq.loader.js';
+import { Worker } from "bullmq";
+import { redisConnection } from "../loaders/redis.loader.js";
+import { resurfaceObject, resurfaceLinkedObjects, resurfaceDueObjects } from '../services/lib/snooze.service.js';
+
+const snoozeWorker = new Worker('snoozeQueue', async job => {
+    try {
+        if (job.name === 'resurfaceObject') {
+            const object = await resurfaceObject(job.data.object, { until: job.data.until });
+            if (object) {
+                console.log(`Resurfaced snoozed object ${object._id}.`);
+            }
+        } else if (job.name === 'resurfaceLinked') {
+            const count = await resurfaceLinkedObjects(job.data.object);
+            console.log(`Resurfaced ${count} objects after a change of ${job.data.object}.`);
+        } else if (job.name === 'resurfaceDue') {
+            const count = await resurfaceDueObjects();
+            if (count) {
+                console.log(`Resurfaced ${count} overdue snoozed objects.`);
+            }
+        }
+    } catch (error) {
+        console.error('Error processing job:', error);
+        throw error;
+    }
+}, {
+    connection: redisConnection,
+    concurrency: 5
+});
+
+snoozeWorker.on('failed', (job, err) => {
+    console.error(`Job with id ${job.id} failed with error: ${err.message}`);
+});
+
+const addSnoozeJob = async () => {
+    await snoozeQueue.add('resurfaceDue', {}, {
+        jobId: 'resurfaceDueJob',
+        repeat: {
+            cron: '*/15 * * * *' // Runs every 15 minutes
+        },
+        removeOnComplete: true,
+        attempts: 3,
+        backoff: 1000
+    });
+};
+
+addSnoozeJob().then(() => {
+    console.log('Snooze job scheduled successfully!');
+}).catch(err => {
+    console.error('Failed to schedule snooze job:', err);
+});
+
+export {
+    snoozeQueue,
+    snoozeWorker,
+    addSnoozeJob
+};
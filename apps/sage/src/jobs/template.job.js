@@ -0,0 +1,49 @@
+import { templateQueue } from '../loaders/bullmq.loader.js';
+import { Worker } from "bullmq";
+import { redisConnection } from "../loaders/redis.loader.js";
+import { runScheduledTemplates } from '../services/lib/template.service.js';
+
+const templateWorker = new Worker('templateQueue', async job => {
+    try {
+        if (job.name === 'runScheduled') {
+            const count = await runScheduledTemplates();
+            if (count) {
+                console.log(`Created objects from ${count} scheduled templates.`);
+            }
+        }
+    } catch (error) {
+        console.error('Error processing job:', error);
+        throw error;
+    }
+}, {
+    connection: redisConnection,
+    concurrency: 1
+});
+
+templateWorker.on('failed', (job, err) => {
+    console.error(`Job with id ${job.id} failed with error: ${err.message}`);
+});
+
+const addTemplateJob = async () => {
+    await templateQueue.add('runScheduled', {}, {
+        jobId: 'runScheduledTemplatesJob',
+        repeat: {
+            cron: '*/5 * * * *' // Runs every 5 minutes
+        },
+        removeOnComplete: true,
+        attempts: 3,
+        backoff: 1000
+    });
+};
+
+addTemplateJob().then(() => {
+    console.log('Template job scheduled successfully!');
+}).catch(err => {
+    console.error('Failed to schedule template job:', err);
+});
+
+export {
+    templateQueue,
+    templateWorker,
+    addTemplateJob
+};
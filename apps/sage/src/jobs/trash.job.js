@@ -0,0 +1,61 @@
+import { trashQueue } from '../loaders/bullmq.loader.js';
+import { Worker } from "bullmq";
+import { redisConnection } from "../loaders/redis.loader.js";
+import { PURGE_BATCH_SIZE, purgeExpiredTrash } from '../services/lib/trash.service.js';
+import { deleteOrphanedJournalAttachments } from '../services/lib/attachment.service.js';
+
+const trashWorker = new Worker('trashQueue', async job => {
+    console.log('Processing job to purge expired trash...');
+
+    try {
+        let result;
+        let total = 0;
+        let failed = 0;
+        // Keep going while full batches come back so a backlog clears in one run;
+        // entries that fail are pushed back, so they do not come around again
+        do {
+            result = await purgeExpiredTrash(PURGE_BATCH_SIZE);
+            total += result.purged;
+            failed += result.failed;
+        } while (result.entries === PURGE_BATCH_SIZE);
+
+        console.log(`Purged ${total} trashed documents, ${failed} entries failed.`);
+
+        const files = await deleteOrphanedJournalAttachments();
+        console.log(`Removed ${files} attachments of deleted journals.`);
+    } catch (error) {
+        console.error('Error processing job:', error);
+        throw error;
+    }
+}, {
+    connection: redisConnection,
+    concurrency: 1
+});
+
+trashWorker.on('failed', (job, err) => {
+    console.error(`Job with id ${job.id} failed with error: ${err.message}`);
+});
+
+const addTrashJob = async () => {
+    await trashQueue.add('purgeExpiredTrash', {}, {
+        jobId: 'purgeExpiredTrashJob',
+        repeat: {
+            cron: '0 * * * *' // Runs every hour
+        },
+        removeOnComplete: true,
+        attempts: 3,
+        backoff: 1000
+    });
+};
+
+addTrashJob().then(() => {
+    console.log('Trash purge job scheduled successfully!');
+}).catch(err => {
+    console.error('Failed to schedule trash purge job:', err);
+});
+
+export {
+    trashQueue,
+    trashWorker,
+    addTrashJob
+};
@@ -21,6 +21,38 @@ const XQueue = new Queue('XQueue', {
     connection: redisConnection
 });
 
+const trashQueue = new Queue('trashQueue', {
+    connection: redisConnection
+});
+
+const searchQueue = new Queue('searchQueue', {
+    connection: redisConnection
+});
+
+const reminderQueue = new Queue('reminderQueue', {
+    connection: redisConnection
+});
+
+const snoozeQueue = new Queue('snoozeQueue', {
+    connection: redisConnection
+});
+
+const exportQueue = new Queue('exportQueue', {
+    connection: redisConnection
+});
+
+const templateQueue = new Queue('templateQueue', {
+    connection: redisConnection
+});
+
+const retentionQueue = new Queue('retentionQueue', {
+    connection: redisConnection
+});
+
+const insightsQueue = new Queue('insightsQueue', {
+    connection: redisConnection
+});
+
 console.log('Queues setup completed.');
 
 export {
@@ -28,5 +60,13 @@ export {
     notionQueue,
     cycleQueue,
     initQueue,
-    XQueue
+    XQueue,
+    trashQueue,
+    searchQueue,
+    reminderQueue,
+    snoozeQueue,
+    exportQueue,
+    templateQueue,
+    retentionQueue,
+    insightsQueue
 };
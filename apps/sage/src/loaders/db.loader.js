@@ -11,4 +11,38 @@ const db = createConnection(environment.MONGO_URL, {
     autoIndex: false
 })
 
+const isTextIndex = ([fields]) => Object.values(fields).includes("text");
+
+// The connection runs with autoIndex off, so the indexes the services rely on are built
+// once at startup: unique keys that stop concurrent requests from inserting duplicates,
+// and the text indexes of search
+const STARTUP_INDEXES = [
+    { model: "CalendarFeed" },
+    { model: "Cycle" },
+    { model: "InsightRollup" },
+    { model: "TimeEntry" },
+    { model: "Notification" },
+    { model: "Relation" },
+    { model: "Object", filter: isTextIndex },
+    { model: "Journal", filter: isTextIndex }
+];
+
+const buildIndexes = async () => {
+    for (const { model, filter = () => true } of STARTUP_INDEXES) {
+        try {
+            const Model = db.model(model);
+            for (const [fields, options] of Model.schema.indexes().filter(filter)) {
+                await Model.collection.createIndex(fields, options);
+            }
+        } catch (error) {
+            console.error(`Failed to build the indexes of ${model}:`, error);
+        }
+    }
+};
+
+// Models are registered by the time the connection opens
+db.once("open", () => {
+    buildIndexes();
+});
+
 export { db }
@@ -45,6 +45,7 @@ export const environment = {
     FILE_SIZE_LIMIT: process.env.FILE_SIZE_LIMIT,
     TWILIO_ACCOUNT_SID: process.env.TWILIO_ACCOUNT_SID,
     TWILIO_AUTH_TOKEN: process.env.TWILIO_AUTH_TOKEN,
+    TWILIO_PHONE_NUMBER: process.env.TWILIO_PHONE_NUMBER,
     SMTP_HOST: process.env.SMTP_HOST,
     SMTP_PORT: process.env.SMTP_PORT,
     SMTP_USER: process.env.SMTP_USER,
@@ -61,5 +62,13 @@ export const environment = {
     GOOGLE_EMAIL_REDIRECT_URL: process.env.GOOGLE_EMAIL_REDIRECT_URL,
     BACKEND_URL: process.env.BACKEND_URL,
     WEBSOCKET_URL: process.env.WEBSOCKET_URL,
-    OPENAI_API_KEY: process.env.OPENAI_API_KEY
+    OPENAI_API_KEY: process.env.OPENAI_API_KEY,
+    TRASH_RETENTION_DAYS: process.env.TRASH_RETENTION_DAYS || 30,
+    S3_ENDPOINT: process.env.S3_ENDPOINT,
+    STORAGE_DRIVER: process.env.STORAGE_DRIVER || "s3",
+    STORAGE_LOCAL_PATH: process.env.STORAGE_LOCAL_PATH || "storage",
+    STORAGE_QUOTA_MB: process.env.STORAGE_QUOTA_MB || 1024,
+    // Separate from JWT_SECRET, so a leaked file link says nothing about session tokens
+    FILE_URL_SECRET: process.env.FILE_URL_SECRET,
+    FILE_URL_TTL_SECONDS: process.env.FILE_URL_TTL_SECONDS || 900
 };
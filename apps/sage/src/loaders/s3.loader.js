@@ -1,33 +1,94 @@
-import { S3Client } from '@aws-sdk/client-s3';
+import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
 import multer from 'multer';
-import multerS3 from 'multer-s3';
+import fs from 'fs';
+import path from 'path';
 import { environment } from './environment.loader.js';
-import { v4 as uuid } from 'uuid';
 
-// S3 client configuration
+// S3 client configuration; S3_ENDPOINT points it at an S3-compatible server such as MinIO
 const s3 = new S3Client({
     region: environment.AWS_REGION,
+    ...(environment.S3_ENDPOINT ? { endpoint: environment.S3_ENDPOINT, forcePathStyle: true } : {}),
     credentials: {
         accessKeyId: environment.AWS_ACCESS_KEY,
         secretAccessKey: environment.AWS_SECRET_KEY
     }
 });
 
-// Multer configuration to upload files directly to S3
-const upload = multer({
-    storage: multerS3({
-        s3,
-        bucket: environment.AWS_BUCKET_NAME,
-        acl: 'public-read',
-        key: function (req, file, cb) {
-            const userUuid = req.user.uuid;
-            const filename = `user-${userUuid}/${uuid()}-${file.originalname}`;
-            cb(null, filename);
+/**
+ * Storage drivers keep files private under a key and share one interface:
+ *   put(key, body, { contentType })  stores a Buffer
+ *   get(key)                         resolves to { stream, size, contentType }
+ *   remove(key)                      deletes the file, if it exists
+ */
+const createS3Driver = (client, bucket) => ({
+    name: "s3",
+    put: async (key, body, { contentType } = {}) => {
+        await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: body, ContentType: contentType }));
+    },
+    get: async (key) => {
+        const data = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return { stream: data.Body, size: data.ContentLength, contentType: data.ContentType };
+    },
+    remove: async (key) => {
+        await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+});
+
+const createLocalDriver = (root) => {
+    const resolveKey = (key) => {
+        const file = path.resolve(root, key);
+        if (!file.startsWith(path.resolve(root) + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
         }
-    }),
-    limits: { fileSize: environment.FILE_SIZE_LIMIT || 5 * 1024 * 1024 } // 5MB file size limit
+        return file;
+    };
+
+    return {
+        name: "local",
+        put: async (key, body) => {
+            const file = resolveKey(key);
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            await fs.promises.writeFile(file, body);
+        },
+        get: async (key) => {
+            const file = resolveKey(key);
+            try {
+                const { size } = await fs.promises.stat(file);
+                return { stream: fs.createReadStream(file), size, contentType: null };
+            } catch (err) {
+                if (err.code === "ENOENT") {
+                    err.statusCode = 404;
+                }
+                throw err;
+            }
+        },
+        remove: async (key) => {
+            await fs.promises.rm(resolveKey(key), { force: true });
+        }
+    };
+};
+
+const storage = environment.STORAGE_DRIVER === "local"
+    ? createLocalDriver(environment.STORAGE_LOCAL_PATH)
+    : createS3Driver(s3, environment.AWS_BUCKET_NAME);
+
+// Multer configuration for attachments; files are kept in memory until the quota is checked
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: Number(environment.FILE_SIZE_LIMIT) || 5 * 1024 * 1024 } // 5MB file size limit
 });
+
+// Multer configuration to keep files in memory for handlers that read them, such as imports
+const memoryUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 10 * 1024 * 1024 } // 10MB file size limit
+});
+
 export {
     upload,
-    s3
+    memoryUpload,
+    s3,
+    storage,
+    createS3Driver,
+    createLocalDriver
 };
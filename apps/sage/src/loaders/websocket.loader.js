@@ -3,6 +3,7 @@ import { WebSocketServer, WebSocket } from "ws";
 import { verifyJWTToken, generateJWTToken } from "../utils/jwt.service.js";
 import { BlackList } from "../models/core/black-list.model.js";
 import { getUserById } from "../services/core/user.service.js";
+import { getNotificationBacklog, markDelivered } from "../services/lib/notification.service.js";
 import { VoiceRecognitionService } from "../services/ai/voice-recognition.service.js";
 import { environment } from "./environment.loader.js";
 
@@ -407,12 +408,33 @@ const processVoiceInput = async (ws, user, userInput) => {
     }
 };
 
+// Sends what happened while the user was offline. The connection stays open if it fails.
+const deliverNotificationBacklog = async (ws, user) => {
+    try {
+        const { items, unreadCount } = await getNotificationBacklog(user._id);
+        if (items.length && ws.readyState === WebSocket.OPEN) {
+            ws.send(
+                JSON.stringify({
+                    type: "notifications",
+                    action: "backlog",
+                    items,
+                    unreadCount
+                })
+            );
+            await markDelivered(items.filter(item => !item.deliveredAt).map(item => item._id));
+        }
+    } catch (error) {
+        console.error(`Failed to deliver notification backlog to user ${user.id}:`, error);
+    }
+};
+
 const initializeWebSocket = (server) => {
     const wss = new WebSocketServer({
         server
     });
 
     wss.on("connection", async (ws, req) => {
+        let user;
         try {
             const token = req.headers["sec-websocket-protocol"];
             if (!token) {
@@ -427,7 +449,7 @@ const initializeWebSocket = (server) => {
             }
 
             const payload = await verifyJWTToken(token);
-            const user = await getUserById(payload.id);
+            user = await getUserById(payload.id);
             if (!user) {
                 ws.close(4002, "Invalid user");
                 return;
@@ -503,7 +525,10 @@ const initializeWebSocket = (server) => {
         } catch (error) {
             console.error("WebSocket authentication error:", error.message);
             ws.close(4003, "Unauthorized");
+            return;
         }
+
+        await deliverNotificationBacklog(ws, user);
     });
 };
 
@@ -528,19 +553,20 @@ const initializeWebSocket = (server) => {
 //     // console.log(`Message sent to user ${userId}:`, data);
 // };
 
+// Returns whether the message reached an open connection
 const broadcastToUser = (userId, data, isBinary = false) => {
     // console.log(`Broadcasting to user: ${userId}`);
 
     const ws = userConnections.get(userId.toString());
     if (!ws) {
         console.error(`WebSocket connection for user ${userId} not found.`);
-        return;
+        return false;
     }
 
     if (ws.readyState !== WebSocket.OPEN) {
         console.error(`WebSocket for user ${userId} is not open.`);
         userConnections.delete(userId); // Remove inactive connection
-        return;
+        return false;
     }
 
     let message;
@@ -565,8 +591,10 @@ const broadcastToUser = (userId, data, isBinary = false) => {
 
         ws.send(message, { binary: isBinary });
     // console.log(`Message sent to user ${userId}:`, isBinary ? "[Binary Data]" : data);
+        return true;
     } catch (error) {
         console.error(`Failed to send message to user ${userId}:`, error.message);
+        return false;
     }
 };
 
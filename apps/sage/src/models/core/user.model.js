@@ -30,6 +30,43 @@ const UserSchema = new Schema({
         default: 'UTC',
         enum: USER_TIMEZONE_CHOICES
     },
+    // E.164 number used for SMS reminders
+    phoneNumber: {
+        type: String,
+        default: null
+    },
+    // Attachment storage in bytes, null for the default quota
+    storageQuota: {
+        type: Number,
+        default: null
+    },
+    // Bytes of the user's attachments, kept in step with uploads and deletes; null until first counted
+    storageUsed: {
+        type: Number,
+        default: null
+    },
+    // Cycles last `length` weeks and start on `startDay` (0 is Sunday) in the user's timezone
+    cycleSettings: {
+        length: {
+            type: Number,
+            default: 1,
+            min: 1,
+            max: 8
+        },
+        startDay: {
+            type: Number,
+            default: 0,
+            min: 0,
+            max: 6
+        }
+    },
+    notificationSettings: {
+        // Sources whose events are not kept in the notification center
+        mutedSources: {
+            type: [String],
+            default: []
+        }
+    },
     accounts: {
         local: {
             email: {
@@ -94,6 +131,8 @@ const UserSchema = new Schema({
             accessToken: String,
             userId: String,
             linearTeam: { type: Schema.Types.Mixed },
+            // Mirror comments between issues and their objects
+            syncComments: { type: Boolean, default: false },
             connected: { type: Boolean, default: false }
         },
         googleCalendar: {
@@ -112,6 +151,7 @@ const UserSchema = new Schema({
         github: {
             installationId: String,
             userName: String,
+            syncComments: { type: Boolean, default: false },
             connected: { type: Boolean, default: false }
         },
         x: {
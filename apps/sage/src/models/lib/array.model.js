@@ -36,6 +36,10 @@ const ArraySchema = new Schema({
     isDeleted: {
         type: Boolean,
         default: false
+    },
+    deletedAt: {
+        type: Date,
+        default: null
     }
 }, {
     timestamps: true
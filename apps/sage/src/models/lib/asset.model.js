@@ -1,30 +1,77 @@
 import { Schema } from "mongoose";
+import { v4 as uuid } from "uuid";
 import { db } from "../../loaders/db.loader.js";
 
 // Define the FileAsset schema
 const FileAssetSchema = new Schema({
+    uuid: {
+        type: String,
+        default: () => uuid()
+    },
     attributes: {
         type: Map,
         of: String,
         default: {}
     },
+    // Public S3 URL of files uploaded before they were stored privately
     asset: {
-        type: String, // S3 file URL
-        required: true
+        type: String,
+        default: null
+    },
+    // Key of the file in the storage driver
+    key: {
+        type: String,
+        default: null
+    },
+    driver: {
+        type: String,
+        default: null
+    },
+    filename: {
+        type: String,
+        default: ''
+    },
+    contentType: {
+        type: String,
+        default: 'application/octet-stream'
+    },
+    // Bytes, counted against the user's quota
+    size: {
+        type: Number,
+        default: 0
     },
     user: {
         type: Schema.Types.ObjectId,
         ref: 'User',
         required: true
     },
+    // What the file is attached to, if anything
+    object: {
+        type: Schema.Types.ObjectId,
+        ref: 'Object',
+        default: null
+    },
+    journal: {
+        type: Schema.Types.ObjectId,
+        ref: 'Journal',
+        default: null
+    },
     isDeleted: {
         type: Boolean,
         default: false
+    },
+    deletedAt: {
+        type: Date,
+        default: null
     }
 }, {
     timestamps: true
 });
 
+FileAssetSchema.index({ object: 1, createdAt: -1 });
+FileAssetSchema.index({ journal: 1, createdAt: -1 });
+FileAssetSchema.index({ user: 1, isDeleted: 1 });
+
 const FileAsset = db.model('FileAsset', FileAssetSchema, 'fileAssets');
 
 export {
@@ -22,6 +22,14 @@ const BlockSchema = new Schema({
     array: {
         type: Schema.Types.ObjectId,
         ref: 'Array'
+    },
+    isDeleted: {
+        type: Boolean,
+        default: false
+    },
+    deletedAt: {
+        type: Date,
+        default: null
     }
 }, {
     timestamps: true
@@ -0,0 +1,35 @@
+import { Schema } from "mongoose";
+import { v4 as uuid } from "uuid";
+import { db } from "../../loaders/db.loader.js";
+
+// Secret token of a user's read-only calendar subscription
+const CalendarFeedSchema = new Schema({
+    uuid: {
+        type: String,
+        default: () => uuid()
+    },
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    token: {
+        type: String,
+        required: true
+    },
+    lastAccessedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+CalendarFeedSchema.index({ user: 1 }, { unique: true });
+CalendarFeedSchema.index({ token: 1 }, { unique: true });
+
+const CalendarFeed = db.model('CalendarFeed', CalendarFeedSchema, 'calendarFeeds');
+
+export {
+    CalendarFeed
+}
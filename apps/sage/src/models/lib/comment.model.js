@@ -0,0 +1,157 @@
+import { Schema } from "mongoose";
+import { v4 as uuid } from "uuid";
+import { db } from "../../loaders/db.loader.js";
+
+const commentSourceChoices = ["momo", "linear", "github"];
+const syncStatusChoices = ["pending", "synced", "failed"];
+
+// Mirrored comments posted by us come back through the webhooks within this window
+const ECHO_WINDOW_MS = 10 * 60 * 1000;
+
+const CommentSchema = new Schema({
+    uuid: {
+        type: String,
+        default: () => uuid()
+    },
+    object: {
+        type: Schema.Types.ObjectId,
+        ref: 'Object',
+        required: true
+    },
+    // Author, null for comments written upstream
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    // Markdown
+    body: {
+        type: String,
+        required: true
+    },
+    mentions: [
+        {
+            type: Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    ],
+    // Where the comment was written
+    source: {
+        type: String,
+        enum: commentSourceChoices,
+        default: "momo"
+    },
+    // The upstream issue comment this one is mirrored from or to
+    external: {
+        source: {
+            type: String,
+            enum: [...commentSourceChoices, null],
+            default: null
+        },
+        id: {
+            type: String,
+            default: null
+        },
+        url: {
+            type: String,
+            default: null
+        },
+        author: {
+            name: String,
+            avatar: String
+        }
+    },
+    sync: {
+        status: {
+            type: String,
+            enum: [...syncStatusChoices, null],
+            default: null
+        },
+        // Body as posted upstream, to recognize it when the webhook comes back
+        body: {
+            type: String,
+            default: null
+        },
+        error: {
+            type: String,
+            default: null
+        },
+        syncedAt: {
+            type: Date,
+            default: null
+        }
+    },
+    editedAt: {
+        type: Date,
+        default: null
+    },
+    isDeleted: {
+        type: Boolean,
+        default: false
+    },
+    deletedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+CommentSchema.index({ object: 1, createdAt: -1 });
+CommentSchema.index({ "external.source": 1, "external.id": 1 });
+
+/**
+ * Creates, updates or deletes the mirror of an upstream issue comment.
+ * Comments that were mirrored from here are left alone.
+ * @param {Object} object - The object of the issue
+ * @param {Object} comment - { source, id, url, body, author, createdAt }
+ * @param {String} action - "create", "update" or "delete"
+ * @returns {Promise<Object|null>} - The comment, null when nothing changed
+ */
+CommentSchema.statics.saveExternalComment = async function (object, { source, id, url, body, author, createdAt }, action) {
+    const existing = await this.findOne({ object: object._id, "external.source": source, "external.id": String(id) });
+
+    if (!existing && action !== "delete") {
+        // Our own comment posted upstream, before its id was saved
+        const echo = await this.findOneAndUpdate({
+            object: object._id,
+            source: "momo",
+            "external.id": null,
+            "sync.status": "pending",
+            "sync.body": body,
+            createdAt: { $gte: new Date(Date.now() - ECHO_WINDOW_MS) }
+        }, { $set: { "external.source": source, "external.id": String(id), "external.url": url } });
+        if (echo) {
+            return null;
+        }
+    }
+    if (existing?.source === "momo" || (!existing && action === "delete")) {
+        return null;
+    }
+
+    if (action === "delete") {
+        existing.isDeleted = true;
+        existing.deletedAt = new Date();
+        return await existing.save();
+    }
+
+    const comment = existing || new this({
+        object: object._id,
+        source,
+        external: { source, id: String(id), url, author },
+        createdAt
+    });
+    if (existing && existing.body !== body) {
+        comment.editedAt = new Date();
+    }
+    comment.body = body;
+    comment.external.author = author;
+    return await comment.save();
+};
+
+const Comment = db.model('Comment', CommentSchema, 'comments');
+
+export {
+    Comment,
+    commentSourceChoices
+}
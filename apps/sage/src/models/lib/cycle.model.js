@@ -0,0 +1,104 @@
+import { Schema } from "mongoose";
+import { v4 as uuid } from "uuid";
+import { db } from "../../loaders/db.loader.js";
+
+// An object as it was when its cycle closed
+const CycleItemSchema = new Schema({
+    object: {
+        type: Schema.Types.ObjectId,
+        ref: 'Object'
+    },
+    title: {
+        type: String,
+        default: ''
+    },
+    source: {
+        type: String,
+        default: 'momo'
+    }
+}, {
+    _id: false
+});
+
+const CycleSchema = new Schema({
+    uuid: {
+        type: String,
+        default: () => uuid()
+    },
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // 1 for the user's first cycle
+    number: {
+        type: Number,
+        default: 1
+    },
+    startsAt: {
+        type: Date,
+        required: true
+    },
+    endsAt: {
+        type: Date,
+        required: true
+    },
+    timezone: {
+        type: String,
+        default: 'UTC'
+    },
+    status: {
+        type: String,
+        enum: ["active", "closed"],
+        default: "active"
+    },
+    closedAt: {
+        type: Date,
+        default: null
+    },
+    // Set while a rollover is in progress; a rollover older than the lease is taken over
+    rolloverStartedAt: {
+        type: Date,
+        default: null
+    },
+    // Objects completed during the cycle, from any source
+    completed: {
+        count: {
+            type: Number,
+            default: 0
+        },
+        bySource: [{
+            _id: false,
+            source: String,
+            count: Number
+        }],
+        objects: [CycleItemSchema]
+    },
+    // Unfinished objects moved into the next cycle
+    carriedOver: {
+        count: {
+            type: Number,
+            default: 0
+        },
+        estimatedMinutes: {
+            type: Number,
+            default: 0
+        },
+        unestimated: {
+            type: Number,
+            default: 0
+        },
+        objects: [CycleItemSchema]
+    }
+}, {
+    timestamps: true
+});
+
+CycleSchema.index({ user: 1, startsAt: 1 }, { unique: true });
+CycleSchema.index({ status: 1, endsAt: 1 });
+
+const Cycle = db.model('Cycle', CycleSchema, 'cycles');
+
+export {
+    Cycle
+}
@@ -0,0 +1,63 @@
+import { Schema } from "mongoose";
+import { v4 as uuid } from "uuid";
+import { db } from "../../loaders/db.loader.js";
+import { EXPORT_FORMATS } from "../../utils/export-format.service.js";
+
+const ExportSchema = new Schema({
+    uuid: {
+        type: String,
+        default: () => uuid()
+    },
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    format: {
+        type: String,
+        enum: EXPORT_FORMATS,
+        default: "json"
+    },
+    status: {
+        type: String,
+        // "expired" once the archive was deleted from storage
+        enum: ["pending", "running", "done", "failed", "expired"],
+        default: "pending"
+    },
+    // S3 key of the finished archive
+    key: {
+        type: String,
+        default: null
+    },
+    filename: {
+        type: String,
+        default: null
+    },
+    size: {
+        type: Number,
+        default: null
+    },
+    error: {
+        type: String,
+        default: null
+    },
+    completedAt: {
+        type: Date,
+        default: null
+    },
+    // The download link stops working after this
+    expiresAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+ExportSchema.index({ user: 1, createdAt: -1 });
+
+const Export = db.model('Export', ExportSchema, 'exports');
+
+export {
+    Export
+}
@@ -0,0 +1,92 @@
+import { Schema } from "mongoose";
+import { v4 as uuid } from "uuid";
+import { db } from "../../loaders/db.loader.js";
+import { INSIGHT_GROUPS } from "../../utils/insights.service.js";
+
+// Created and completed counts of one source, type or label
+const InsightGroupSchema = new Schema({
+    group: {
+        type: String,
+        enum: INSIGHT_GROUPS,
+        required: true
+    },
+    key: {
+        type: String,
+        required: true
+    },
+    created: {
+        type: Number,
+        default: 0
+    },
+    completed: {
+        type: Number,
+        default: 0
+    }
+}, {
+    _id: false
+});
+
+// What happened on one day of a user, in their timezone
+const InsightRollupSchema = new Schema({
+    uuid: {
+        type: String,
+        default: () => uuid()
+    },
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Day in the user's timezone, such as "2026-06-10"
+    date: {
+        type: String,
+        required: true
+    },
+    timezone: {
+        type: String,
+        default: 'UTC'
+    },
+    created: {
+        type: Number,
+        default: 0
+    },
+    completed: {
+        type: Number,
+        default: 0
+    },
+    // Time from creation to completion of the objects completed that day
+    leadTime: {
+        totalHours: {
+            type: Number,
+            default: 0
+        },
+        count: {
+            type: Number,
+            default: 0
+        }
+    },
+    // Objects overdue at the end of the day
+    overdue: {
+        type: Number,
+        default: 0
+    },
+    journaled: {
+        type: Boolean,
+        default: false
+    },
+    groups: [InsightGroupSchema],
+    computedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+InsightRollupSchema.index({ user: 1, date: 1 }, { unique: true });
+
+const InsightRollup = db.model('InsightRollup', InsightRollupSchema, 'insightRollups');
+
+export {
+    InsightRollup
+}
@@ -29,6 +29,8 @@ const JournalSchema = new Schema({
 });
 
 JournalSchema.index({ date: 1, user: 1 }, { unique: true })
+JournalSchema.index({ content: "text" }, { name: "journal_search" });
+
 const Journal = db.model('Journal', JournalSchema, 'journals')
 
 export {
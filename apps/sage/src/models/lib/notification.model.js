@@ -0,0 +1,74 @@
+import { Schema } from "mongoose";
+import { v4 as uuid } from "uuid";
+import { db } from "../../loaders/db.loader.js";
+
+const NotificationSchema = new Schema({
+    uuid: {
+        type: String,
+        default: () => uuid()
+    },
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Where the event came from, e.g. "linear", "github", "gmail" or "reminder"
+    source: {
+        type: String,
+        required: true
+    },
+    action: {
+        type: String,
+        default: "update"
+    },
+    title: {
+        type: String,
+        required: true
+    },
+    body: {
+        type: String,
+        default: ''
+    },
+    // Unread events with the same source and action are grouped into one notification
+    groupKey: {
+        type: String,
+        required: true
+    },
+    count: {
+        type: Number,
+        default: 1
+    },
+    // Objects the grouped events were about, most recent first
+    objects: [{
+        type: Schema.Types.ObjectId,
+        ref: 'Object'
+    }],
+    data: {
+        type: Schema.Types.Mixed,
+        default: {}
+    },
+    isRead: {
+        type: Boolean,
+        default: false
+    },
+    readAt: {
+        type: Date,
+        default: null
+    },
+    // Set once the notification reached an open websocket
+    deliveredAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+NotificationSchema.index({ user: 1, isRead: 1, updatedAt: -1 });
+NotificationSchema.index({ user: 1, groupKey: 1 }, { unique: true, partialFilterExpression: { isRead: false }, name: "one_unread_per_group" });
+
+const Notification = db.model('Notification', NotificationSchema, 'notifications');
+
+export {
+    Notification
+}
@@ -1,8 +1,19 @@
 import { Schema } from "mongoose";
 import { v4 as uuid } from "uuid";
 import { db } from "../../loaders/db.loader.js";
+import { User } from "../core/user.model.js";
+import { Revision } from "./revision.model.js";
+import { Label } from "./label.model.js";
+import { Reminder } from "./reminder.model.js";
+import { Relation } from "./relation.model.js";
+import { reminderQueue, snoozeQueue } from "../../loaders/bullmq.loader.js";
+import { parseRecurrence, toRRule, getNextDueDate } from "../../utils/recurrence.service.js";
+import { diffDocuments } from "../../utils/diff.service.js";
+import { extractPlainText } from "../../utils/text.service.js";
+import { computeProgress, getParentsDeepestFirst } from "../../utils/tree.service.js";
 
 const statusChoices = ["null", "todo", "in progress", "done", "archive"];
+const snoozeConditionChoices = ["date", "nextCycle", "externalChange"];
 
 const ObjectSchema = new Schema(
     {
@@ -61,6 +72,24 @@ const ObjectSchema = new Schema(
                 default: "UTC"
             }
         },
+        recurrence: {
+            rule: {
+                type: String,
+                default: null
+            },
+            afterCompletion: {
+                type: Boolean,
+                default: false
+            },
+            seriesId: {
+                type: String,
+                default: null
+            },
+            occurrence: {
+                type: Number,
+                default: 0
+            }
+        },
         cycle: {
             startsAt: {
                 type: Date,
@@ -106,7 +135,73 @@ const ObjectSchema = new Schema(
         },
         parent: {
             type: Schema.Types.ObjectId,
-            ref: 'Item'
+            ref: 'Object'
+        },
+        // Canonical object this one was merged into as a duplicate
+        aliasOf: {
+            type: Schema.Types.ObjectId,
+            ref: 'Object',
+            default: null,
+            index: true
+        },
+        // Completion of all descendants, kept up to date on every change below this object
+        progress: {
+            total: {
+                type: Number,
+                default: 0
+            },
+            completed: {
+                type: Number,
+                default: 0
+            },
+            percent: {
+                type: Number,
+                default: 0
+            }
+        },
+        subtasks: {
+            // Completing this object completes all of its descendants
+            completeChildren: {
+                type: Boolean,
+                default: false
+            },
+            // This object completes itself once all of its children are done
+            autoComplete: {
+                type: Boolean,
+                default: false
+            }
+        },
+        // Estimated effort, in minutes
+        estimate: {
+            type: Number,
+            default: null,
+            min: 0
+        },
+        // Tracked time in seconds, the sum of the object's finished time entries
+        timeSpent: {
+            type: Number,
+            default: 0
+        },
+        // Hidden from the inbox until a time passes or a condition is met
+        snooze: {
+            isSnoozed: {
+                type: Boolean,
+                default: false
+            },
+            until: {
+                type: Date,
+                default: null
+            },
+            // "date", "nextCycle" or "externalChange" (the object or a related one changes in its integration)
+            condition: {
+                type: String,
+                enum: [null, ...snoozeConditionChoices],
+                default: null
+            },
+            snoozedAt: {
+                type: Date,
+                default: null
+            }
         },
         labels: [
             {
@@ -127,13 +222,27 @@ const ObjectSchema = new Schema(
             type: Boolean,
             default: false
         },
+        // When the object was archived, for retention policies
+        archivedAt: {
+            type: Date,
+            default: null
+        },
         isDeleted: {
             type: Boolean,
             default: false
         },
+        deletedAt: {
+            type: Date,
+            default: null
+        },
         completedAt: {
             type: Date,
             default: null
+        },
+        // Plain text of the description, label names and source metadata, for the search index
+        searchText: {
+            type: String,
+            select: false
         }
     },
     {
@@ -141,6 +250,10 @@ const ObjectSchema = new Schema(
     }
 );
 
+ObjectSchema.index({ user: 1, parent: 1, order: -1 });
+ObjectSchema.index({ "snooze.isSnoozed": 1, "snooze.until": 1 });
+ObjectSchema.index({ title: "text", searchText: "text" }, { name: "object_search", weights: { title: 10, searchText: 2 } });
+
 ObjectSchema.pre("save", async function (next) {
     if (this.status === "done") {
         this.isCompleted = true;
@@ -152,10 +265,17 @@ ObjectSchema.pre("save", async function (next) {
         this.completedAt = new Date();
     }
 
+    if (this.isModified("isArchived")) {
+        this.archivedAt = this.isArchived ? this.archivedAt || new Date() : null;
+    }
+
+    this.$locals.completesRecurrence = this.isModified("status") && this.isCompleted && this.due?.is_recurring;
+
     if (this.isNew) {
         const lastItem = await this.constructor
-            .findOne(this.parent ? { parent: this.parent } : {})
-            .sort({ order: -1 });
+            .findOne({ user: this.user, parent: this.parent || null })
+            .sort({ order: -1 })
+            .select("order");
 
         this.order = lastItem ? lastItem.order + 1 : 0;
     }
@@ -163,26 +283,532 @@ ObjectSchema.pre("save", async function (next) {
     next();
 });
 
-ObjectSchema.pre("findOneAndUpdate", function (next) {
+ObjectSchema.pre("findOneAndUpdate", async function () {
     const update = this.getUpdate();
-    
-    // Handle status updates
+
+    // Plain updates such as `{ status: "done" }` are applied as `$set`, so handle them the same way
+    for (const key in update) {
+        if (!key.startsWith("$")) {
+            update.$set = { ...update.$set, [key]: update[key] };
+            delete update[key];
+        }
+    }
+
+    this.previousState = await this.model.findOne(this.getQuery()).lean();
+
+    // Handle status updates; only the change into done completes the object
     if (update.$set && update.$set.status === "done") {
         update.$set.isCompleted = true;
-        update.$set.completedAt = new Date();
+        if (!this.previousState?.isCompleted) {
+            update.$set.completedAt = new Date();
+            this.completesObject = true;
+        }
     } else if (update.$set && update.$set.status) {
         update.$set.isCompleted = false;
         update.$set.completedAt = null;
     }
-    
+
+    // Like on save, archiving an archived object keeps when it was first archived
+    if (update.$set && update.$set.isArchived !== undefined) {
+        const archivedAt = this.previousState?.isArchived ? this.previousState.archivedAt : null;
+        update.$set.archivedAt = update.$set.isArchived ? archivedAt || new Date() : null;
+    }
+
     // Ensure dueDate is properly handled as a Date object
     if (update.$set && update.$set.dueDate && typeof update.$set.dueDate === 'string') {
         update.$set.dueDate = new Date(update.$set.dueDate);
     }
+});
 
-    next();
+ObjectSchema.post("save", async function (doc) {
+    if (!doc.$locals.completesRecurrence) {
+        return;
+    }
+    doc.$locals.completesRecurrence = false;
+
+    try {
+        await doc.constructor.spawnNextOccurrence(doc);
+    } catch (error) {
+        console.error("Failed to spawn next occurrence:", error);
+    }
+});
+
+ObjectSchema.post("findOneAndUpdate", async function (doc) {
+    if (!this.completesObject || !doc?.due?.is_recurring) {
+        return;
+    }
+
+    try {
+        await this.model.spawnNextOccurrence(doc);
+    } catch (error) {
+        console.error("Failed to spawn next occurrence:", error);
+    }
+});
+
+// State of the document after a findOneAndUpdate, whether or not the query returns it
+const getUpdatedObject = async (query, doc, before) => {
+    if (query.updatedObject === undefined) {
+        const { new: returnsNew, returnOriginal } = query.getOptions();
+        query.updatedObject = (returnsNew || returnOriginal === false) && doc
+            ? doc.toObject()
+            : await query.model.findById(before._id).lean();
+    }
+    return query.updatedObject;
+};
+
+ObjectSchema.pre("save", async function () {
+    this.$locals.previousState = this.isNew ? null : await this.constructor.findById(this._id).lean();
+});
+
+// Revision history: the acting user, integration or AI operation is passed as
+// `doc.$locals.actor` for saves and as the `actor` query option for updates
+ObjectSchema.post("save", async function (doc) {
+    const before = doc.$locals.previousState;
+
+    try {
+        await Revision.record(before, doc.toObject(), {
+            actor: doc.$locals.actor,
+            operation: before ? "update" : "create"
+        });
+    } catch (error) {
+        console.error("Failed to record revision:", error);
+    }
+});
+
+ObjectSchema.post("findOneAndUpdate", async function (doc) {
+    const before = this.previousState;
+    if (!before) {
+        return;
+    }
+
+    try {
+        const after = await getUpdatedObject(this, doc, before);
+        if (!after) {
+            return;
+        }
+
+        const { actor, revertOf } = this.getOptions();
+        await Revision.record(before, after, {
+            actor,
+            operation: revertOf ? "revert" : "update",
+            revertOf
+        });
+    } catch (error) {
+        console.error("Failed to record revision:", error);
+    }
+});
+
+// Sub-task hierarchy: progress roll-up and cascading completion
+ObjectSchema.post("save", async function (doc) {
+    try {
+        await doc.constructor.syncHierarchy(doc.$locals.previousState, doc.toObject());
+    } catch (error) {
+        console.error("Failed to update sub-task hierarchy:", error);
+    }
+});
+
+ObjectSchema.post("findOneAndUpdate", async function (doc) {
+    const before = this.previousState;
+    if (!before) {
+        return;
+    }
+
+    try {
+        const after = await getUpdatedObject(this, doc, before);
+        if (after) {
+            await this.model.syncHierarchy(before, after);
+        }
+    } catch (error) {
+        console.error("Failed to update sub-task hierarchy:", error);
+    }
+});
+
+// Search: keep `searchText` in line with the fields it is built from
+const SEARCH_TEXT_FIELDS = ["description", "labels", "metadata"];
+
+ObjectSchema.post("save", async function (doc) {
+    const before = doc.$locals.previousState;
+    const after = doc.toObject();
+    if (before && !diffDocuments(before, after, SEARCH_TEXT_FIELDS).length) {
+        return;
+    }
+
+    try {
+        await doc.constructor.refreshSearchText(after);
+    } catch (error) {
+        console.error("Failed to update search text:", error);
+    }
+});
+
+ObjectSchema.post("findOneAndUpdate", async function (doc) {
+    const before = this.previousState;
+    if (!before) {
+        return;
+    }
+
+    try {
+        const after = await getUpdatedObject(this, doc, before);
+        if (after && diffDocuments(before, after, SEARCH_TEXT_FIELDS).length) {
+            await this.model.refreshSearchText(after);
+        }
+    } catch (error) {
+        console.error("Failed to update search text:", error);
+    }
+});
+
+// Reminders: relative reminders follow the due date, whichever way it is changed
+ObjectSchema.post("save", async function (doc) {
+    const before = doc.$locals.previousState;
+    if (!before || before.due?.date === doc.due?.date) {
+        return;
+    }
+
+    try {
+        await doc.constructor.rescheduleReminders(doc._id);
+    } catch (error) {
+        console.error("Failed to reschedule reminders:", error);
+    }
+});
+
+ObjectSchema.post("findOneAndUpdate", async function (doc) {
+    const before = this.previousState;
+    if (!before) {
+        return;
+    }
+
+    try {
+        const after = await getUpdatedObject(this, doc, before);
+        if (after && before.due?.date !== after.due?.date) {
+            await this.model.rescheduleReminders(after._id);
+        }
+    } catch (error) {
+        console.error("Failed to reschedule reminders:", error);
+    }
+});
+
+/**
+ * Queues a job that moves an object's relative reminders to its new due date
+ * @param {String} objectId - Id of the object
+ * @returns {Promise<void>}
+ */
+ObjectSchema.statics.rescheduleReminders = async function (objectId) {
+    if (!await Reminder.exists({ object: objectId, type: "relative", status: { $ne: "dismissed" } })) {
+        return;
+    }
+
+    await reminderQueue.add("rescheduleObject", { object: objectId.toString() }, {
+        removeOnComplete: true,
+        attempts: 3,
+        backoff: 1000
+    });
+};
+
+// Snooze: objects waiting for a change in their integration wake up when it arrives
+ObjectSchema.post("save", async function (doc) {
+    if (doc.$locals.actor?.type !== "integration" || !doc.$locals.previousState) {
+        return;
+    }
+
+    try {
+        await doc.constructor.resurfaceLinked(doc._id);
+    } catch (error) {
+        console.error("Failed to check snoozed objects:", error);
+    }
+});
+
+ObjectSchema.post("findOneAndUpdate", async function (doc) {
+    const { actor } = this.getOptions();
+    if (actor?.type !== "integration" || !doc?._id) {
+        return;
+    }
+
+    try {
+        await this.model.resurfaceLinked(doc._id);
+    } catch (error) {
+        console.error("Failed to check snoozed objects:", error);
+    }
 });
 
+/**
+ * Queues a job that resurfaces the snoozed objects waiting for a change of this
+ * object or an object related to it
+ * @param {String} objectId - Id of the object that changed
+ * @returns {Promise<void>}
+ */
+ObjectSchema.statics.resurfaceLinked = async function (objectId) {
+    const relations = await Relation.find({ $or: [{ from: objectId }, { to: objectId }] }).select("from to").lean();
+    const ids = [objectId, ...relations.map(relation => String(relation.from) === String(objectId) ? relation.to : relation.from)];
+    if (!await this.exists({ _id: { $in: ids }, "snooze.isSnoozed": true, "snooze.condition": "externalChange" })) {
+        return;
+    }
+
+    await snoozeQueue.add("resurfaceLinked", { object: objectId.toString() }, {
+        removeOnComplete: true,
+        attempts: 3,
+        backoff: 1000
+    });
+};
+
+/**
+ * Rebuilds the plain text the search index uses for an object
+ * @param {Object} object - The object, with `description`, `labels` and `metadata`
+ * @returns {Promise<String>} - The new search text
+ */
+ObjectSchema.statics.refreshSearchText = async function (object) {
+    const labelIds = (object.labels || []).map(label => label?._id || label);
+    const labels = labelIds.length
+        ? await Label.find({ _id: { $in: labelIds } }).select("name").lean()
+        : [];
+
+    const searchText = [
+        extractPlainText(object.description),
+        labels.map(label => label.name).join(" "),
+        extractPlainText(object.metadata, 2000)
+    ].filter(Boolean).join(" ");
+
+    await this.updateOne({ _id: object._id }, { $set: { searchText } }, { timestamps: false });
+    return searchText;
+};
+
+/**
+ * Reacts to a change of an object's status, parent or deletion: completes its
+ * descendants when its `completeChildren` rule is on, then refreshes the progress
+ * of its old and new ancestors.
+ * @param {Object} before - Previous state (null for a new object)
+ * @param {Object} after - Current state
+ * @returns {Promise<void>}
+ */
+ObjectSchema.statics.syncHierarchy = async function (before, after) {
+    const parentChanged = String(before?.parent || "") !== String(after.parent || "");
+    const completionChanged = Boolean(before?.isCompleted) !== Boolean(after.isCompleted);
+    const deletionChanged = Boolean(before?.isDeleted) !== Boolean(after.isDeleted);
+    if (before && !parentChanged && !completionChanged && !deletionChanged) {
+        return;
+    }
+
+    if (after.isCompleted && completionChanged && after.subtasks?.completeChildren) {
+        await this.completeDescendants(after);
+    }
+
+    if (before?.parent && parentChanged) {
+        await this.refreshProgress(before.parent);
+    }
+    if (after.parent) {
+        await this.refreshProgress(after.parent);
+    }
+};
+
+/**
+ * Applies one update to many objects at once and records a revision for each.
+ * The per-document hooks do not run, so callers refresh progress themselves.
+ * @param {Object} filter - Objects to update
+ * @param {Object} update - Update applied to all of them
+ * @param {Object} options
+ * @param {Object} options.actor - { type, id } of whoever made the change
+ * @returns {Promise<Array>} - The updated objects, as plain objects
+ */
+ObjectSchema.statics.updateManyWithRevisions = async function (filter, update, { actor } = {}) {
+    const before = await this.find(filter).lean();
+    if (!before.length) {
+        return [];
+    }
+
+    const ids = before.map(object => object._id);
+    await this.updateMany({ $and: [filter, { _id: { $in: ids } }] }, update);
+    const after = await this.find({ _id: { $in: ids } }).lean();
+
+    const previous = new Map(before.map(object => [object._id.toString(), object]));
+    for (const object of after) {
+        try {
+            await Revision.record(previous.get(object._id.toString()), object, { actor });
+        } catch (error) {
+            console.error("Failed to record revision:", error);
+        }
+    }
+    return after;
+};
+
+/**
+ * Marks every live descendant of an object as done in one update, with a revision
+ * for each. Recurring descendants spawn their next occurrence, then progress is
+ * recomputed once per parent in the subtree, deepest first.
+ * @param {Object} object - The completed parent
+ * @returns {Promise<void>}
+ */
+ObjectSchema.statics.completeDescendants = async function (object) {
+    const levels = [];
+    const seen = new Set([object._id.toString()]);
+    let frontier = [object._id];
+
+    while (frontier.length) {
+        const children = await this.find({
+            parent: { $in: frontier },
+            user: object.user,
+            isDeleted: false
+        }).select("_id parent").lean();
+
+        const level = children.filter(child => !seen.has(child._id.toString()));
+        level.forEach(child => seen.add(child._id.toString()));
+        if (level.length) {
+            levels.push(level);
+        }
+        frontier = level.map(child => child._id);
+    }
+    if (!levels.length) {
+        return;
+    }
+
+    const completed = await this.updateManyWithRevisions(
+        { _id: { $in: levels.flat().map(child => child._id) }, isCompleted: false },
+        { $set: { status: "done", isCompleted: true, completedAt: new Date() } },
+        { actor: { type: "system", id: "subtasks" } }
+    );
+
+    for (const descendant of completed.filter(item => item.due?.is_recurring)) {
+        try {
+            await this.spawnNextOccurrence(descendant);
+        } catch (error) {
+            console.error("Failed to spawn next occurrence:", error);
+        }
+    }
+
+    for (const parent of getParentsDeepestFirst(levels)) {
+        await this.updateProgress(parent);
+    }
+};
+
+/**
+ * Recomputes the progress of one object from its direct children
+ * @param {String} objectId - Id of the object
+ * @returns {Promise<Object|null>} - The object's parent, status, rules and new progress
+ */
+ObjectSchema.statics.updateProgress = async function (objectId) {
+    const children = await this.find({ parent: objectId, isDeleted: false })
+        .select("isCompleted progress")
+        .lean();
+
+    const progress = computeProgress(children);
+    await this.updateOne({ _id: objectId }, { $set: { progress } });
+
+    const object = await this.findById(objectId).select("parent isCompleted subtasks user").lean();
+    if (object) {
+        object.allChildrenCompleted = children.length > 0 && children.every(child => child.isCompleted);
+    }
+    return object;
+};
+
+/**
+ * Recomputes progress from an object up to the root of its tree, auto-completing
+ * any ancestor whose `autoComplete` rule is on once all of its children are done
+ * @param {String} objectId - Id of the first object to refresh
+ * @returns {Promise<void>}
+ */
+ObjectSchema.statics.refreshProgress = async function (objectId) {
+    const visited = new Set();
+    let currentId = objectId;
+
+    while (currentId && !visited.has(currentId.toString())) {
+        visited.add(currentId.toString());
+
+        const object = await this.updateProgress(currentId);
+        if (!object) {
+            return;
+        }
+
+        if (object.subtasks?.autoComplete && object.allChildrenCompleted && !object.isCompleted) {
+            // The update runs through the hooks again, which continue the roll-up from here
+            await this.findOneAndUpdate(
+                { _id: object._id, isCompleted: false },
+                { $set: { status: "done" } },
+                { new: true, actor: { type: "system", id: "subtasks" } }
+            );
+            return;
+        }
+
+        currentId = object.parent;
+    }
+};
+
+/**
+ * Creates the instance that follows a completed recurring object, due at the
+ * next occurrence of its rule in the user's timezone. Safe to call more than
+ * once for the same completion: an existing instance for that date is returned.
+ * @param {Object} object - The completed recurring object
+ * @returns {Promise<Object|null>} - The next instance, or null when the series has ended
+ */
+ObjectSchema.statics.spawnNextOccurrence = async function (object) {
+    const rule = parseRecurrence(object.due?.string) || parseRecurrence(object.recurrence?.rule);
+    if (!rule || !object.due?.date) {
+        return null;
+    }
+    rule.afterCompletion = rule.afterCompletion || Boolean(object.recurrence?.afterCompletion);
+
+    const occurrence = (object.recurrence?.occurrence || 0) + 1;
+    if (rule.count && occurrence >= rule.count) {
+        return null;
+    }
+
+    const user = await User.findById(object.user).select("timezone");
+    const timezone = user?.timezone || object.due.timezone || "UTC";
+    const nextDate = getNextDueDate(rule, {
+        due: object.due.date,
+        completedAt: object.completedAt || new Date(),
+        timezone
+    });
+    if (!nextDate) {
+        return null;
+    }
+
+    const seriesId = object.recurrence?.seriesId || object.uuid;
+    const recurrence = {
+        rule: toRRule(rule),
+        afterCompletion: rule.afterCompletion,
+        seriesId
+    };
+
+    if (!object.recurrence?.seriesId) {
+        await this.updateOne(
+            { _id: object._id },
+            { $set: { "recurrence.rule": recurrence.rule, "recurrence.afterCompletion": recurrence.afterCompletion, "recurrence.seriesId": seriesId } }
+        );
+    }
+
+    const existing = await this.findOne({
+        user: object.user,
+        "recurrence.seriesId": seriesId,
+        "due.date": nextDate.toISOString(),
+        isDeleted: false
+    });
+    if (existing) {
+        return existing;
+    }
+
+    return await this.create({
+        title: object.title,
+        icon: object.icon,
+        cover_image: object.cover_image,
+        type: object.type,
+        source: object.source,
+        description: object.description,
+        metadata: object.metadata,
+        user: object.user,
+        parent: object.parent,
+        arrays: object.arrays,
+        blocks: object.blocks,
+        labels: object.labels,
+        isFavorite: object.isFavorite,
+        estimate: object.estimate,
+        due: {
+            date: nextDate.toISOString(),
+            is_recurring: true,
+            lang: object.due.lang,
+            string: object.due.string,
+            timezone
+        },
+        recurrence: { ...recurrence, occurrence }
+    });
+};
+
 const Object = db.model("Object", ObjectSchema, "objects");
 
-export { Object };
+export { Object, snoozeConditionChoices };
@@ -0,0 +1,53 @@
+import { Schema } from "mongoose";
+import { v4 as uuid } from "uuid";
+import { db } from "../../loaders/db.loader.js";
+
+// "blocked-by" is stored as a "blocks" relation in the other direction
+const relationTypeChoices = ["blocks", "relates-to", "duplicates"];
+
+const RelationSchema = new Schema({
+    uuid: {
+        type: String,
+        default: () => uuid()
+    },
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    from: {
+        type: Schema.Types.ObjectId,
+        ref: 'Object',
+        required: true
+    },
+    to: {
+        type: Schema.Types.ObjectId,
+        ref: 'Object',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: relationTypeChoices,
+        required: true
+    },
+    source: {
+        type: String,
+        default: "momo"
+    },
+    // Id of the relation in the integration it was imported from
+    externalId: {
+        type: String,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+RelationSchema.index({ user: 1, from: 1, type: 1, to: 1 }, { unique: true, name: "one_relation_per_pair" });
+RelationSchema.index({ user: 1, to: 1, type: 1 });
+
+const Relation = db.model('Relation', RelationSchema, 'relations');
+
+export {
+    Relation
+}
@@ -0,0 +1,82 @@
+import { Schema } from "mongoose";
+import { v4 as uuid } from "uuid";
+import { db } from "../../loaders/db.loader.js";
+
+const reminderChannels = ["websocket", "email", "sms"];
+
+const ReminderSchema = new Schema({
+    uuid: {
+        type: String,
+        default: () => uuid()
+    },
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    object: {
+        type: Schema.Types.ObjectId,
+        ref: 'Object',
+        required: true
+    },
+    // "absolute" fires at remindAt, "relative" fires `offset` minutes before the object is due
+    type: {
+        type: String,
+        enum: ["absolute", "relative"],
+        required: true
+    },
+    remindAt: {
+        type: Date,
+        default: null
+    },
+    offset: {
+        type: Number,
+        default: null,
+        min: 0
+    },
+    channels: {
+        type: [String],
+        enum: reminderChannels,
+        default: ["websocket"]
+    },
+    // Next time the reminder fires, null while a relative reminder's object has no due date
+    fireAt: {
+        type: Date,
+        default: null
+    },
+    snoozedUntil: {
+        type: Date,
+        default: null
+    },
+    // Id of the delayed job that delivers the reminder
+    jobId: {
+        type: String,
+        default: null
+    },
+    status: {
+        type: String,
+        enum: ["scheduled", "sent", "dismissed", "skipped"],
+        default: "scheduled"
+    },
+    sentAt: {
+        type: Date,
+        default: null
+    },
+    // Outcome per channel of the last delivery, e.g. { email: "sent", sms: "no phone number" }
+    deliveries: {
+        type: Schema.Types.Mixed,
+        default: {}
+    }
+}, {
+    timestamps: true
+});
+
+ReminderSchema.index({ object: 1 });
+ReminderSchema.index({ user: 1, status: 1, fireAt: 1 });
+
+const Reminder = db.model('Reminder', ReminderSchema, 'reminders');
+
+export {
+    Reminder,
+    reminderChannels
+}
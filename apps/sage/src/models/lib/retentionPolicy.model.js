@@ -0,0 +1,63 @@
+import { Schema } from "mongoose";
+import { v4 as uuid } from "uuid";
+import { db } from "../../loaders/db.loader.js";
+import { RETENTION_STATES, RETENTION_ACTIONS } from "../../utils/retention.service.js";
+
+// A rule such as "archive done items after 14 days", applied by the retention job
+const RetentionPolicySchema = new Schema({
+    uuid: {
+        type: String,
+        default: () => uuid()
+    },
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    name: {
+        type: String,
+        default: ''
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    state: {
+        type: String,
+        enum: RETENTION_STATES,
+        required: true
+    },
+    action: {
+        type: String,
+        enum: RETENTION_ACTIONS,
+        required: true
+    },
+    days: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    // Only objects of this type and source, when set
+    type: {
+        type: String,
+        default: null
+    },
+    source: {
+        type: String,
+        default: null
+    },
+    lastRunAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+RetentionPolicySchema.index({ user: 1, isActive: 1 });
+
+const RetentionPolicy = db.model('RetentionPolicy', RetentionPolicySchema, 'retentionPolicies');
+
+export {
+    RetentionPolicy
+}
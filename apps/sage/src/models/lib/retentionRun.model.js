@@ -0,0 +1,102 @@
+import { Schema } from "mongoose";
+import { v4 as uuid } from "uuid";
+import { db } from "../../loaders/db.loader.js";
+import { RETENTION_ACTIONS } from "../../utils/retention.service.js";
+
+// What one policy did during a run
+const RetentionResultSchema = new Schema({
+    policy: {
+        type: Schema.Types.ObjectId,
+        ref: 'RetentionPolicy'
+    },
+    name: {
+        type: String,
+        default: ''
+    },
+    action: {
+        type: String,
+        enum: RETENTION_ACTIONS
+    },
+    // Objects the policy applied to, including any left for the next run
+    matched: {
+        type: Number,
+        default: 0
+    },
+    objects: [{
+        _id: false,
+        object: {
+            type: Schema.Types.ObjectId,
+            ref: 'Object'
+        },
+        title: {
+            type: String,
+            default: ''
+        }
+    }],
+    // Objects that could not be changed, e.g. because they went to the trash with their parent
+    skipped: {
+        type: Number,
+        default: 0
+    },
+    // Why the policy stopped, null when it ran through
+    error: {
+        type: String,
+        default: null
+    }
+}, {
+    _id: false
+});
+
+// Report of one run of the retention policies of a user
+const RetentionRunSchema = new Schema({
+    uuid: {
+        type: String,
+        default: () => uuid()
+    },
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    trigger: {
+        type: String,
+        enum: ["schedule", "manual"],
+        default: "schedule"
+    },
+    status: {
+        type: String,
+        enum: ["pending", "running", "done", "failed"],
+        default: "pending"
+    },
+    results: [RetentionResultSchema],
+    archived: {
+        type: Number,
+        default: 0
+    },
+    deleted: {
+        type: Number,
+        default: 0
+    },
+    error: {
+        type: String,
+        default: null
+    },
+    startedAt: {
+        type: Date,
+        default: null
+    },
+    completedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+RetentionRunSchema.index({ user: 1, createdAt: -1 });
+
+const RetentionRun = db.model('RetentionRun', RetentionRunSchema, 'retentionRuns');
+
+export {
+    RetentionRun
+}
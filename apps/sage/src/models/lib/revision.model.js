@@ -0,0 +1,109 @@
+import { Schema } from "mongoose";
+import { db } from "../../loaders/db.loader.js";
+import { diffDocuments } from "../../utils/diff.service.js";
+
+const actorTypeChoices = ["user", "integration", "ai", "system"];
+const operationChoices = ["create", "update", "revert"];
+
+// Fields of an Object whose changes are kept in its history
+const REVISION_FIELDS = [
+    "title",
+    "description",
+    "type",
+    "source",
+    "status",
+    "due",
+    "cycle",
+    "labels",
+    "arrays",
+    "blocks",
+    "parent",
+    "icon",
+    "cover_image",
+    "metadata",
+    "isFavorite",
+    "isArchived",
+    "isDeleted",
+    "estimate"
+];
+
+const RevisionSchema = new Schema({
+    object: {
+        type: Schema.Types.ObjectId,
+        ref: 'Object',
+        required: true
+    },
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    actor: {
+        type: {
+            type: String,
+            enum: actorTypeChoices,
+            default: "system"
+        },
+        // user id, integration name ("linear", "github", "gmail") or AI operation id
+        id: {
+            type: String,
+            default: null
+        }
+    },
+    operation: {
+        type: String,
+        enum: operationChoices,
+        default: "update"
+    },
+    changes: [{
+        _id: false,
+        field: String,
+        from: Schema.Types.Mixed,
+        to: Schema.Types.Mixed
+    }],
+    revertOf: {
+        type: Schema.Types.ObjectId,
+        ref: 'Revision',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+RevisionSchema.index({ object: 1, createdAt: -1 });
+
+/**
+ * Stores the field-level diff between two states of an Object.
+ * Updates that change no tracked field are not recorded.
+ * @param {Object} before - Plain object state before the change (null on create)
+ * @param {Object} after - Plain object state after the change
+ * @param {Object} options
+ * @param {Object} options.actor - { type, id } of whoever made the change
+ * @param {String} options.operation - "create", "update" or "revert"
+ * @param {String} options.revertOf - Revision undone by this change
+ * @returns {Promise<Object|null>}
+ */
+RevisionSchema.statics.record = async function (before, after, { actor, operation = "update", revertOf = null } = {}) {
+    const changes = operation === "create" ? [] : diffDocuments(before, after, REVISION_FIELDS);
+    if (operation !== "create" && !changes.length) {
+        return null;
+    }
+
+    return await this.create({
+        object: after._id,
+        user: after.user,
+        actor: {
+            type: actor?.type || "system",
+            id: actor?.id ? actor.id.toString() : null
+        },
+        operation,
+        changes,
+        revertOf
+    });
+};
+
+const Revision = db.model('Revision', RevisionSchema, 'revisions');
+
+export {
+    Revision,
+    REVISION_FIELDS
+}
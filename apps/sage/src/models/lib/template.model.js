@@ -0,0 +1,129 @@
+import { Schema } from "mongoose";
+import { v4 as uuid } from "uuid";
+import { db } from "../../loaders/db.loader.js";
+
+// One object of a template, with its sub-objects nested under `children`
+const TemplateNodeSchema = new Schema({
+    title: {
+        type: String,
+        default: ''
+    },
+    description: {
+        type: Schema.Types.Mixed,
+        default: ''
+    },
+    type: {
+        type: String,
+        default: "todo"
+    },
+    labels: [
+        {
+            type: Schema.Types.ObjectId,
+            ref: 'Label'
+        }
+    ],
+    // Due date relative to the day the template is used
+    dueOffset: {
+        days: {
+            type: Number,
+            default: null
+        },
+        time: {
+            type: String,
+            default: null
+        }
+    }
+}, {
+    _id: false
+});
+
+TemplateNodeSchema.add({ children: [TemplateNodeSchema] });
+
+const TemplateSchema = new Schema({
+    uuid: {
+        type: String,
+        default: () => uuid()
+    },
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    root: {
+        type: TemplateNodeSchema,
+        required: true
+    },
+    // Names used by {{input}} placeholders
+    inputs: [
+        {
+            type: String
+        }
+    ],
+    schedule: {
+        isActive: {
+            type: Boolean,
+            default: false
+        },
+        rule: {
+            type: String,
+            default: null
+        },
+        time: {
+            type: String,
+            default: "09:00"
+        },
+        startsAt: {
+            type: Date,
+            default: null
+        },
+        array: {
+            type: Schema.Types.ObjectId,
+            ref: 'Array',
+            default: null
+        },
+        block: {
+            type: Schema.Types.ObjectId,
+            ref: 'Block',
+            default: null
+        },
+        inputs: {
+            type: Schema.Types.Mixed,
+            default: {}
+        },
+        nextRunAt: {
+            type: Date,
+            default: null
+        },
+        lastRunAt: {
+            type: Date,
+            default: null
+        },
+        lastError: {
+            type: String,
+            default: null
+        }
+    },
+    usedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+TemplateSchema.index({ user: 1, createdAt: -1 });
+TemplateSchema.index({ "schedule.isActive": 1, "schedule.nextRunAt": 1 });
+
+const Template = db.model('Template', TemplateSchema, 'templates');
+
+export {
+    Template
+}
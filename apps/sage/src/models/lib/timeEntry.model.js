@@ -0,0 +1,60 @@
+import { Schema } from "mongoose";
+import { v4 as uuid } from "uuid";
+import { db } from "../../loaders/db.loader.js";
+
+const TimeEntrySchema = new Schema({
+    uuid: {
+        type: String,
+        default: () => uuid()
+    },
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    object: {
+        type: Schema.Types.ObjectId,
+        ref: 'Object',
+        required: true
+    },
+    startedAt: {
+        type: Date,
+        required: true
+    },
+    // Null while the timer is running
+    endedAt: {
+        type: Date,
+        default: null
+    },
+    // Seconds between startedAt and endedAt, set once the entry is finished
+    duration: {
+        type: Number,
+        default: 0
+    },
+    isRunning: {
+        type: Boolean,
+        default: false
+    },
+    source: {
+        type: String,
+        enum: ["timer", "manual"],
+        default: "timer"
+    },
+    note: {
+        type: String,
+        default: ''
+    }
+}, {
+    timestamps: true
+});
+
+TimeEntrySchema.index({ user: 1, startedAt: -1 });
+TimeEntrySchema.index({ object: 1, startedAt: -1 });
+// A user has at most one running timer
+TimeEntrySchema.index({ user: 1 }, { unique: true, partialFilterExpression: { isRunning: true }, name: "one_running_timer" });
+
+const TimeEntry = db.model('TimeEntry', TimeEntrySchema, 'timeEntries');
+
+export {
+    TimeEntry
+}
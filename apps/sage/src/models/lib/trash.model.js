@@ -0,0 +1,59 @@
+import { Schema } from "mongoose";
+import { v4 as uuid } from "uuid";
+import { db } from "../../loaders/db.loader.js";
+
+const itemTypeChoices = ["object", "array", "block"];
+
+const TrashSchema = new Schema({
+    uuid: {
+        type: String,
+        default: () => uuid()
+    },
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    itemType: {
+        type: String,
+        enum: itemTypeChoices,
+        required: true
+    },
+    item: {
+        type: Schema.Types.ObjectId,
+        required: true
+    },
+    title: {
+        type: String,
+        default: ''
+    },
+    // Items that were trashed together with `item` (blocks of an array, sub-objects, ...)
+    cascade: [{
+        itemType: {
+            type: String,
+            enum: itemTypeChoices
+        },
+        item: {
+            type: Schema.Types.ObjectId
+        }
+    }],
+    deletedAt: {
+        type: Date,
+        default: Date.now
+    },
+    purgeAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+TrashSchema.index({ user: 1, deletedAt: -1 });
+TrashSchema.index({ purgeAt: 1 });
+
+const Trash = db.model('Trash', TrashSchema, 'trash');
+
+export {
+    Trash
+}
@@ -0,0 +1,56 @@
+import { Schema } from "mongoose";
+import { v4 as uuid } from "uuid";
+import { db } from "../../loaders/db.loader.js";
+
+const groupByChoices = ["none", "source", "status", "label", "array", "dueWeek"];
+
+const ViewSchema = new Schema({
+    uuid: {
+        type: String,
+        default: () => uuid()
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    icon: {
+        type: String,
+        default: null
+    },
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Filter query, e.g. "status:todo source:linear due:<7d"
+    query: {
+        type: String,
+        default: ''
+    },
+    // Comma-separated `field:asc|desc`, as accepted by filterObjects
+    sort: {
+        type: String,
+        default: 'createdAt:desc'
+    },
+    groupBy: {
+        type: String,
+        enum: groupByChoices,
+        default: 'none'
+    },
+    order: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+ViewSchema.index({ user: 1, order: 1 });
+
+const View = db.model('View', ViewSchema, 'views');
+
+export {
+    View,
+    groupByChoices
+}
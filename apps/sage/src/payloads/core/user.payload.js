@@ -8,7 +8,8 @@ const UpdateUserPayload = Joi.object({
     fullName: Joi.string().optional(),
     userName: Joi.string().optional(),
     avatar: Joi.string().optional(),
-    timezone: Joi.string().valid(...USER_TIMEZONE_CHOICES).optional()
+    timezone: Joi.string().valid(...USER_TIMEZONE_CHOICES).optional(),
+    phoneNumber: Joi.string().pattern(/^\+[1-9]\d{6,14}$/).allow(null).optional()
 });
 
 export {
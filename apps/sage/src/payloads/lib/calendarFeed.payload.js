@@ -0,0 +1,16 @@
+import Joi from "joi";
+import { FEED_MODES } from "../../utils/ical.service.js";
+
+// Calendar clients may append their own parameters to the URL
+const CalendarFeedQueryPayload = Joi.object({
+    array: Joi.string().trim(),
+    type: Joi.string().trim(),
+    label: Joi.string().trim(),
+    mode: Joi.string().valid(...FEED_MODES).default("events"),
+    completed: Joi.boolean().default(false),
+    cycles: Joi.boolean().default(true)
+}).unknown();
+
+export {
+    CalendarFeedQueryPayload
+}
@@ -0,0 +1,18 @@
+import Joi from "joi";
+
+const MAX_COMMENT_LENGTH = 20000;
+
+// Markdown; "@userName" mentions a member of the object's arrays
+const CommentPayload = Joi.object({
+    body: Joi.string().trim().min(1).max(MAX_COMMENT_LENGTH).required()
+});
+
+const CommentSyncPayload = Joi.object({
+    linear: Joi.boolean(),
+    github: Joi.boolean()
+}).min(1);
+
+export {
+    CommentPayload,
+    CommentSyncPayload
+}
@@ -0,0 +1,11 @@
+import Joi from "joi";
+import { MAX_CYCLE_WEEKS } from "../../utils/cycle.service.js";
+
+const CycleSettingsPayload = Joi.object({
+    length: Joi.number().integer().min(1).max(MAX_CYCLE_WEEKS),
+    startDay: Joi.number().integer().min(0).max(6)
+}).min(1);
+
+export {
+    CycleSettingsPayload
+}
@@ -0,0 +1,9 @@
+import Joi from "joi";
+
+const MergeObjectsPayload = Joi.object({
+    aliases: Joi.array().items(Joi.string().hex().length(24)).min(1).max(20).required()
+});
+
+export {
+    MergeObjectsPayload
+}
@@ -0,0 +1,12 @@
+import Joi from "joi";
+import { EXPORT_FORMATS } from "../../utils/export-format.service.js";
+
+const ExportPayload = Joi.object({
+    format: Joi.string().valid(...EXPORT_FORMATS).default("json"),
+    // Run in the background even when the account is small enough to export right away
+    background: Joi.boolean().default(false)
+}).unknown();
+
+export {
+    ExportPayload
+}
@@ -0,0 +1,37 @@
+import Joi from "joi";
+import { IMPORT_SOURCES } from "../../utils/import-parser.service.js";
+
+const mappingColumn = Joi.string().trim().max(200);
+
+const ImportPayload = Joi.object({
+    source: Joi.string().valid(...IMPORT_SOURCES).required(),
+    // File contents when no file is uploaded
+    content: Joi.string().allow(''),
+    projectName: Joi.string().trim().max(100).allow(null, ''),
+    // Column of each field, for generic CSV files
+    mapping: Joi.object({
+        title: mappingColumn,
+        description: mappingColumn,
+        due: mappingColumn,
+        labels: mappingColumn,
+        project: mappingColumn,
+        section: mappingColumn,
+        parent: mappingColumn,
+        id: mappingColumn,
+        completed: mappingColumn,
+        priority: mappingColumn,
+        createdAt: mappingColumn
+    }).default({}),
+    dryRun: Joi.boolean().default(false)
+});
+
+const IcalImportPayload = Joi.object({
+    // File contents when no file is uploaded
+    content: Joi.string().allow(''),
+    dryRun: Joi.boolean().default(false)
+});
+
+export {
+    ImportPayload,
+    IcalImportPayload
+}
@@ -0,0 +1,24 @@
+import Joi from "joi";
+
+const objectId = Joi.string().hex().length(24);
+
+const NotificationListPayload = Joi.object({
+    unread: Joi.boolean(),
+    source: Joi.string().trim().max(50)
+}).unknown(true);
+
+const MarkNotificationsReadPayload = Joi.object({
+    ids: Joi.array().items(objectId).min(1).max(500),
+    all: Joi.boolean().valid(true),
+    source: Joi.string().trim().max(50)
+}).xor("ids", "all");
+
+const NotificationSettingsPayload = Joi.object({
+    mutedSources: Joi.array().items(Joi.string().trim().max(50)).max(50).unique().required()
+});
+
+export {
+    NotificationListPayload,
+    MarkNotificationsReadPayload,
+    NotificationSettingsPayload
+}
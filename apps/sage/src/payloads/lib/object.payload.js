@@ -0,0 +1,50 @@
+import Joi from "joi";
+
+const OBJECT_STATUS_CHOICES = ["null", "todo", "in progress", "done", "archive"];
+const BATCH_ACTION_CHOICES = ["update", "setStatus", "moveToDate", "addLabels", "removeLabels", "move", "delete"];
+const MAX_BATCH_SIZE = 500;
+
+const objectId = Joi.string().hex().length(24);
+
+// Fields a batch "update" may set; ownership, placement and lifecycle fields have their own actions
+const BatchUpdateFieldsPayload = Joi.object({
+    title: Joi.string().allow(""),
+    description: Joi.any(),
+    type: Joi.string(),
+    status: Joi.string().valid(...OBJECT_STATUS_CHOICES),
+    icon: Joi.string().allow("", null),
+    cover_image: Joi.string().allow("", null),
+    isFavorite: Joi.boolean(),
+    isArchived: Joi.boolean(),
+    due: Joi.object().allow(null),
+    cycle: Joi.object().allow(null)
+}).min(1);
+
+const BatchOperationPayload = Joi.object({
+    action: Joi.string().valid(...BATCH_ACTION_CHOICES).required(),
+    ids: Joi.array().items(objectId).min(1).max(MAX_BATCH_SIZE).unique().required(),
+    fields: Joi.when("action", { is: "update", then: BatchUpdateFieldsPayload.required(), otherwise: Joi.forbidden() }),
+    status: Joi.when("action", { is: "setStatus", then: Joi.string().valid(...OBJECT_STATUS_CHOICES).required(), otherwise: Joi.forbidden() }),
+    date: Joi.when("action", { is: "moveToDate", then: Joi.date().allow(null).required(), otherwise: Joi.forbidden() }),
+    labels: Joi.when("action", {
+        is: Joi.valid("addLabels", "removeLabels"),
+        then: Joi.array().items(objectId).min(1).required(),
+        otherwise: Joi.forbidden()
+    }),
+    array: Joi.when("action", { is: "move", then: objectId.required(), otherwise: Joi.forbidden() }),
+    block: Joi.when("action", { is: "move", then: objectId.allow(null), otherwise: Joi.forbidden() })
+});
+
+const BatchObjectsPayload = Joi.object({
+    operations: Joi.array().items(BatchOperationPayload).min(1).max(50).required()
+}).custom((value, helpers) => {
+    const total = value.operations.reduce((sum, operation) => sum + operation.ids.length, 0);
+    if (total > MAX_BATCH_SIZE) {
+        return helpers.message(`A batch may touch at most ${MAX_BATCH_SIZE} objects`);
+    }
+    return value;
+});
+
+export {
+    BatchObjectsPayload
+}
@@ -0,0 +1,11 @@
+import Joi from "joi";
+import { RELATION_TYPES } from "../../services/lib/relation.service.js";
+
+const CreateRelationPayload = Joi.object({
+    type: Joi.string().valid(...RELATION_TYPES).required(),
+    target: Joi.string().hex().length(24).required()
+});
+
+export {
+    CreateRelationPayload
+}
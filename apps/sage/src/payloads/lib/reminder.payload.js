@@ -0,0 +1,19 @@
+import Joi from "joi";
+import { reminderChannels } from "../../models/lib/reminder.model.js";
+
+const CreateReminderPayload = Joi.object({
+    at: Joi.date().iso(),
+    // Minutes, or text such as "30m before due"
+    before: Joi.alternatives().try(Joi.number().integer().min(0), Joi.string().trim().max(50)),
+    channels: Joi.array().items(Joi.string().valid(...reminderChannels)).min(1).unique().default(["websocket"])
+}).xor("at", "before");
+
+const SnoozeReminderPayload = Joi.object({
+    minutes: Joi.number().integer().min(1).max(60 * 24 * 30),
+    until: Joi.date().iso()
+}).xor("minutes", "until");
+
+export {
+    CreateReminderPayload,
+    SnoozeReminderPayload
+}
@@ -0,0 +1,27 @@
+import Joi from "joi";
+import { RETENTION_STATES, RETENTION_ACTIONS } from "../../utils/retention.service.js";
+
+const CreateRetentionPolicyPayload = Joi.object({
+    name: Joi.string().trim().allow("").max(200),
+    isActive: Joi.boolean(),
+    state: Joi.string().valid(...RETENTION_STATES).required(),
+    action: Joi.string().valid(...RETENTION_ACTIONS).required(),
+    days: Joi.number().integer().min(1).max(3650).required(),
+    type: Joi.string().trim().max(50).allow(null),
+    source: Joi.string().trim().max(50).allow(null)
+});
+
+const UpdateRetentionPolicyPayload = Joi.object({
+    name: Joi.string().trim().allow("").max(200),
+    isActive: Joi.boolean(),
+    state: Joi.string().valid(...RETENTION_STATES),
+    action: Joi.string().valid(...RETENTION_ACTIONS),
+    days: Joi.number().integer().min(1).max(3650),
+    type: Joi.string().trim().max(50).allow(null),
+    source: Joi.string().trim().max(50).allow(null)
+}).min(1);
+
+export {
+    CreateRetentionPolicyPayload,
+    UpdateRetentionPolicyPayload
+}
@@ -0,0 +1,16 @@
+import Joi from "joi";
+import { snoozeConditionChoices } from "../../models/lib/object.model.js";
+
+const SnoozeObjectPayload = Joi.object({
+    condition: Joi.string().valid(...snoozeConditionChoices).default("date"),
+    // Required for "date", ignored for "nextCycle" and a deadline for "externalChange"
+    until: Joi.date().iso().when("condition", {
+        is: "date",
+        then: Joi.required(),
+        otherwise: Joi.when("condition", { is: "nextCycle", then: Joi.forbidden() })
+    })
+});
+
+export {
+    SnoozeObjectPayload
+}
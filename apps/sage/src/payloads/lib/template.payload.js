@@ -0,0 +1,56 @@
+import Joi from "joi";
+
+const objectId = Joi.string().hex().length(24);
+const timeOfDay = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).message("time must be HH:mm");
+
+const TemplateNodePayload = Joi.object({
+    title: Joi.string().allow("").max(500).default(""),
+    description: Joi.alternatives().try(Joi.string().allow(""), Joi.array()).default(""),
+    type: Joi.string().trim().default("todo"),
+    labels: Joi.array().items(objectId).unique().default([]),
+    // Days after the day the template is used, and an optional time of day
+    dueOffset: Joi.object({
+        days: Joi.number().integer().min(-365).max(365).allow(null).required(),
+        time: timeOfDay.allow(null).default(null)
+    }).empty(null).default({ days: null, time: null }),
+    children: Joi.array().items(Joi.link("#templateNode")).default([])
+}).id("templateNode");
+
+// Objects from a scheduled run go to `array` and `block`, or the inbox when both are null
+const TemplateSchedulePayload = Joi.object({
+    isActive: Joi.boolean(),
+    rule: Joi.string().trim().max(200),
+    time: timeOfDay,
+    array: objectId.allow(null),
+    block: objectId.allow(null),
+    inputs: Joi.object().pattern(Joi.string(), Joi.string().allow(""))
+}).and("array", "block");
+
+const CreateTemplatePayload = Joi.object({
+    name: Joi.string().trim().max(200),
+    description: Joi.string().allow("").max(2000),
+    // A tree given here, or an existing object saved with its sub-objects
+    root: TemplateNodePayload,
+    object: objectId,
+    schedule: TemplateSchedulePayload
+}).xor("root", "object");
+
+const UpdateTemplatePayload = Joi.object({
+    name: Joi.string().trim().max(200),
+    description: Joi.string().allow("").max(2000),
+    root: TemplateNodePayload,
+    schedule: TemplateSchedulePayload
+}).min(1);
+
+const InstantiateTemplatePayload = Joi.object({
+    array: objectId,
+    block: objectId,
+    date: Joi.date().iso(),
+    inputs: Joi.object().pattern(Joi.string(), Joi.string().allow("")).default({})
+}).and("array", "block");
+
+export {
+    CreateTemplatePayload,
+    UpdateTemplatePayload,
+    InstantiateTemplatePayload
+}
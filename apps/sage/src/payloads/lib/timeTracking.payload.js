@@ -0,0 +1,33 @@
+import Joi from "joi";
+
+// One week, in seconds
+const MAX_ENTRY_DURATION = 7 * 24 * 60 * 60;
+
+const EstimatePayload = Joi.object({
+    // Minutes; null clears the estimate
+    estimate: Joi.number().min(0).max(100000).allow(null).required()
+});
+
+const StartTimerPayload = Joi.object({
+    note: Joi.string().allow('').max(500)
+});
+
+const CreateTimeEntryPayload = Joi.object({
+    startedAt: Joi.date().iso().required(),
+    endedAt: Joi.date().iso().greater(Joi.ref('startedAt')),
+    duration: Joi.number().integer().min(1).max(MAX_ENTRY_DURATION),
+    note: Joi.string().allow('').max(500)
+}).xor('endedAt', 'duration');
+
+const UpdateTimeEntryPayload = Joi.object({
+    startedAt: Joi.date().iso(),
+    endedAt: Joi.date().iso(),
+    note: Joi.string().allow('').max(500)
+}).min(1);
+
+export {
+    EstimatePayload,
+    StartTimerPayload,
+    CreateTimeEntryPayload,
+    UpdateTimeEntryPayload
+}
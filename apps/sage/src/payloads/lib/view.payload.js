@@ -0,0 +1,27 @@
+import Joi from "joi";
+import { groupByChoices } from "../../models/lib/view.model.js";
+
+const SORT_PATTERN = /^[\w.]+(:(asc|desc))?(,[\w.]+(:(asc|desc))?)*$/;
+
+const CreateViewPayload = Joi.object({
+    name: Joi.string().trim().max(100).required(),
+    icon: Joi.string().allow(null),
+    query: Joi.string().allow('').max(500).default(''),
+    sort: Joi.string().pattern(SORT_PATTERN).default('createdAt:desc'),
+    groupBy: Joi.string().valid(...groupByChoices).default('none'),
+    order: Joi.number()
+});
+
+const UpdateViewPayload = Joi.object({
+    name: Joi.string().trim().max(100),
+    icon: Joi.string().allow(null),
+    query: Joi.string().allow('').max(500),
+    sort: Joi.string().pattern(SORT_PATTERN),
+    groupBy: Joi.string().valid(...groupByChoices),
+    order: Joi.number()
+}).min(1);
+
+export {
+    CreateViewPayload,
+    UpdateViewPayload
+}
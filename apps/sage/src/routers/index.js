@@ -3,6 +3,8 @@ import UserRouter from "./core/user.route.js";
 import { JWTMiddleware } from "../middlewares/jwt.middleware.js";
 import ArrayRouter from "./lib/array.route.js";
 import CommonRouter from "./lib/common.route.js";
+import IcalRouter from "./lib/ical.route.js";
+import FileRouter from "./lib/file.route.js";
 import LinearRoute from "./integration/linear.route.js";
 import CalenderRoute from "./integration/calendar.route.js";
 import EmailRoute from "./integration/email.route.js";
@@ -22,6 +24,8 @@ const initRoutes = (app) => {
     app.use("/users", JWTMiddleware, UserRouter);
     app.use("/arrays", JWTMiddleware, ArrayRouter);
     app.use("/api", JWTMiddleware, CommonRouter);
+    app.use("/ical", IcalRouter);
+    app.use("/files", FileRouter);
     app.use('/linear', JWTMiddleware, LinearRoute);
     app.use('/calendar', JWTMiddleware, CalenderRoute);
     app.use('/gmail', JWTMiddleware, EmailRoute);
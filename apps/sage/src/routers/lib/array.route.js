@@ -5,7 +5,8 @@ import {
     getArraysController,
     getArrayController,
     updateArrayController,
-    getArrayByNameController
+    getArrayByNameController,
+    deleteArrayController
 } from "../../controllers/lib/array.controller.js";
 
 import {
@@ -38,6 +39,7 @@ router.route("/").post(createArrayController);
 router.route("/").get(getArraysController);
 router.route("/:array/").get(getArrayController);
 router.route("/:array/").put(updateArrayController);
+router.route("/:array/").delete(deleteArrayController);
 router.route("/name/:array/").get(getArrayByNameController);
 
 // // items filter by label name
@@ -27,6 +27,8 @@ import {
 import {
     createInboxObjectController,
     getSubObjectsController,
+    getObjectTreeController,
+    moveObjectToParentController,
     getThisWeekObjectsByDateRangeController,
     getUserFavoriteObjectsController,
     getObjectsByTypeAndSourceController,
@@ -34,14 +36,72 @@ import {
     filterObjectsController,
     getObjectsBySourceController,
     getUserUpcomingObjectsController,
-    getObjectsByRecurrenceController
+    getObjectsByRecurrenceController,
+    getUpcomingOccurrencesController,
+    batchObjectsController
 } from "../../controllers/lib/object.controller.js";
 // Utility imports
 import { uploadFileController } from "../../controllers/lib/fileAsset.controller.js";
-import { upload } from "../../loaders/s3.loader.js";
+import { upload, memoryUpload } from "../../loaders/s3.loader.js";
 import { feedbackController } from "../../controllers/lib/feedback.controller.js";
 import { linkPreviewGeneratorController } from "../../controllers/lib/linkPreview.controller.js";
 import { createTypeController, getAllTypesController, getTypesBySlugController } from "../../controllers/lib/type.controller.js";
+import { getTrashController, restoreFromTrashController, deleteFromTrashController } from "../../controllers/lib/trash.controller.js";
+import { getObjectHistoryController, revertObjectRevisionController } from "../../controllers/lib/revision.controller.js";
+import { searchController } from "../../controllers/lib/search.controller.js";
+import { getObjectRelationsController, createRelationController, deleteRelationController, getBlockersController, getBlockedObjectsController } from "../../controllers/lib/relation.controller.js";
+import { setEstimateController, getRunningTimerController, startTimerController, stopTimerController, getObjectTimeEntriesController, addTimeEntryController, updateTimeEntryController, deleteTimeEntryController, getTimeReportController } from "../../controllers/lib/timeTracking.controller.js";
+import { createReminderController, getObjectRemindersController, getUpcomingRemindersController, deleteReminderController, snoozeReminderController, dismissReminderController } from "../../controllers/lib/reminder.controller.js";
+import { getNotificationsController, getUnreadCountController, markNotificationsReadController, getNotificationSettingsController, updateNotificationSettingsController } from "../../controllers/lib/notification.controller.js";
+import { snoozeObjectController, unsnoozeObjectController, getSnoozedObjectsController } from "../../controllers/lib/snooze.controller.js";
+import { getDuplicateSuggestionsController, getObjectDuplicatesController, mergeObjectsController } from "../../controllers/lib/duplicate.controller.js";
+import { exportController, getExportController, downloadExportController } from "../../controllers/lib/export.controller.js";
+import { importController, previewImportController, importCalendarController } from "../../controllers/lib/import.controller.js";
+import { getCalendarFeedController, generateCalendarFeedController, revokeCalendarFeedController } from "../../controllers/lib/calendarFeed.controller.js";
+import {
+    createAttachmentController,
+    getAttachmentsController,
+    getAttachmentController,
+    deleteAttachmentController,
+    getStorageUsageController
+} from "../../controllers/lib/attachment.controller.js";
+import {
+    getCommentsController,
+    createCommentController,
+    updateCommentController,
+    deleteCommentController,
+    getObjectActivityController,
+    getCommentSyncController,
+    updateCommentSyncController
+} from "../../controllers/lib/comment.controller.js";
+import {
+    getTemplatesController,
+    getTemplateController,
+    createTemplateController,
+    updateTemplateController,
+    deleteTemplateController,
+    instantiateTemplateController
+} from "../../controllers/lib/template.controller.js";
+import {
+    getRetentionPoliciesController,
+    createRetentionPolicyController,
+    updateRetentionPolicyController,
+    deleteRetentionPolicyController,
+    previewRetentionController,
+    startRetentionRunController,
+    getRetentionRunsController,
+    getRetentionRunController
+} from "../../controllers/lib/retention.controller.js";
+import {
+    getCurrentCycleController,
+    getCycleHistoryController,
+    getCycleController,
+    getVelocityController,
+    getCycleSettingsController,
+    updateCycleSettingsController
+} from "../../controllers/lib/cycle.controller.js";
+import { getInsightsController } from "../../controllers/lib/insights.controller.js";
+import { createViewController, getViewsController, getViewController, updateViewController, deleteViewController, getViewObjectsController } from "../../controllers/lib/view.controller.js";
 
 const router = Router();
 
@@ -56,6 +116,10 @@ router.route("/reorder/").put(reorderObjectsController)
 router.route("/objects/without-date/").get(getInboxObjectsController);
 router.route("/objects/with-date/").get(getObjectsWithDateController);
 router.route("/objects/source/").get(getObjectsBySourceController);
+router.route("/objects/batch/").post(batchObjectsController);
+router.route("/objects/blocked/").get(getBlockedObjectsController);
+router.route("/objects/snoozed/").get(getSnoozedObjectsController);
+router.route("/objects/duplicates/").get(getDuplicateSuggestionsController);
 
 router.route("/inbox/:object/")
     .get(getInboxObjectController)
@@ -63,6 +127,41 @@ router.route("/inbox/:object/")
     .delete(deleteInboxObjectController);
 
 router.route("/inbox/:item/sub-items/").get(getSubObjectsController);
+router.route("/inbox/:object/tree/").get(getObjectTreeController);
+router.route("/inbox/:object/parent/").put(moveObjectToParentController);
+
+router.route("/inbox/:object/history/").get(getObjectHistoryController);
+router.route("/inbox/:object/revert/:revision/").post(revertObjectRevisionController);
+
+router.route("/inbox/:object/comments/")
+    .get(getCommentsController)
+    .post(createCommentController);
+router.route("/inbox/:object/activity/").get(getObjectActivityController);
+
+router.route("/inbox/:object/attachments/")
+    .get(getAttachmentsController)
+    .post(upload.single("file"), createAttachmentController);
+
+router.route("/inbox/:object/relations/")
+    .get(getObjectRelationsController)
+    .post(createRelationController);
+router.route("/inbox/:object/relations/:relation/").delete(deleteRelationController);
+router.route("/inbox/:object/blockers/").get(getBlockersController);
+
+router.route("/inbox/:object/duplicates/").get(getObjectDuplicatesController);
+router.route("/inbox/:object/merge/").post(mergeObjectsController);
+
+router.route("/inbox/:object/estimate/").put(setEstimateController);
+router.route("/inbox/:object/timer/").post(startTimerController);
+router.route("/inbox/:object/time-entries/")
+    .get(getObjectTimeEntriesController)
+    .post(addTimeEntryController);
+router.route("/inbox/:object/snooze/")
+    .post(snoozeObjectController)
+    .delete(unsnoozeObjectController);
+router.route("/inbox/:object/reminders/")
+    .get(getObjectRemindersController)
+    .post(createReminderController);
 
 /* Timeline Routes
 -------------------------------------------------- */
@@ -74,12 +173,16 @@ router.route("/setDate/").post(moveObjecttoDateController);
 router.route("/items/").get(getObjectsByTypeAndSourceController);
 router.route("/upcoming/").get(getUserUpcomingObjectsController);
 router.route("/recurrence/").get(getObjectsByRecurrenceController);
+router.route("/recurrence/upcoming/").get(getUpcomingOccurrencesController);
 
 /* Journal Routes
 -------------------------------------------------- */
 router.route("/journals/create-update/").post(createUpdateJournalController);
 router.route("/journals/today/").get(getUserTodayJournalController);
 router.route("/journals/overview/").get(getUserAllJournalsController);
+router.route("/journals/:journal/attachments/")
+    .get(getAttachmentsController)
+    .post(upload.single("file"), createAttachmentController);
 router.route("/journals/:date/").get(getUserJournalByDateController);
 
 /* Item Management Routes
@@ -108,6 +211,135 @@ router.route("/types/")
 
 router.route("/types/:slug").get(getTypesBySlugController);
 
+/* Time Tracking Routes
+-------------------------------------------------- */
+router.route("/timer/").get(getRunningTimerController);
+router.route("/timer/stop/").post(stopTimerController);
+router.route("/time-entries/:entry/")
+    .put(updateTimeEntryController)
+    .delete(deleteTimeEntryController);
+router.route("/time/report/").get(getTimeReportController);
+
+/* Reminder Routes
+-------------------------------------------------- */
+router.route("/reminders/").get(getUpcomingRemindersController);
+router.route("/reminders/:reminder/").delete(deleteReminderController);
+router.route("/reminders/:reminder/snooze/").post(snoozeReminderController);
+router.route("/reminders/:reminder/dismiss/").post(dismissReminderController);
+
+/* Notification Routes
+-------------------------------------------------- */
+router.route("/notifications/").get(getNotificationsController);
+router.route("/notifications/unread-count/").get(getUnreadCountController);
+router.route("/notifications/read/").post(markNotificationsReadController);
+router.route("/notifications/settings/")
+    .get(getNotificationSettingsController)
+    .put(updateNotificationSettingsController);
+
+/* Export Routes
+-------------------------------------------------- */
+router.route("/export/").get(exportController);
+router.route("/export/:export/").get(getExportController);
+router.route("/export/:export/download/").get(downloadExportController);
+
+/* Import Routes
+-------------------------------------------------- */
+router.route("/import/").post(memoryUpload.single("file"), importController);
+router.route("/import/preview/").post(memoryUpload.single("file"), previewImportController);
+router.route("/import/ical/").post(memoryUpload.single("file"), importCalendarController);
+
+/* Calendar Feed Routes
+-------------------------------------------------- */
+router.route("/calendar-feed/")
+    .get(getCalendarFeedController)
+    .post(generateCalendarFeedController)
+    .delete(revokeCalendarFeedController);
+
+/* Attachment Routes
+-------------------------------------------------- */
+router.route("/attachments/usage/").get(getStorageUsageController);
+
+router.route("/attachments/:attachment/")
+    .get(getAttachmentController)
+    .delete(deleteAttachmentController);
+
+/* Comment Routes
+-------------------------------------------------- */
+router.route("/comments/sync/")
+    .get(getCommentSyncController)
+    .put(updateCommentSyncController);
+
+router.route("/comments/:comment/")
+    .put(updateCommentController)
+    .delete(deleteCommentController);
+
+/* Template Routes
+-------------------------------------------------- */
+router.route("/templates/")
+    .get(getTemplatesController)
+    .post(createTemplateController);
+
+router.route("/templates/:template/")
+    .get(getTemplateController)
+    .put(updateTemplateController)
+    .delete(deleteTemplateController);
+
+router.route("/templates/:template/instantiate/").post(instantiateTemplateController);
+
+/* Saved View Routes
+-------------------------------------------------- */
+router.route("/views/")
+    .get(getViewsController)
+    .post(createViewController);
+
+router.route("/views/:view/")
+    .get(getViewController)
+    .put(updateViewController)
+    .delete(deleteViewController);
+
+router.route("/views/:view/objects/").get(getViewObjectsController);
+
+/* Search Routes
+-------------------------------------------------- */
+router.route("/search/").get(searchController);
+
+/* Trash Routes
+-------------------------------------------------- */
+router.route("/trash/").get(getTrashController);
+router.route("/trash/:id/restore/").post(restoreFromTrashController);
+router.route("/trash/:id/").delete(deleteFromTrashController);
+
+/* Retention Routes
+-------------------------------------------------- */
+router.route("/retention/policies/")
+    .get(getRetentionPoliciesController)
+    .post(createRetentionPolicyController);
+
+router.route("/retention/policies/:policy/")
+    .put(updateRetentionPolicyController)
+    .delete(deleteRetentionPolicyController);
+
+router.route("/retention/preview/").get(previewRetentionController);
+
+router.route("/retention/runs/")
+    .get(getRetentionRunsController)
+    .post(startRetentionRunController);
+router.route("/retention/runs/:run/").get(getRetentionRunController);
+
+/* Cycle Routes
+-------------------------------------------------- */
+router.route("/cycles/").get(getCycleHistoryController);
+router.route("/cycles/current/").get(getCurrentCycleController);
+router.route("/cycles/velocity/").get(getVelocityController);
+router.route("/cycles/settings/")
+    .get(getCycleSettingsController)
+    .put(updateCycleSettingsController);
+router.route("/cycles/:cycle/").get(getCycleController);
+
+/* Insights Routes
+-------------------------------------------------- */
+router.route("/insights/").get(getInsightsController);
+
 /* Dynamic Date Route */
 router.route("/:date/").get(getUserObjectsByDateController);
 
@@ -0,0 +1,9 @@
+import { Router } from "express";
+import { downloadAttachmentController } from "../../controllers/lib/attachment.controller.js";
+
+// Mounted without JWT: links are signed and expire, so they work in <img> tags and downloads
+const router = Router();
+
+router.route("/:asset").get(downloadAttachmentController);
+
+export default router;
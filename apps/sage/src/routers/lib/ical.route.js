@@ -0,0 +1,9 @@
+import { Router } from "express";
+import { calendarFeedIcsController } from "../../controllers/lib/calendarFeed.controller.js";
+
+// Mounted without JWT: calendar clients authenticate with the secret token in the URL
+const router = Router();
+
+router.route("/:token.ics").get(calendarFeedIcsController);
+
+export default router;
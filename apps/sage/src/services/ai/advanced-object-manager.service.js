@@ -1,6 +1,7 @@
 import { GoogleGenerativeAI } from "@google/generative-ai";
 import { Object as ObjectModel } from "../../models/lib/object.model.js";
 import { saveContent } from "../../utils/helper.service.js";
+import { paginate } from "../../utils/pagination.service.js";
 
 /**
  * Advanced Object Manager Service
@@ -41,7 +42,7 @@ export class AdvancedObjectManagerService {
             const searchQuery = await this.buildSmartSearchQuery(searchIntent, userId, options);
             
             // Execute search
-            const results = await this.executeSmartSearch(searchQuery);
+            const { items: results, total, nextCursor } = await this.executeSmartSearch(searchQuery);
             
             // Rank and filter results with source awareness
             const rankedResults = await this.rankSearchResults(results, searchIntent, query);
@@ -50,7 +51,8 @@ export class AdvancedObjectManagerService {
                 objects: rankedResults,
                 searchIntent,
                 query: searchQuery,
-                totalFound: results.length,
+                totalFound: total,
+                nextCursor,
                 message: this.generateSearchSummary(rankedResults, searchIntent),
                 sourceBreakdown: this.generateSourceBreakdown(rankedResults)
             };
@@ -562,7 +564,9 @@ export class AdvancedObjectManagerService {
         return {
             query: baseQuery,
             sort: this.buildSortOptions(searchIntent.sortBy, searchIntent.entities.sourceSpecific),
-            limit: Math.min(searchIntent.limit || 20, 50),
+            limit: Math.min(options.limit || searchIntent.limit || 20, 50),
+            after: options.after,
+            fields: options.fields,
             searchType: searchIntent.searchType,
             populate: ['labels', 'user'],
             sourceContext: {
@@ -720,25 +724,24 @@ export class AdvancedObjectManagerService {
     }
 
     /**
-     * Execute smart search
+     * Execute smart search, one page at a time when `searchQuery.after` is set
+     * @returns {Promise<Object>} - { items, total, nextCursor }
      */
     async executeSmartSearch(searchQuery) {
         try {
-            let query = ObjectModel.find(searchQuery.query);
-
-            if (searchQuery.populate) {
-                searchQuery.populate.forEach(field => {
-                    query = query.populate(field);
-                });
-            }
-
-            query = query.sort(searchQuery.sort).limit(searchQuery.limit);
-
-            const results = await query.exec();
-            return results;
+            return await paginate(ObjectModel, searchQuery.query, {
+                sort: searchQuery.sort,
+                limit: searchQuery.limit,
+                after: searchQuery.after,
+                fields: searchQuery.fields,
+                populate: searchQuery.populate
+            });
         } catch (error) {
+            if (error.statusCode === 400) {
+                throw error;
+            }
             console.error("Error executing smart search:", error);
-            return [];
+            return { items: [], total: 0, nextCursor: null };
         }
     }
 
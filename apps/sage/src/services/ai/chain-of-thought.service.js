@@ -1,6 +1,7 @@
 import { GoogleGenerativeAI } from "@google/generative-ai";
 import { Object } from "../../models/lib/object.model.js";
 import { saveContent } from "../../utils/helper.service.js";
+import { moveToTrash } from "../lib/trash.service.js";
 
 /**
  * Enhanced Chain-of-Thought AI Service
@@ -691,10 +692,12 @@ Examples:
 
     /**
      * Executes the reasoning chain step by step
+     * Changes made by the chain are recorded in revision history under one operation id
      */
     async executeReasoningChain (reasoningChain, userId) {
         const results = [];
-        let contextData = {};
+        const operationId = `chain_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        let contextData = { operationId };
 
         for (const step of reasoningChain) {
             try {
@@ -732,6 +735,7 @@ Examples:
 
         return {
             success: results.every(r => r.success),
+            operationId,
             steps: results,
             finalResult: this.synthesizeFinalResult(results),
             executionSummary: this.generateExecutionSummary(results)
@@ -828,7 +832,9 @@ Examples:
         };
 
         // Create the object
-        const object = await Object.create(objectData);
+        const object = new Object(objectData);
+        object.$locals.actor = { type: 'ai', id: contextData.operationId };
+        await object.save();
 
         // Save to search index
         await saveContent(object);
@@ -856,7 +862,7 @@ Examples:
         const object = await Object.findByIdAndUpdate(
             objectId,
             updateData,
-            { new: true }
+            { new: true, actor: { type: 'ai', id: contextData.operationId } }
         );
 
         if (!object) {
@@ -882,15 +888,9 @@ Examples:
 
         const objectId = parameters.objectId || contextData.objectId;
 
-        const object = await Object.findByIdAndUpdate(
-            objectId,
-            { isDeleted: true },
-            { new: true }
-        );
-
-        if (!object) {
-            throw new Error("Object not found for deletion");
-        }
+        // Through the trash like every other delete, so it cascades and can be restored
+        const entry = await moveToTrash(userId, "object", objectId, {}, { type: 'ai', id: contextData.operationId });
+        const object = await Object.findById(entry.item);
 
         return {
             object,
@@ -921,7 +921,9 @@ Examples:
             }
         };
 
-        const meeting = await Object.create(meetingData);
+        const meeting = new Object(meetingData);
+        meeting.$locals.actor = { type: 'ai', id: contextData.operationId };
+        await meeting.save();
         await saveContent(meeting);
 
         return {
@@ -123,6 +123,7 @@ export class SmartUpdateService {
             
             return {
                 success: true,
+                operationId: updateResult.operationId,
                 updatedObjects: updateResult.successCount,
                 failedUpdates: updateResult.failedCount,
                 details: updateResult.details,
@@ -194,6 +195,7 @@ export class SmartUpdateService {
             
             return {
                 success: true,
+                operationId: result.operationId,
                 successCount: result.successCount,
                 failedCount: result.failedCount,
                 details: result.details,
@@ -244,7 +246,7 @@ export class SmartUpdateService {
             }
 
             // Execute the confirmed operation
-            const result = await this.executeUpdate(operation.objects, operation.updateData, userId);
+            const result = await this.executeUpdate(operation.objects, operation.updateData, userId, operationId);
             
             // Clean up the pending operation
             this.pendingOperations.delete(operationId);
@@ -252,6 +254,7 @@ export class SmartUpdateService {
             return {
                 success: true,
                 executed: true,
+                operationId,
                 successCount: result.successCount,
                 failedCount: result.failedCount,
                 details: result.details,
@@ -346,9 +349,11 @@ export class SmartUpdateService {
 
     /**
      * Execute the actual update operation
+     * Each change is recorded in the object's revision history under the operation id
      */
-    async executeUpdate(objects, updateData, userId) {
+    async executeUpdate(objects, updateData, userId, operationId = this.generateOperationId()) {
         const results = {
+            operationId,
             successCount: 0,
             failedCount: 0,
             details: [],
@@ -382,7 +387,7 @@ export class SmartUpdateService {
                 const updatedObj = await Object.findByIdAndUpdate(
                     obj._id,
                     { $set: updateFields },
-                    { new: true, runValidators: true }
+                    { new: true, runValidators: true, actor: { type: 'ai', id: operationId } }
                 ).populate(['labels', 'user']);
                 
                 results.successCount++;
@@ -3,8 +3,56 @@ import { createAppAuth } from "@octokit/auth-app";
 import { environment } from '../../loaders/environment.loader.js';
 import { User } from "../../models/core/user.model.js";
 import { Object } from '../../models/lib/object.model.js';
+import { Comment } from '../../models/lib/comment.model.js';
 import { getOrCreateLabels } from "../lib/label.service.js";
-import { broadcastToUser } from "../../loaders/websocket.loader.js";
+import { publishToUser } from "../lib/notificationChannel.service.js";
+import { getMatchingViews } from "../lib/view.service.js";
+import { createRelation, deleteExternalRelation } from "../lib/relation.service.js";
+import { getIssueReference } from "../../utils/comment-text.service.js";
+
+// GitHub closing keywords: "closes #12", "fixes owner/repo#12", "resolved: #12"
+const CLOSING_REFERENCE_REGEX = /\b(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?):?\s+(?:([\w.-]+)\/([\w.-]+))?#(\d+)\b/gi;
+
+const extractClosingReferences = (body, repository) => {
+    const references = [];
+    for (const match of (body || "").matchAll(CLOSING_REFERENCE_REGEX)) {
+        references.push({
+            owner: match[1] || repository.owner.login,
+            repo: match[2] || repository.name,
+            number: parseInt(match[3], 10)
+        });
+    }
+    return references;
+};
+
+/**
+ * Links a pull request to the issues it closes, as a "blocks" relation from the pull request
+ * to each issue. Issues that are not imported yet are skipped.
+ */
+const saveClosingReferences = async (pullRequestObject, pullRequest, repository, userId) => {
+    const externalId = `pr:${pullRequest.id}`;
+    await deleteExternalRelation(userId, "github", externalId);
+
+    for (const reference of extractClosingReferences(pullRequest.body, repository)) {
+        const issue = await Object.findOne({
+            user: userId,
+            source: "github",
+            "metadata.repo": reference.repo,
+            "metadata.owner": reference.owner,
+            "metadata.number": reference.number,
+            isDeleted: false
+        }).select("_id");
+        if (!issue || issue._id.equals(pullRequestObject._id)) {
+            continue;
+        }
+
+        try {
+            await createRelation(userId, pullRequestObject._id, issue._id, "blocks", { source: "github", externalId });
+        } catch (error) {
+            console.error(`Skipped reference to ${reference.owner}/${reference.repo}#${reference.number}:`, error.message);
+        }
+    }
+};
 
 const exchangeCodeForAccessToken = async (code) => {
     const tokenResponse = await axios.post('https://github.com/login/oauth/access_token', {
@@ -27,7 +75,125 @@ const exchangeCodeForAccessToken = async (code) => {
     return profile;
 };
 
+const getInstallationToken = async (installationId) => {
+    const auth = createAppAuth({
+        appId: environment.GITHUB_APP_ID,
+        privateKey: environment.GITHUB_APP_PRIVATE_KEY.replace(/\\n/g, '\n'),
+        installationId
+    });
+    const { token } = await auth({ type: "installation" });
+    return token;
+};
+
+const githubCommentRequest = async (installationId, method, url, data) => {
+    const token = await getInstallationToken(installationId);
+    const response = await axios({
+        method,
+        url: `https://api.github.com${url}`,
+        data,
+        headers: {
+            Authorization: `Bearer ${token}`,
+            Accept: 'application/vnd.github.v3+json'
+        }
+    });
+    return response.data;
+};
+
+// Comments of objects whose issue is unknown fail with this, and the error is kept on the comment
+const getCommentIssue = (metadata) => {
+    const issue = getIssueReference(metadata);
+    if (!issue) {
+        throw new Error('The GitHub issue of this object is unknown, so the comment was not posted');
+    }
+    return issue;
+};
+
+/**
+ * Posts a comment on the issue or pull request of an object, as the GitHub App
+ * @param {String} installationId - GitHub App installation of the object's owner
+ * @param {Object} metadata - The object's metadata: { owner, repo, number, url }
+ * @param {String} body - Markdown body
+ * @returns {Promise<Object>} - { id, url }
+ */
+const createGithubComment = async (installationId, metadata, body) => {
+    const { owner, repo, number } = getCommentIssue(metadata);
+    const comment = await githubCommentRequest(installationId, 'post', `/repos/${owner}/${repo}/issues/${number}/comments`, { body });
+    return { id: String(comment.id), url: comment.html_url };
+};
+
+const updateGithubComment = async (installationId, metadata, commentId, body) => {
+    const { owner, repo } = getCommentIssue(metadata);
+    await githubCommentRequest(installationId, 'patch', `/repos/${owner}/${repo}/issues/comments/${commentId}`, { body });
+};
+
+const deleteGithubComment = async (installationId, metadata, commentId) => {
+    const { owner, repo } = getCommentIssue(metadata);
+    await githubCommentRequest(installationId, 'delete', `/repos/${owner}/${repo}/issues/comments/${commentId}`);
+};
+
+const COMMENT_ACTIONS = {
+    created: "create",
+    edited: "update",
+    deleted: "delete"
+};
+
+/**
+ * Mirrors a comment made on an issue or pull request, for users who sync comments
+ */
+const processCommentEvent = async (payload) => {
+    const action = COMMENT_ACTIONS[payload.action];
+    const user = await User.findOne({ "integration.github.installationId": payload.installation?.id }).select("integration.github");
+    if (!action || !user?.integration?.github?.syncComments) {
+        return;
+    }
+
+    // Pull requests are stored under their pull request id, which comment events on them
+    // do not carry, so the object is found by its repository and number instead
+    const { repository } = payload;
+    const target = payload.issue || payload.pull_request;
+    const object = await Object.findOne({
+        source: "github",
+        user: user._id,
+        $or: [
+            { "metadata.owner": repository?.owner?.login, "metadata.repo": repository?.name, "metadata.number": target.number },
+            { id: String(target.id) }
+        ]
+    }).select("_id title user");
+    if (!object) {
+        console.log(`Object for ${repository?.full_name}#${target.number} not found in the database.`);
+        return;
+    }
+
+    const { comment } = payload;
+    const saved = await Comment.saveExternalComment(object, {
+        source: "github",
+        id: comment.id,
+        url: comment.html_url,
+        body: comment.body || "",
+        author: { name: comment.user?.login || null, avatar: comment.user?.avatar_url || null },
+        createdAt: comment.created_at
+    }, action);
+
+    if (saved) {
+        await publishToUser(user._id, {
+            type: "comment",
+            message: `${comment.user?.login || "Someone"} commented on ${object.title}`,
+            action,
+            item: object,
+            comment: saved._id
+        });
+    }
+};
+
 const processWebhookEvent = async (payload) => {
+    // Comment events also carry the issue or pull request, which must not be handled as a change of it
+    if (payload.comment) {
+        if (payload.issue || payload.pull_request) {
+            await processCommentEvent(payload);
+        }
+        return;
+    }
+
     const issueOrPR = payload.issue || payload.pull_request;
     let message = "";
     let broadcastObject = null;
@@ -86,8 +252,9 @@ const processWebhookEvent = async (payload) => {
                 "metadata.repo": repository.name,
                 "metadata.owner": repository.owner.login,
                 "metadata.assignees": issueOrPR.assignees,
+                "metadata.number": issueOrPR.number,
                 updatedAt: issueOrPR.updated_at
-            }, { new: true });
+            }, { new: true, actor: { type: "integration", id: "github" } });
 
             message = `Updated object with ID: ${issueOrPR.id}`;
             action = "update";
@@ -112,12 +279,17 @@ const processWebhookEvent = async (payload) => {
                 createdAt: issueOrPR.created_at,
                 updatedAt: issueOrPR.updated_at
             });
+            newObject.$locals.actor = { type: "integration", id: "github" };
 
             const savedObject = await newObject.save();
             message = `Created new item with ID: ${issueOrPR.id}`;
             action = "create";
             broadcastObject = savedObject;
         }
+
+        if (payload.pull_request && broadcastObject) {
+            await saveClosingReferences(broadcastObject, payload.pull_request, repository, userId);
+        }
     }
 
     if (targetUserId) {
@@ -125,10 +297,11 @@ const processWebhookEvent = async (payload) => {
             type: "github",
             message,
             action,
-            item: broadcastObject
+            item: broadcastObject,
+            views: action === "create" && broadcastObject ? await getMatchingViews(targetUserId, broadcastObject._id) : []
         };
 
-        broadcastToUser(targetUserId.toString(), broadcastData, true);
+        await publishToUser(targetUserId, broadcastData);
     }
 };
 
@@ -164,5 +337,8 @@ const uninstallGithubApp = async (user) => {
 export {
     exchangeCodeForAccessToken,
     processWebhookEvent,
-    uninstallGithubApp
+    uninstallGithubApp,
+    createGithubComment,
+    updateGithubComment,
+    deleteGithubComment
 };
@@ -2,10 +2,43 @@ import axios from 'axios';
 import { environment } from '../../loaders/environment.loader.js';
 import { Object } from '../../models/lib/object.model.js';
 import { User } from '../../models/core/user.model.js';
+import { Comment } from '../../models/lib/comment.model.js';
 import { getOrCreateLabels } from "../lib/label.service.js";
-import { broadcastToUser } from "../../loaders/websocket.loader.js";
+import { publishToUser } from "../lib/notificationChannel.service.js";
+import { getMatchingViews } from "../lib/view.service.js";
 import { Source } from '../../models/lib/source.model.js';
 import { saveContent } from "../../utils/helper.service.js";
+import { importExternalRelation, deleteExternalRelation } from "../lib/relation.service.js";
+
+// Linear relation types mapped to momo relation types
+const LINEAR_RELATION_TYPES = {
+    blocks: "blocks",
+    duplicate: "duplicates",
+    related: "relates-to",
+    similar: "relates-to"
+};
+
+/**
+ * Imports a Linear issue relation once both of its issues exist for the user.
+ *
+ * @param {Object} relation - Relation with `id`, `type` and the Linear ids of both issues.
+ * @param {string} userId - The user the issues belong to.
+ * @returns {Promise<Object|null>}
+ */
+const saveIssueRelation = async ({ id, type, issueId, relatedIssueId }, userId) => {
+    const relationType = LINEAR_RELATION_TYPES[type];
+    if (!relationType) {
+        return null;
+    }
+
+    return await importExternalRelation(userId, {
+        source: "linear",
+        from: issueId,
+        to: relatedIssueId,
+        type: relationType,
+        externalId: id
+    });
+};
 
 /**
  * Retrieves an access token from Linear using the provided authorization code.
@@ -159,6 +192,7 @@ const saveIssuesToDatabase = async (issues, userId) => {
                 existingIssue.metadata.project = issue.project;
                 existingIssue.dueDate = issue.dueDate;
                 existingIssue.updatedAt = issue.updatedAt;
+                existingIssue.$locals.actor = { type: "integration", id: "linear" };
 
                 await existingIssue.save();
             } else {
@@ -179,10 +213,33 @@ const saveIssuesToDatabase = async (issues, userId) => {
                     createdAt: issue.createdAt,
                     updatedAt: issue.updatedAt
                 });
+                newIssue.$locals.actor = { type: "integration", id: "linear" };
 
                 await newIssue.save();
             }
         }
+
+        // Relations are imported once every issue of the batch exists
+        for (const issue of filteredIssues) {
+            const relations = [
+                ...(issue.relations?.nodes || []).map(relation => ({
+                    id: relation.id,
+                    type: relation.type,
+                    issueId: issue.id,
+                    relatedIssueId: relation.relatedIssue?.id
+                })),
+                ...(issue.inverseRelations?.nodes || []).map(relation => ({
+                    id: relation.id,
+                    type: relation.type,
+                    issueId: relation.issue?.id,
+                    relatedIssueId: issue.id
+                }))
+            ];
+
+            for (const relation of relations) {
+                await saveIssueRelation(relation, userId);
+            }
+        }
     } catch (error) {
         console.error('Error saving issues to database:', error);
         throw error;
@@ -228,6 +285,24 @@ const fetchAssignedIssues = async (linearToken, linearUserId) => {
                         id
                         name
                     }
+                    relations {
+                        nodes {
+                            id
+                            type
+                            relatedIssue {
+                                id
+                            }
+                        }
+                    }
+                    inverseRelations {
+                        nodes {
+                            id
+                            type
+                            issue {
+                                id
+                            }
+                        }
+                    }
                     url
                 }
             }
@@ -341,7 +416,86 @@ const fetchAssignedIssues = async (linearToken, linearUserId) => {
 
 //     broadcastUpdate(broadcastData, true);
 // };
+
+/**
+ * Handles IssueRelation webhook events from Linear, keeping relations between imported issues in sync.
+ *
+ * @param {Object} payload - The webhook payload containing the relation and action type.
+ * @returns {Promise<void>}
+ */
+const handleRelationWebhookEvent = async (payload) => {
+    const relation = payload.data;
+
+    // Every user who imported the issue keeps their own copy of the relation
+    const users = await Object.distinct("user", { id: relation.issueId, source: "linear" });
+    if (!users.length) {
+        console.log(`Issue with ID: ${relation.issueId} not found in the database.`);
+        return;
+    }
+
+    for (const user of users) {
+        // An updated relation may have changed type, so it is imported again from scratch
+        if (payload.action !== "create") {
+            await deleteExternalRelation(user, "linear", relation.id);
+        }
+        if (payload.action !== "remove") {
+            await saveIssueRelation(relation, user);
+        }
+    }
+};
+
+const COMMENT_ACTIONS = {
+    create: "create",
+    update: "update",
+    remove: "delete"
+};
+
+/**
+ * Mirrors a comment made on an issue, for users who sync comments
+ */
+const handleCommentWebhookEvent = async (payload) => {
+    const comment = payload.data;
+    const action = COMMENT_ACTIONS[payload.action];
+    const object = await Object.findOne({ id: comment.issueId, source: "linear" }).select("_id title user");
+    if (!action || !object) {
+        return;
+    }
+
+    const user = await User.findById(object.user).select("integration.linear");
+    if (!user?.integration?.linear?.syncComments) {
+        return;
+    }
+
+    const saved = await Comment.saveExternalComment(object, {
+        source: "linear",
+        id: comment.id,
+        url: payload.url || null,
+        body: comment.body || "",
+        author: { name: comment.user?.name || null, avatar: comment.user?.avatarUrl || null },
+        createdAt: comment.createdAt
+    }, action);
+
+    if (saved) {
+        await publishToUser(object.user, {
+            type: "comment",
+            message: `${comment.user?.name || "Someone"} commented on ${object.title}`,
+            action,
+            item: object,
+            comment: saved._id
+        });
+    }
+};
+
 const handleWebhookEvent = async (payload) => {
+    if (payload.type === "IssueRelation") {
+        await handleRelationWebhookEvent(payload);
+        return;
+    }
+    if (payload.type === "Comment") {
+        await handleCommentWebhookEvent(payload);
+        return;
+    }
+
     const issue = payload.data;
     let message = "";
     let action = null;
@@ -394,7 +548,7 @@ const handleWebhookEvent = async (payload) => {
                     "cycle.startsAt": startsAt,
                     "cycle.endsAt": endsAt,
                     updatedAt: issue.updatedAt
-                }, { new: true });
+                }, { new: true, actor: { type: "integration", id: "linear" } });
                 await saveContent(updatedIssue);
                 message = `Updated issue with ID: ${issue.id}`;
                 action = "update"
@@ -419,6 +573,7 @@ const handleWebhookEvent = async (payload) => {
                     createdAt: issue.createdAt,
                     updatedAt: issue.updatedAt
                 });
+                newIssue.$locals.actor = { type: "integration", id: "linear" };
 
                 const savedIssue = await newIssue.save();
                 await saveContent(savedIssue);
@@ -434,10 +589,11 @@ const handleWebhookEvent = async (payload) => {
             type: "linear",
             message,
             action,
-            item: broadcastObject
+            item: broadcastObject,
+            views: action === "create" && broadcastObject ? await getMatchingViews(targetUserId, broadcastObject._id) : []
         };
 
-        broadcastToUser(targetUserId.toString(), broadcastData, true);
+        await publishToUser(targetUserId, broadcastData);
     }
 };
 /**
@@ -511,6 +667,70 @@ const createLinearIssue = async (accessToken, teamId, title, description) => {
     }
 };
 
+const linearCommentRequest = async (accessToken, query, variables) => {
+    try {
+        const response = await axios.post("https://api.linear.app/graphql", { query, variables }, {
+            headers: {
+                Authorization: `Bearer ${accessToken}`,
+                "Content-Type": "application/json"
+            }
+        });
+        if (response.data.errors?.length) {
+            throw new Error(response.data.errors[0].message);
+        }
+        return response.data.data;
+    } catch (error) {
+        console.error("Error syncing comment with Linear:", error.response ? error.response.data : error.message);
+        throw error;
+    }
+};
+
+/**
+ * Posts a comment on a Linear issue, as the user of the access token
+ * @param {String} accessToken - Linear access token of the object's owner
+ * @param {String} issueId - Id of the issue
+ * @param {String} body - Markdown body
+ * @returns {Promise<Object>} - { id, url }
+ */
+const createLinearComment = async (accessToken, issueId, body) => {
+    const data = await linearCommentRequest(accessToken, `
+        mutation CreateComment($input: CommentCreateInput!) {
+            commentCreate(input: $input) {
+                success
+                comment {
+                    id
+                    url
+                }
+            }
+        }
+    `, { input: { issueId, body } });
+
+    if (!data.commentCreate.success) {
+        throw new Error("Failed to create comment in Linear");
+    }
+    return data.commentCreate.comment;
+};
+
+const updateLinearComment = async (accessToken, commentId, body) => {
+    await linearCommentRequest(accessToken, `
+        mutation UpdateComment($id: String!, $input: CommentUpdateInput!) {
+            commentUpdate(id: $id, input: $input) {
+                success
+            }
+        }
+    `, { id: commentId, input: { body } });
+};
+
+const deleteLinearComment = async (accessToken, commentId) => {
+    await linearCommentRequest(accessToken, `
+        mutation DeleteComment($id: String!) {
+            commentDelete(id: $id) {
+                success
+            }
+        }
+    `, { id: commentId });
+};
+
 export {
     getAccessToken,
     fetchUserInfo,
@@ -518,5 +738,8 @@ export {
     saveIssuesToDatabase,
     handleWebhookEvent,
     revokeLinearAccess,
-    createLinearIssue
+    createLinearIssue,
+    createLinearComment,
+    updateLinearComment,
+    deleteLinearComment
 }
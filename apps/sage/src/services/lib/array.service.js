@@ -1,4 +1,5 @@
 import { Array } from "../../models/lib/array.model.js";
+import { moveToTrash } from "./trash.service.js";
 
 const createArray = async (user, arrayData) => {
     const newArray = new Array({
@@ -60,10 +61,17 @@ const updateArray = async (id, updateData) => {
     return updatedArray;
 };
 
+const deleteArray = async (id, user) => {
+    const entry = await moveToTrash(user, "array", id);
+
+    return entry;
+};
+
 export {
     createArray,
     getArrays,
     getArray,
     updateArray,
-    getArrayByName
+    getArrayByName,
+    deleteArray
 }
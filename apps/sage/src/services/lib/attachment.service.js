@@ -0,0 +1,272 @@
+import { Types } from "mongoose";
+import { FileAsset } from "../../models/lib/asset.model.js";
+import { Object } from "../../models/lib/object.model.js";
+import { Journal } from "../../models/lib/journal.model.js";
+import { User } from "../../models/core/user.model.js";
+import { storage } from "../../loaders/s3.loader.js";
+import { environment } from "../../loaders/environment.loader.js";
+import { paginate } from "../../utils/pagination.service.js";
+import { signPath, verifySignedPath } from "../../utils/signed-url.service.js";
+
+// Shown in the browser; anything else is downloaded so uploaded HTML never runs on our origin
+const INLINE_CONTENT_TYPES = /^(image\/(png|jpeg|gif|webp)|application\/pdf|text\/plain)$/;
+
+const attachmentError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const getFilePath = (asset) => `/files/${asset._id}`;
+
+// File links get their own secret; reusing the one of session tokens is refused
+const getFileUrlSecret = () => {
+    const secret = environment.FILE_URL_SECRET;
+    if (!secret || secret === environment.JWT_SECRET) {
+        throw attachmentError("FILE_URL_SECRET must be set, and differ from JWT_SECRET", 500);
+    }
+    return secret;
+};
+
+/**
+ * Attachment with a signed link to its file
+ * @param {Object} asset - FileAsset document
+ * @returns {Object} - The asset with `url` and `urlExpiresAt`
+ */
+const toAttachmentResponse = (asset) => {
+    const data = typeof asset.toObject === "function" ? asset.toObject() : asset;
+    if (!data.key) {
+        return { ...data, url: data.asset, urlExpiresAt: null };
+    }
+
+    const { expires, signature, expiresAt } = signPath(getFilePath(data), {
+        secret: getFileUrlSecret(),
+        ttlSeconds: environment.FILE_URL_TTL_SECONDS
+    });
+    return {
+        ...data,
+        url: `${environment.BACKEND_URL}${getFilePath(data)}?expires=${expires}&signature=${signature}`,
+        urlExpiresAt: expiresAt
+    };
+};
+
+const getDefaultQuota = () => Number(environment.STORAGE_QUOTA_MB) * 1024 * 1024;
+
+/**
+ * Counts the bytes of a user whose usage was never counted, e.g. who uploaded
+ * before the counter existed
+ */
+const ensureStorageCounted = async (user) => {
+    const { storageUsed } = await User.findById(user).select("storageUsed").lean() || {};
+    if (storageUsed !== null && storageUsed !== undefined) {
+        return;
+    }
+    const [usage] = await FileAsset.aggregate([
+        { $match: { user: new Types.ObjectId(String(user)), isDeleted: false } },
+        { $group: { _id: null, used: { $sum: "$size" } } }
+    ]);
+    await User.updateOne({ _id: user, storageUsed: null }, { $set: { storageUsed: usage?.used || 0 } });
+};
+
+/**
+ * Bytes the user stores and may store
+ * @param {String} user - Id of the user
+ * @returns {Promise<Object>} - { used, quota, available }
+ */
+const getStorageUsage = async (user) => {
+    await ensureStorageCounted(user);
+    const { storageQuota, storageUsed } = await User.findById(user).select("storageQuota storageUsed").lean() || {};
+    const quota = storageQuota ?? getDefaultQuota();
+    const used = storageUsed || 0;
+    return { used, quota, available: Math.max(0, quota - used) };
+};
+
+/**
+ * Counts `size` bytes against the user's quota in one update, so concurrent
+ * uploads cannot go over it together
+ */
+const reserveStorage = async (user, size) => {
+    await ensureStorageCounted(user);
+    const reserved = await User.findOneAndUpdate(
+        {
+            _id: user,
+            $expr: { $lte: [{ $add: ["$storageUsed", size] }, { $ifNull: ["$storageQuota", getDefaultQuota()] }] }
+        },
+        { $inc: { storageUsed: size } },
+        { new: true }
+    );
+    if (!reserved) {
+        throw attachmentError("Storage quota exceeded, delete some attachments first", 413);
+    }
+};
+
+const releaseStorage = async (user, size) => {
+    if (size) {
+        await User.updateOne({ _id: user, storageUsed: { $ne: null } }, { $inc: { storageUsed: -size } });
+    }
+};
+
+const findParent = async (user, { object, journal }) => {
+    if (object && !await Object.exists({ _id: object, user, isDeleted: false })) {
+        throw attachmentError("Object not found or you do not have permission to access it", 404);
+    }
+    if (journal && !await Journal.exists({ _id: journal, user })) {
+        throw attachmentError("Journal not found or you do not have permission to access it", 404);
+    }
+    return { object: object || null, journal: journal || null };
+};
+
+/**
+ * Stores an uploaded file, optionally attached to an object or a journal
+ * @param {Object} user - The user document
+ * @param {Object} file - Multer file kept in memory
+ * @param {Object} parent - { object, journal }
+ * @returns {Promise<Object>} - The attachment with a signed link
+ */
+const createAttachment = async (user, file, parent = {}) => {
+    if (!file) {
+        throw attachmentError("No file uploaded", 400);
+    }
+    const { object, journal } = await findParent(user._id, parent);
+
+    await reserveStorage(user._id, file.size);
+
+    const asset = new FileAsset({
+        user: user._id,
+        object,
+        journal,
+        filename: file.originalname,
+        contentType: file.mimetype || "application/octet-stream",
+        size: file.size,
+        driver: storage.name
+    });
+    asset.key = `attachments/user-${user.uuid}/${asset.uuid}-${file.originalname.replace(/[^\w.-]+/g, "_")}`;
+
+    try {
+        await storage.put(asset.key, file.buffer, { contentType: asset.contentType });
+        await asset.save();
+    } catch (error) {
+        await releaseStorage(user._id, file.size);
+        throw error;
+    }
+    return toAttachmentResponse(asset);
+};
+
+const getAttachments = async (user, parent, page = {}) => {
+    const { object, journal } = await findParent(user, parent);
+    const filter = { user, isDeleted: false, ...(object ? { object } : { journal }) };
+    const result = await paginate(FileAsset, filter, { sort: { createdAt: -1 }, ...page });
+    return { ...result, items: result.items.map(toAttachmentResponse) };
+};
+
+const findAttachment = async (user, id) => {
+    const asset = await FileAsset.findOne({ _id: id, user, isDeleted: false });
+    if (!asset) {
+        throw attachmentError("Attachment not found or you do not have permission to access it", 404);
+    }
+    return asset;
+};
+
+// A fresh signed link for an attachment whose link expired
+const getAttachment = async (user, id) => toAttachmentResponse(await findAttachment(user, id));
+
+const removeFile = async (asset) => {
+    try {
+        await storage.remove(asset.key);
+    } catch (error) {
+        console.error(`Failed to remove file ${asset.key}:`, error.message);
+    }
+};
+
+const deleteAttachment = async (user, id) => {
+    const asset = await findAttachment(user, id);
+    asset.isDeleted = true;
+    asset.deletedAt = new Date();
+    await asset.save();
+    await releaseStorage(asset.user, asset.size);
+    if (asset.key) {
+        await removeFile(asset);
+    }
+    return asset;
+};
+
+// Removes the files and records of attachments and gives their space back
+const purgeAttachments = async (assets) => {
+    for (const asset of assets) {
+        if (asset.key) {
+            await removeFile(asset);
+        }
+        if (!asset.isDeleted) {
+            await releaseStorage(asset.user, asset.size);
+        }
+    }
+    await FileAsset.deleteMany({ _id: { $in: assets.map(asset => asset._id) } });
+    return assets.filter(asset => asset.key).length;
+};
+
+/**
+ * Removes the files of objects that are deleted for good
+ * @param {Array} objectIds - Ids of the purged objects
+ * @returns {Promise<Number>} - Number of files removed
+ */
+const deleteObjectAttachments = async (objectIds) => {
+    const assets = await FileAsset.find({ object: { $in: objectIds } }).select("key user size isDeleted").lean();
+    return await purgeAttachments(assets);
+};
+
+/**
+ * Removes the files of attachments whose journal no longer exists
+ * @param {Number} limit - Attachments handled per call
+ * @returns {Promise<Number>} - Number of files removed
+ */
+const deleteOrphanedJournalAttachments = async (limit = 100) => {
+    const assets = await FileAsset.aggregate([
+        { $match: { journal: { $ne: null } } },
+        { $lookup: { from: "journals", localField: "journal", foreignField: "_id", as: "parent" } },
+        { $match: { parent: { $size: 0 } } },
+        { $limit: limit },
+        { $project: { key: 1, user: 1, size: 1, isDeleted: 1 } }
+    ]);
+    return await purgeAttachments(assets);
+};
+
+/**
+ * Opens the file behind a signed link
+ * @param {String} id - Id of the attachment
+ * @param {Object} query - { expires, signature } from the link
+ * @returns {Promise<Object>} - { filename, contentType, disposition, size, stream }
+ */
+const openAttachmentFile = async (id, query) => {
+    if (!Types.ObjectId.isValid(id)) {
+        throw attachmentError("File not found", 404);
+    }
+    const reason = verifySignedPath(getFilePath({ _id: id }), query, { secret: getFileUrlSecret() });
+    if (reason) {
+        throw attachmentError(reason, 403);
+    }
+
+    const asset = await FileAsset.findOne({ _id: id, isDeleted: false, key: { $ne: null } });
+    if (!asset) {
+        throw attachmentError("File not found", 404);
+    }
+    const { stream, size } = await storage.get(asset.key);
+    return {
+        filename: asset.filename,
+        contentType: asset.contentType,
+        disposition: INLINE_CONTENT_TYPES.test(asset.contentType) ? "inline" : "attachment",
+        size: size ?? asset.size,
+        stream
+    };
+};
+
+export {
+    toAttachmentResponse,
+    getStorageUsage,
+    createAttachment,
+    getAttachments,
+    getAttachment,
+    deleteAttachment,
+    deleteObjectAttachments,
+    deleteOrphanedJournalAttachments,
+    openAttachmentFile
+}
@@ -1,15 +1,23 @@
 import { Block } from "../../models/lib/block.model.js";
 import { createObject } from "./object.service.js";
+import { moveToTrash } from "./trash.service.js";
+import { getView } from "./view.service.js";
 
 const createBlock = async (user, blockData, array) => {
     const type = blockData.data.type;
 
+    // View blocks pin one of the user's saved views
+    let view = null;
+    if (type === 'view') {
+        view = await getView(user, blockData.data.view);
+    }
+
     // Initialize block with common properties
     const block = new Block({
-        name: blockData.name || type,
+        name: blockData.name || view?.name || type,
         user,
         array,
-        data: { ...blockData.data }
+        data: view ? { ...blockData.data, view: view._id.toString() } : { ...blockData.data }
     });
 
     // Handle specific types
@@ -32,7 +40,8 @@ const createBlock = async (user, blockData, array) => {
 const getBlocks = async (user, array) => {
     const blocks = await Block.find({
         user,
-        array
+        array,
+        isDeleted: false
     })
     if (!blocks) {
         throw new Error('Blocks not found');
@@ -41,19 +50,17 @@ const getBlocks = async (user, array) => {
 };
 
 const deleteBlock = async (id, array, user) => {
-    const block = await Block.findOneAndDelete({ _id: id, user, array });
+    const entry = await moveToTrash(user, "block", id, { array });
 
-    if (!block) {
-        throw new Error('Block not found');
-    }
-    return block;
+    return entry;
 };
 
 const getBlock = async (user, id, array) => {
     const block = await Block.findOne({
         _id: id,
         user,
-        array
+        array,
+        isDeleted: false
     }).populate({
         path: 'data.item',
         model: 'Item'
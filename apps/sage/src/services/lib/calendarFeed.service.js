@@ -0,0 +1,144 @@
+import { randomBytes } from "crypto";
+import { Types } from "mongoose";
+import { CalendarFeed } from "../../models/lib/calendarFeed.model.js";
+import { Object } from "../../models/lib/object.model.js";
+import { User } from "../../models/core/user.model.js";
+import { environment } from "../../loaders/environment.loader.js";
+import { buildObjectComponent, buildCycleComponent, buildCalendar } from "../../utils/ical.service.js";
+
+// Past items older than this are left out of the feed, recurring ones are always in
+const FEED_HISTORY_DAYS = 90;
+const FEED_LIMIT = 2000;
+
+const feedError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const createToken = () => randomBytes(24).toString("base64url");
+
+const toFeedResponse = (feed) => ({
+    url: `${environment.BACKEND_URL}/ical/${feed.token}.ics`,
+    createdAt: feed.updatedAt,
+    lastAccessedAt: feed.lastAccessedAt
+});
+
+const getCalendarFeed = async (user) => {
+    const feed = await CalendarFeed.findOne({ user });
+    return feed ? toFeedResponse(feed) : null;
+};
+
+/**
+ * Creates the user's feed, or replaces its token so the old URL stops working
+ * @param {String} user - Id of the user
+ * @returns {Promise<Object>} - { url, createdAt, lastAccessedAt }
+ */
+const generateCalendarFeed = async (user) => {
+    const replaceToken = () => CalendarFeed.findOneAndUpdate(
+        { user },
+        { $set: { token: createToken(), lastAccessedAt: null } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+    let feed;
+    try {
+        feed = await replaceToken();
+    } catch (error) {
+        // Another request created the feed at the same time; replace its token instead
+        if (error.code !== 11000) {
+            throw error;
+        }
+        feed = await replaceToken();
+    }
+    return toFeedResponse(feed);
+};
+
+// Every feed of the user goes, so no secret URL outlives the revocation
+const revokeCalendarFeed = async (user) => {
+    const { deletedCount } = await CalendarFeed.deleteMany({ user });
+    if (!deletedCount) {
+        throw feedError("Calendar feed not found", 404);
+    }
+};
+
+const parseIdList = (value, name) => {
+    const ids = String(value).split(",").map(id => id.trim()).filter(Boolean);
+    if (ids.some(id => !Types.ObjectId.isValid(id))) {
+        throw feedError(`${name} must be a comma-separated list of ids`, 400);
+    }
+    return ids.map(id => new Types.ObjectId(id));
+};
+
+const buildFeedFilter = (user, { array, type, label }) => {
+    const filter = { user, isDeleted: false };
+    if (array) {
+        filter.arrays = { $in: parseIdList(array, "array") };
+    }
+    if (type) {
+        filter.type = { $in: String(type).split(",").map(slug => slug.trim()) };
+    }
+    if (label) {
+        filter.labels = { $in: parseIdList(label, "label") };
+    }
+    return filter;
+};
+
+const getCycleRanges = async (filter, since) => {
+    return await Object.aggregate([
+        { $match: { ...filter, "cycle.startsAt": { $ne: null, $gte: since }, "cycle.endsAt": { $ne: null } } },
+        { $group: { _id: { startsAt: "$cycle.startsAt", endsAt: "$cycle.endsAt" }, count: { $sum: 1 } } },
+        { $sort: { "_id.startsAt": 1 } }
+    ]);
+};
+
+/**
+ * Renders the calendar behind a feed token
+ * @param {String} token - Secret token from the feed URL
+ * @param {Object} options
+ * @param {String} options.array - Comma-separated array ids to include
+ * @param {String} options.type - Comma-separated object types to include
+ * @param {String} options.label - Comma-separated label ids to include
+ * @param {String} options.mode - "events" or "todos"
+ * @param {Boolean} options.completed - Include completed objects
+ * @param {Boolean} options.cycles - Include an all-day event per cycle
+ * @returns {Promise<String>} - The .ics document
+ */
+const renderCalendarFeed = async (token, { array, type, label, mode = "events", completed = false, cycles = true }) => {
+    const feed = await CalendarFeed.findOneAndUpdate({ token }, { $set: { lastAccessedAt: new Date() } }, { new: true });
+    if (!feed) {
+        throw feedError("Calendar feed not found", 404);
+    }
+
+    const { timezone = "UTC" } = await User.findById(feed.user).select("timezone").lean() || {};
+    const since = new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+    const filter = buildFeedFilter(feed.user, { array, type, label });
+
+    const objects = await Object.find({
+        ...filter,
+        ...(completed ? {} : { isCompleted: false }),
+        "due.date": { $ne: null },
+        $or: [
+            { "due.date": { $gte: since.toISOString() } },
+            { "due.is_recurring": true }
+        ]
+    })
+        .populate("labels", "name")
+        .sort({ "due.date": 1 })
+        .limit(FEED_LIMIT)
+        .lean();
+
+    const components = objects.map(object => buildObjectComponent(object, { mode, timezone }));
+    if (cycles) {
+        const ranges = await getCycleRanges(filter, since);
+        ranges.forEach(({ _id, count }) => components.push(buildCycleComponent({ ..._id, count }, timezone)));
+    }
+
+    return buildCalendar({ name: "sage", timezone, components });
+};
+
+export {
+    getCalendarFeed,
+    generateCalendarFeed,
+    revokeCalendarFeed,
+    renderCalendarFeed
+}
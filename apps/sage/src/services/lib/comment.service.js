@@ -0,0 +1,299 @@
+import { Comment } from "../../models/lib/comment.model.js";
+import { Object } from "../../models/lib/object.model.js";
+import { Array } from "../../models/lib/array.model.js";
+import { Revision } from "../../models/lib/revision.model.js";
+import { User } from "../../models/core/user.model.js";
+import { paginate } from "../../utils/pagination.service.js";
+import { extractMentions, toCommentPreview, formatMirroredBody } from "../../utils/comment-text.service.js";
+import { buildActivityFeed } from "../../utils/activity.service.js";
+import { createLinearComment, updateLinearComment, deleteLinearComment } from "../integration/linear.service.js";
+import { createGithubComment, updateGithubComment, deleteGithubComment } from "../integration/github.service.js";
+import { publishToUser } from "./notificationChannel.service.js";
+
+const MIRRORED_SOURCES = ["linear", "github"];
+const AUTHOR_FIELDS = "fullName userName avatar";
+
+const commentError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Objects can be discussed by their owner and the members of the arrays they are in
+ */
+const findAccessibleObject = async (user, objectId) => {
+    const arrays = await Array.find({ users: user, isDeleted: false }).distinct("_id");
+    const object = await Object.findOne({
+        _id: objectId,
+        isDeleted: false,
+        $or: [{ user }, { arrays: { $in: arrays } }]
+    }).select("_id title user arrays source id metadata");
+    if (!object) {
+        throw commentError("Object not found or you do not have permission to access it", 404);
+    }
+    return object;
+};
+
+const getObjectMembers = async (object) => {
+    const arrays = await Array.find({ _id: { $in: object.arrays }, isDeleted: false }).select("users").lean();
+    return [...new Set([String(object.user), ...arrays.flatMap(array => array.users.map(String))])];
+};
+
+// Mentions only notify people who can open the object
+const resolveMentions = async (object, body) => {
+    const names = extractMentions(body);
+    if (!names.length) {
+        return [];
+    }
+    const users = await User.find({
+        _id: { $in: await getObjectMembers(object) },
+        userName: { $in: names.map(name => new RegExp(`^${escapeRegExp(name)}$`, "i")) }
+    }).select("_id");
+    return users.map(mentioned => mentioned._id);
+};
+
+const notifyComment = async (comment, object, author, mentions, { notifyOwner = false } = {}) => {
+    const preview = `${author.fullName || author.userName}: ${toCommentPreview(comment.body)}`;
+    const recipients = new Map(mentions.map(id => [String(id), "mention"]));
+    if (notifyOwner && !recipients.has(String(object.user))) {
+        recipients.set(String(object.user), "create");
+    }
+    recipients.delete(String(author._id));
+
+    for (const [recipient, action] of recipients) {
+        await publishToUser(recipient, {
+            type: "comment",
+            message: preview,
+            action,
+            item: object,
+            comment: comment._id
+        });
+    }
+};
+
+/**
+ * Account used to post to the upstream issue, when the owner of the object syncs comments
+ * @returns {Promise<Object|null>} - { source, owner }
+ */
+const getMirrorTarget = async (object) => {
+    if (!MIRRORED_SOURCES.includes(object.source) || !object.id) {
+        return null;
+    }
+    const owner = await User.findById(object.user).select(`${AUTHOR_FIELDS} integration.linear integration.github`);
+    const settings = owner?.integration?.[object.source];
+    if (!settings?.connected || !settings.syncComments) {
+        return null;
+    }
+    return { source: object.source, owner };
+};
+
+/**
+ * Creates, updates or deletes the upstream copy of a comment. Failures are kept
+ * on the comment rather than thrown, so the comment itself is always saved.
+ * @param {Object} comment - The comment document
+ * @param {Object} object - Its object
+ * @param {String} operation - "create", "update" or "delete"
+ * @param {Object} author - The author's user document
+ * @returns {Promise<Object>} - The comment
+ */
+const mirrorComment = async (comment, object, operation, author) => {
+    const target = await getMirrorTarget(object);
+    if (!target || comment.source !== "momo") {
+        return comment;
+    }
+    if (!comment.external?.id) {
+        // A comment whose first sync failed is posted again when edited
+        if (operation === "delete") {
+            return comment;
+        }
+        operation = "create";
+    }
+
+    const { source, owner } = target;
+    // GitHub comments are posted by the app, Linear ones with the owner's account
+    const credit = source === "github" || !owner._id.equals(author._id) ? author.fullName || author.userName : null;
+    const body = formatMirroredBody(comment.body, credit);
+    const linearToken = owner.integration.linear?.accessToken;
+    const installationId = owner.integration.github?.installationId;
+
+    comment.sync.body = body;
+    try {
+        if (operation === "create") {
+            // Saved first, so the webhook for the new upstream comment is recognized as ours
+            comment.sync.status = "pending";
+            await comment.save();
+            const external = source === "linear"
+                ? await createLinearComment(linearToken, object.id, body)
+                : await createGithubComment(installationId, object.metadata, body);
+            comment.external = { source, id: String(external.id), url: external.url };
+        } else if (operation === "update") {
+            await (source === "linear"
+                ? updateLinearComment(linearToken, comment.external.id, body)
+                : updateGithubComment(installationId, object.metadata, comment.external.id, body));
+        } else {
+            await (source === "linear"
+                ? deleteLinearComment(linearToken, comment.external.id)
+                : deleteGithubComment(installationId, object.metadata, comment.external.id));
+        }
+        comment.sync.status = "synced";
+        comment.sync.error = null;
+        comment.sync.syncedAt = new Date();
+    } catch (error) {
+        comment.sync.status = "failed";
+        comment.sync.error = error.response?.data?.message || error.message;
+    }
+    return await comment.save();
+};
+
+const getComments = async (user, objectId, page = {}) => {
+    const object = await findAccessibleObject(user, objectId);
+    return await paginate(Comment, { object: object._id, isDeleted: false }, {
+        sort: { createdAt: 1 },
+        populate: { path: "user", select: AUTHOR_FIELDS },
+        ...page
+    });
+};
+
+/**
+ * Adds a comment to an object, notifies the people it mentions and the object's owner,
+ * and posts it to the upstream issue when the owner syncs comments
+ * @param {String} user - Id of the author
+ * @param {String} objectId - Id of the object
+ * @param {Object} data - { body }
+ * @returns {Promise<Object>} - The comment
+ */
+const createComment = async (user, objectId, { body }) => {
+    const object = await findAccessibleObject(user, objectId);
+    const author = await User.findById(user).select(AUTHOR_FIELDS);
+    const mentions = await resolveMentions(object, body);
+
+    const comment = new Comment({ object: object._id, user, body, mentions });
+    await comment.save();
+    await mirrorComment(comment, object, "create", author);
+    await notifyComment(comment, object, author, mentions, { notifyOwner: true });
+
+    return await comment.populate("user", AUTHOR_FIELDS);
+};
+
+const updateComment = async (user, commentId, { body }) => {
+    const comment = await Comment.findOne({ _id: commentId, user, isDeleted: false });
+    if (!comment) {
+        throw commentError("Comment not found or you do not have permission to edit it", 404);
+    }
+    const object = await findAccessibleObject(user, comment.object);
+    const author = await User.findById(user).select(AUTHOR_FIELDS);
+    const mentions = await resolveMentions(object, body);
+    const previous = new Set(comment.mentions.map(String));
+
+    comment.body = body;
+    comment.mentions = mentions;
+    comment.editedAt = new Date();
+    await comment.save();
+    await mirrorComment(comment, object, "update", author);
+    await notifyComment(comment, object, author, mentions.filter(id => !previous.has(String(id))));
+
+    return await comment.populate("user", AUTHOR_FIELDS);
+};
+
+/**
+ * Deletes a comment. Authors can delete their comments, owners any comment on their objects.
+ * Comments written upstream are only hidden here.
+ */
+const deleteComment = async (user, commentId) => {
+    const comment = await Comment.findOne({ _id: commentId, isDeleted: false });
+    if (!comment) {
+        throw commentError("Comment not found or you do not have permission to delete it", 404);
+    }
+    const object = await findAccessibleObject(user, comment.object);
+    if (String(comment.user) !== String(user) && String(object.user) !== String(user)) {
+        throw commentError("Comment not found or you do not have permission to delete it", 404);
+    }
+
+    comment.isDeleted = true;
+    comment.deletedAt = new Date();
+    await comment.save();
+    if (comment.user) {
+        await mirrorComment(comment, object, "delete", await User.findById(comment.user).select(AUTHOR_FIELDS));
+    }
+    return comment;
+};
+
+/**
+ * Comments and changes of an object, newest first
+ * @param {String} user - Id of the user
+ * @param {String} objectId - Id of the object
+ * @param {Object} options
+ * @param {Number} options.limit - Maximum number of events to return
+ * @param {String} options.before - Only return events older than this date
+ * @returns {Promise<Array>} - Events with `kind`, `at` and `actor`
+ */
+const getObjectActivity = async (user, objectId, { limit = 50, before } = {}) => {
+    const object = await findAccessibleObject(user, objectId);
+
+    const query = { object: object._id };
+    if (before) {
+        const date = new Date(before);
+        if (isNaN(date.getTime())) {
+            throw commentError("before must be a valid date", 400);
+        }
+        query.createdAt = { $lt: date };
+    }
+
+    const [comments, revisions] = await Promise.all([
+        Comment.find({ ...query, isDeleted: false })
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .populate("user", AUTHOR_FIELDS)
+            .lean(),
+        Revision.find(query)
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .lean()
+    ]);
+
+    return buildActivityFeed(comments, revisions, limit);
+};
+
+const getCommentSync = async (user) => {
+    const { integration } = await User.findById(user).select("integration.linear integration.github").lean() || {};
+    return MIRRORED_SOURCES.reduce((settings, source) => ({
+        ...settings,
+        [source]: {
+            connected: Boolean(integration?.[source]?.connected),
+            syncComments: Boolean(integration?.[source]?.syncComments)
+        }
+    }), {});
+};
+
+/**
+ * Turns the mirroring of comments with Linear and GitHub on or off
+ * @param {String} user - Id of the user
+ * @param {Object} settings - { linear, github }, booleans
+ * @returns {Promise<Object>} - The settings of both integrations
+ */
+const updateCommentSync = async (user, settings) => {
+    const current = await getCommentSync(user);
+    const update = {};
+    for (const source of MIRRORED_SOURCES.filter(name => settings[name] !== undefined)) {
+        const enabled = settings[source];
+        if (enabled && !current[source].connected) {
+            throw commentError(`Connect ${source === "linear" ? "Linear" : "GitHub"} before syncing its comments`, 400);
+        }
+        update[`integration.${source}.syncComments`] = enabled;
+    }
+    await User.updateOne({ _id: user }, { $set: update });
+    return await getCommentSync(user);
+};
+
+export {
+    getComments,
+    createComment,
+    updateComment,
+    deleteComment,
+    getObjectActivity,
+    getCommentSync,
+    updateCommentSync
+}
@@ -0,0 +1,325 @@
+import { Cycle } from "../../models/lib/cycle.model.js";
+import { Object } from "../../models/lib/object.model.js";
+import { User } from "../../models/core/user.model.js";
+import { paginate } from "../../utils/pagination.service.js";
+import { DEFAULT_CYCLE_SETTINGS, getNextCycleRange, countBySource, summarizeVelocity } from "../../utils/cycle.service.js";
+import { getRemainingMinutes } from "./timeTracking.service.js";
+import { publishToUser } from "./notificationChannel.service.js";
+
+// Objects listed in the report of a cycle; the counts include the rest
+const MAX_REPORT_OBJECTS = 500;
+// Linear plans the cycles of its issues itself, so they are never carried over here
+const UNMANAGED_SOURCES = ["linear"];
+// A rollover that has not closed its cycle after this long is considered lost
+const ROLLOVER_LEASE_MS = 10 * 60 * 1000;
+
+const HISTORY_FIELDS = [
+    "number",
+    "startsAt",
+    "endsAt",
+    "timezone",
+    "status",
+    "closedAt",
+    "completed.count",
+    "completed.bySource",
+    "carriedOver.count",
+    "carriedOver.estimatedMinutes",
+    "carriedOver.unestimated"
+];
+
+const cycleError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const toCycleItem = (object) => ({ object: object._id, title: object.title || "", source: object.source || "momo" });
+
+const getCycleOptions = async (user) => {
+    const { timezone, cycleSettings } = await User.findById(user).select("timezone cycleSettings").lean() || {};
+    return { timezone: timezone || "UTC", settings: { ...DEFAULT_CYCLE_SETTINGS, ...cycleSettings } };
+};
+
+/**
+ * Opens the cycle after another one, or the user's first cycle. Safe to call more
+ * than once for the same previous cycle: the existing next cycle is returned.
+ * @param {String} user - Id of the user
+ * @param {Object} previous - The previous cycle, null for a first cycle
+ * @param {Date} now
+ * @returns {Promise<Document>} - The active cycle
+ */
+const openNextCycle = async (user, previous, now = new Date()) => {
+    const { timezone, settings } = await getCycleOptions(user);
+    const { startsAt, endsAt } = getNextCycleRange(previous?.endsAt || null, settings, timezone, now);
+
+    try {
+        return await Cycle.findOneAndUpdate(
+            { user, startsAt },
+            { $setOnInsert: { endsAt, timezone, number: (previous?.number || 0) + 1, status: "active" } },
+            { upsert: true, new: true }
+        );
+    } catch (error) {
+        // Opened by a concurrent request or the rollover job
+        if (error.code !== 11000) {
+            throw error;
+        }
+        return await Cycle.findOne({ user, startsAt });
+    }
+};
+
+const notifyRollover = async (cycle, next) => {
+    const { completed, carriedOver } = cycle;
+    if (!completed.count && !carriedOver.count) {
+        return;
+    }
+
+    const message = `Cycle ${cycle.number} closed: ${completed.count} completed, ${carriedOver.count} carried over`;
+    await publishToUser(cycle.user, {
+        type: "cycle",
+        message,
+        action: "rollover",
+        cycle: { _id: cycle._id, startsAt: cycle.startsAt, endsAt: cycle.endsAt },
+        next: { _id: next._id, startsAt: next.startsAt, endsAt: next.endsAt },
+        completed: completed.count,
+        items: carriedOver.count,
+        estimatedMinutes: carriedOver.estimatedMinutes,
+        unestimated: carriedOver.unestimated
+    }, {
+        title: message,
+        body: carriedOver.estimatedMinutes ? `${carriedOver.estimatedMinutes} estimated minutes carried over` : ""
+    });
+};
+
+/**
+ * Closes a cycle that ended: records what was completed during it, moves its
+ * unfinished objects into the next cycle and records them as carried over
+ * @param {Document} cycle - The ended cycle
+ * @param {Date} now
+ * @returns {Promise<Document>} - The next cycle
+ */
+const rolloverCycle = async (cycle, now = new Date()) => {
+    // Only one caller rolls a cycle over; the others get the cycle it opened. The
+    // cycle stays active until everything is done, so a rollover that failed
+    // halfway is retried once its lease runs out.
+    const claimed = await Cycle.findOneAndUpdate(
+        {
+            _id: cycle._id,
+            status: "active",
+            $or: [
+                { rolloverStartedAt: null },
+                { rolloverStartedAt: { $lt: new Date(Date.now() - ROLLOVER_LEASE_MS) } }
+            ]
+        },
+        { $set: { rolloverStartedAt: new Date() } },
+        { new: true }
+    );
+    const next = await openNextCycle(cycle.user, cycle, now);
+    if (!claimed) {
+        return next;
+    }
+
+    const user = claimed.user;
+    const completedFilter = { user, isDeleted: false, completedAt: { $gte: claimed.startsAt, $lt: claimed.endsAt } };
+    const carriedFilter = {
+        user,
+        isDeleted: false,
+        isArchived: false,
+        isCompleted: false,
+        source: { $nin: UNMANAGED_SOURCES },
+        "cycle.startsAt": { $ne: null, $lt: claimed.endsAt }
+    };
+
+    const [completedObjects, carriedObjects] = await Promise.all([
+        Object.find(completedFilter).select("_id title source").lean(),
+        Object.find(carriedFilter).select("_id title source estimate timeSpent").lean()
+    ]);
+
+    await Object.updateMany(
+        { _id: { $in: carriedObjects.map(object => object._id) } },
+        { $set: { "cycle.startsAt": next.startsAt, "cycle.endsAt": next.endsAt } }
+    );
+
+    const remaining = carriedObjects.map(getRemainingMinutes);
+    const closed = await Cycle.findOneAndUpdate(
+        { _id: claimed._id, status: "active" },
+        {
+            $set: {
+                status: "closed",
+                closedAt: now,
+                rolloverStartedAt: null,
+                completed: {
+                    count: completedObjects.length,
+                    bySource: countBySource(completedObjects),
+                    objects: completedObjects.slice(0, MAX_REPORT_OBJECTS).map(toCycleItem)
+                },
+                carriedOver: {
+                    count: carriedObjects.length,
+                    estimatedMinutes: remaining.reduce((total, minutes) => total + (minutes || 0), 0),
+                    unestimated: remaining.filter(minutes => minutes === null).length,
+                    objects: carriedObjects.slice(0, MAX_REPORT_OBJECTS).map(toCycleItem)
+                }
+            }
+        },
+        { new: true }
+    );
+    // Closed meanwhile by a rollover that took over the lease
+    if (!closed) {
+        return next;
+    }
+
+    await notifyRollover(closed, next);
+    return next;
+};
+
+/**
+ * The user's cycle for now, rolling over an ended one and opening the first one as needed
+ * @param {String} user - Id of the user
+ * @returns {Promise<Document>}
+ */
+const getCurrentCycle = async (user) => {
+    const now = new Date();
+    const active = await Cycle.findOne({ user, status: "active" }).sort({ startsAt: -1 });
+    if (active && active.endsAt > now) {
+        return active;
+    }
+    if (active) {
+        return await rolloverCycle(active, now);
+    }
+
+    const last = await Cycle.findOne({ user }).sort({ startsAt: -1 });
+    return await openNextCycle(user, last, now);
+};
+
+/**
+ * The current cycle with its progress so far
+ * @param {String} user - Id of the user
+ * @returns {Promise<Object>} - The cycle with `progress: { completed, bySource, remaining, remainingMinutes }`
+ */
+const getCurrentCycleReport = async (user) => {
+    const cycle = await getCurrentCycle(user);
+    const [completedObjects, remainingObjects] = await Promise.all([
+        Object.find({ user, isDeleted: false, completedAt: { $gte: cycle.startsAt, $lt: cycle.endsAt } }).select("source").lean(),
+        Object.find({
+            user,
+            isDeleted: false,
+            isArchived: false,
+            isCompleted: false,
+            "cycle.startsAt": { $gte: cycle.startsAt, $lt: cycle.endsAt }
+        }).select("estimate timeSpent").lean()
+    ]);
+
+    return {
+        ...cycle.toObject(),
+        progress: {
+            completed: completedObjects.length,
+            bySource: countBySource(completedObjects),
+            remaining: remainingObjects.length,
+            remainingMinutes: remainingObjects.reduce((total, object) => total + (getRemainingMinutes(object) || 0), 0)
+        }
+    };
+};
+
+const getCycleHistory = async (user, page = {}) => {
+    return await paginate(Cycle, { user }, { sort: { startsAt: -1 }, fields: HISTORY_FIELDS, ...page });
+};
+
+const getCycle = async (user, id) => {
+    const cycle = await Cycle.findOne({ _id: id, user });
+    if (!cycle) {
+        throw cycleError("Cycle not found", 404);
+    }
+    return cycle;
+};
+
+/**
+ * Items completed per closed cycle and per source
+ * @param {String} user - Id of the user
+ * @param {Object} options
+ * @param {Number} options.count - Number of recent cycles
+ * @returns {Promise<Object>} - { cycles, average }
+ */
+const getVelocity = async (user, { count = 6 } = {}) => {
+    const cycles = await Cycle.find({ user, status: "closed" })
+        .sort({ startsAt: -1 })
+        .limit(count)
+        .select(HISTORY_FIELDS.join(" "))
+        .lean();
+    return summarizeVelocity(cycles);
+};
+
+const getCycleSettings = async (user) => {
+    const { timezone, settings } = await getCycleOptions(user);
+    return { ...settings, timezone };
+};
+
+/**
+ * Changes the length and start day of the user's cycles, from the next cycle on
+ * @param {String} user - Id of the user
+ * @param {Object} settings - { length, startDay }
+ * @returns {Promise<Object>} - The settings with the user's timezone
+ */
+const updateCycleSettings = async (user, { length, startDay }) => {
+    const update = {};
+    if (length !== undefined) {
+        update["cycleSettings.length"] = length;
+    }
+    if (startDay !== undefined) {
+        update["cycleSettings.startDay"] = startDay;
+    }
+    await User.updateOne({ _id: user }, { $set: update });
+    return await getCycleSettings(user);
+};
+
+/**
+ * Rolls over every cycle that has ended
+ * @returns {Promise<Number>} - Number of cycles closed
+ */
+const rolloverDueCycles = async () => {
+    const now = new Date();
+    const cycles = await Cycle.find({ status: "active", endsAt: { $lte: now } });
+    let closed = 0;
+    for (const cycle of cycles) {
+        try {
+            await rolloverCycle(cycle, now);
+            closed += 1;
+        } catch (error) {
+            console.error(`Failed to roll over cycle ${cycle._id}:`, error);
+        }
+    }
+    return closed;
+};
+
+/**
+ * Opens a first cycle for users who plan objects in cycles but have none yet
+ * @returns {Promise<Number>} - Number of cycles opened
+ */
+const openMissingCycles = async () => {
+    const [users, withCycle] = await Promise.all([
+        Object.distinct("user", {
+            isDeleted: false,
+            isCompleted: false,
+            source: { $nin: UNMANAGED_SOURCES },
+            "cycle.startsAt": { $ne: null }
+        }),
+        Cycle.distinct("user", { status: "active" })
+    ]);
+    const active = new Set(withCycle.map(String));
+
+    const missing = users.filter(user => user && !active.has(String(user)));
+    for (const user of missing) {
+        await getCurrentCycle(user);
+    }
+    return missing.length;
+};
+
+export {
+    getCurrentCycle,
+    getCurrentCycleReport,
+    getCycleHistory,
+    getCycle,
+    getVelocity,
+    getCycleSettings,
+    updateCycleSettings,
+    rolloverDueCycles,
+    openMissingCycles
+}
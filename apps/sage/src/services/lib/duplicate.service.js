@@ -0,0 +1,216 @@
+import { Object } from "../../models/lib/object.model.js";
+import { generateEmbedding, pineconeIndex } from "../../utils/helper.service.js";
+import { extractPlainText } from "../../utils/text.service.js";
+import { MIN_DUPLICATE_SCORE, extractObjectReferences, scoreDuplicate, findReferenceMatches, groupMatches, pickCanonical, mergeMetadata } from "../../utils/duplicate.service.js";
+import { createRelation } from "./relation.service.js";
+
+const CANDIDATE_FIELDS = "title description source metadata aliasOf createdAt";
+const SUMMARY_FIELDS = "title source status isCompleted metadata.url labels createdAt";
+// Most recently updated objects compared with each other
+const MAX_CANDIDATES = 1000;
+const SIMILAR_CANDIDATES = 20;
+
+const duplicateError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const unionIds = (ids) => [...new Map(ids.map(id => [String(id), id])).values()];
+
+// Live objects, and the aliases whose links now belong to their canonical object
+const CANDIDATE_FILTER = {
+    isDeleted: false,
+    $or: [{ isArchived: false, aliasOf: null }, { aliasOf: { $ne: null } }]
+};
+
+const loadCandidates = async (user, extraIds = []) => {
+    const [recent, extra] = await Promise.all([
+        Object.find({ user, ...CANDIDATE_FILTER })
+            .sort({ updatedAt: -1 })
+            .limit(MAX_CANDIDATES)
+            .select(CANDIDATE_FIELDS)
+            .lean(),
+        extraIds.length
+            ? Object.find({ user, _id: { $in: extraIds }, ...CANDIDATE_FILTER }).select(CANDIDATE_FIELDS).lean()
+            : []
+    ]);
+    return [...new Map([...recent, ...extra].map(object => [String(object._id), object])).values()];
+};
+
+/**
+ * Groups objects with their aliases, so that a link to an alias matches its canonical object
+ * @param {Array} objects - Objects from loadCandidates
+ * @param {Map} similarities - Embedding similarity by object id
+ * @returns {Array} - { id, references, similarity }
+ */
+const toCandidates = (objects, similarities = new Map()) => {
+    const candidates = new Map();
+    for (const object of objects) {
+        const id = String(object.aliasOf || object._id);
+        const { own, mentioned } = extractObjectReferences(object);
+        const candidate = candidates.get(id) || { id, references: { own: [], mentioned: [] }, similarity: null };
+
+        candidate.references = {
+            own: [...new Set([...candidate.references.own, ...own])],
+            mentioned: [...new Set([...candidate.references.mentioned, ...mentioned])]
+        };
+        const similarity = similarities.get(String(object._id));
+        if (similarity !== undefined) {
+            candidate.similarity = Math.max(candidate.similarity || 0, similarity);
+        }
+        candidates.set(id, candidate);
+    }
+    return [...candidates.values()];
+};
+
+// Objects that can be shown and merged: not deleted, archived or merged already
+const getMergeableObjects = async (user, ids) => {
+    const objects = await Object.find({ _id: { $in: ids }, user, isDeleted: false, isArchived: false, aliasOf: null })
+        .select(SUMMARY_FIELDS)
+        .lean();
+    return new Map(objects.map(object => [String(object._id), object]));
+};
+
+/**
+ * Objects whose text is close to an object's, from the vector index. Failures of
+ * the index only cost the semantic part of the detection.
+ * @returns {Promise<Map>} - Cosine similarity by object id
+ */
+const findSimilarObjects = async (user, object) => {
+    const text = [object.title, extractPlainText(object.description, 2000)].filter(Boolean).join(" ");
+    if (!text) {
+        return new Map();
+    }
+
+    try {
+        const vector = await generateEmbedding(text);
+        const { matches = [] } = await pineconeIndex.query({
+            vector,
+            topK: SIMILAR_CANDIDATES,
+            filter: { userId: String(user) }
+        });
+        return new Map(matches.map(match => [match.id, match.score]));
+    } catch (error) {
+        console.error("Failed to find similar objects:", error.message);
+        return new Map();
+    }
+};
+
+/**
+ * Groups of objects that look like the same work item, found by the links they
+ * share. Each group comes with the object to keep when merging it.
+ * @param {String} user - Id of the user
+ * @param {Object} options
+ * @param {Number} options.limit - Maximum number of groups
+ * @returns {Promise<Array>} - { canonical, objects, score, pairs }
+ */
+const getDuplicateSuggestions = async (user, { limit = 20 } = {}) => {
+    const candidates = toCandidates(await loadCandidates(user));
+    const groups = groupMatches(findReferenceMatches(candidates));
+    const objects = await getMergeableObjects(user, groups.flatMap(group => group.ids));
+
+    return groups
+        .map(group => ({ ...group, objects: group.ids.map(id => objects.get(id)).filter(Boolean) }))
+        .filter(group => group.objects.length > 1)
+        .slice(0, limit)
+        .map(({ objects: members, score, pairs }) => ({
+            canonical: pickCanonical(members)._id,
+            objects: members,
+            score,
+            pairs
+        }));
+};
+
+/**
+ * Objects that may be duplicates of one object, by shared links and by the
+ * similarity of their embeddings
+ * @param {String} user - Id of the user
+ * @param {String} objectId - Id of the object
+ * @param {Object} options
+ * @param {Number} options.limit - Maximum number of matches
+ * @returns {Promise<Array>} - { object, score, reasons }, best first
+ */
+const getObjectDuplicates = async (user, objectId, { limit = 10 } = {}) => {
+    const object = await Object.findOne({ _id: objectId, user, isDeleted: false }).select(CANDIDATE_FIELDS).lean();
+    if (!object) {
+        throw duplicateError("Object not found or you do not have permission to access it", 404);
+    }
+
+    const similarities = await findSimilarObjects(user, object);
+    const candidates = toCandidates(await loadCandidates(user, [object._id, ...similarities.keys()]), similarities);
+    const targetId = String(object.aliasOf || object._id);
+    const target = candidates.find(candidate => candidate.id === targetId) ||
+        { id: targetId, references: extractObjectReferences(object) };
+
+    const matches = candidates
+        .filter(candidate => candidate.id !== targetId)
+        .map(candidate => ({ id: candidate.id, ...scoreDuplicate(target.references, candidate.references, candidate.similarity) }))
+        .filter(match => match.score >= MIN_DUPLICATE_SCORE)
+        .sort((a, b) => b.score - a.score);
+
+    const objects = await getMergeableObjects(user, matches.map(match => match.id));
+    return matches
+        .filter(match => objects.has(match.id))
+        .slice(0, limit)
+        .map(({ id, score, reasons }) => ({ object: objects.get(id), score, reasons }));
+};
+
+/**
+ * Merges duplicates into one canonical object: its labels and metadata become the
+ * union of all of them, and the others stay as archived aliases linked to it by a
+ * "duplicates" relation, so their integrations keep updating them
+ * @param {String} user - Id of the user
+ * @param {String} canonicalId - Id of the object to keep
+ * @param {Array} aliasIds - Ids of the objects merged into it
+ * @returns {Promise<Object>} - { object, aliases }
+ */
+const mergeObjects = async (user, canonicalId, aliasIds) => {
+    const ids = [...new Set(aliasIds.map(String))].filter(id => id !== String(canonicalId));
+    if (!ids.length) {
+        throw duplicateError("Choose at least one other object to merge", 400);
+    }
+
+    const canonical = await Object.findOne({ _id: canonicalId, user, isDeleted: false });
+    if (!canonical) {
+        throw duplicateError("Object not found or you do not have permission to access it", 404);
+    }
+    if (canonical.aliasOf) {
+        throw duplicateError("This object was merged into another one, merge into that object instead", 400);
+    }
+
+    const aliases = await Object.find({ _id: { $in: ids }, user, isDeleted: false });
+    if (aliases.length !== ids.length) {
+        throw duplicateError("Object not found or you do not have permission to access it", 404);
+    }
+
+    const actor = { type: "user", id: user };
+    canonical.labels = unionIds([...canonical.labels, ...aliases.flatMap(alias => alias.labels)]);
+    canonical.metadata = mergeMetadata(canonical.metadata, aliases.map(alias => alias.metadata));
+    canonical.markModified("metadata");
+    canonical.$locals.actor = actor;
+    await canonical.save();
+
+    for (const alias of aliases) {
+        alias.aliasOf = canonical._id;
+        alias.isArchived = true;
+        alias.$locals.actor = actor;
+        await alias.save();
+
+        try {
+            await createRelation(user, alias._id, canonical._id, "duplicates");
+        } catch (error) {
+            console.error(`Skipped duplicate relation of ${alias._id}:`, error.message);
+        }
+    }
+    // Objects merged into an alias earlier follow it
+    await Object.updateMany({ user, aliasOf: { $in: ids } }, { $set: { aliasOf: canonical._id } });
+
+    return { object: canonical, aliases };
+};
+
+export {
+    getDuplicateSuggestions,
+    getObjectDuplicates,
+    mergeObjects
+}
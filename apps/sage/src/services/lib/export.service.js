@@ -0,0 +1,217 @@
+import { Object } from "../../models/lib/object.model.js";
+import { Label } from "../../models/lib/label.model.js";
+import { Array } from "../../models/lib/array.model.js";
+import { Block } from "../../models/lib/block.model.js";
+import { Journal } from "../../models/lib/journal.model.js";
+import { Meeting } from "../../models/page/meetings.model.js";
+import { Type } from "../../models/lib/type.model.js";
+import { Source } from "../../models/lib/source.model.js";
+import { Relation } from "../../models/lib/relation.model.js";
+import { Export } from "../../models/lib/export.model.js";
+import { User } from "../../models/core/user.model.js";
+import { storage } from "../../loaders/s3.loader.js";
+import { exportQueue } from "../../loaders/bullmq.loader.js";
+import { buildExportFiles } from "../../utils/export-format.service.js";
+import { createArchive } from "../../utils/archive.service.js";
+import { publishToUser } from "./notificationChannel.service.js";
+
+// Accounts with more objects than this are exported in the background
+const SYNC_EXPORT_LIMIT = 2000;
+const EXPORT_TTL_DAYS = 7;
+// A pending or running export not updated for this long was lost with its worker
+const STALE_EXPORT_MINUTES = 60;
+
+const exportError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+/**
+ * Loads everything of a user that goes into an export
+ * @param {String} user - Id of the user
+ * @returns {Promise<Object>} - Lean documents per collection
+ */
+const collectExportData = async (user) => {
+    const [objects, labels, arrays, blocks, journals, meetings, types, sources, relations] = await Promise.all([
+        Object.find({ user, isDeleted: false }).sort({ createdAt: 1 }).lean(),
+        Label.find({ user }).lean(),
+        Array.find({ users: user, isDeleted: false }).lean(),
+        Block.find({ user, isDeleted: false }).lean(),
+        Journal.find({ user }).sort({ date: 1 }).lean(),
+        Meeting.find({ user, isDeleted: false }).lean(),
+        Type.find({ user, isDeleted: false }).lean(),
+        Source.find({ user, isDeleted: false }).lean(),
+        Relation.find({ user }).lean()
+    ]);
+
+    return { objects, labels, arrays, blocks, journals, meetings, types, sources, relations };
+};
+
+const countExportItems = async (user) => {
+    return await Object.countDocuments({ user, isDeleted: false });
+};
+
+/**
+ * Builds the export archive of a user
+ * @param {String} user - Id of the user
+ * @param {String} format - "json", "csv" or "markdown"
+ * @returns {Promise<Object>} - { filename, buffer }
+ */
+const buildExport = async (user, format) => {
+    const { timezone } = await User.findById(user).select("timezone").lean() || {};
+    const exportedAt = new Date();
+    const data = await collectExportData(user);
+    const files = buildExportFiles(data, format, { exportedAt, timezone: timezone || "UTC" });
+    const buffer = await createArchive(files, { mtime: exportedAt });
+    const root = files[0].name.split("/")[0];
+
+    return { filename: `${root}-${format}.tar.gz`, buffer };
+};
+
+/**
+ * Marks pending and running exports that stopped moving as failed, so a crashed
+ * worker does not keep the user from starting a new export
+ * @param {Object} filter - Extra conditions, such as the user and format
+ * @returns {Promise<Number>} - Number of exports marked as failed
+ */
+const failStaleExports = async (filter = {}) => {
+    const staleBefore = new Date(Date.now() - STALE_EXPORT_MINUTES * 60 * 1000);
+    const { modifiedCount } = await Export.updateMany(
+        { ...filter, status: { $in: ["pending", "running"] }, updatedAt: { $lt: staleBefore } },
+        { $set: { status: "failed", error: "The export did not finish in time" } }
+    );
+    return modifiedCount;
+};
+
+/**
+ * Queues a background export
+ * @param {Object} user - The user document
+ * @param {String} format - "json", "csv" or "markdown"
+ * @returns {Promise<Document>} - The pending export
+ */
+const startExportJob = async (user, format) => {
+    await failStaleExports({ user: user._id, format });
+    const running = await Export.findOne({ user: user._id, format, status: { $in: ["pending", "running"] } });
+    if (running) {
+        return running;
+    }
+
+    const exportDoc = await Export.create({ user: user._id, format });
+    await exportQueue.add('runExport', { export: exportDoc._id.toString() }, {
+        jobId: `export-${exportDoc._id}`,
+        removeOnComplete: true,
+        attempts: 2,
+        backoff: 5000
+    });
+    return exportDoc;
+};
+
+/**
+ * Builds a queued export, stores it and tells the user it is ready
+ * @param {String} exportId - Id of the export
+ * @returns {Promise<Document|null>} - The finished export, null when it no longer exists
+ */
+const runExport = async (exportId) => {
+    const exportDoc = await Export.findById(exportId).populate("user", "uuid");
+    if (!exportDoc || exportDoc.status === "done") {
+        return exportDoc;
+    }
+
+    exportDoc.status = "running";
+    exportDoc.error = null;
+    await exportDoc.save();
+
+    try {
+        const { filename, buffer } = await buildExport(exportDoc.user._id, exportDoc.format);
+        const key = `exports/user-${exportDoc.user.uuid}/${exportDoc.uuid}-${filename}`;
+        await storage.put(key, buffer, { contentType: "application/gzip" });
+
+        exportDoc.set({
+            status: "done",
+            key,
+            filename,
+            size: buffer.length,
+            completedAt: new Date(),
+            expiresAt: new Date(Date.now() + EXPORT_TTL_DAYS * 24 * 60 * 60 * 1000)
+        });
+        await exportDoc.save();
+    } catch (error) {
+        exportDoc.set({ status: "failed", error: error.message });
+        await exportDoc.save();
+        throw error;
+    }
+
+    await publishToUser(exportDoc.user._id, {
+        type: "export",
+        message: "Your export is ready to download",
+        action: "ready",
+        export: exportDoc._id,
+        downloadUrl: `/api/export/${exportDoc._id}/download/`
+    });
+    return exportDoc;
+};
+
+const getExport = async (user, exportId) => {
+    const exportDoc = await Export.findOne({ _id: exportId, user });
+    if (!exportDoc) {
+        throw exportError("Export not found", 404);
+    }
+    return exportDoc;
+};
+
+/**
+ * Opens the archive of a finished export
+ * @param {String} user - Id of the user
+ * @param {String} exportId - Id of the export
+ * @returns {Promise<Object>} - { filename, size, stream }
+ */
+const getExportDownload = async (user, exportId) => {
+    const exportDoc = await getExport(user, exportId);
+    if (exportDoc.status === "expired" || (exportDoc.expiresAt && exportDoc.expiresAt.getTime() < Date.now())) {
+        throw exportError("Export has expired, please start a new one", 410);
+    }
+    if (exportDoc.status !== "done") {
+        throw exportError("Export is not ready yet", 409);
+    }
+
+    const { stream } = await storage.get(exportDoc.key);
+    return { filename: exportDoc.filename, size: exportDoc.size, stream };
+};
+
+/**
+ * Deletes the archives of expired exports from storage and marks them as expired,
+ * and fails exports whose worker was lost
+ * @returns {Promise<Object>} - { expired, failed }
+ */
+const cleanupExports = async () => {
+    const failed = await failStaleExports();
+    const exports = await Export.find({ status: "done", expiresAt: { $lte: new Date() } });
+
+    let expired = 0;
+    for (const exportDoc of exports) {
+        try {
+            if (exportDoc.key) {
+                await storage.remove(exportDoc.key);
+            }
+            exportDoc.set({ status: "expired", key: null });
+            await exportDoc.save();
+            expired += 1;
+        } catch (error) {
+            console.error(`Failed to remove expired export ${exportDoc._id}:`, error);
+        }
+    }
+    return { expired, failed };
+};
+
+export {
+    SYNC_EXPORT_LIMIT,
+    collectExportData,
+    countExportItems,
+    buildExport,
+    startExportJob,
+    runExport,
+    getExport,
+    getExportDownload,
+    cleanupExports
+}
@@ -37,7 +37,7 @@ const sendFeedbackEmail = async (req, res) => {
             text: `Title: ${validatedData.title}\n\nFeedback: ${validatedData.feedback}`,
             attachments: attachments.map((file) => ({
                 filename: file.originalname,
-                path: file.location // File location from S3
+                content: file.buffer
             }))
         };
 
@@ -1,14 +1,8 @@
-import { FileAsset } from '../../models/lib/asset.model.js';
+import { createAttachment } from './attachment.service.js';
 
-const uploadFile = async (s3Url, user) => {
-    const newFileAsset = new FileAsset({
-        asset: s3Url,
-        user,
-        attributes: {},
-        isDeleted: false
-    });
-    await newFileAsset.save();
-    return newFileAsset;
+// Files uploaded on their own, not attached to an object or journal yet
+const uploadFile = async (user, file) => {
+    return await createAttachment(user, file);
 };
 
 export {
@@ -0,0 +1,196 @@
+import { Object } from "../../models/lib/object.model.js";
+import { getOrCreateLabels } from "./label.service.js";
+import { createReminder, deleteReminder } from "./reminder.service.js";
+import { parseIcs } from "../../utils/ical-parser.service.js";
+import { MAX_OFFSET_MINUTES } from "../../utils/reminder-time.service.js";
+
+const ICAL_SOURCE = "ical";
+const PREVIEW_LIMIT = 50;
+const MAX_ICAL_ITEMS = 2000;
+
+const icalImportError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const getItemType = (item) => (item.kind === "event" && item.attendees.length ? "meeting" : "todo");
+
+const getSkipReason = (item, existing) => {
+    if (item.isOverride) {
+        return "Changes to a single occurrence are not imported";
+    }
+    if (existing?.isDeleted) {
+        return "In the trash, restore it to update it from the file";
+    }
+    if (item.isCancelled) {
+        return "Cancelled";
+    }
+    if (existing && (existing.metadata?.ical?.sequence || 0) > item.sequence) {
+        return "Older than the version imported before";
+    }
+    return null;
+};
+
+const buildObjectFields = (item, existing, labels, timezone) => {
+    const fields = {
+        title: item.title || "Untitled",
+        description: item.description,
+        type: getItemType(item),
+        due: item.due || { date: null, is_recurring: false, lang: "en", string: null, timezone },
+        estimate: item.estimate,
+        labels: item.labels.map(name => labels.get(name)).filter(Boolean),
+        metadata: {
+            ...(existing?.metadata || {}),
+            location: item.location,
+            url: item.url,
+            attendees: item.attendees,
+            organizer: item.organizer,
+            ical: {
+                ...(existing?.metadata?.ical || {}),
+                uid: item.uid,
+                sequence: item.sequence,
+                exdates: item.exdates,
+                alarms: item.alarms
+            }
+        }
+    };
+
+    if (item.isCompleted) {
+        fields.status = "done";
+        fields.completedAt = item.completedAt ? new Date(item.completedAt) : new Date();
+    } else if (existing?.isCompleted && item.kind === "todo") {
+        fields.status = "todo";
+        fields.completedAt = null;
+    }
+    return fields;
+};
+
+/**
+ * Replaces the reminders created from an item's alarms when the alarms changed
+ * @returns {Promise<Number>} - Number of reminders created
+ */
+const syncAlarms = async (user, object, item, previousAlarms, report) => {
+    if (previousAlarms && JSON.stringify(previousAlarms) === JSON.stringify(item.alarms)) {
+        return 0;
+    }
+
+    for (const id of object.metadata?.ical?.reminders || []) {
+        try {
+            await deleteReminder(user, id);
+        } catch {
+            // Already removed by the user
+        }
+    }
+
+    const reminders = [];
+    if (!item.isCompleted) {
+        for (const alarm of item.alarms) {
+            if (alarm.at && new Date(alarm.at).getTime() <= Date.now()) {
+                continue;
+            }
+            if (alarm.before !== undefined && alarm.before > MAX_OFFSET_MINUTES) {
+                report.warnings.push({ uid: item.uid, title: item.title, message: "Alarm is too far before the due date, skipped" });
+                continue;
+            }
+            const reminder = await createReminder(user, object._id, { ...alarm, channels: ["websocket"] });
+            reminders.push(reminder._id);
+        }
+    }
+
+    await Object.updateOne({ _id: object._id }, { $set: { "metadata.ical.reminders": reminders } }, { timestamps: false });
+    return reminders.length;
+};
+
+/**
+ * Imports the to-dos and events of an .ics file. VTODOs and VEVENTs become
+ * objects, VEVENTs with attendees `meeting` objects, and alarms reminders.
+ * Items are keyed by UID, so importing a file again updates what it imported before.
+ * @param {Object} user - The user document
+ * @param {Object} options
+ * @param {String} options.content - The .ics file
+ * @param {Boolean} options.dryRun - Report what would happen without writing anything
+ * @returns {Promise<Object>} - The import report
+ */
+const importCalendarFile = async (user, { content, dryRun = false }) => {
+    const timezone = user.timezone || "UTC";
+    const { calendarName, items, warnings } = parseIcs(content, { timezone });
+    if (items.length > MAX_ICAL_ITEMS) {
+        throw icalImportError(`Imports are limited to ${MAX_ICAL_ITEMS} items, this file has ${items.length}`, 400);
+    }
+
+    const report = {
+        source: ICAL_SOURCE,
+        calendar: calendarName,
+        dryRun,
+        total: items.length,
+        objects: { created: 0, updated: 0, skipped: 0, failed: 0 },
+        reminders: 0,
+        skipped: [],
+        errors: [],
+        warnings
+    };
+    if (dryRun) {
+        report.preview = [];
+    }
+
+    const existingObjects = await Object.find({
+        user: user._id,
+        source: ICAL_SOURCE,
+        id: { $in: items.map(item => item.uid) }
+    });
+    const existingByUid = new Map(existingObjects.map(object => [object.id, object]));
+
+    const labelNames = [...new Set(items.flatMap(item => item.labels))];
+    const labels = dryRun || !labelNames.length
+        ? new Map()
+        : new Map((await getOrCreateLabels(labelNames.map(name => ({ name })), user._id)).map((id, index) => [labelNames[index], id]));
+
+    for (const item of items) {
+        const existing = existingByUid.get(item.uid);
+        const reason = getSkipReason(item, existing);
+        if (reason) {
+            report.objects.skipped += 1;
+            report.skipped.push({ uid: item.uid, title: item.title, reason });
+            continue;
+        }
+
+        if (dryRun) {
+            report.objects[existing ? "updated" : "created"] += 1;
+            if (report.preview.length < PREVIEW_LIMIT) {
+                report.preview.push({
+                    uid: item.uid,
+                    action: existing ? "update" : "create",
+                    title: item.title,
+                    type: getItemType(item),
+                    due: item.due,
+                    alarms: item.alarms.length
+                });
+            }
+            continue;
+        }
+
+        try {
+            const previousAlarms = existing?.metadata?.ical?.alarms;
+            const fields = buildObjectFields(item, existing, labels, timezone);
+            const object = existing || new Object({ user: user._id, source: ICAL_SOURCE, id: item.uid });
+            object.set(fields);
+            object.$locals.actor = { type: "user", id: user._id };
+            await object.save();
+            // A UID repeated further down the file updates this object
+            existingByUid.set(item.uid, object);
+
+            report.objects[existing ? "updated" : "created"] += 1;
+            report.reminders += await syncAlarms(user._id, object, item, previousAlarms, report);
+        } catch (error) {
+            report.objects.failed += 1;
+            report.errors.push({ uid: item.uid, title: item.title, message: error.message });
+        }
+    }
+
+    return report;
+};
+
+export {
+    importCalendarFile
+}
@@ -0,0 +1,231 @@
+import { Object } from "../../models/lib/object.model.js";
+import { Array } from "../../models/lib/array.model.js";
+import { Block } from "../../models/lib/block.model.js";
+import { Label } from "../../models/lib/label.model.js";
+import { createArray } from "./array.service.js";
+import { getOrCreateLabels } from "./label.service.js";
+import { parseImport } from "../../utils/import-parser.service.js";
+
+const PREVIEW_LIMIT = 50;
+
+const unique = (values) => [...new Set(values.filter(Boolean))];
+
+const getDuplicateKey = (title, dueDate) => `${title.trim().toLowerCase()}|${dueDate || ""}`;
+
+/**
+ * Finds objects of the user an imported task would duplicate: one imported
+ * earlier from the same source with the same id, or one with the same title
+ * and due date.
+ */
+const findExistingObjects = async (user, source, tasks) => {
+    const ids = unique(tasks.map(task => task.externalId));
+    const titles = unique(tasks.map(task => task.title));
+
+    const existing = await Object.find({
+        user,
+        isDeleted: false,
+        $or: [
+            { source, id: { $in: ids } },
+            { title: { $in: titles } }
+        ]
+    }).select("title due.date source id").lean();
+
+    const byExternalId = new Map();
+    const byTitle = new Map();
+    existing.forEach(object => {
+        if (object.source === source && object.id) {
+            byExternalId.set(object.id, object);
+        }
+        byTitle.set(getDuplicateKey(object.title, object.due?.date), object);
+    });
+
+    return (task) => {
+        if (task.externalId && byExternalId.has(task.externalId)) {
+            return { object: byExternalId.get(task.externalId), reason: `Already imported from ${source}` };
+        }
+        const object = byTitle.get(getDuplicateKey(task.title, task.due?.date));
+        return object ? { object, reason: "Same title and due date" } : null;
+    };
+};
+
+const resolveArrays = async (user, tasks, report, dryRun) => {
+    const arrays = new Map();
+    for (const name of unique(tasks.map(task => task.project))) {
+        let array = await Array.findOne({ name, users: user, isDeleted: false }).select("_id name");
+        if (array) {
+            report.arrays.existing.push(name);
+        } else {
+            array = dryRun ? null : await createArray(user, { name, identifier: name });
+            report.arrays.created.push(name);
+        }
+        arrays.set(name, array);
+    }
+    return arrays;
+};
+
+const resolveBlocks = async (user, tasks, arrays, report, dryRun) => {
+    const blocks = new Map();
+    const sections = unique(tasks.filter(task => task.section).map(task => JSON.stringify([task.project, task.section])));
+
+    for (const key of sections) {
+        const [project, name] = JSON.parse(key);
+        const array = arrays.get(project) || null;
+        let block = await Block.findOne({ name, user, array: array?._id || null, isDeleted: false }).select("_id name");
+        const label = project ? `${project} / ${name}` : name;
+
+        if (block) {
+            report.blocks.existing.push(label);
+        } else {
+            if (!dryRun) {
+                block = await new Block({ name, user, array: array?._id, data: { type: "todo" } }).save();
+            }
+            report.blocks.created.push(label);
+        }
+        blocks.set(key, block);
+    }
+    return blocks;
+};
+
+const resolveLabels = async (user, tasks, report, dryRun) => {
+    const names = unique(tasks.flatMap(task => task.labels));
+    const existing = await Label.find({ user, name: { $in: names } }).select("name").lean();
+    const existingNames = new Set(existing.map(label => label.name));
+
+    report.labels.existing = names.filter(name => existingNames.has(name));
+    report.labels.created = names.filter(name => !existingNames.has(name));
+
+    if (dryRun) {
+        return new Map();
+    }
+    const ids = await getOrCreateLabels(names.map(name => ({ name })), user);
+    return new Map(names.map((name, index) => [name, ids[index]]));
+};
+
+const buildObjectData = (user, source, task, { array, block, parent, labels }) => {
+    const data = {
+        title: task.title,
+        description: task.description || "",
+        source,
+        user,
+        arrays: array ? [array._id] : [],
+        blocks: block ? [block._id] : [],
+        parent: parent || null,
+        labels: task.labels.map(name => labels.get(name)).filter(Boolean),
+        metadata: { importedFrom: source, priority: task.priority }
+    };
+    if (task.externalId) {
+        data.id = task.externalId;
+    }
+    if (task.due) {
+        data.due = task.due;
+    }
+    if (task.isCompleted) {
+        data.status = "done";
+        data.completedAt = task.completedAt || new Date();
+    }
+    if (task.createdAt) {
+        data.createdAt = task.createdAt;
+    }
+    return data;
+};
+
+/**
+ * Imports the export of another task manager. Projects become arrays, sections
+ * blocks and tasks objects, sub-tasks keeping their parent. Tasks that already
+ * exist are skipped and their sub-tasks are added under the existing object.
+ * @param {Object} user - The user document
+ * @param {Object} options
+ * @param {String} options.source - "todoist", "ticktick", "csv" or "sage"
+ * @param {String} options.content - The export file
+ * @param {Object} options.mapping - Column per field for generic CSV
+ * @param {String} options.projectName - Array for CSV files that do not name one
+ * @param {Boolean} options.dryRun - Report what would happen without writing anything
+ * @returns {Promise<Object>} - The import report
+ */
+const importObjects = async (user, { source, content, mapping, projectName, dryRun = false }) => {
+    const { tasks, warnings } = parseImport(source, content, {
+        timezone: user.timezone || "UTC",
+        now: new Date(),
+        projectName,
+        mapping
+    });
+
+    const report = {
+        source,
+        dryRun,
+        total: tasks.length,
+        arrays: { created: [], existing: [] },
+        blocks: { created: [], existing: [] },
+        labels: { created: [], existing: [] },
+        objects: { created: 0, duplicates: 0, failed: 0 },
+        duplicates: [],
+        errors: [],
+        warnings
+    };
+    if (dryRun) {
+        report.preview = [];
+    }
+
+    const findDuplicate = await findExistingObjects(user._id, source, tasks);
+    const arrays = await resolveArrays(user._id, tasks, report, dryRun);
+    const blocks = await resolveBlocks(user._id, tasks, arrays, report, dryRun);
+    const labels = await resolveLabels(user._id, tasks, report, dryRun);
+
+    // Id of the object each task ended up as, existing or new
+    const objectIds = new Map();
+    const titles = new Map(tasks.map(task => [task.key, task.title]));
+
+    for (const task of tasks) {
+        const duplicate = findDuplicate(task);
+        if (duplicate) {
+            objectIds.set(task.key, duplicate.object._id);
+            report.objects.duplicates += 1;
+            report.duplicates.push({ line: task.line, title: task.title, reason: duplicate.reason, existing: duplicate.object._id });
+            continue;
+        }
+
+        if (dryRun) {
+            report.objects.created += 1;
+            if (report.preview.length < PREVIEW_LIMIT) {
+                report.preview.push({
+                    line: task.line,
+                    title: task.title,
+                    array: task.project,
+                    block: task.section,
+                    parent: task.parentKey ? titles.get(task.parentKey) : null,
+                    labels: task.labels,
+                    due: task.due,
+                    isCompleted: task.isCompleted
+                });
+            }
+            continue;
+        }
+
+        if (task.parentKey && !objectIds.has(task.parentKey)) {
+            report.warnings.push({ line: task.line, title: task.title, message: "Parent task failed to import, imported without a parent" });
+        }
+
+        try {
+            const object = new Object(buildObjectData(user._id, source, task, {
+                array: arrays.get(task.project),
+                block: blocks.get(JSON.stringify([task.project, task.section])),
+                parent: objectIds.get(task.parentKey),
+                labels
+            }));
+            object.$locals.actor = { type: "user", id: user._id };
+            await object.save();
+
+            objectIds.set(task.key, object._id);
+            report.objects.created += 1;
+        } catch (error) {
+            report.objects.failed += 1;
+            report.errors.push({ line: task.line, title: task.title, message: error.message });
+        }
+    }
+
+    return report;
+};
+
+export {
+    importObjects
+}
@@ -0,0 +1,273 @@
+import moment from "moment-timezone";
+import { Types } from "mongoose";
+import { InsightRollup } from "../../models/lib/insightRollup.model.js";
+import { Object } from "../../models/lib/object.model.js";
+import { Journal } from "../../models/lib/journal.model.js";
+import { Label } from "../../models/lib/label.model.js";
+import { User } from "../../models/core/user.model.js";
+import {
+    DEFAULT_RANGE_DAYS,
+    MAX_RANGE_DAYS,
+    getDayKeys,
+    getDayBounds,
+    getDayKey,
+    countOverdueByDay,
+    getJournalStreaks,
+    summarizeRollups
+} from "../../utils/insights.service.js";
+
+// Days recomputed every night, to pick up late changes such as reopened objects
+const REFRESH_DAYS = 7;
+// Users whose rollups were computed this recently get their recent days refreshed
+const ACTIVE_USER_DAYS = 30;
+
+const insightsError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const toDay = (field, timezone) => ({ $dateToString: { format: "%Y-%m-%d", date: field, timezone } });
+
+const countObjects = async (user, field, start, end, timezone) => {
+    const day = toDay(`$${field}`, timezone);
+    const [result] = await Object.aggregate([
+        { $match: { user, isDeleted: false, [field]: { $gte: start, $lt: end } } },
+        {
+            $facet: {
+                groups: [{
+                    $group: {
+                        _id: { day, source: { $ifNull: ["$source", "momo"] }, type: { $ifNull: ["$type", "todo"] } },
+                        count: { $sum: 1 },
+                        leadTimeMs: {
+                            $sum: { $cond: [{ $gt: ["$createdAt", null] }, { $subtract: ["$completedAt", "$createdAt"] }, 0] }
+                        },
+                        leadTimeCount: { $sum: { $cond: [{ $gt: ["$createdAt", null] }, 1, 0] } }
+                    }
+                }],
+                labels: [
+                    { $unwind: "$labels" },
+                    { $group: { _id: { day, label: "$labels" }, count: { $sum: 1 } } }
+                ]
+            }
+        }
+    ]);
+    return result || { groups: [], labels: [] };
+};
+
+/**
+ * Builds the rollups of a span of days from the user's objects and journal
+ * @param {String} user - Id of the user
+ * @param {Array} days - Day keys, oldest first
+ * @param {String} timezone - Timezone of the user
+ * @returns {Promise<Array>} - One rollup per day
+ */
+const computeRollups = async (user, days, timezone) => {
+    const { start } = getDayBounds(days[0], timezone);
+    const { end } = getDayBounds(days[days.length - 1], timezone);
+    const userId = new Types.ObjectId(String(user));
+
+    const [created, completed, dueObjects, journals] = await Promise.all([
+        countObjects(userId, "createdAt", start, end, timezone),
+        countObjects(userId, "completedAt", start, end, timezone),
+        Object.find({
+            user: userId,
+            isDeleted: false,
+            "due.date": { $ne: null, $lt: end.toISOString() },
+            createdAt: { $lt: end },
+            $or: [{ completedAt: null }, { completedAt: { $gte: start } }]
+        }).select("due.date createdAt completedAt").lean(),
+        Journal.find({ user: userId, date: { $gte: start, $lt: end }, content: { $ne: "" } }).select("date").lean()
+    ]);
+
+    const rollups = new Map(days.map(day => [day, {
+        user: userId,
+        date: day,
+        timezone,
+        created: 0,
+        completed: 0,
+        leadTime: { totalHours: 0, count: 0 },
+        overdue: 0,
+        journaled: false,
+        groups: new Map()
+    }]));
+
+    const addGroup = (rollup, group, key, field, count) => {
+        const id = `${group}:${key}`;
+        const entry = rollup.groups.get(id) || { group, key: String(key), created: 0, completed: 0 };
+        entry[field] += count;
+        rollup.groups.set(id, entry);
+    };
+
+    [["created", created], ["completed", completed]].forEach(([field, counts]) => {
+        counts.groups.forEach(({ _id, count, leadTimeMs, leadTimeCount }) => {
+            const rollup = rollups.get(_id.day);
+            if (!rollup) {
+                return;
+            }
+            rollup[field] += count;
+            addGroup(rollup, "source", _id.source, field, count);
+            addGroup(rollup, "type", _id.type, field, count);
+            if (field === "completed") {
+                rollup.leadTime.totalHours += Math.max(leadTimeMs, 0) / 3600000;
+                rollup.leadTime.count += leadTimeCount;
+            }
+        });
+        counts.labels.forEach(({ _id, count }) => {
+            const rollup = rollups.get(_id.day);
+            if (rollup) {
+                addGroup(rollup, "label", _id.label, field, count);
+            }
+        });
+    });
+
+    const overdue = countOverdueByDay(dueObjects, days, timezone);
+    journals.forEach(journal => {
+        const rollup = rollups.get(getDayKey(journal.date, timezone));
+        if (rollup) {
+            rollup.journaled = true;
+        }
+    });
+
+    const computedAt = new Date();
+    return [...rollups.values()].map(rollup => ({
+        ...rollup,
+        overdue: overdue[rollup.date] || 0,
+        groups: [...rollup.groups.values()],
+        computedAt
+    }));
+};
+
+// Only days that are over are stored; today keeps changing until it ends
+const saveRollups = async (rollups, today) => {
+    const closed = rollups.filter(rollup => rollup.date < today);
+    if (!closed.length) {
+        return;
+    }
+
+    const operations = closed.map(rollup => ({
+        updateOne: {
+            filter: { user: rollup.user, date: rollup.date },
+            update: { $set: rollup },
+            upsert: true
+        }
+    }));
+    try {
+        await InsightRollup.bulkWrite(operations, { ordered: false });
+    } catch (error) {
+        // A request and the nightly job inserted the same day; the retry updates it instead
+        if (error.code !== 11000) {
+            throw error;
+        }
+        await InsightRollup.bulkWrite(operations, { ordered: false });
+    }
+};
+
+const getLabelNames = async (rollups) => {
+    const ids = new Set();
+    rollups.forEach(rollup => (rollup.groups || [])
+        .filter(entry => entry.group === "label" && Types.ObjectId.isValid(entry.key))
+        .forEach(entry => ids.add(entry.key)));
+
+    const labels = await Label.find({ _id: { $in: [...ids] } }).select("name").lean();
+    const names = {};
+    labels.forEach(label => {
+        names[label._id.toString()] = label.name;
+    });
+    return names;
+};
+
+const getJournalDays = async (user, timezone) => {
+    const since = moment().subtract(MAX_RANGE_DAYS, "days").toDate();
+    const journals = await Journal.find({ user, date: { $gte: since }, content: { $ne: "" } }).select("date").lean();
+    return journals.map(journal => getDayKey(journal.date, timezone));
+};
+
+/**
+ * Productivity insights over a date range: daily completions, lead time, overdue
+ * counts, completion rates by source, type and label, and journal streaks
+ * @param {String} user - Id of the user
+ * @param {Object} options
+ * @param {Date} options.from - Start of the range, defaults to 30 days before its end
+ * @param {Date} options.to - End of the range, defaults to now
+ * @param {String} options.timezone - Timezone used to split days
+ * @param {Boolean} options.refresh - Recompute stored days instead of reading them
+ * @returns {Promise<Object>} - { from, to, timezone, totals, daily, completionRate, journal, cachedDays }
+ */
+const getInsights = async (user, { from, to, timezone = "UTC", refresh = false } = {}) => {
+    const zone = moment.tz.zone(timezone) ? timezone : "UTC";
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : moment(end).subtract(DEFAULT_RANGE_DAYS - 1, "days").toDate();
+    if (isNaN(start.getTime()) || isNaN(end.getTime()) || start > end) {
+        throw insightsError("Invalid date range", 400);
+    }
+
+    const days = getDayKeys(start, end, zone);
+    if (days.length > MAX_RANGE_DAYS) {
+        throw insightsError(`Date range can't be longer than ${MAX_RANGE_DAYS} days`, 400);
+    }
+
+    const today = getDayKey(new Date(), zone);
+    const stored = refresh
+        ? []
+        : await InsightRollup.find({ user, date: { $in: days }, timezone: zone }).lean();
+    const storedDays = new Set(stored.filter(rollup => rollup.date < today).map(rollup => rollup.date));
+    const missing = days.filter(day => !storedDays.has(day));
+
+    let computed = [];
+    if (missing.length) {
+        computed = await computeRollups(user, getDayKeys(
+            getDayBounds(missing[0], zone).start,
+            getDayBounds(missing[missing.length - 1], zone).start,
+            zone
+        ), zone);
+        await saveRollups(computed.filter(rollup => !storedDays.has(rollup.date)), today);
+    }
+
+    const byDay = new Map([...stored, ...computed].map(rollup => [rollup.date, rollup]));
+    const rollups = days.map(day => byDay.get(day));
+    const [labels, journalDays] = await Promise.all([
+        getLabelNames(rollups),
+        getJournalDays(user, zone)
+    ]);
+
+    return {
+        from: start,
+        to: end,
+        timezone: zone,
+        ...summarizeRollups(rollups, labels),
+        journal: getJournalStreaks(journalDays, today),
+        cachedDays: storedDays.size
+    };
+};
+
+/**
+ * Recomputes the last days of users who use insights, so stored rollups follow
+ * objects completed, reopened or deleted after their day
+ * @returns {Promise<Number>} - Number of users refreshed
+ */
+const refreshRecentRollups = async () => {
+    const since = moment().subtract(ACTIVE_USER_DAYS, "days").toDate();
+    const users = await InsightRollup.distinct("user", { computedAt: { $gte: since } });
+
+    for (const user of users) {
+        try {
+            const { timezone } = await User.findById(user).select("timezone").lean() || {};
+            const zone = moment.tz.zone(timezone || "") ? timezone : "UTC";
+            const today = getDayKey(new Date(), zone);
+            const days = getDayKeys(moment().subtract(REFRESH_DAYS, "days").toDate(), new Date(), zone)
+                .filter(day => day < today);
+            if (days.length) {
+                await saveRollups(await computeRollups(user, days, zone), today);
+            }
+        } catch (error) {
+            console.error(`Failed to refresh insights of user ${user}:`, error);
+        }
+    }
+    return users.length;
+};
+
+export {
+    getInsights,
+    refreshRecentRollups
+}
@@ -0,0 +1,166 @@
+import { Types } from "mongoose";
+import { Notification } from "../../models/lib/notification.model.js";
+import { User } from "../../models/core/user.model.js";
+import { paginate } from "../../utils/pagination.service.js";
+import { describeNotification } from "../../utils/notification.service.js";
+
+const BACKLOG_LIMIT = 50;
+const MAX_GROUP_OBJECTS = 50;
+
+const getMutedSources = async (user) => {
+    const { notificationSettings } = await User.findById(user).select("notificationSettings").lean() || {};
+    return notificationSettings?.mutedSources || [];
+};
+
+const isSourceMuted = async (user, source) => (await getMutedSources(user)).includes(source);
+
+/**
+ * Stores an event in the notification center. An unread notification for the same
+ * source and action absorbs the event and counts it instead.
+ * @param {String} user - Id of the user
+ * @param {Object} event
+ * @param {String} event.source - e.g. "linear"
+ * @param {String} event.action - e.g. "update"
+ * @param {String} event.title - Title for a single event; grouped events get a counted title
+ * @param {String} event.body - Optional details
+ * @param {Object} event.object - The object the event is about, if any
+ * @param {Object} event.data - Extra data for clients
+ * @returns {Promise<Document|null>} - The notification, null when the source is muted
+ */
+const recordNotification = async (user, { source, action = "update", title, body = "", object = null, data = {} }) => {
+    if (await isSourceMuted(user, source)) {
+        return null;
+    }
+
+    const groupKey = `${source}:${action}`;
+    const objectId = object?._id || object;
+    // A unique index keeps one unread notification per group, so events that arrive
+    // together are counted in the same one
+    const upsert = () => Notification.findOneAndUpdate(
+        { user, groupKey, isRead: false },
+        {
+            $setOnInsert: {
+                source,
+                action,
+                title: title || describeNotification(source, action, 1, object?.title),
+                body
+            },
+            $set: { data, deliveredAt: null },
+            $inc: { count: 1 },
+            ...(objectId && {
+                $push: { objects: { $each: [objectId], $position: 0, $slice: MAX_GROUP_OBJECTS } }
+            })
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    let notification;
+    try {
+        notification = await upsert();
+    } catch (error) {
+        // Inserted by a concurrent event; the retry counts this one into it
+        if (error.code !== 11000) {
+            throw error;
+        }
+        notification = await upsert();
+    }
+
+    if (notification.count > 1) {
+        const grouped = { title: describeNotification(source, action, notification.count), body: "" };
+        // A later event that already counted itself writes its own title
+        await Notification.updateOne({ _id: notification._id, count: notification.count }, { $set: grouped });
+        notification.set(grouped);
+    }
+    return notification;
+};
+
+const markDelivered = async (ids) => {
+    if (!ids.length) {
+        return;
+    }
+    await Notification.updateMany({ _id: { $in: ids } }, { $set: { deliveredAt: new Date() } }, { timestamps: false });
+};
+
+/**
+ * Unread notifications to send when the user's websocket connects
+ * @param {String} user - Id of the user
+ * @returns {Promise<Object>} - { items, unreadCount }, most recent first
+ */
+const getNotificationBacklog = async (user) => {
+    const [items, unreadCount] = await Promise.all([
+        Notification.find({ user, isRead: false }).sort({ updatedAt: -1 }).limit(BACKLOG_LIMIT).lean(),
+        Notification.countDocuments({ user, isRead: false })
+    ]);
+
+    return { items, unreadCount };
+};
+
+const getNotifications = async (user, { unread, source } = {}, page = {}) => {
+    const filter = { user };
+    if (unread !== undefined) {
+        filter.isRead = !unread;
+    }
+    if (source) {
+        filter.source = source;
+    }
+
+    return await paginate(Notification, filter, { sort: { updatedAt: -1 }, ...page });
+};
+
+const getUnreadCount = async (user) => {
+    const counts = await Notification.aggregate([
+        { $match: { user: new Types.ObjectId(String(user)), isRead: false } },
+        { $group: { _id: "$source", count: { $sum: 1 } } }
+    ]);
+
+    return {
+        total: counts.reduce((total, { count }) => total + count, 0),
+        sources: counts.reduce((sources, { _id, count }) => ({ ...sources, [_id]: count }), {})
+    };
+};
+
+/**
+ * Acknowledges notifications
+ * @param {String} user - Id of the user
+ * @param {Object} options - { ids } to mark, or { all: true } with an optional source
+ * @returns {Promise<Number>} - Number of notifications marked as read
+ */
+const markNotificationsRead = async (user, { ids, all, source }) => {
+    const filter = { user, isRead: false };
+    if (!all) {
+        filter._id = { $in: ids };
+    }
+    if (source) {
+        filter.source = source;
+    }
+
+    const result = await Notification.updateMany(filter, { $set: { isRead: true, readAt: new Date() } });
+    return result.modifiedCount;
+};
+
+const getNotificationSettings = async (user) => {
+    return { mutedSources: await getMutedSources(user) };
+};
+
+const updateNotificationSettings = async (user, { mutedSources }) => {
+    const updatedUser = await User.findByIdAndUpdate(
+        user,
+        { $set: { "notificationSettings.mutedSources": mutedSources } },
+        { new: true }
+    ).select("notificationSettings");
+
+    return { mutedSources: updatedUser?.notificationSettings?.mutedSources || [] };
+};
+
+export {
+    describeNotification,
+    isSourceMuted,
+    recordNotification,
+    markDelivered,
+    getNotificationBacklog,
+    getNotifications,
+    getUnreadCount,
+    markNotificationsRead,
+    getNotificationSettings,
+    updateNotificationSettings
+}
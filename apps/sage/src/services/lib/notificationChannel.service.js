@@ -0,0 +1,169 @@
+import nodemailer from "nodemailer";
+import twilio from "twilio";
+import { environment } from "../../loaders/environment.loader.js";
+import { broadcastToUser } from "../../loaders/websocket.loader.js";
+import { isSourceMuted, recordNotification, markDelivered } from "./notification.service.js";
+
+/**
+ * Delivery channels for reminders and notifications
+ *
+ * A channel is an async function `(user, message)` that returns a short outcome such
+ * as "sent" or the reason it was skipped. `message` is { type, title, body, data }.
+ * Other channels can be added with registerChannel.
+ */
+
+const channels = new Map();
+
+let transporter = null;
+let smsClient = null;
+
+const getTransporter = () => {
+    if (!transporter) {
+        transporter = nodemailer.createTransport({
+            host: environment.SMTP_HOST,
+            port: environment.SMTP_PORT,
+            secure: false, // true for 465, false for other ports
+            auth: {
+                user: environment.SMTP_USER,
+                pass: environment.SMTP_PASS
+            }
+        });
+    }
+    return transporter;
+};
+
+const getSmsClient = () => {
+    if (!smsClient) {
+        smsClient = twilio(environment.TWILIO_ACCOUNT_SID, environment.TWILIO_AUTH_TOKEN);
+    }
+    return smsClient;
+};
+
+const getUserEmail = (user) => {
+    const { local, google, github } = user.accounts || {};
+    return local?.email || google?.email || github?.email || null;
+};
+
+const registerChannel = (name, send) => {
+    channels.set(name, send);
+};
+
+/**
+ * Sends a live update to a user and keeps it in their notification center, so it
+ * is not lost while they are offline. Nothing is sent for a source the user muted.
+ * @param {String} user - Id of the user
+ * @param {Object} data - Websocket payload: { type, message, action, item, ... }; `type` is the source
+ * @param {Object} options
+ * @param {String} options.title - Notification title, derived from the source and item when omitted
+ * @param {String} options.body - Notification details
+ * @returns {Promise<Object>} - { delivered, notification, muted }
+ */
+const publishToUser = async (user, data, { title, body } = {}) => {
+    try {
+        if (await isSourceMuted(user, data.type)) {
+            return { delivered: false, notification: null, muted: true };
+        }
+    } catch (error) {
+        console.error("Failed to read notification settings:", error);
+    }
+
+    let notification = null;
+    try {
+        notification = await recordNotification(user, {
+            source: data.type,
+            action: data.action,
+            title,
+            body,
+            object: data.item || data.object || null,
+            data: { object: data.item?._id || data.object || null }
+        });
+    } catch (error) {
+        console.error("Failed to record notification:", error);
+    }
+
+    const delivered = broadcastToUser(user.toString(), { ...data, notification }, true);
+    if (delivered && notification) {
+        await markDelivered([notification._id]);
+    }
+
+    return { delivered, notification, muted: false };
+};
+
+registerChannel("websocket", async (user, message) => {
+    const { delivered, muted } = await publishToUser(user._id, {
+        type: message.type,
+        message: message.title,
+        body: message.body,
+        ...message.data
+    }, { title: message.title, body: message.body });
+
+    if (muted) {
+        return "muted";
+    }
+    return delivered ? "sent" : "saved for later";
+});
+
+registerChannel("email", async (user, message) => {
+    const to = getUserEmail(user);
+    if (!to) {
+        return "no email address";
+    }
+    if (!environment.SMTP_HOST) {
+        return "email is not configured";
+    }
+
+    await getTransporter().sendMail({
+        from: `"momo" <${environment.SMTP_USER}>`,
+        to,
+        subject: message.title,
+        text: message.body || message.title
+    });
+    return "sent";
+});
+
+registerChannel("sms", async (user, message) => {
+    if (!user.phoneNumber) {
+        return "no phone number";
+    }
+    if (!environment.TWILIO_ACCOUNT_SID || !environment.TWILIO_PHONE_NUMBER) {
+        return "sms is not configured";
+    }
+
+    await getSmsClient().messages.create({
+        from: environment.TWILIO_PHONE_NUMBER,
+        to: user.phoneNumber,
+        body: message.body ? `${message.title}\n${message.body}` : message.title
+    });
+    return "sent";
+});
+
+/**
+ * Sends a message through several channels. A failing channel does not stop the others.
+ * @param {Object} user - User document with `accounts` and `phoneNumber`
+ * @param {Array} names - Channel names
+ * @param {Object} message - { type, title, body, data }
+ * @returns {Promise<Object>} - Outcome per channel
+ */
+const deliver = async (user, names, message) => {
+    const results = {};
+    for (const name of names) {
+        const send = channels.get(name);
+        if (!send) {
+            results[name] = "unknown channel";
+            continue;
+        }
+        try {
+            results[name] = await send(user, message);
+        } catch (error) {
+            console.error(`Failed to deliver through ${name}:`, error.message);
+            results[name] = `failed: ${error.message}`;
+        }
+    }
+    return results;
+};
+
+export {
+    registerChannel,
+    publishToUser,
+    deliver
+}
@@ -1,8 +1,18 @@
+import sanitize from "mongo-sanitize";
 import { Object } from "../../models/lib/object.model.js";
+import { Array } from "../../models/lib/array.model.js";
+import { Block } from "../../models/lib/block.model.js";
+import { Label } from "../../models/lib/label.model.js";
 import { getLabelByName } from "./label.service.js";
-
-const getInboxObjects = async (me) => {
-    const objects = await Object.find({
+import { moveToTrash } from "./trash.service.js";
+import { getBlockedObjectIds } from "./relation.service.js";
+import { parseRecurrence, toRRule, getOccurrences } from "../../utils/recurrence.service.js";
+import { parseFilterQuery, compileFilterQuery, getFilterReferences } from "../../utils/filter-query.service.js";
+import { escapeRegex } from "../../utils/text.service.js";
+import { paginate } from "../../utils/pagination.service.js";
+
+const getInboxObjects = async (me, page = {}) => {
+    return await paginate(Object, {
         user: me,
         isCompleted: false,
         isArchived: false,
@@ -12,13 +22,12 @@ const getInboxObjects = async (me) => {
         "due.date": null,
         "due.is_recurring": false,
         "cycle.startsAt": null,
-        "cycle.endsAt": null
-    }).sort({ order: -1 });
-
-    return objects;
+        "cycle.endsAt": null,
+        "snooze.isSnoozed": { $ne: true }
+    }, { sort: { order: -1 }, ...page });
 }
-export const getObjectsWithDate = async (me) => {
-    const objects = await Object.find({
+export const getObjectsWithDate = async (me, page = {}) => {
+    return await paginate(Object, {
         user: me,
         isCompleted: false,
         isArchived: false,
@@ -26,9 +35,7 @@ export const getObjectsWithDate = async (me) => {
         arrays: { $exists: true, $eq: [] },
         status: { $nin: ["archive", "done"] },
         "due.date": { $exists: true, $ne: null }
-    }).sort({ "due.date": 1, createdAt: -1 });
-
-    return objects;
+    }, { sort: { "due.date": 1, createdAt: -1 }, ...page });
 }
 
 export const reorderObjects = async (orderedItems) => {
@@ -82,7 +89,7 @@ const getThisWeekObjects = async (me) => {
     return objects;
 }
 
-const getThisWeekObjectsByDateRange = async (me, startDate, endDate) => {
+const getThisWeekObjectsByDateRange = async (me, startDate, endDate, page = {}) => {
     if (!me || !startDate || !endDate) {
         throw new Error('Missing required parameters: me, startDate, endDate');
     }
@@ -97,7 +104,7 @@ const getThisWeekObjectsByDateRange = async (me, startDate, endDate) => {
     endDate = new Date(endDate);
     endDate.setUTCHours(23, 59, 59, 999);
 
-    const objects = await Object.find({
+    return await paginate(Object, {
         user: me,
         isArchived: false,
         isDeleted: false,
@@ -107,22 +114,18 @@ const getThisWeekObjectsByDateRange = async (me, startDate, endDate) => {
             { "cycle.endsAt": { $gte: startDate, $lte: endDate } },
             { "due.date": { $gte: startDate, $lte: endDate } }
         ]
-    }).sort({ createdAt: 1 });
-
-    return objects;
+    }, { sort: { createdAt: 1 }, ...page });
 };
 
-const getAllObjects = async (me) => {
-    const objects = await Object.find({
+const getAllObjects = async (me, page = {}, { excludeArchived = false } = {}) => {
+    return await paginate(Object, {
         user: me,
-        isDeleted: false
-    })
-        .sort({ createdAt: -1 });
-
-    return objects;
+        isDeleted: false,
+        ...(excludeArchived ? { isArchived: false } : {})
+    }, { sort: { createdAt: -1 }, ...page });
 }
 
-const getUserTodayObjects = async (me) => {
+const getUserTodayObjects = async (me, { includeBlocked = false } = {}) => {
     const today = new Date();
     // Create dates in UTC
     const startOfDay = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate(), 0, 0, 0, 0));
@@ -160,7 +163,13 @@ const getUserTodayObjects = async (me) => {
         return false;
     });
 
-    return objects;
+    if (includeBlocked) {
+        return objects;
+    }
+
+    // Objects waiting on an open blocker are left out until it is done
+    const blockedIds = await getBlockedObjectIds(me, objects.map(obj => obj._id));
+    return objects.filter(obj => !blockedIds.has(obj._id.toString()));
 }
 
 const getUserOverdueObjects = async (me) => {
@@ -231,6 +240,7 @@ const createObject = async (user, objectData, array, block) => {
         error.statusCode = 500
         throw error
     }
+    newObject.$locals.actor = { type: "user", id: user };
 
     const object = await newObject.save()
 
@@ -247,19 +257,20 @@ const createInboxObject = async (user, objectData) => {
         error.statusCode = 500
         throw error
     }
+    newObject.$locals.actor = { type: "user", id: user };
 
     const object = await newObject.save()
 
     return object;
 };
 
-const updateInboxObject = async (object, user, objectData) => {
+const updateInboxObject = async (object, user, objectData, actor = { type: "user", id: user }) => {
     const updatedObject = await Object.findOneAndUpdate({
         _id: object,
         user
     },
     { $set: objectData },
-    { new: true }
+    { new: true, actor }
     )
     if (!updatedObject) {
         const error = new Error("Object not found or you do not have permission to update it");
@@ -270,90 +281,141 @@ const updateInboxObject = async (object, user, objectData) => {
 };
 
 export const deleteInboxObject = async (object, user) => {
-    const deletedObject = await Object.findOneAndUpdate({
-        _id: object,
-        user,
-        isDeleted: true
-    })
-    return deletedObject
+    const entry = await moveToTrash(user, "object", object);
+
+    return entry;
 }
 
-const filterObjects = async (user, filters, sortOptions) => {
+// Legacy `dueDate` presets of the filter endpoint, written in the filter query language
+const DUE_DATE_PRESETS = {
+    "no-date": "due:none",
+    "before-today": "due:<today",
+    today: "due:today",
+    "after-today": "due:>today",
+    "this-week": "due:this-week",
+    "this-month": "due:this-month"
+};
+
+const SORT_FIELDS = {
+    createdAt: "createdAt",
+    updatedAt: "updatedAt",
+    completedAt: "completedAt",
+    dueDate: "due.date",
+    due: "due.date",
+    title: "title",
+    order: "order",
+    status: "status",
+    priority: "metadata.priority"
+};
+
+const toNameMap = (documents, names, keys) => {
+    const map = {};
+    for (const name of names) {
+        const lower = name.toLowerCase();
+        map[lower] = documents
+            .filter(document => keys.some(key => String(document[key] ?? "").toLowerCase() === lower))
+            .map(document => document._id);
+    }
+    return map;
+};
+
+/**
+ * Compiles a filter query (see utils/filter-query.service.js) into a MongoDB query over the
+ * user's objects, looking up the labels and arrays it refers to by name
+ * @param {String} user - Id of the user
+ * @param {String} text - Filter query, e.g. `status:todo source:linear due:<7d label:bug`
+ * @param {Object} options
+ * @param {String} options.timezone - Timezone used for day and week boundaries
+ * @returns {Promise<Object>} - MongoDB query
+ */
+const buildObjectFilter = async (user, text, { timezone } = {}) => {
+    const tree = parseFilterQuery(text);
+    const { labels, arrays, archived } = getFilterReferences(tree);
+    const namePattern = (names) => names.map(name => new RegExp(`^${escapeRegex(name)}$`, "i"));
+
+    const [labelDocuments, arrayDocuments] = await Promise.all([
+        labels.length
+            ? Label.find({ user, name: { $in: namePattern(labels) } }).select("name").lean()
+            : [],
+        arrays.length
+            ? Array.find({
+                users: user,
+                $or: [
+                    { name: { $in: namePattern(arrays) } },
+                    { identifier: { $in: namePattern(arrays) } },
+                    { _id: { $in: arrays.filter(name => /^[a-f\d]{24}$/i.test(name)) } }
+                ]
+            }).select("name identifier").lean()
+            : []
+    ]);
+
     const query = {
         user,
-        isArchived: false,
         isDeleted: false
     };
-    const sort = {};
-    const startOfWeek = new Date();
-    const endOfWeek = new Date(startOfWeek);
-    const startOfMonth = new Date();
-    const endOfMonth = new Date(startOfMonth.getFullYear(), startOfMonth.getMonth() + 1, 0);
-
-    if (filters.dueDate) {
-        const dueDateFilters = filters.dueDate.split(',');
-        const dueDateConditions = [];
-
-        dueDateFilters.forEach((dueDateFilter) => {
-            switch (dueDateFilter) {
-            case 'no-date':
-                dueDateConditions.push({ dueDate: null });
-                break;
-            case 'before-today':
-                dueDateConditions.push({ dueDate: { $lt: new Date().setHours(0, 0, 0, 0) } });
-                break;
-            case 'today':
-                dueDateConditions.push({
-                    dueDate: {
-                        $gte: new Date().setHours(0, 0, 0, 0),
-                        $lt: new Date().setHours(23, 59, 59, 999)
-                    }
-                });
-                break;
-            case 'after-today':
-                dueDateConditions.push({ dueDate: { $gt: new Date().setHours(23, 59, 59, 999) } });
-                break;
-            case 'this-week':
-                startOfWeek.setDate(startOfWeek.getDate() - startOfWeek.getDay());
-                startOfWeek.setHours(0, 0, 0, 0);
-                endOfWeek.setDate(endOfWeek.getDate() + 6);
-                endOfWeek.setHours(23, 59, 59, 999);
-                dueDateConditions.push({
-                    dueDate: { $gte: startOfWeek, $lt: endOfWeek }
-                });
-                break;
-            case 'this-month':
-                startOfMonth.setDate(1);
-                startOfMonth.setHours(0, 0, 0, 0);
-                endOfMonth.setHours(23, 59, 59, 999);
-                dueDateConditions.push({
-                    dueDate: { $gte: startOfMonth, $lt: endOfMonth }
-                });
-                break;
-            default:
-                break;
-            }
-        });
+    if (!archived) {
+        query.isArchived = false;
+    }
+
+    const compiled = compileFilterQuery(tree, {
+        timezone,
+        references: {
+            labels: toNameMap(labelDocuments, labels, ["name"]),
+            arrays: toNameMap(arrayDocuments, arrays, ["name", "identifier", "_id"])
+        }
+    });
+    if (tree) {
+        query.$and = [compiled];
+    }
+
+    return query;
+};
 
-        if (dueDateConditions.length > 0) {
-            query.$or = dueDateConditions;
+/**
+ * Lists objects matching a filter query
+ * @param {String} user - Id of the user
+ * @param {Object} filters
+ * @param {String} filters.q - Filter query
+ * @param {String} filters.dueDate - Comma-separated presets (no-date, before-today, today, after-today, this-week, this-month)
+ * @param {String} filters.timezone - Timezone used for day and week boundaries
+ * @param {String} sortOptions - Comma-separated `field:asc|desc`
+ * @param {Object} page - { limit, after, fields }, see utils/pagination.service.js
+ * @returns {Promise<Object>} - { items, total, nextCursor }
+ */
+const filterObjects = async (user, filters, sortOptions, page = {}) => {
+    const terms = [];
+    if (typeof filters.q === "string" && filters.q.trim()) {
+        terms.push(`(${filters.q})`);
+    }
+    if (typeof filters.dueDate === "string") {
+        const presets = filters.dueDate.split(",").map(preset => DUE_DATE_PRESETS[preset.trim()]).filter(Boolean);
+        if (presets.length) {
+            terms.push(`(${presets.join(" OR ")})`);
         }
     }
 
+    const query = await buildObjectFilter(user, terms.join(" "), { timezone: filters.timezone });
+    const sort = {};
+    let sorted = false;
+
     // sorting
-    if (sortOptions) {
+    if (typeof sortOptions === "string" && sortOptions) {
         const sortParams = sortOptions.split(',');
 
         sortParams.forEach(sortParam => {
             const [by, direction] = sortParam.split(':');
-            sort[by] = direction === 'asc' ? 1 : -1;
+            if (SORT_FIELDS[by]) {
+                sort[SORT_FIELDS[by]] = direction === 'asc' ? 1 : -1;
+                sorted = true;
+            }
         });
-    } else {
+    }
+    if (!sorted) {
         // Default sorting by creation date (newest on top)
         sort.createdAt = -1;
     }
 
-    return await Object.find(query).sort(sort);
+    return await paginate(Object, query, { sort, ...page });
 };
 
 const getObject = async (user, id, array, block) => {
@@ -369,32 +431,30 @@ const getObject = async (user, id, array, block) => {
     return object;
 };
 
-const getAllObjectsByBloack = async (user, array, block) => {
-    const object = await Object.find({
+const getAllObjectsByBloack = async (user, array, block, page = {}) => {
+    return await paginate(Object, {
         user,
         arrays: { $elemMatch: { $eq: array } },
         blocks: { $elemMatch: { $eq: block } },
         isArchived: false,
         isDeleted: false
-    })
-
-    return object;
+    }, { sort: { createdAt: -1 }, ...page });
 };
 
-const updateObject = async (id, updateData, array, block) => {
+const updateObject = async (id, updateData, array, block, actor) => {
     const updatedObject = await Object.findOneAndUpdate({
         _id: id,
         arrays: { $elemMatch: { $eq: array } },
         blocks: { $elemMatch: { $eq: block } }
     },
     { $set: updateData },
-    { new: true }
+    { new: true, actor }
     )
 
     return updatedObject;
 };
 
-const moveObjecttoDate = async (date, id) => {
+const moveObjecttoDate = async (date, id, actor) => {
     const formattedDate = date ? new Date(date) : null;
     
     // Get the current object to check for recurrence
@@ -425,25 +485,26 @@ const moveObjecttoDate = async (date, id) => {
                 due: dueObject
             } 
         },
-        { new: true }
+        { new: true, actor }
     );
 
     return object;
 };
 
-const getObjectFilterByLabel = async (name, userId, array) => {
+const getObjectFilterByLabel = async (name, userId, array, page = {}) => {
     const label = await getLabelByName(name, userId, array);
-    const objects = await Object.find({
+
+    return await paginate(Object, {
         labels: { $in: [label._id] },
         user: userId
-    })
-
-    return objects;
+    }, { sort: { createdAt: -1 }, ...page });
 };
 
+// Legacy title lookup: case-insensitive substring match, so partial words still find
+// their objects. Ranked full-text search lives at /search/.
 const searchObjectsByTitle = async (title, user) => {
     const objects = await Object.find({
-        title: { $regex: title, $options: 'i' },
+        title: { $regex: escapeRegex(String(title || "")), $options: "i" },
         isDeleted: false,
         user
     }).exec();
@@ -451,34 +512,119 @@ const searchObjectsByTitle = async (title, user) => {
     return objects;
 };
 
-const getUserFavoriteObjects = async (user) => {
-    const objects = await Object.find({
+const getUserFavoriteObjects = async (user, page = {}) => {
+    return await paginate(Object, {
         isFavorite: true,
         isArchived: false,
         isDeleted: false,
         user
-    })
-
-    return objects;
+    }, { sort: { createdAt: -1 }, ...page });
 };
 
-const getSubObjects = async (user, parentId) => {
-    const subobjects = await Object.find({
+const getSubObjects = async (user, parentId, page = {}) => {
+    return await paginate(Object, {
         parent: parentId,
         user,
         isArchived: false,
         isDeleted: false,
         isCompleted: false
-    });
-    if (!subobjects.length) {
-        const error = new Error("No sub-objects found for this parent object.");
+    }, { sort: { order: 1 }, ...page });
+};
+
+/**
+ * Fetches an object with its sub-objects nested under `children`, down to `depth` levels
+ * @param {String} user - Owner of the objects
+ * @param {String} objectId - Id of the root object
+ * @param {Object} options
+ * @param {Number} options.depth - Number of levels below the root to include
+ * @param {Boolean} options.includeCompleted - Include completed sub-objects
+ * @returns {Promise<Object>} - The root object with nested children
+ */
+const getObjectTree = async (user, objectId, { depth = 3, includeCompleted = true } = {}) => {
+    const root = await Object.findOne({ _id: objectId, user, isDeleted: false }).lean();
+    if (!root) {
+        const error = new Error("Object not found or you do not have permission to access it");
+        error.statusCode = 404;
+        throw error;
+    }
+
+    const nodes = new Map([[root._id.toString(), { ...root, children: [] }]]);
+    let frontier = [root._id];
+
+    for (let level = 0; level < depth && frontier.length; level++) {
+        const query = { parent: { $in: frontier }, user, isArchived: false, isDeleted: false };
+        if (!includeCompleted) {
+            query.isCompleted = false;
+        }
+        const children = await Object.find(query).sort({ order: 1 }).lean();
+
+        frontier = [];
+        for (const child of children) {
+            if (nodes.has(child._id.toString())) {
+                continue;
+            }
+            const node = { ...child, children: [] };
+            nodes.set(child._id.toString(), node);
+            nodes.get(child.parent.toString()).children.push(node);
+            frontier.push(child._id);
+        }
+    }
+
+    return nodes.get(root._id.toString());
+};
+
+/**
+ * Moves an object under a new parent, or to the top level when `parentId` is null.
+ * The object goes to the end of its new siblings.
+ * @param {String} user - Owner of the objects
+ * @param {String} objectId - Id of the object to move
+ * @param {String|null} parentId - Id of the new parent
+ * @returns {Promise<Object>} - The moved object
+ */
+const moveObjectToParent = async (user, objectId, parentId) => {
+    const object = await Object.findOne({ _id: objectId, user, isDeleted: false });
+    if (!object) {
+        const error = new Error("Object not found or you do not have permission to update it");
         error.statusCode = 404;
         throw error;
     }
-    return subobjects;
+
+    if (parentId) {
+        const parent = await Object.findOne({ _id: parentId, user, isDeleted: false }).select("_id parent");
+        if (!parent) {
+            const error = new Error("Parent object not found");
+            error.statusCode = 404;
+            throw error;
+        }
+
+        // Walk up from the new parent to make sure the object is not one of its ancestors
+        const visited = new Set();
+        let ancestor = parent;
+        while (ancestor && !visited.has(ancestor._id.toString())) {
+            if (ancestor._id.equals(object._id)) {
+                const error = new Error("An object cannot be moved under itself or one of its sub-objects");
+                error.statusCode = 400;
+                throw error;
+            }
+            visited.add(ancestor._id.toString());
+            ancestor = ancestor.parent ? await Object.findById(ancestor.parent).select("_id parent") : null;
+        }
+    }
+
+    const lastSibling = await Object.findOne({ user, parent: parentId || null, _id: { $ne: object._id } })
+        .sort({ order: -1 })
+        .select("order");
+
+    const updatedObject = await Object.findOneAndUpdate(
+        { _id: object._id, user },
+        { $set: { parent: parentId || null, order: lastSibling ? lastSibling.order + 1 : 0 } },
+        { new: true, actor: { type: "user", id: user } }
+    );
+
+    return updatedObject;
 };
 
-const getObjectsByTypeAndSource = async (user, { type, source }) => {
+const getObjectsByTypeAndSource = async (user, { type, source }, page = {}) => {
     const query = { user, isArchived: false, isDeleted: false };
 
     if (type) {
@@ -489,48 +635,195 @@ const getObjectsByTypeAndSource = async (user, { type, source }) => {
         query.source = source;
     }
 
-    const objects = await Object.find(query);
-    return objects;
+    return await paginate(Object, query, { sort: { createdAt: -1 }, ...page });
 }
 
-const getObjectsBySource = async (user, source) => {
-    const objects = await Object.find({
+const getObjectsBySource = async (user, source, page = {}) => {
+    return await paginate(Object, {
         source,
         user,
         isArchived: false,
         isDeleted: false
-    })
-    return objects;
+    }, { sort: { createdAt: -1 }, ...page });
 }
 
-export const getUserUpcomingObjects = async (user) => {
-    const objects = await Object.find({
+export const getUserUpcomingObjects = async (user, page = {}) => {
+    return await paginate(Object, {
         user,
         isArchived: false,
         isDeleted: false,
         isCompleted: false,
         'due.date': { $gte: new Date().toISOString() }
-    });
-    return objects;
+    }, { sort: { 'due.date': 1 }, ...page });
 }
 
-export const getObjectsByRecurrence = async (user) => {
+export const getObjectsByRecurrence = async (user, page = {}) => {
     const query = {
         user,
         isArchived: false,
         isDeleted: false,
+        isCompleted: false,
         'due.is_recurring': true
     };
     
-    const objects = await Object.find(query).sort({ 'due.date': 1 });
-    
-    return objects;
+    return await paginate(Object, query, { sort: { 'due.date': 1 }, ...page });
 }
 
+export const getUpcomingOccurrences = async (user, { days = 14, timezone = "UTC" } = {}) => {
+    const from = new Date();
+    const to = new Date(from.getTime() + days * 24 * 60 * 60 * 1000);
+
+    const objects = await Object.find({
+        user,
+        isArchived: false,
+        isDeleted: false,
+        isCompleted: false,
+        'due.is_recurring': true,
+        'due.date': { $ne: null }
+    });
+
+    const occurrences = [];
+    for (const object of objects) {
+        const rule = parseRecurrence(object.due.string) || parseRecurrence(object.recurrence?.rule);
+        if (!rule) {
+            continue;
+        }
+
+        // The open instance is the next occurrence even when it is overdue
+        const dates = getOccurrences(rule, { anchor: object.due.date, from, to, timezone });
+        if (new Date(object.due.date) < from) {
+            dates.unshift(new Date(object.due.date));
+        }
+
+        dates.forEach((date) => {
+            occurrences.push({
+                date: date.toISOString(),
+                rrule: toRRule(rule),
+                object
+            });
+        });
+    }
+
+    return occurrences.sort((a, b) => new Date(a.date) - new Date(b.date));
+}
+
+const batchError = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+// Builds the update shared by every object of a batch operation, checking
+// that the labels, array and block it points to belong to the user
+const buildBatchUpdate = async (user, operation) => {
+    switch (operation.action) {
+    case "update":
+        return { $set: sanitize(operation.fields) };
+    case "setStatus":
+        return { $set: { status: operation.status } };
+    case "addLabels":
+    case "removeLabels": {
+        // A label listed twice is still one label
+        const labels = [...new Set(operation.labels.map(String))];
+        const labelCount = await Label.countDocuments({ _id: { $in: labels }, user });
+        if (labelCount !== labels.length) {
+            throw batchError("One or more labels were not found", 404);
+        }
+        return operation.action === "addLabels"
+            ? { $addToSet: { labels: { $each: labels } } }
+            : { $pull: { labels: { $in: labels } } };
+    }
+    case "move": {
+        const array = await Array.findOne({ _id: operation.array, users: user, isDeleted: false });
+        if (!array) {
+            throw batchError("Array not found or you do not have permission to move objects to it", 404);
+        }
+        if (operation.block) {
+            const block = await Block.findOne({ _id: operation.block, array: array._id, isDeleted: false });
+            if (!block) {
+                throw batchError("Block not found in this array", 404);
+            }
+        }
+        return { $set: { arrays: [array._id], blocks: operation.block ? [operation.block] : [] } };
+    }
+    default:
+        return null;
+    }
+};
+
+/**
+ * Runs a list of bulk operations against the user's objects. Operations run in
+ * order and every object is handled on its own, so one failure does not stop the rest.
+ * @param {String} user - Owner of the objects
+ * @param {Array} operations - [{ action, ids, ...params }] as validated by BatchObjectsPayload
+ * @returns {Promise<Object>} - Per-item results, the changed objects and the ids moved to trash
+ */
+const executeObjectBatch = async (user, operations) => {
+    const actor = { type: "user", id: user };
+    const results = [];
+    const changed = new Map();
+    const deleted = new Set();
+
+    for (const operation of operations) {
+        const { action, ids } = operation;
+
+        let update = null;
+        try {
+            update = await buildBatchUpdate(user, operation);
+        } catch (error) {
+            ids.forEach(id => results.push({ id, action, success: false, error: error.message }));
+            continue;
+        }
+
+        const owned = await Object.find({ _id: { $in: ids }, user, isDeleted: false }).select("_id");
+        const ownedIds = new Set(owned.map(object => object._id.toString()));
+
+        for (const id of ids) {
+            // Sub-objects go to the trash together with a parent deleted earlier in the batch
+            if (action === "delete" && deleted.has(id)) {
+                results.push({ id, action, success: true });
+                continue;
+            }
+            if (!ownedIds.has(id)) {
+                results.push({ id, action, success: false, error: "Object not found or you do not have permission to update it" });
+                continue;
+            }
+
+            try {
+                if (action === "delete") {
+                    const entry = await moveToTrash(user, "object", id);
+                    [entry.item, ...entry.cascade.map(item => item.item)].forEach(itemId => {
+                        deleted.add(itemId.toString());
+                        changed.delete(itemId.toString());
+                    });
+                } else {
+                    const object = action === "moveToDate"
+                        ? await moveObjecttoDate(operation.date, id, actor)
+                        : await Object.findOneAndUpdate({ _id: id, user }, update, { new: true, runValidators: true, actor });
+                    changed.set(id, object);
+                }
+                results.push({ id, action, success: true });
+            } catch (error) {
+                results.push({ id, action, success: false, error: error.message });
+            }
+        }
+    }
+
+    const failed = results.filter(result => !result.success).length;
+    return {
+        succeeded: results.length - failed,
+        failed,
+        results,
+        objects: [...changed.values()],
+        deleted: [...deleted]
+    };
+};
+
 export {
     getInboxObjects,
     getInboxObject,
     createObject,
+    buildObjectFilter,
     filterObjects,
     updateObject,
     getObject,
@@ -548,6 +841,9 @@ export {
     getThisWeekObjectsByDateRange,
     getUserFavoriteObjects,
     getSubObjects,
+    getObjectTree,
+    moveObjectToParent,
     getObjectsByTypeAndSource,
     getObjectsBySource,
+    executeObjectBatch
 }
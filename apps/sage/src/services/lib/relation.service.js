@@ -0,0 +1,289 @@
+import { Relation } from "../../models/lib/relation.model.js";
+import { Object } from "../../models/lib/object.model.js";
+import { paginate } from "../../utils/pagination.service.js";
+import { RELATION_TYPES, ACYCLIC_TYPES, normalizeRelation } from "../../utils/relation.service.js";
+
+const RELATED_FIELDS = "title type source status isCompleted due metadata.url";
+
+/**
+ * Follows relations of one type forward from `start` and returns the path to `target`, if any
+ * @param {String} user - Owner of the relations
+ * @param {String} start - Object to start from
+ * @param {String} target - Object to look for
+ * @param {String} type - Relation type to follow
+ * @returns {Promise<Array|null>} - Ids along the path from start to target
+ */
+const findRelationPath = async (user, start, target, type) => {
+    const previous = new Map([[start.toString(), null]]);
+    let frontier = [start.toString()];
+
+    while (frontier.length) {
+        const relations = await Relation.find({ user, type, from: { $in: frontier } }).select("from to").lean();
+
+        frontier = [];
+        for (const relation of relations) {
+            const next = relation.to.toString();
+            if (previous.has(next)) {
+                continue;
+            }
+            previous.set(next, relation.from.toString());
+
+            if (next === target.toString()) {
+                const path = [next];
+                let step = previous.get(next);
+                while (step) {
+                    path.unshift(step);
+                    step = previous.get(step);
+                }
+                return path;
+            }
+            frontier.push(next);
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Links two objects. Creating a relation that already exists returns the existing one.
+ * @param {String} user - Owner of both objects
+ * @param {String} objectId - Id of the object the relation is added to
+ * @param {String} targetId - Id of the related object
+ * @param {String} type - One of "blocks", "blocked-by", "relates-to" or "duplicates"
+ * @param {Object} options
+ * @param {String} options.source - Where the relation comes from ("momo", "linear", "github")
+ * @param {String} options.externalId - Id of the relation in that source
+ * @returns {Promise<Object>} - The relation
+ */
+const createRelation = async (user, objectId, targetId, type, { source = "momo", externalId = null } = {}) => {
+    const { from, to, type: relationType } = normalizeRelation(objectId, targetId, type);
+
+    if (from.toString() === to.toString()) {
+        const error = new Error("An object cannot be related to itself");
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const objects = await Object.countDocuments({ _id: { $in: [from, to] }, user, isDeleted: false });
+    if (objects !== 2) {
+        const error = new Error("Object not found or you do not have permission to access it");
+        error.statusCode = 404;
+        throw error;
+    }
+
+    // "relates-to" has no direction; relations stored before it was normalized may be the other way around
+    const existing = await Relation.findOne({
+        user,
+        type: relationType,
+        $or: relationType === "relates-to"
+            ? [{ from, to }, { from: to, to: from }]
+            : [{ from, to }]
+    });
+    if (existing) {
+        return existing;
+    }
+
+    if (ACYCLIC_TYPES.includes(relationType)) {
+        const path = await findRelationPath(user, to, from, relationType);
+        if (path) {
+            const error = new Error(`This relation would create a cycle: ${[...path, to.toString()].join(" → ")}`);
+            error.statusCode = 400;
+            throw error;
+        }
+    }
+
+    // A unique index keeps one relation per pair and type when the same one is created concurrently
+    const upsert = () => Relation.findOneAndUpdate(
+        { user, from, to, type: relationType },
+        { $setOnInsert: { source, externalId } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+    try {
+        return await upsert();
+    } catch (error) {
+        if (error.code !== 11000) {
+            throw error;
+        }
+        return await upsert();
+    }
+};
+
+const deleteRelation = async (user, objectId, relationId) => {
+    const relation = await Relation.findOneAndDelete({
+        _id: relationId,
+        user,
+        $or: [{ from: objectId }, { to: objectId }]
+    });
+    if (!relation) {
+        const error = new Error("Relation not found");
+        error.statusCode = 404;
+        throw error;
+    }
+    return relation;
+};
+
+/**
+ * Lists the relations of an object, seen from that object
+ * @param {String} user - Owner of the object
+ * @param {String} objectId - Id of the object
+ * @returns {Promise<Object>} - { blocks, blockedBy, relatesTo, duplicates, duplicatedBy }
+ */
+const getObjectRelations = async (user, objectId) => {
+    const relations = await Relation.find({
+        user,
+        $or: [{ from: objectId }, { to: objectId }]
+    })
+        .populate("from", RELATED_FIELDS)
+        .populate("to", RELATED_FIELDS)
+        .sort({ createdAt: -1 });
+
+    const grouped = { blocks: [], blockedBy: [], relatesTo: [], duplicates: [], duplicatedBy: [] };
+    for (const relation of relations) {
+        if (!relation.from || !relation.to) {
+            continue;
+        }
+
+        const outgoing = relation.from._id.equals(objectId);
+        const entry = {
+            relation: relation._id,
+            source: relation.source,
+            object: outgoing ? relation.to : relation.from
+        };
+
+        if (relation.type === "blocks") {
+            grouped[outgoing ? "blocks" : "blockedBy"].push(entry);
+        } else if (relation.type === "duplicates") {
+            grouped[outgoing ? "duplicates" : "duplicatedBy"].push(entry);
+        } else {
+            grouped.relatesTo.push(entry);
+        }
+    }
+
+    return grouped;
+};
+
+/**
+ * Lists the open objects blocking an object
+ * @param {String} user - Owner of the object
+ * @param {String} objectId - Id of the blocked object
+ * @param {Object} options
+ * @param {Boolean} options.transitive - Also include whatever blocks the blockers
+ * @returns {Promise<Array>} - Blocking objects, each with the `depth` at which it blocks
+ */
+const getBlockers = async (user, objectId, { transitive = false } = {}) => {
+    const blockers = [];
+    const seen = new Set([objectId.toString()]);
+    let frontier = [objectId];
+    let depth = 1;
+
+    while (frontier.length) {
+        const relations = await Relation.find({ user, type: "blocks", to: { $in: frontier } }).select("from").lean();
+        const ids = relations.map(relation => relation.from).filter(id => !seen.has(id.toString()));
+        ids.forEach(id => seen.add(id.toString()));
+
+        const open = await Object.find({ _id: { $in: ids }, user, isCompleted: false, isDeleted: false })
+            .select(RELATED_FIELDS)
+            .lean();
+        blockers.push(...open.map(object => ({ ...object, depth })));
+
+        if (!transitive) {
+            break;
+        }
+        frontier = open.map(object => object._id);
+        depth++;
+    }
+
+    return blockers;
+};
+
+/**
+ * Finds which of the given objects are waiting on an open blocker
+ * @param {String} user - Owner of the objects
+ * @param {Array} objectIds - Ids to check
+ * @returns {Promise<Set>} - String ids of the blocked objects
+ */
+const getBlockedObjectIds = async (user, objectIds) => {
+    const query = { user, type: "blocks" };
+    if (objectIds) {
+        query.to = { $in: objectIds };
+    }
+    const relations = await Relation.find(query).select("from to").lean();
+    if (!relations.length) {
+        return new Set();
+    }
+
+    const open = await Object.find({
+        _id: { $in: relations.map(relation => relation.from) },
+        isCompleted: false,
+        isDeleted: false
+    }).select("_id").lean();
+    const openIds = new Set(open.map(object => object._id.toString()));
+
+    return new Set(relations
+        .filter(relation => openIds.has(relation.from.toString()))
+        .map(relation => relation.to.toString()));
+};
+
+const getBlockedObjects = async (user, page = {}) => {
+    const blockedIds = await getBlockedObjectIds(user);
+
+    return await paginate(Object, {
+        _id: { $in: [...blockedIds] },
+        user,
+        isCompleted: false,
+        isDeleted: false
+    }, { sort: { order: -1 }, ...page });
+};
+
+/**
+ * Imports a relation between two objects synced from an integration. Relations whose
+ * objects have not been imported yet, or that would create a cycle, are skipped.
+ * @param {String} user - Owner of the objects
+ * @param {Object} relation
+ * @param {String} relation.source - Integration name, also the `source` of both objects
+ * @param {String} relation.from - Integration id of the first object
+ * @param {String} relation.to - Integration id of the second object
+ * @param {String} relation.type - One of RELATION_TYPES
+ * @param {String} relation.externalId - Id of the relation in the integration
+ * @returns {Promise<Object|null>} - The relation, or null when skipped
+ */
+const importExternalRelation = async (user, { source, from, to, type, externalId = null }) => {
+    const [fromObject, toObject] = await Promise.all([
+        Object.findOne({ id: from, source, user, isDeleted: false }).select("_id"),
+        Object.findOne({ id: to, source, user, isDeleted: false }).select("_id")
+    ]);
+    if (!fromObject || !toObject) {
+        return null;
+    }
+
+    try {
+        return await createRelation(user, fromObject._id, toObject._id, type, { source, externalId });
+    } catch (error) {
+        console.error(`Skipped ${source} relation ${externalId || `${from} ${type} ${to}`}:`, error.message);
+        return null;
+    }
+};
+
+/**
+ * Removes the relations a user imported from an integration under one external id
+ * @param {String} user - Owner of the relations
+ * @param {String} source - Integration name
+ * @param {String} externalId - Id of the relation in that integration
+ * @returns {Promise<Number>} - Number of relations removed
+ */
+const deleteExternalRelation = async (user, source, externalId) => {
+    const { deletedCount } = await Relation.deleteMany({ user, source, externalId });
+    return deletedCount;
+};
+
+export {
+    RELATION_TYPES,
+    createRelation,
+    deleteRelation,
+    getObjectRelations,
+    getBlockers,
+    getBlockedObjectIds,
+    getBlockedObjects,
+    importExternalRelation,
+    deleteExternalRelation
+}
@@ -0,0 +1,247 @@
+import { Reminder } from "../../models/lib/reminder.model.js";
+import { Object } from "../../models/lib/object.model.js";
+import { User } from "../../models/core/user.model.js";
+import { reminderQueue } from "../../loaders/bullmq.loader.js";
+import { parseReminderOffset, formatReminderOffset, getReminderTime, formatReminderDue } from "../../utils/reminder-time.service.js";
+import { paginate } from "../../utils/pagination.service.js";
+import { deliver } from "./notificationChannel.service.js";
+
+// Reminders that should have fired within this window are still delivered, e.g. after a restart
+const LATE_DELIVERY_MS = 60 * 1000;
+
+const reminderError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const getUserObject = async (user, objectId) => {
+    const object = await Object.findOne({ _id: objectId, user, isDeleted: false }).select("title due");
+    if (!object) {
+        throw reminderError("Object not found or you do not have permission to access it", 404);
+    }
+    return object;
+};
+
+const getUserReminder = async (user, id) => {
+    const reminder = await Reminder.findOne({ _id: id, user });
+    if (!reminder) {
+        throw reminderError("Reminder not found", 404);
+    }
+    return reminder;
+};
+
+const removeReminderJob = async (reminder) => {
+    if (!reminder.jobId) {
+        return;
+    }
+    try {
+        const job = await reminderQueue.getJob(reminder.jobId);
+        if (job) {
+            await job.remove();
+        }
+    } catch (error) {
+        // A job that is already running cannot be removed; it checks fireAt and drops itself
+        console.error(`Failed to remove reminder job ${reminder.jobId}:`, error.message);
+    }
+    reminder.jobId = null;
+};
+
+/**
+ * Works out when a reminder fires and replaces its delayed job. Reminders whose
+ * time has passed are kept without a job.
+ * @param {Document} reminder - The reminder, saved by this function
+ * @param {Object} object - The object it belongs to, with `due.date`
+ * @returns {Promise<Document>} - The reminder
+ */
+const scheduleReminder = async (reminder, object) => {
+    await removeReminderJob(reminder);
+
+    reminder.fireAt = getReminderTime(reminder, object);
+    if (reminder.status === "scheduled" && reminder.fireAt && reminder.fireAt.getTime() > Date.now() - LATE_DELIVERY_MS) {
+        const jobId = `reminder-${reminder._id}-${reminder.fireAt.getTime()}`;
+        await reminderQueue.add('deliverReminder', {
+            reminder: reminder._id.toString(),
+            fireAt: reminder.fireAt.toISOString()
+        }, {
+            jobId,
+            delay: Math.max(reminder.fireAt.getTime() - Date.now(), 0),
+            removeOnComplete: true,
+            attempts: 3,
+            backoff: 1000
+        });
+        reminder.jobId = jobId;
+    }
+
+    await reminder.save();
+    return reminder;
+};
+
+/**
+ * Adds a reminder to an object
+ * @param {String} user - Id of the user
+ * @param {String} objectId - Id of the object
+ * @param {Object} reminderData - { at } for an absolute time or { before } for a time before the due date, and the channels
+ * @returns {Promise<Document>} - The scheduled reminder
+ */
+const createReminder = async (user, objectId, { at, before, channels }) => {
+    const object = await getUserObject(user, objectId);
+
+    const reminder = new Reminder({ user, object: object._id, channels });
+    if (at) {
+        const remindAt = new Date(at);
+        if (remindAt.getTime() <= Date.now()) {
+            throw reminderError("Reminder time must be in the future", 400);
+        }
+        reminder.type = "absolute";
+        reminder.remindAt = remindAt;
+    } else {
+        reminder.type = "relative";
+        reminder.offset = parseReminderOffset(before);
+    }
+
+    return await scheduleReminder(reminder, object);
+};
+
+const getObjectReminders = async (user, objectId) => {
+    const reminders = await Reminder.find({ user, object: objectId }).sort({ fireAt: 1, createdAt: 1 });
+
+    return reminders.map(reminder => ({
+        ...reminder.toObject(),
+        label: reminder.type === "relative" ? formatReminderOffset(reminder.offset) : null
+    }));
+};
+
+const getUpcomingReminders = async (user, page = {}) => {
+    return await paginate(Reminder, {
+        user,
+        status: "scheduled",
+        fireAt: { $gte: new Date() }
+    }, { sort: { fireAt: 1 }, populate: { path: "object", select: "title due" }, ...page });
+};
+
+const deleteReminder = async (user, id) => {
+    const reminder = await getUserReminder(user, id);
+    await removeReminderJob(reminder);
+    await reminder.deleteOne();
+
+    return reminder;
+};
+
+/**
+ * Delays a reminder until a later time
+ * @param {String} user - Id of the user
+ * @param {String} id - Id of the reminder
+ * @param {Object} options - { minutes } from now or { until } a time
+ * @returns {Promise<Document>} - The rescheduled reminder
+ */
+const snoozeReminder = async (user, id, { minutes, until }) => {
+    const reminder = await getUserReminder(user, id);
+    if (reminder.status === "dismissed") {
+        throw reminderError("Dismissed reminders cannot be snoozed", 409);
+    }
+
+    const snoozedUntil = until ? new Date(until) : new Date(Date.now() + minutes * 60 * 1000);
+    if (snoozedUntil.getTime() <= Date.now()) {
+        throw reminderError("Snooze time must be in the future", 400);
+    }
+
+    reminder.snoozedUntil = snoozedUntil;
+    reminder.status = "scheduled";
+    return await scheduleReminder(reminder, null);
+};
+
+const dismissReminder = async (user, id) => {
+    const reminder = await getUserReminder(user, id);
+    await removeReminderJob(reminder);
+    reminder.status = "dismissed";
+    reminder.snoozedUntil = null;
+    await reminder.save();
+
+    return reminder;
+};
+
+/**
+ * Moves the reminders that follow an object's due date. Relative reminders that were
+ * already sent or snoozed start over from the new date; dismissed ones stay dismissed.
+ * @param {String} objectId - Id of the object
+ * @returns {Promise<Number>} - Number of reminders rescheduled
+ */
+const rescheduleObjectReminders = async (objectId) => {
+    const object = await Object.findById(objectId).select("due").lean();
+    if (!object) {
+        return 0;
+    }
+
+    const reminders = await Reminder.find({ object: objectId, type: "relative", status: { $ne: "dismissed" } });
+    for (const reminder of reminders) {
+        reminder.status = "scheduled";
+        reminder.snoozedUntil = null;
+        await scheduleReminder(reminder, object);
+    }
+
+    return reminders.length;
+};
+
+/**
+ * Delivers a reminder through its channels. Jobs left over from an earlier schedule
+ * are ignored.
+ * @param {String} id - Id of the reminder
+ * @param {String} fireAt - Time the job was scheduled for
+ * @returns {Promise<Object|null>} - Outcome per channel, null when nothing was sent
+ */
+const deliverReminder = async (id, fireAt) => {
+    const reminder = await Reminder.findById(id);
+    if (!reminder || reminder.status !== "scheduled" || reminder.fireAt?.toISOString() !== fireAt) {
+        return null;
+    }
+
+    const object = await Object.findById(reminder.object).select("title due isCompleted isDeleted isArchived").lean();
+    reminder.jobId = null;
+    if (!object || object.isDeleted || object.isArchived || object.isCompleted) {
+        reminder.status = "skipped";
+        await reminder.save();
+        return null;
+    }
+
+    const user = await User.findById(reminder.user).select("accounts phoneNumber timezone").lean();
+    if (!user) {
+        reminder.status = "skipped";
+        await reminder.save();
+        return null;
+    }
+
+    const due = object.due?.date ? new Date(object.due.date) : null;
+    const deliveries = await deliver(user, reminder.channels, {
+        type: "reminder",
+        title: `Reminder: ${object.title}`,
+        body: due
+            ? `Due ${formatReminderDue(due, user.timezone)}`
+            : "",
+        data: {
+            action: "fire",
+            reminder: reminder._id,
+            object: object._id
+        }
+    });
+
+    reminder.status = "sent";
+    reminder.sentAt = new Date();
+    reminder.snoozedUntil = null;
+    reminder.deliveries = deliveries;
+    await reminder.save();
+
+    return deliveries;
+};
+
+export {
+    scheduleReminder,
+    createReminder,
+    getObjectReminders,
+    getUpcomingReminders,
+    deleteReminder,
+    snoozeReminder,
+    dismissReminder,
+    rescheduleObjectReminders,
+    deliverReminder
+}
@@ -0,0 +1,299 @@
+import { RetentionPolicy } from "../../models/lib/retentionPolicy.model.js";
+import { RetentionRun } from "../../models/lib/retentionRun.model.js";
+import { Object } from "../../models/lib/object.model.js";
+import { retentionQueue } from "../../loaders/bullmq.loader.js";
+import { paginate } from "../../utils/pagination.service.js";
+import { getPolicyError, buildPolicyFilter, describePolicy } from "../../utils/retention.service.js";
+import { moveToTrash } from "./trash.service.js";
+import { publishToUser } from "./notificationChannel.service.js";
+
+// Objects one policy changes per run; the rest wait for the next run
+const MAX_OBJECTS_PER_POLICY = 500;
+const RETENTION_ACTOR = { type: "system", id: "retention" };
+
+const retentionError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const toPolicyResponse = (policy) => {
+    const data = typeof policy.toObject === "function" ? policy.toObject() : policy;
+    return { ...data, description: describePolicy(data) };
+};
+
+const getRetentionPolicies = async (user) => {
+    const policies = await RetentionPolicy.find({ user }).sort({ createdAt: 1 });
+    return policies.map(toPolicyResponse);
+};
+
+const findPolicy = async (user, id) => {
+    const policy = await RetentionPolicy.findOne({ _id: id, user });
+    if (!policy) {
+        throw retentionError("Retention policy not found", 404);
+    }
+    return policy;
+};
+
+const savePolicy = async (policy) => {
+    const reason = getPolicyError(policy);
+    if (reason) {
+        throw retentionError(reason, 400);
+    }
+    if (!policy.name) {
+        policy.name = describePolicy(policy);
+    }
+    await policy.save();
+    return toPolicyResponse(policy);
+};
+
+/**
+ * Adds a policy such as "archive done items after 14 days"
+ * @param {String} user - Id of the user
+ * @param {Object} data - { name, isActive, state, action, days, type, source }
+ * @returns {Promise<Object>} - The policy with its `description`
+ */
+const createRetentionPolicy = async (user, data) => {
+    return await savePolicy(new RetentionPolicy({ ...data, user }));
+};
+
+const updateRetentionPolicy = async (user, id, data) => {
+    const policy = await findPolicy(user, id);
+    policy.set(data);
+    return await savePolicy(policy);
+};
+
+const deleteRetentionPolicy = async (user, id) => {
+    const policy = await findPolicy(user, id);
+    await policy.deleteOne();
+    return policy;
+};
+
+const findPolicyObjects = async (policy, now) => {
+    const filter = { user: policy.user, ...buildPolicyFilter(policy, now) };
+    const [objects, matched] = await Promise.all([
+        // Oldest first, so a backlog clears in the order it built up
+        Object.find(filter)
+            .sort({ updatedAt: 1 })
+            .limit(MAX_OBJECTS_PER_POLICY)
+            .select("_id title type source isCompleted completedAt archivedAt updatedAt")
+            .lean(),
+        Object.countDocuments(filter)
+    ]);
+    return { objects, matched };
+};
+
+/**
+ * What the next run would do: the objects each policy would archive or delete now
+ * @param {String} user - Id of the user
+ * @param {Object} options
+ * @param {String} options.policy - Only preview this policy, active or not
+ * @returns {Promise<Array>} - { policy, matched, objects } per policy
+ */
+const previewRetention = async (user, { policy: policyId } = {}) => {
+    const policies = policyId
+        ? [await findPolicy(user, policyId)]
+        : await RetentionPolicy.find({ user, isActive: true }).sort({ createdAt: 1 });
+
+    const now = new Date();
+    const previews = [];
+    for (const policy of policies) {
+        const { objects, matched } = await findPolicyObjects(policy, now);
+        previews.push({ policy: toPolicyResponse(policy), matched, objects });
+    }
+    return previews;
+};
+
+/**
+ * Applies one policy. A failure stops the policy but is recorded in its result,
+ * with the objects it changed before failing, so the other policies still run.
+ */
+const applyPolicy = async (policy, now) => {
+    const touched = [];
+    let found = 0;
+    let matched = 0;
+    let error = null;
+
+    try {
+        const policyObjects = await findPolicyObjects(policy, now);
+        found = policyObjects.objects.length;
+        matched = policyObjects.matched;
+
+        if (policy.action === "archive") {
+            // One update per object, so each gets a revision that can revert it
+            for (const object of policyObjects.objects) {
+                const archived = await Object.findOneAndUpdate(
+                    { _id: object._id, isArchived: false },
+                    { $set: { isArchived: true } },
+                    { new: true, actor: RETENTION_ACTOR }
+                );
+                if (archived) {
+                    touched.push(object);
+                }
+            }
+        } else {
+            for (const object of policyObjects.objects) {
+                try {
+                    await moveToTrash(policy.user, "object", object._id, {}, RETENTION_ACTOR);
+                    touched.push(object);
+                } catch (trashError) {
+                    // Already in the trash with a parent deleted earlier in this run
+                    if (trashError.statusCode !== 404) {
+                        throw trashError;
+                    }
+                }
+            }
+        }
+
+        policy.lastRunAt = now;
+        await policy.save();
+    } catch (policyError) {
+        console.error(`Retention policy ${policy._id} failed:`, policyError);
+        error = policyError.message;
+    }
+
+    return {
+        policy: policy._id,
+        name: policy.name,
+        action: policy.action,
+        matched,
+        objects: touched.map(object => ({ object: object._id, title: object.title || "" })),
+        skipped: found - touched.length,
+        error
+    };
+};
+
+const notifyRun = async (run) => {
+    const parts = [
+        run.archived && `${run.archived} archived`,
+        run.deleted && `${run.deleted} moved to the trash`
+    ].filter(Boolean);
+    if (!parts.length) {
+        return;
+    }
+
+    await publishToUser(run.user, {
+        type: "retention",
+        message: `Retention policies: ${parts.join(", ")}`,
+        action: "complete",
+        run: run._id
+    }, {
+        title: `Retention policies: ${parts.join(", ")}`
+    });
+};
+
+/**
+ * Applies the active policies of the user of a run and stores what each one touched
+ * @param {String} runId - Id of the run
+ * @returns {Promise<Document|null>} - The finished run, null when it no longer exists
+ */
+const runRetention = async (runId) => {
+    const run = await RetentionRun.findById(runId);
+    if (!run || run.status === "done") {
+        return run;
+    }
+
+    run.set({ status: "running", startedAt: new Date(), error: null });
+    await run.save();
+
+    try {
+        const now = new Date();
+        const policies = await RetentionPolicy.find({ user: run.user, isActive: true }).sort({ createdAt: 1 });
+        const results = [];
+        for (const policy of policies) {
+            results.push(await applyPolicy(policy, now));
+        }
+
+        const count = (action) => results
+            .filter(result => result.action === action)
+            .reduce((total, result) => total + result.objects.length, 0);
+        const failed = results.filter(result => result.error).length;
+        run.set({
+            status: "done",
+            results,
+            archived: count("archive"),
+            deleted: count("delete"),
+            error: failed ? `${failed} of ${results.length} policies failed` : null,
+            completedAt: new Date()
+        });
+        await run.save();
+    } catch (error) {
+        run.set({ status: "failed", error: error.message });
+        await run.save();
+        throw error;
+    }
+
+    await notifyRun(run);
+    return run;
+};
+
+const queueRun = async (user, trigger) => {
+    const run = await RetentionRun.create({ user, trigger });
+    await retentionQueue.add('runPolicies', { run: run._id.toString() }, {
+        jobId: `retention-${run._id}`,
+        removeOnComplete: true,
+        attempts: 2,
+        backoff: 5000
+    });
+    return run;
+};
+
+/**
+ * Queues a run of the user's policies now, unless one is already waiting
+ * @param {String} user - Id of the user
+ * @returns {Promise<Document>} - The pending run
+ */
+const startRetentionRun = async (user) => {
+    const running = await RetentionRun.findOne({ user, status: { $in: ["pending", "running"] } });
+    if (running) {
+        return running;
+    }
+    return await queueRun(user, "manual");
+};
+
+/**
+ * Queues a run for every user with an active policy, except users whose last run
+ * has not finished yet
+ * @returns {Promise<Number>} - Number of runs queued
+ */
+const queueScheduledRetention = async () => {
+    const [users, waiting] = await Promise.all([
+        RetentionPolicy.distinct("user", { isActive: true }),
+        RetentionRun.distinct("user", { status: { $in: ["pending", "running"] } })
+    ]);
+    const waitingUsers = waiting.map(user => user.toString());
+    const due = users.filter(user => !waitingUsers.includes(user.toString()));
+    for (const user of due) {
+        await queueRun(user, "schedule");
+    }
+    return due.length;
+};
+
+const getRetentionRuns = async (user, page = {}) => {
+    return await paginate(RetentionRun, { user }, {
+        sort: { createdAt: -1 },
+        fields: ["trigger", "status", "archived", "deleted", "error", "startedAt", "completedAt", "createdAt"],
+        ...page
+    });
+};
+
+const getRetentionRun = async (user, id) => {
+    const run = await RetentionRun.findOne({ _id: id, user });
+    if (!run) {
+        throw retentionError("Retention run not found", 404);
+    }
+    return run;
+};
+
+export {
+    getRetentionPolicies,
+    createRetentionPolicy,
+    updateRetentionPolicy,
+    deleteRetentionPolicy,
+    previewRetention,
+    runRetention,
+    startRetentionRun,
+    queueScheduledRetention,
+    getRetentionRuns,
+    getRetentionRun
+}
@@ -0,0 +1,103 @@
+import { Revision } from "../../models/lib/revision.model.js";
+import { Object } from "../../models/lib/object.model.js";
+
+const findUserObject = async (object, user) => {
+    const existing = await Object.findOne({ _id: object, user }).select("_id");
+    if (!existing) {
+        const error = new Error("Object not found or you do not have permission to access it");
+        error.statusCode = 404;
+        throw error;
+    }
+    return existing;
+};
+
+/**
+ * Lists the revisions of an object, newest first
+ * @param {String} user - Owner of the object
+ * @param {String} object - Id of the object
+ * @param {Object} options
+ * @param {Number} options.limit - Maximum number of revisions to return
+ * @param {String} options.before - Only return revisions older than this date
+ * @returns {Promise<Array>}
+ */
+const getObjectHistory = async (user, object, { limit = 50, before } = {}) => {
+    await findUserObject(object, user);
+
+    const query = { object };
+    if (before) {
+        const date = new Date(before);
+        if (isNaN(date.getTime())) {
+            const error = new Error("before must be a valid date");
+            error.statusCode = 400;
+            throw error;
+        }
+        query.createdAt = { $lt: date };
+    }
+
+    const revisions = await Revision.find(query)
+        .sort({ createdAt: -1 })
+        .limit(limit);
+
+    return revisions;
+};
+
+/**
+ * Undoes a revision by restoring the previous value of every field it changed.
+ * The revert is itself recorded as a new revision. Fields that were changed
+ * again by a later revision are reported as conflicts unless `force` is set.
+ * @param {String} user - Owner of the object
+ * @param {String} object - Id of the object
+ * @param {String} revision - Id of the revision to undo
+ * @param {Boolean} force - Overwrite fields changed after the revision
+ * @returns {Promise<Object>} - The updated object
+ */
+const revertObjectRevision = async (user, object, revision, force = false) => {
+    await findUserObject(object, user);
+
+    const target = await Revision.findOne({ _id: revision, object });
+    if (!target) {
+        const error = new Error("Revision not found");
+        error.statusCode = 404;
+        throw error;
+    }
+    if (target.operation === "create" || !target.changes.length) {
+        const error = new Error("This revision has no changes to revert");
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const fields = target.changes.map(change => change.field);
+    if (!force) {
+        const later = await Revision.find({
+            object,
+            createdAt: { $gt: target.createdAt },
+            "changes.field": { $in: fields }
+        }).select("changes.field");
+
+        const conflicts = [...new Set(later.flatMap(entry => entry.changes.map(change => change.field)))]
+            .filter(field => fields.includes(field));
+        if (conflicts.length) {
+            const error = new Error(`Fields changed since this revision: ${conflicts.join(", ")}. Retry with force=true to overwrite them`);
+            error.statusCode = 409;
+            throw error;
+        }
+    }
+
+    const restored = {};
+    for (const change of target.changes) {
+        restored[change.field] = change.from;
+    }
+
+    const updatedObject = await Object.findOneAndUpdate(
+        { _id: object, user },
+        { $set: restored },
+        { new: true, actor: { type: "user", id: user }, revertOf: target._id }
+    );
+
+    return updatedObject;
+};
+
+export {
+    getObjectHistory,
+    revertObjectRevision
+}
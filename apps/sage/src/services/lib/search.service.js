@@ -0,0 +1,216 @@
+import { Types } from "mongoose";
+import { Object } from "../../models/lib/object.model.js";
+import { Journal } from "../../models/lib/journal.model.js";
+import { getQueryTerms, highlightText, buildSnippet, extractPlainText } from "../../utils/text.service.js";
+
+const SEARCH_SCOPES = ["all", "objects", "journals"];
+const MAX_QUERY_LENGTH = 200;
+
+const searchError = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+// Cursors hold the last score and id returned from each collection
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString("base64url");
+
+const decodeCursor = (cursor) => {
+    if (!cursor) {
+        return {};
+    }
+    try {
+        const decoded = JSON.parse(Buffer.from(cursor, "base64url").toString("utf-8"));
+        for (const key of ["objects", "journals"]) {
+            if (decoded[key] && (typeof decoded[key].score !== "number" || !Types.ObjectId.isValid(decoded[key].id))) {
+                throw new Error("Invalid cursor");
+            }
+        }
+        return decoded;
+    } catch (error) {
+        throw searchError("Invalid cursor");
+    }
+};
+
+const toList = (value) => (typeof value === "string" && value ? value.split(",").map(item => item.trim()).filter(Boolean) : []);
+
+/**
+ * Runs a $text query on one collection, ranked by relevance then newest first
+ * @returns {Promise<Array>} - Up to `limit + 1` documents with their `score`
+ */
+const rankedSearch = async (model, match, after, limit) => {
+    const pipeline = [
+        { $match: match },
+        { $addFields: { score: { $meta: "textScore" } } }
+    ];
+    if (after) {
+        pipeline.push({
+            $match: {
+                $or: [
+                    { score: { $lt: after.score } },
+                    { score: after.score, _id: { $lt: new Types.ObjectId(after.id) } }
+                ]
+            }
+        });
+    }
+    pipeline.push({ $sort: { score: -1, _id: -1 } }, { $limit: limit + 1 });
+
+    return await model.aggregate(pipeline);
+};
+
+const countBy = (field) => [
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $sort: { count: -1 } },
+    { $project: { _id: 0, value: "$_id", count: 1 } }
+];
+
+const getFacets = async (objectMatch, journalMatch) => {
+    const [objectFacets] = await Object.aggregate([
+        { $match: objectMatch },
+        {
+            $facet: {
+                source: countBy("source"),
+                type: countBy("type"),
+                status: countBy("status")
+            }
+        }
+    ]);
+    const journals = journalMatch ? await Journal.countDocuments(journalMatch) : 0;
+
+    return { ...objectFacets, journals };
+};
+
+const toObjectResult = (object, terms) => {
+    const { searchText, score, ...item } = object;
+    return {
+        kind: "object",
+        score,
+        item,
+        highlights: {
+            title: highlightText(item.title, terms),
+            snippet: buildSnippet(searchText, terms)
+        }
+    };
+};
+
+const toJournalResult = (journal, terms) => {
+    const { score, ...item } = journal;
+    return {
+        kind: "journal",
+        score,
+        item,
+        highlights: {
+            title: highlightText(new Date(item.date).toISOString().slice(0, 10), terms),
+            // Journal content may hold HTML or rich-text markup
+            snippet: buildSnippet(extractPlainText(item.content), terms)
+        }
+    };
+};
+
+/**
+ * Full-text search over the user's objects (title, description, labels and source metadata)
+ * and journals, ranked by relevance
+ * @param {String} user - Id of the user
+ * @param {Object} options
+ * @param {String} options.query - Search text; supports "quoted phrases" and -excluded words
+ * @param {String} options.scope - "all", "objects" or "journals"
+ * @param {String} options.source - Comma-separated sources to keep
+ * @param {String} options.type - Comma-separated object types to keep
+ * @param {String} options.status - Comma-separated statuses to keep
+ * @param {Boolean} options.includeArchived - Also search archived objects
+ * @param {Number} options.limit - Page size
+ * @param {String} options.cursor - `nextCursor` of the previous page
+ * @param {Boolean} options.withFacets - Compute facet counts on the first page
+ * @returns {Promise<Object>} - { results, nextCursor, facets }; facets are only computed for the first page
+ */
+const search = async (user, { query, scope = "all", source, type, status, includeArchived = false, limit = 20, cursor, withFacets = true } = {}) => {
+    const text = typeof query === "string" ? query.trim().slice(0, MAX_QUERY_LENGTH) : "";
+    if (!text) {
+        throw searchError("A search query is required");
+    }
+    if (!SEARCH_SCOPES.includes(scope)) {
+        throw searchError(`Scope must be one of: ${SEARCH_SCOPES.join(", ")}`);
+    }
+
+    const userId = new Types.ObjectId(String(user));
+    const after = decodeCursor(cursor);
+    const terms = getQueryTerms(text);
+
+    const baseObjectMatch = { $text: { $search: text }, user: userId, isDeleted: false };
+    if (!includeArchived) {
+        baseObjectMatch.isArchived = false;
+    }
+    const objectMatch = { ...baseObjectMatch };
+    const filters = { source: toList(source), type: toList(type), status: toList(status) };
+    for (const field in filters) {
+        if (filters[field].length) {
+            objectMatch[field] = { $in: filters[field] };
+        }
+    }
+    const hasObjectFilters = objectMatch.source || objectMatch.type || objectMatch.status;
+
+    const searchObjects = scope !== "journals";
+    const searchJournals = scope !== "objects" && !hasObjectFilters;
+    const journalMatch = searchJournals ? { $text: { $search: text }, user: userId } : null;
+
+    const [objects, journals] = await Promise.all([
+        searchObjects && after.objects !== null ? rankedSearch(Object, objectMatch, after.objects, limit) : [],
+        searchJournals && after.journals !== null ? rankedSearch(Journal, journalMatch, after.journals, limit) : []
+    ]);
+
+    // Merge both ranked lists and keep the best `limit` results
+    const candidates = [
+        ...objects.map(object => ({ collection: "objects", doc: object })),
+        ...journals.map(journal => ({ collection: "journals", doc: journal }))
+    ].sort((a, b) => b.doc.score - a.doc.score || String(b.doc._id).localeCompare(String(a.doc._id)));
+    const page = candidates.slice(0, limit);
+
+    let nextCursor = null;
+    if (candidates.length > limit) {
+        // A collection with nothing left is marked null so later pages skip it
+        const next = {};
+        for (const collection of ["objects", "journals"]) {
+            const taken = page.filter(candidate => candidate.collection === collection);
+            const fetched = collection === "objects" ? objects : journals;
+            const last = taken[taken.length - 1];
+            if (last) {
+                next[collection] = taken.length < fetched.length ? { score: last.doc.score, id: String(last.doc._id) } : null;
+            } else {
+                next[collection] = fetched.length ? (after[collection] || undefined) : null;
+            }
+        }
+        nextCursor = encodeCursor(next);
+    }
+
+    const results = page.map(({ collection, doc }) => collection === "objects"
+        ? toObjectResult(doc, terms)
+        : toJournalResult(doc, terms));
+
+    const facets = cursor || !withFacets ? null : await getFacets(baseObjectMatch, searchJournals ? journalMatch : null);
+
+    return { results, nextCursor, facets };
+};
+
+/**
+ * Fills in `searchText` for objects saved before search existed
+ * @param {Number} batchSize - Number of objects to process
+ * @returns {Promise<Number>} - Number of objects updated
+ */
+const backfillSearchText = async (batchSize = 200) => {
+    const objects = await Object.find({ searchText: { $exists: false } })
+        .select("description labels metadata")
+        .limit(batchSize)
+        .lean();
+
+    for (const object of objects) {
+        await Object.refreshSearchText(object);
+    }
+
+    return objects.length;
+};
+
+export {
+    SEARCH_SCOPES,
+    search,
+    backfillSearchText
+}
@@ -0,0 +1,178 @@
+import { Object } from "../../models/lib/object.model.js";
+import { Relation } from "../../models/lib/relation.model.js";
+import { snoozeQueue } from "../../loaders/bullmq.loader.js";
+import { paginate } from "../../utils/pagination.service.js";
+import { getWakeTime, getResurfaceJob } from "../../utils/snooze.service.js";
+import { publishToUser } from "./notificationChannel.service.js";
+import { getCurrentCycle } from "./cycle.service.js";
+
+const snoozeError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const scheduleResurface = async (object) => {
+    const until = object.snooze.until;
+    await snoozeQueue.add('resurfaceObject', {
+        object: object._id.toString(),
+        until: until.toISOString()
+    }, {
+        ...getResurfaceJob(object),
+        removeOnComplete: true,
+        attempts: 3,
+        backoff: 1000
+    });
+};
+
+/**
+ * Hides an object from the inbox
+ * @param {String} user - Id of the user
+ * @param {String} objectId - Id of the object
+ * @param {Object} options
+ * @param {Date} options.until - When the object comes back; optional with "externalChange", where it is a deadline
+ * @param {String} options.condition - "date" (default), "nextCycle" or "externalChange"
+ * @param {Object} actor - Who snoozed the object
+ * @returns {Promise<Document>} - The snoozed object
+ */
+const snoozeObject = async (user, objectId, { until, condition = "date" }, actor = { type: "user", id: user }) => {
+    const cycleEndsAt = condition === "nextCycle" ? (await getCurrentCycle(user)).endsAt : null;
+    const wakeAt = getWakeTime({ until, condition }, cycleEndsAt);
+
+    const object = await Object.findOneAndUpdate(
+        { _id: objectId, user, isDeleted: false },
+        {
+            $set: {
+                snooze: {
+                    isSnoozed: true,
+                    until: wakeAt,
+                    condition,
+                    snoozedAt: new Date()
+                }
+            }
+        },
+        { new: true, actor }
+    );
+    if (!object) {
+        throw snoozeError("Object not found or you do not have permission to update it", 404);
+    }
+
+    if (wakeAt) {
+        await scheduleResurface(object);
+    }
+    return object;
+};
+
+/**
+ * Brings a snoozed object back to the top of the inbox
+ * @param {String} objectId - Id of the object
+ * @param {Object} options
+ * @param {String} options.until - Only resurface if the object is still snoozed until this time
+ * @param {Boolean} options.notify - Tell the user the object is back
+ * @param {Object} options.actor - Who woke the object, the system by default
+ * @returns {Promise<Document|null>} - The object, null when it was no longer snoozed
+ */
+const resurfaceObject = async (objectId, { until, notify = true, actor = { type: "system", id: "snooze" } } = {}) => {
+    const current = await Object.findOne({ _id: objectId, "snooze.isSnoozed": true }).select("user parent snooze").lean();
+    if (!current || (until && current.snooze.until?.toISOString() !== until)) {
+        return null;
+    }
+
+    const last = await Object.findOne({ user: current.user, parent: current.parent || null })
+        .sort({ order: -1 })
+        .select("order");
+    const object = await Object.findOneAndUpdate(
+        { _id: objectId, "snooze.isSnoozed": true },
+        {
+            $set: {
+                snooze: { isSnoozed: false, until: null, condition: null, snoozedAt: null },
+                order: last ? last.order + 1 : 0
+            }
+        },
+        { new: true, actor }
+    );
+    if (!object) {
+        return null;
+    }
+
+    if (notify) {
+        await publishToUser(object.user, {
+            type: "snooze",
+            message: `Back in your inbox: ${object.title}`,
+            action: "resurface",
+            item: object
+        });
+    }
+    return object;
+};
+
+const unsnoozeObject = async (user, objectId) => {
+    const object = await Object.exists({ _id: objectId, user, "snooze.isSnoozed": true })
+        ? await resurfaceObject(objectId, { notify: false, actor: { type: "user", id: user } })
+        : null;
+    if (!object) {
+        throw snoozeError("Snoozed object not found", 404);
+    }
+    return object;
+};
+
+/**
+ * Resurfaces objects waiting for a change of the given object or one related to it
+ * @param {String} objectId - Id of the object that changed
+ * @returns {Promise<Number>} - Number of objects resurfaced
+ */
+const resurfaceLinkedObjects = async (objectId) => {
+    const relations = await Relation.find({ $or: [{ from: objectId }, { to: objectId }] }).select("from to").lean();
+    const ids = [objectId, ...relations.map(relation => String(relation.from) === String(objectId) ? relation.to : relation.from)];
+
+    const waiting = await Object.find({
+        _id: { $in: ids },
+        "snooze.isSnoozed": true,
+        "snooze.condition": "externalChange"
+    }).select("_id");
+
+    let count = 0;
+    for (const object of waiting) {
+        if (await resurfaceObject(object._id)) {
+            count += 1;
+        }
+    }
+    return count;
+};
+
+/**
+ * Resurfaces every object whose snooze has passed. Catches objects whose delayed
+ * job was lost.
+ * @returns {Promise<Number>} - Number of objects resurfaced
+ */
+const resurfaceDueObjects = async () => {
+    const due = await Object.find({
+        "snooze.isSnoozed": true,
+        "snooze.until": { $ne: null, $lte: new Date() }
+    }).select("_id").limit(500);
+
+    let count = 0;
+    for (const object of due) {
+        if (await resurfaceObject(object._id)) {
+            count += 1;
+        }
+    }
+    return count;
+};
+
+const getSnoozedObjects = async (user, page = {}) => {
+    return await paginate(Object, {
+        user,
+        isDeleted: false,
+        "snooze.isSnoozed": true
+    }, { sort: { "snooze.until": 1 }, ...page });
+};
+
+export {
+    snoozeObject,
+    resurfaceObject,
+    unsnoozeObject,
+    resurfaceLinkedObjects,
+    resurfaceDueObjects,
+    getSnoozedObjects
+}
@@ -0,0 +1,242 @@
+import { Template } from "../../models/lib/template.model.js";
+import { Object } from "../../models/lib/object.model.js";
+import { Array } from "../../models/lib/array.model.js";
+import { Block } from "../../models/lib/block.model.js";
+import { Label } from "../../models/lib/label.model.js";
+import { User } from "../../models/core/user.model.js";
+import { paginate } from "../../utils/pagination.service.js";
+import { MAX_TEMPLATE_DEPTH, getTemplateInputs, renderTemplateTree, toTemplateNode, getNextTemplateRun } from "../../utils/template.service.js";
+import { getObjectTree } from "./object.service.js";
+import { publishToUser } from "./notificationChannel.service.js";
+
+const SCHEDULE_BATCH = 100;
+
+const templateError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const getTimezone = async (user) => {
+    const { timezone = "UTC" } = await User.findById(user).select("timezone").lean() || {};
+    return timezone;
+};
+
+const collectLabels = (node, labels = new Set()) => {
+    (node.labels || []).forEach(label => labels.add(String(label)));
+    (node.children || []).forEach(child => collectLabels(child, labels));
+    return labels;
+};
+
+const checkLabels = async (user, root) => {
+    const ids = [...collectLabels(root)];
+    if (ids.length && await Label.countDocuments({ _id: { $in: ids }, user }) !== ids.length) {
+        throw templateError("Labels not found or you do not have permission to use them", 404);
+    }
+};
+
+/**
+ * Checks that objects can be created in an array and block of the user
+ * @returns {Promise<Object>} - { array, block }, both null for the inbox
+ */
+const resolveDestination = async (user, { array, block }) => {
+    if (!array && !block) {
+        return { array: null, block: null };
+    }
+    const exists = await Array.exists({ _id: array, users: user, isDeleted: false }) &&
+        await Block.exists({ _id: block, array, isDeleted: false });
+    if (!exists) {
+        throw templateError("Array or block not found or you do not have permission to access it", 404);
+    }
+    return { array, block };
+};
+
+const buildSchedule = async (user, schedule, previous = {}) => {
+    const next = { ...previous, ...schedule };
+    if (!next.isActive) {
+        return { ...next, nextRunAt: null };
+    }
+    if (!next.rule) {
+        throw templateError("A schedule needs a rule such as \"every monday\"", 400);
+    }
+    await resolveDestination(user, next);
+
+    const changed = ["rule", "time", "isActive"].some(key => schedule[key] !== undefined && schedule[key] !== previous[key]);
+    if (changed || !next.startsAt) {
+        next.startsAt = new Date();
+    }
+    next.nextRunAt = getNextTemplateRun(next, new Date(), await getTimezone(user));
+    next.lastError = null;
+    return next;
+};
+
+const getTemplates = async (user, page = {}) => {
+    return await paginate(Template, { user }, { sort: { createdAt: -1 }, ...page });
+};
+
+const getTemplate = async (user, id) => {
+    const template = await Template.findOne({ _id: id, user });
+    if (!template) {
+        throw templateError("Template not found or you do not have permission to access it", 404);
+    }
+    return template;
+};
+
+/**
+ * Saves a template, from a tree given in the request or from an existing object and its sub-objects
+ * @param {String} user - Id of the user
+ * @param {Object} data - { name, description, root | object, schedule }
+ * @returns {Promise<Object>} - The template
+ */
+const createTemplate = async (user, { object, root, schedule, ...data }) => {
+    if (object) {
+        const tree = await getObjectTree(user, object, { depth: MAX_TEMPLATE_DEPTH });
+        root = toTemplateNode(tree, await getTimezone(user));
+    }
+    if (!root) {
+        throw templateError("A template needs a root object or the object to save", 400);
+    }
+
+    const inputs = getTemplateInputs(root);
+    await checkLabels(user, root);
+
+    const template = new Template({
+        ...data,
+        name: data.name || root.title || "Untitled template",
+        user,
+        root,
+        inputs,
+        schedule: schedule ? await buildSchedule(user, schedule) : undefined
+    });
+    return await template.save();
+};
+
+const updateTemplate = async (user, id, { root, schedule, ...data }) => {
+    const template = await getTemplate(user, id);
+    if (root) {
+        template.inputs = getTemplateInputs(root);
+        await checkLabels(user, root);
+        template.root = root;
+    }
+    if (schedule) {
+        template.schedule = await buildSchedule(user, schedule, template.toObject().schedule);
+    }
+    template.set(data);
+    return await template.save();
+};
+
+const deleteTemplate = async (user, id) => {
+    const { deletedCount } = await Template.deleteOne({ _id: id, user });
+    if (!deletedCount) {
+        throw templateError("Template not found or you do not have permission to delete it", 404);
+    }
+};
+
+/**
+ * Creates the objects of a template. Sub-objects go to the same array and block as the root.
+ * @param {String} user - Id of the user
+ * @param {Object} template - The template document
+ * @param {Object} options
+ * @param {String} options.array - Destination array, none for the inbox
+ * @param {String} options.block - Destination block
+ * @param {Date} options.date - Day the due offsets and {{date}} count from
+ * @param {Object} options.inputs - Values for {{input}} placeholders
+ * @param {Object} options.actor - Who created the objects, for revisions
+ * @returns {Promise<Object>} - The root object with nested children
+ */
+const createTemplateObjects = async (user, template, { array, block, date = new Date(), inputs = {}, actor = { type: "user", id: user } }) => {
+    const destination = await resolveDestination(user, { array, block });
+    const tree = renderTemplateTree(template.root.toObject(), { date, timezone: await getTimezone(user), inputs });
+    const labels = new Set((await Label.find({ _id: { $in: [...collectLabels(tree)] }, user }).select("_id").lean())
+        .map(label => String(label._id)));
+
+    const create = async (node, parent) => {
+        const object = new Object({
+            user,
+            title: node.title,
+            description: node.description,
+            type: node.type,
+            labels: node.labels.filter(label => labels.has(String(label))),
+            due: node.due || undefined,
+            parent,
+            arrays: destination.array ? [destination.array] : [],
+            blocks: destination.block ? [destination.block] : [],
+            metadata: { template: template._id }
+        });
+        object.$locals.actor = actor;
+        await object.save();
+
+        const children = [];
+        for (const child of node.children) {
+            children.push(await create(child, object._id));
+        }
+        return { ...object.toObject(), children };
+    };
+
+    const root = await create(tree, null);
+    await Template.updateOne({ _id: template._id }, { $set: { usedAt: new Date() } }, { timestamps: false });
+    return root;
+};
+
+const instantiateTemplate = async (user, id, options) => {
+    const template = await getTemplate(user, id);
+    return await createTemplateObjects(user, template, options);
+};
+
+/**
+ * Runs the scheduled templates that are due and moves each to its next run
+ * @returns {Promise<Number>} - Number of templates run
+ */
+const runScheduledTemplates = async () => {
+    const templates = await Template.find({
+        "schedule.isActive": true,
+        "schedule.nextRunAt": { $ne: null, $lte: new Date() }
+    }).limit(SCHEDULE_BATCH);
+
+    let count = 0;
+    for (const template of templates) {
+        const { schedule } = template;
+        const update = { "schedule.lastRunAt": new Date(), "schedule.lastError": null };
+        try {
+            const root = await createTemplateObjects(template.user, template, {
+                array: schedule.array,
+                block: schedule.block,
+                date: schedule.nextRunAt,
+                inputs: schedule.inputs || {},
+                actor: { type: "system", id: "template" }
+            });
+            await publishToUser(template.user, {
+                type: "template",
+                action: "create",
+                message: `Created "${root.title}" from ${template.name}`,
+                template: template._id,
+                item: root
+            });
+            count += 1;
+        } catch (error) {
+            update["schedule.lastError"] = error.message;
+        }
+
+        try {
+            update["schedule.nextRunAt"] = getNextTemplateRun(schedule, new Date(), await getTimezone(template.user));
+        } catch (error) {
+            update["schedule.nextRunAt"] = null;
+            update["schedule.lastError"] = error.message;
+        }
+        if (!update["schedule.nextRunAt"]) {
+            update["schedule.isActive"] = false;
+        }
+        await Template.updateOne({ _id: template._id }, { $set: update });
+    }
+    return count;
+};
+
+export {
+    getTemplates,
+    getTemplate,
+    createTemplate,
+    updateTemplate,
+    deleteTemplate,
+    instantiateTemplate,
+    runScheduledTemplates
+}
@@ -0,0 +1,282 @@
+import { Types } from "mongoose";
+import { TimeEntry } from "../../models/lib/timeEntry.model.js";
+import { Object } from "../../models/lib/object.model.js";
+import { Array } from "../../models/lib/array.model.js";
+import { getRemainingMinutes, getEntryTimes, getReportRange } from "../../utils/time-tracking.service.js";
+
+const REPORT_GROUPS = ["day", "array", "source"];
+
+const timeError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const getUserObject = async (user, objectId) => {
+    const object = await Object.findOne({ _id: objectId, user, isDeleted: false }).select("title estimate timeSpent");
+    if (!object) {
+        throw timeError("Object not found or you do not have permission to access it", 404);
+    }
+    return object;
+};
+
+/**
+ * Recomputes the tracked time of an object from its finished entries
+ * @param {String} objectId - Id of the object
+ * @returns {Promise<Number>} - Tracked time in seconds
+ */
+const refreshTimeSpent = async (objectId) => {
+    const [result] = await TimeEntry.aggregate([
+        { $match: { object: new Types.ObjectId(String(objectId)), isRunning: false } },
+        { $group: { _id: null, seconds: { $sum: "$duration" } } }
+    ]);
+    const timeSpent = result?.seconds || 0;
+
+    await Object.updateOne({ _id: objectId }, { $set: { timeSpent } }, { timestamps: false });
+    return timeSpent;
+};
+
+const setEstimate = async (user, objectId, estimate, actor = { type: "user", id: user }) => {
+    const object = await Object.findOneAndUpdate(
+        { _id: objectId, user, isDeleted: false },
+        { $set: { estimate } },
+        { new: true, actor }
+    );
+    if (!object) {
+        throw timeError("Object not found or you do not have permission to update it", 404);
+    }
+    return object;
+};
+
+const getRunningTimer = async (user) => {
+    const entry = await TimeEntry.findOne({ user, isRunning: true })
+        .populate("object", "title estimate timeSpent");
+
+    return entry;
+};
+
+// Finishes the running entry in one update, so the duration is computed from the stored start
+const finishRunningEntry = async (user) => {
+    const now = new Date();
+    const entry = await TimeEntry.findOneAndUpdate(
+        { user, isRunning: true },
+        [{
+            $set: {
+                isRunning: false,
+                endedAt: now,
+                duration: { $round: [{ $divide: [{ $subtract: [now, "$startedAt"] }, 1000] }, 0] }
+            }
+        }],
+        { new: true }
+    );
+    if (entry) {
+        await refreshTimeSpent(entry.object);
+    }
+    return entry;
+};
+
+/**
+ * Starts a timer on an object. A timer already running on any object is stopped first.
+ * @param {String} user - Id of the user
+ * @param {String} objectId - Id of the object
+ * @param {Object} options
+ * @param {String} options.note - Note stored on the entry
+ * @returns {Promise<Object>} - { entry, stopped }; `stopped` is the entry that was running before, if any
+ */
+const startTimer = async (user, objectId, { note = "" } = {}) => {
+    await getUserObject(user, objectId);
+
+    const stopped = await finishRunningEntry(user);
+    try {
+        const entry = await TimeEntry.create({
+            user,
+            object: objectId,
+            startedAt: new Date(),
+            isRunning: true,
+            source: "timer",
+            note
+        });
+        return { entry, stopped };
+    } catch (error) {
+        if (error.code === 11000) {
+            throw timeError("Another timer was started at the same time", 409);
+        }
+        throw error;
+    }
+};
+
+const stopTimer = async (user) => {
+    const entry = await finishRunningEntry(user);
+    if (!entry) {
+        throw timeError("No timer is running", 404);
+    }
+    return entry;
+};
+
+/**
+ * Records time worked without a timer
+ * @param {String} user - Id of the user
+ * @param {String} objectId - Id of the object
+ * @param {Object} entryData - { startedAt, endedAt } or { startedAt, duration } in seconds, and an optional note
+ * @returns {Promise<Object>} - The entry
+ */
+const addTimeEntry = async (user, objectId, { startedAt, endedAt, duration, note = "" }) => {
+    await getUserObject(user, objectId);
+
+    const entry = await TimeEntry.create({
+        user,
+        object: objectId,
+        ...getEntryTimes({ startedAt, endedAt, duration }),
+        source: "manual",
+        note
+    });
+    await refreshTimeSpent(objectId);
+
+    return entry;
+};
+
+const getObjectTimeEntries = async (user, objectId) => {
+    const entries = await TimeEntry.find({ user, object: objectId }).sort({ startedAt: -1 });
+
+    return entries;
+};
+
+const updateTimeEntry = async (user, entryId, updateData) => {
+    const entry = await TimeEntry.findOne({ _id: entryId, user });
+    if (!entry) {
+        throw timeError("Time entry not found", 404);
+    }
+    if (entry.isRunning && (updateData.endedAt || updateData.startedAt)) {
+        throw timeError("Stop the timer before changing its times", 409);
+    }
+
+    if (updateData.startedAt) {
+        entry.startedAt = new Date(updateData.startedAt);
+    }
+    if (updateData.endedAt) {
+        entry.endedAt = new Date(updateData.endedAt);
+    }
+    if (updateData.note !== undefined) {
+        entry.note = updateData.note;
+    }
+    if (!entry.isRunning) {
+        entry.duration = getEntryTimes(entry).duration;
+    }
+
+    await entry.save();
+    await refreshTimeSpent(entry.object);
+
+    return entry;
+};
+
+const deleteTimeEntry = async (user, entryId) => {
+    const entry = await TimeEntry.findOneAndDelete({ _id: entryId, user });
+    if (!entry) {
+        throw timeError("Time entry not found", 404);
+    }
+    await refreshTimeSpent(entry.object);
+
+    return entry;
+};
+
+/**
+ * Sums tracked time over a date range
+ * @param {String} user - Id of the user
+ * @param {Object} options
+ * @param {Date} options.from - Start of the range, defaults to 7 days ago
+ * @param {Date} options.to - End of the range, defaults to now
+ * @param {String} options.groupBy - "day", "array" or "source"
+ * @param {String} options.timezone - Timezone used to split days
+ * @returns {Promise<Object>} - { from, to, groupBy, totalSeconds, groups: [{ key, name, seconds, entries, objects }] }
+ */
+const getTimeReport = async (user, { from, to, groupBy = "day", timezone = "UTC" } = {}) => {
+    if (!REPORT_GROUPS.includes(groupBy)) {
+        throw timeError(`groupBy must be one of: ${REPORT_GROUPS.join(", ")}`, 400);
+    }
+    const { start, end, zone } = getReportRange({ from, to, timezone });
+
+    const pipeline = [
+        {
+            $match: {
+                user: new Types.ObjectId(String(user)),
+                isRunning: false,
+                startedAt: { $gte: start, $lte: end }
+            }
+        }
+    ];
+
+    if (groupBy === "day") {
+        pipeline.push({
+            $group: {
+                _id: { $dateToString: { format: "%Y-%m-%d", date: "$startedAt", timezone: zone } },
+                seconds: { $sum: "$duration" },
+                entries: { $sum: 1 },
+                objects: { $addToSet: "$object" }
+            }
+        });
+    } else {
+        pipeline.push(
+            { $lookup: { from: "objects", localField: "object", foreignField: "_id", as: "item" } },
+            { $unwind: "$item" }
+        );
+        if (groupBy === "array") {
+            pipeline.push({ $unwind: { path: "$item.arrays", preserveNullAndEmptyArrays: true } });
+        }
+        pipeline.push({
+            $group: {
+                _id: groupBy === "array" ? { $ifNull: ["$item.arrays", null] } : "$item.source",
+                seconds: { $sum: "$duration" },
+                entries: { $sum: 1 },
+                objects: { $addToSet: "$object" }
+            }
+        });
+    }
+    pipeline.push({ $sort: groupBy === "day" ? { _id: 1 } : { seconds: -1 } });
+
+    const results = await TimeEntry.aggregate(pipeline);
+
+    let names = new Map();
+    if (groupBy === "array") {
+        const arrays = await Array.find({ _id: { $in: results.map(result => result._id).filter(Boolean) } }).select("name").lean();
+        names = new Map(arrays.map(array => [array._id.toString(), array.name]));
+    }
+
+    const groups = results.map(result => ({
+        key: result._id,
+        name: groupBy === "array"
+            ? (result._id ? names.get(result._id.toString()) || "Unknown" : "No array")
+            : result._id,
+        seconds: result.seconds,
+        entries: result.entries,
+        objects: result.objects.length
+    }));
+
+    // Entries in several arrays count once per array, so the total is summed from the entries themselves
+    const [total] = await TimeEntry.aggregate([
+        pipeline[0],
+        { $group: { _id: null, seconds: { $sum: "$duration" } } }
+    ]);
+
+    return {
+        from: start,
+        to: end,
+        groupBy,
+        totalSeconds: total?.seconds || 0,
+        groups
+    };
+};
+
+export {
+    REPORT_GROUPS,
+    refreshTimeSpent,
+    getRemainingMinutes,
+    setEstimate,
+    getRunningTimer,
+    startTimer,
+    stopTimer,
+    addTimeEntry,
+    getObjectTimeEntries,
+    updateTimeEntry,
+    deleteTimeEntry,
+    getTimeReport
+}
@@ -0,0 +1,337 @@
+import { Types } from "mongoose";
+import { Trash } from "../../models/lib/trash.model.js";
+import { Object } from "../../models/lib/object.model.js";
+import { Array } from "../../models/lib/array.model.js";
+import { Block } from "../../models/lib/block.model.js";
+import { Relation } from "../../models/lib/relation.model.js";
+import { environment } from "../../loaders/environment.loader.js";
+import { deleteContent } from "../../utils/helper.service.js";
+import { getSubtreeIds, splitCascade } from "../../utils/trash.service.js";
+import { deleteObjectAttachments } from "./attachment.service.js";
+
+// Entries purged per batch of the purge job
+const PURGE_BATCH_SIZE = 100;
+// Delay before an entry that failed to purge is tried again
+const PURGE_RETRY_MS = 60 * 60 * 1000;
+
+const TRASH_MODELS = {
+    object: Object,
+    array: Array,
+    block: Block
+};
+
+const ownerFilter = (itemType, user) => itemType === "array" ? { users: user } : { user };
+
+const getItemTitle = (itemType, item) => itemType === "object" ? item.title || "" : item.name || "";
+
+/**
+ * Collects every live descendant of the given objects through `parent`
+ * @param {Array} parentIds - Ids of the objects whose sub-objects are collected
+ * @param {String} user - Owner of the objects
+ * @returns {Promise<Array>} - Ids of all descendants
+ */
+const getDescendantIds = async (parentIds, user) => {
+    const descendants = [];
+    let frontier = parentIds;
+
+    while (frontier.length) {
+        const children = await Object.find({
+            parent: { $in: frontier },
+            user,
+            isDeleted: false
+        }).select("_id");
+
+        frontier = children
+            .map(child => child._id)
+            .filter(id => !descendants.some(existing => existing.equals(id)));
+        descendants.push(...frontier);
+    }
+
+    return descendants;
+};
+
+const getCascade = async (itemType, item, user) => {
+    if (itemType === "object") {
+        const objectIds = await getDescendantIds([item._id], user);
+        return objectIds.map(id => ({ itemType: "object", item: id }));
+    }
+
+    const blockIds = itemType === "array"
+        ? (await Block.find({ array: item._id, user, isDeleted: false }).select("_id")).map(block => block._id)
+        : [];
+
+    const objects = await Object.find({
+        user,
+        isDeleted: false,
+        ...(itemType === "array" ? { arrays: item._id } : { blocks: item._id })
+    }).select("_id");
+    const objectIds = objects.map(object => object._id);
+    const descendantIds = await getDescendantIds(objectIds, user);
+
+    return [
+        ...blockIds.map(id => ({ itemType: "block", item: id })),
+        ...[...objectIds, ...descendantIds].map(id => ({ itemType: "object", item: id }))
+    ];
+};
+
+const setDeleted = async (items, isDeleted, actor) => {
+    const deletedAt = isDeleted ? new Date() : null;
+
+    for (const itemType in TRASH_MODELS) {
+        const Model = TRASH_MODELS[itemType];
+        const ids = items.filter(entry => entry.itemType === itemType).map(entry => entry.item);
+        if (!ids.length) {
+            continue;
+        }
+
+        const filter = { _id: { $in: ids }, isDeleted: !isDeleted };
+        const update = { $set: { isDeleted, deletedAt } };
+        if (itemType === "object") {
+            // Objects keep a revision of being trashed and restored
+            await Object.updateManyWithRevisions(filter, update, { actor });
+        } else {
+            await Model.updateMany(filter, update);
+        }
+    }
+};
+
+/**
+ * Soft-deletes an object, array or block together with everything that hangs off it
+ * and records a single trash entry that can be restored or purged later
+ * @param {String} user - Owner of the item
+ * @param {String} itemType - One of "object", "array" or "block"
+ * @param {String} id - Id of the item
+ * @param {Object} scope - Extra conditions the item must match (e.g. the array of a block)
+ * @param {Object} actor - { type, id } recorded in the revisions of trashed objects, the user by default
+ * @returns {Promise<Object>} - The trash entry
+ */
+const moveToTrash = async (user, itemType, id, scope = {}, actor = { type: "user", id: user }) => {
+    const Model = TRASH_MODELS[itemType];
+    const item = await Model.findOne({
+        _id: id,
+        ...ownerFilter(itemType, user),
+        ...scope,
+        isDeleted: false
+    });
+    if (!item) {
+        const error = new Error(`${itemType.charAt(0).toUpperCase()}${itemType.slice(1)} not found or you do not have permission to delete it`);
+        error.statusCode = 404;
+        throw error;
+    }
+
+    const cascade = await getCascade(itemType, item, user);
+    await setDeleted([{ itemType, item: item._id }, ...cascade], true, actor);
+    if (itemType === "object" && item.parent) {
+        await Object.refreshProgress(item.parent);
+    }
+
+    const retentionDays = parseInt(environment.TRASH_RETENTION_DAYS, 10);
+    const entry = await Trash.create({
+        user,
+        itemType,
+        item: item._id,
+        title: getItemTitle(itemType, item),
+        cascade,
+        deletedAt: new Date(),
+        purgeAt: new Date(Date.now() + retentionDays * 24 * 60 * 60 * 1000)
+    });
+
+    return entry;
+};
+
+const getTrash = async (user, itemType) => {
+    const query = { user };
+    if (itemType) {
+        query.itemType = itemType;
+    }
+
+    const entries = await Trash.find(query).sort({ deletedAt: -1 });
+    return entries;
+};
+
+const findTrashEntry = async (user, id) => {
+    const entry = Types.ObjectId.isValid(id) && await Trash.findOne({
+        user,
+        $or: [{ _id: id }, { item: id }, { "cascade.item": id }]
+    });
+    if (!entry) {
+        const error = new Error("Item not found in trash");
+        error.statusCode = 404;
+        throw error;
+    }
+    return entry;
+};
+
+// An item can only come back if whatever it hangs off comes back too
+const getTrashedContainers = async (itemType, id) => {
+    const Model = TRASH_MODELS[itemType];
+    const item = await Model.findById(id);
+    if (!item) {
+        return [];
+    }
+
+    if (itemType === "object" && item.parent) {
+        const parent = await Object.findOne({ _id: item.parent, isDeleted: true }).select("_id");
+        return parent ? [parent._id] : [];
+    }
+
+    if (itemType === "block" && item.array) {
+        const array = await Array.findOne({ _id: item.array, isDeleted: true }).select("_id");
+        return array ? [array._id] : [];
+    }
+
+    return [];
+};
+
+// Sub-objects of a cascaded object that were trashed in the same entry
+const getCascadedDescendants = async (entry, id) => {
+    const cascaded = entry.cascade.filter(item => item.itemType === "object").map(item => item.item);
+    const objects = await Object.find({ _id: { $in: cascaded } }).select("_id parent").lean();
+    return getSubtreeIds(objects, id);
+};
+
+/**
+ * Takes items out of a trash entry, after the trashed containers they hang off.
+ * The entry is removed once nothing in it is trashed anymore.
+ * @param {String} user - Owner of the entry
+ * @param {Object} entry - The trash entry
+ * @param {Object} target - { itemType, item } of the item to restore
+ * @param {Array} cascadedIds - Ids of cascaded items restored with it
+ * @param {Set} visited - Items already restored in this call
+ * @returns {Promise<Object>} - The restored item
+ */
+const restoreItems = async (user, entry, target, cascadedIds, visited) => {
+    const Model = TRASH_MODELS[target.itemType];
+    if (visited.has(target.item.toString())) {
+        return await Model.findById(target.item);
+    }
+    visited.add(target.item.toString());
+
+    // Containers come back on their own, without the rest of their entry
+    const containers = await getTrashedContainers(target.itemType, target.item);
+    for (const containerId of containers) {
+        const containerEntry = await findTrashEntry(user, containerId);
+        const container = containerEntry.item.equals(containerId)
+            ? { itemType: containerEntry.itemType, item: containerEntry.item }
+            : containerEntry.cascade.find(item => item.item.equals(containerId));
+        await restoreItems(user, containerEntry, container, [], visited);
+    }
+
+    // Restoring a container may have taken items out of this entry already
+    const current = await Trash.findById(entry._id) || entry;
+    const { restored, remaining } = splitCascade(current.cascade, [target.item, ...cascadedIds]);
+    await setDeleted([target, ...restored], false, { type: "user", id: user });
+
+    const rootTrashed = await TRASH_MODELS[current.itemType].exists({ _id: current.item, isDeleted: true });
+    if (rootTrashed || remaining.length) {
+        await Trash.updateOne({ _id: current._id }, { $set: { cascade: remaining } });
+    } else {
+        await Trash.deleteOne({ _id: current._id });
+    }
+
+    const item = await Model.findById(target.item);
+    if (target.itemType === "object" && item?.parent) {
+        await Object.refreshProgress(item.parent);
+    }
+    return item;
+};
+
+/**
+ * Restores from the trash. The id of an entry or of its root item restores the whole
+ * entry; the id of a cascaded item restores that item with its own sub-objects only.
+ * Trashed containers the item hangs off (its parent, the array of a block) come back too.
+ * @param {String} user - Owner of the entry
+ * @param {String} id - Trash entry id or the id of a trashed item
+ * @returns {Promise<Object>} - The restored item
+ */
+const restoreFromTrash = async (user, id) => {
+    const entry = await findTrashEntry(user, id);
+    if (entry._id.equals(id) || entry.item.equals(id)) {
+        const cascadedIds = entry.cascade.map(item => item.item.toString());
+        return await restoreItems(user, entry, { itemType: entry.itemType, item: entry.item }, cascadedIds, new Set());
+    }
+
+    const target = entry.cascade.find(item => item.item.equals(id));
+    const descendants = target.itemType === "object" ? await getCascadedDescendants(entry, target.item) : [];
+    return await restoreItems(user, entry, { itemType: target.itemType, item: target.item }, descendants, new Set());
+};
+
+/**
+ * Hard-deletes everything in a trash entry, including the vectors of deleted objects
+ * @param {Object} entry - The trash entry
+ * @returns {Promise<Number>} - Number of documents removed
+ */
+const purgeTrashEntry = async (entry) => {
+    const items = [{ itemType: entry.itemType, item: entry.item }, ...entry.cascade];
+    let purged = 0;
+
+    for (const itemType in TRASH_MODELS) {
+        const Model = TRASH_MODELS[itemType];
+        const ids = items.filter(item => item.itemType === itemType).map(item => item.item);
+        if (!ids.length) {
+            continue;
+        }
+
+        // Items restored on their own since then are left alone
+        const trashed = await Model.find({ _id: { $in: ids }, isDeleted: true }).select("_id");
+        const trashedIds = trashed.map(item => item._id);
+        const { deletedCount } = await Model.deleteMany({ _id: { $in: trashedIds } });
+        purged += deletedCount;
+
+        if (itemType === "object") {
+            await Relation.deleteMany({ $or: [{ from: { $in: trashedIds } }, { to: { $in: trashedIds } }] });
+            await deleteObjectAttachments(trashedIds);
+            for (const objectId of trashedIds) {
+                try {
+                    await deleteContent(objectId);
+                } catch (error) {
+                    console.error(`Failed to delete vector for object ${objectId}:`, error);
+                }
+            }
+        }
+    }
+
+    await Trash.deleteOne({ _id: entry._id });
+    return purged;
+};
+
+const deleteFromTrash = async (user, id) => {
+    const entry = await findTrashEntry(user, id);
+    return await purgeTrashEntry(entry);
+};
+
+/**
+ * Purges the entries whose retention ended, oldest first. An entry that fails is
+ * retried an hour later, so it does not hold up the ones behind it.
+ * @param {Number} batchSize - Maximum number of entries to purge
+ * @returns {Promise<Object>} - { entries, purged, failed }
+ */
+const purgeExpiredTrash = async (batchSize = PURGE_BATCH_SIZE) => {
+    const entries = await Trash.find({ purgeAt: { $lte: new Date() } })
+        .sort({ purgeAt: 1 })
+        .limit(batchSize);
+
+    let purged = 0;
+    let failed = 0;
+    for (const entry of entries) {
+        try {
+            purged += await purgeTrashEntry(entry);
+        } catch (error) {
+            failed += 1;
+            console.error(`Failed to purge trash entry ${entry._id}:`, error);
+            await Trash.updateOne({ _id: entry._id }, { $set: { purgeAt: new Date(Date.now() + PURGE_RETRY_MS) } });
+        }
+    }
+
+    return { entries: entries.length, purged, failed };
+};
+
+export {
+    PURGE_BATCH_SIZE,
+    moveToTrash,
+    getTrash,
+    restoreFromTrash,
+    deleteFromTrash,
+    purgeTrashEntry,
+    purgeExpiredTrash
+}
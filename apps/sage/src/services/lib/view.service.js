@@ -0,0 +1,159 @@
+import { Types } from "mongoose";
+import { View } from "../../models/lib/view.model.js";
+import { Object } from "../../models/lib/object.model.js";
+import { Label } from "../../models/lib/label.model.js";
+import { Array } from "../../models/lib/array.model.js";
+import { Block } from "../../models/lib/block.model.js";
+import { User } from "../../models/core/user.model.js";
+import { buildObjectFilter, filterObjects } from "./object.service.js";
+import { moveToTrash } from "./trash.service.js";
+import { parseFilterQuery } from "../../utils/filter-query.service.js";
+import { groupObjects } from "../../utils/view.service.js";
+
+const createView = async (user, viewData) => {
+    // Rejects invalid queries with a 400 before they are saved
+    parseFilterQuery(viewData.query);
+
+    const last = await View.findOne({ user }).sort({ order: -1 }).select("order");
+    const view = await View.create({
+        order: last ? last.order + 1 : 0,
+        ...viewData,
+        user
+    });
+
+    return view;
+};
+
+const getViews = async (user) => {
+    const views = await View.find({ user }).sort({ order: 1, createdAt: 1 });
+
+    return views;
+};
+
+const getView = async (user, id) => {
+    const view = Types.ObjectId.isValid(id) && await View.findOne({ _id: id, user });
+    if (!view) {
+        const error = new Error("View not found");
+        error.statusCode = 404;
+        throw error;
+    }
+    return view;
+};
+
+const updateView = async (user, id, updateData) => {
+    if (updateData.query !== undefined) {
+        parseFilterQuery(updateData.query);
+    }
+
+    const view = Types.ObjectId.isValid(id) && await View.findOneAndUpdate(
+        { _id: id, user },
+        { $set: updateData },
+        { new: true }
+    );
+    if (!view) {
+        const error = new Error("View not found");
+        error.statusCode = 404;
+        throw error;
+    }
+    return view;
+};
+
+/**
+ * Deletes a view and moves the blocks pinning it to the trash
+ */
+const deleteView = async (user, id) => {
+    const view = await getView(user, id);
+
+    const blocks = await Block.find({ user, "data.type": "view", "data.view": view._id.toString(), isDeleted: false }).select("_id");
+    for (const block of blocks) {
+        await moveToTrash(user, "block", block._id);
+    }
+    await view.deleteOne();
+
+    return view;
+};
+
+// Names of the labels or arrays objects are grouped by
+const getGroupNames = async (objects, groupBy) => {
+    if (groupBy !== "label" && groupBy !== "array") {
+        return new Map();
+    }
+    const field = `${groupBy}s`;
+    const Model = groupBy === "label" ? Label : Array;
+    const ids = objects.flatMap(object => object[field] || []);
+    const documents = await Model.find({ _id: { $in: ids } }).select("name").lean();
+    return new Map(documents.map(document => [document._id.toString(), document.name]));
+};
+
+/**
+ * Runs a saved view, one page at a time; the objects of the page are grouped
+ * @param {String} user - Id of the user
+ * @param {String} id - Id of the view
+ * @param {Object} options
+ * @param {String} options.timezone - Timezone used for relative dates and due weeks
+ * @param {Object} page - { limit, after, fields }, see utils/pagination.service.js
+ * @returns {Promise<Object>} - { view, total, nextCursor, groups }
+ */
+const getViewObjects = async (user, id, { timezone } = {}, page = {}) => {
+    const view = await getView(user, id);
+    const { items: objects, total, nextCursor } = await filterObjects(user, { q: view.query, timezone }, view.sort, page);
+    const names = await getGroupNames(objects, view.groupBy);
+    const groups = groupObjects(objects, view.groupBy, { timezone, names });
+
+    return {
+        view,
+        total,
+        nextCursor,
+        groups
+    };
+};
+
+/**
+ * Finds the saved views an object currently belongs to, so live updates can tell
+ * clients which lists to refresh. All views are checked against the object in one query.
+ * @param {String} user - Id of the user
+ * @param {String} objectId - Id of the object
+ * @returns {Promise<Array>} - [{ _id, name }]
+ */
+const getMatchingViews = async (user, objectId) => {
+    const views = await View.find({ user }).select("name query").lean();
+    if (!views.length) {
+        return [];
+    }
+
+    const { timezone } = await User.findById(user).select("timezone").lean() || {};
+    const facets = {};
+    const checked = [];
+    for (const view of views) {
+        try {
+            const query = await buildObjectFilter(user, view.query, { timezone });
+            // Aggregations do not cast ids and dates the way find does
+            facets[`view${checked.length}`] = [{ $match: Object.find().cast(Object, query) }, { $project: { _id: 1 } }];
+            checked.push(view);
+        } catch (error) {
+            console.error(`Skipped view ${view._id}:`, error.message);
+        }
+    }
+    if (!checked.length || !Types.ObjectId.isValid(objectId)) {
+        return [];
+    }
+
+    const [matches] = await Object.aggregate([
+        { $match: { _id: new Types.ObjectId(String(objectId)) } },
+        { $facet: facets }
+    ]);
+
+    return checked
+        .filter((view, index) => matches?.[`view${index}`]?.length)
+        .map(view => ({ _id: view._id, name: view.name }));
+};
+
+export {
+    createView,
+    getViews,
+    getView,
+    updateView,
+    deleteView,
+    getViewObjects,
+    getMatchingViews
+}
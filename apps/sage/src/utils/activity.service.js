@@ -0,0 +1,82 @@
+/**
+ * Builds the activity feed of an object from its comments and revisions
+ */
+
+const sameDue = (from, to) => (from?.date || null) === (to?.date || null);
+
+/**
+ * Events of one revision: a status change, a due change and an update for the
+ * other fields. Changes made by an integration are a single sync event.
+ * @param {Object} revision - A Revision document
+ * @returns {Array} - Events, in the order of the revision's changes
+ */
+const describeRevision = (revision) => {
+    const base = {
+        id: String(revision._id),
+        at: revision.createdAt,
+        actor: revision.actor
+    };
+    const changes = revision.changes || [];
+
+    if (revision.operation === "create") {
+        return [{ ...base, kind: "created" }];
+    }
+    if (revision.operation === "revert") {
+        return [{ ...base, kind: "reverted", revision: revision.revertOf ? String(revision.revertOf) : null, fields: changes.map(change => change.field) }];
+    }
+    if (revision.actor?.type === "integration") {
+        return [{ ...base, kind: "sync", source: revision.actor.id, fields: changes.map(change => change.field) }];
+    }
+
+    const events = [];
+    const others = [];
+    for (const change of changes) {
+        if (change.field === "status") {
+            events.push({ ...base, kind: "status", from: change.from ?? null, to: change.to ?? null });
+        } else if (change.field === "due") {
+            if (!sameDue(change.from, change.to)) {
+                events.push({ ...base, kind: "due", from: change.from?.date || null, to: change.to?.date || null });
+            }
+        } else {
+            others.push(change.field);
+        }
+    }
+    if (others.length) {
+        events.push({ ...base, kind: "updated", fields: others });
+    }
+    return events;
+};
+
+/**
+ * Merges comments and revisions into one feed, newest first
+ * @param {Array} comments - Comment documents
+ * @param {Array} revisions - Revision documents
+ * @param {Number} limit - Maximum number of events
+ * @returns {Array} - Events with `kind`, `at` and `actor`
+ */
+const buildActivityFeed = (comments, revisions, limit = 50) => {
+    const events = [
+        ...comments.map(comment => ({
+            id: String(comment._id),
+            at: comment.createdAt,
+            actor: comment.user ? { type: "user", id: String(comment.user._id || comment.user) } : { type: "integration", id: comment.external?.source || null },
+            kind: "comment",
+            comment
+        })),
+        ...revisions.flatMap(describeRevision)
+    ];
+
+    events.sort((a, b) => new Date(b.at) - new Date(a.at));
+
+    // Events of one revision stay on the same page, so `before` can page on their date
+    let end = Math.min(limit, events.length);
+    while (end > 0 && end < events.length && events[end].id === events[end - 1].id) {
+        end += 1;
+    }
+    return events.slice(0, end);
+};
+
+export {
+    describeRevision,
+    buildActivityFeed
+};
@@ -0,0 +1,71 @@
+/**
+ * Test suite for the activity feed of objects
+ */
+import { describeRevision, buildActivityFeed } from './activity.service.js';
+import { createSuite } from './test-suite.js';
+
+async function testActivity() {
+    console.log('🧪 Testing Activity Service...\n');
+
+    const { check, finish } = createSuite();
+
+    const user = { type: 'user', id: 'u1' };
+    const revisions = [
+        {
+            _id: 'r3',
+            createdAt: '2026-10-18T12:00:00.000Z',
+            actor: user,
+            operation: 'update',
+            changes: [
+                { field: 'status', from: 'todo', to: 'done' },
+                { field: 'due', from: { date: '2026-10-18T09:00:00.000Z' }, to: { date: null } },
+                { field: 'title', from: 'a', to: 'b' },
+                { field: 'labels', from: [], to: ['l1'] }
+            ]
+        },
+        {
+            _id: 'r2',
+            createdAt: '2026-10-17T12:00:00.000Z',
+            actor: { type: 'integration', id: 'linear' },
+            operation: 'update',
+            changes: [{ field: 'title' }, { field: 'status' }]
+        },
+        { _id: 'r1', createdAt: '2026-10-16T12:00:00.000Z', actor: user, operation: 'create', changes: [] }
+    ];
+
+    check('user changes', describeRevision(revisions[0]).map(event => [event.kind, event.from ?? null, event.to ?? null, event.fields ?? null]), [
+        ['status', 'todo', 'done', null],
+        ['due', '2026-10-18T09:00:00.000Z', null, null],
+        ['updated', null, null, ['title', 'labels']]
+    ]);
+    check('integration sync', describeRevision(revisions[1]).map(event => [event.kind, event.source, event.fields]), [['sync', 'linear', ['title', 'status']]]);
+    check('unchanged due date is not an event', describeRevision({
+        _id: 'r4', actor: user, changes: [{ field: 'due', from: { date: null, lang: 'en' }, to: { date: null, lang: 'fr' } }]
+    }), []);
+    check('revert', describeRevision({ _id: 'r5', actor: user, operation: 'revert', revertOf: 'r3', changes: [{ field: 'status' }] })[0].revision, 'r3');
+
+    const comments = [
+        { _id: 'c2', createdAt: '2026-10-18T13:00:00.000Z', user: 'u1', body: 'Done!' },
+        { _id: 'c1', createdAt: '2026-10-17T08:00:00.000Z', user: null, external: { source: 'github' }, body: 'From upstream' }
+    ];
+    const feed = buildActivityFeed(comments, revisions);
+    check('merged newest first', feed.map(event => event.kind), ['comment', 'status', 'due', 'updated', 'sync', 'comment', 'created']);
+    check('upstream comment actor', feed[5].actor, { type: 'integration', id: 'github' });
+    check('revision events stay on one page', buildActivityFeed(comments, revisions, 2).map(event => event.kind), ['comment', 'status', 'due', 'updated']);
+
+    return finish();
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    testActivity()
+        .then(success => {
+            process.exit(success ? 0 : 1);
+        })
+        .catch(error => {
+            console.error('Test execution failed:', error);
+            process.exit(1);
+        });
+}
+
+export { testActivity };
@@ -0,0 +1,77 @@
+import { gzip } from "zlib";
+import { promisify } from "util";
+
+/**
+ * Minimal gzipped tar (.tar.gz) writer for exports
+ *
+ * Writes ustar entries for regular files only. Directories are implied by the
+ * paths of the files, which every common extractor accepts.
+ */
+
+const BLOCK_SIZE = 512;
+const MAX_NAME_BYTES = 100;
+
+const gzipAsync = promisify(gzip);
+
+const writeString = (header, value, offset, length) => {
+    header.write(value, offset, Math.min(Buffer.byteLength(value), length), "utf-8");
+};
+
+const writeOctal = (header, value, offset, length) => {
+    writeString(header, `${value.toString(8).padStart(length - 1, "0")}\0`, offset, length);
+};
+
+const createHeader = (name, size, mtime) => {
+    if (Buffer.byteLength(name) > MAX_NAME_BYTES) {
+        throw new Error(`Archive entry name is too long: ${name}`);
+    }
+
+    const header = Buffer.alloc(BLOCK_SIZE);
+    writeString(header, name, 0, 100);
+    writeOctal(header, 0o644, 100, 8);
+    writeOctal(header, 0, 108, 8);
+    writeOctal(header, 0, 116, 8);
+    writeOctal(header, size, 124, 12);
+    writeOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12);
+    header.fill(" ", 148, 156);
+    header.write("0", 156);
+    header.write("ustar\0", 257);
+    header.write("00", 263);
+
+    let checksum = 0;
+    for (const byte of header) {
+        checksum += byte;
+    }
+    writeString(header, `${checksum.toString(8).padStart(6, "0")}\0 `, 148, 8);
+
+    return header;
+};
+
+/**
+ * Packs files into a .tar.gz archive
+ * @param {Array} files - [{ name, content }], content as a String or Buffer
+ * @param {Object} options
+ * @param {Date} options.mtime - Modification time of every entry
+ * @returns {Promise<Buffer>} - The gzipped archive
+ */
+const createArchive = async (files, { mtime = new Date() } = {}) => {
+    const chunks = [];
+    for (const { name, content } of files) {
+        const data = Buffer.isBuffer(content) ? content : Buffer.from(String(content), "utf-8");
+        chunks.push(createHeader(name, data.length, mtime), data);
+
+        const padding = (BLOCK_SIZE - (data.length % BLOCK_SIZE)) % BLOCK_SIZE;
+        if (padding) {
+            chunks.push(Buffer.alloc(padding));
+        }
+    }
+    // Two empty blocks end the archive
+    chunks.push(Buffer.alloc(BLOCK_SIZE * 2));
+
+    return await gzipAsync(Buffer.concat(chunks));
+};
+
+export {
+    MAX_NAME_BYTES,
+    createArchive
+};
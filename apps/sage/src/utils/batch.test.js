@@ -0,0 +1,62 @@
+/**
+ * Test suite for the validation of batch operations on objects
+ */
+import { BatchObjectsPayload } from '../payloads/lib/object.payload.js';
+import { createSuite } from './test-suite.js';
+
+async function testBatch() {
+    console.log('🧪 Testing Batch Payload...\n');
+
+    const { check, finish } = createSuite();
+
+    const id = (n) => `64b0000000000000000000${String(n).padStart(2, '0')}`;
+    const validates = (payload) => !BatchObjectsPayload.validate(payload).error;
+
+    check('set status', validates({ operations: [{ action: 'setStatus', ids: [id(1)], status: 'done' }] }), true);
+    check('update fields', validates({ operations: [{ action: 'update', ids: [id(1)], fields: { title: 'Renamed', isFavorite: true } }] }), true);
+    check('add labels', validates({ operations: [{ action: 'addLabels', ids: [id(1), id(2)], labels: [id(3)] }] }), true);
+    check('move to a block', validates({ operations: [{ action: 'move', ids: [id(1)], array: id(4), block: null }] }), true);
+    check('clear the date', validates({ operations: [{ action: 'moveToDate', ids: [id(1)], date: null }] }), true);
+    check('delete', validates({ operations: [{ action: 'delete', ids: [id(1)] }] }), true);
+    check('several operations in order', validates({
+        operations: [
+            { action: 'setStatus', ids: [id(1)], status: 'todo' },
+            { action: 'delete', ids: [id(2)] }
+        ]
+    }), true);
+
+    check('unknown action', validates({ operations: [{ action: 'archiveAll', ids: [id(1)] }] }), false);
+    check('no operations', validates({ operations: [] }), false);
+    check('no ids', validates({ operations: [{ action: 'delete', ids: [] }] }), false);
+    check('repeated ids', validates({ operations: [{ action: 'delete', ids: [id(1), id(1)] }] }), false);
+    check('malformed id', validates({ operations: [{ action: 'delete', ids: ['not-an-id'] }] }), false);
+    check('unknown status', validates({ operations: [{ action: 'setStatus', ids: [id(1)], status: 'blocked' }] }), false);
+    check('parameter of another action', validates({ operations: [{ action: 'delete', ids: [id(1)], status: 'done' }] }), false);
+    check('update without fields', validates({ operations: [{ action: 'update', ids: [id(1)], fields: {} }] }), false);
+    check('update of an ownership field', validates({ operations: [{ action: 'update', ids: [id(1)], fields: { user: id(9) } }] }), false);
+    check('labels required', validates({ operations: [{ action: 'removeLabels', ids: [id(1)] }] }), false);
+
+    const many = Array.from({ length: 300 }, (_, index) => index.toString(16).padStart(24, '0'));
+    check('at most 500 objects in all', validates({
+        operations: [
+            { action: 'delete', ids: many },
+            { action: 'setStatus', ids: many, status: 'done' }
+        ]
+    }), false);
+
+    return finish();
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    testBatch()
+        .then(success => {
+            process.exit(success ? 0 : 1);
+        })
+        .catch(error => {
+            console.error('Test execution failed:', error);
+            process.exit(1);
+        });
+}
+
+export { testBatch };
@@ -0,0 +1,83 @@
+/**
+ * Helpers for the markdown body of comments
+ */
+
+const MAX_PREVIEW_LENGTH = 140;
+
+// "@sam" or "@sam.lee", but not the domain of "ana@example.com"
+const MENTION_REGEX = /(^|[^\w@/])@([a-zA-Z0-9](?:[\w.-]{0,38}[a-zA-Z0-9_])?)/g;
+
+const stripCode = (markdown) => (markdown || "")
+    .replace(/(```|~~~)[\s\S]*?(?:\1|$)/g, "")
+    .replace(/`[^`\n]*`/g, "");
+
+/**
+ * User names mentioned in a comment, ignoring code
+ * @param {String} markdown - Body of the comment
+ * @returns {Array} - Names without "@", unique regardless of case, in order of first mention
+ */
+const extractMentions = (markdown) => {
+    const names = new Map();
+    for (const match of stripCode(markdown).matchAll(MENTION_REGEX)) {
+        const key = match[2].toLowerCase();
+        if (!names.has(key)) {
+            names.set(key, match[2]);
+        }
+    }
+    return [...names.values()];
+};
+
+/**
+ * Short plain-text version of a comment for notifications
+ * @param {String} markdown - Body of the comment
+ * @returns {String}
+ */
+const toCommentPreview = (markdown) => {
+    const text = (markdown || "")
+        .replace(/^(```|~~~)[^\n]*$/gm, "")
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+        .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/gm, "")
+        .replace(/(\*\*|__|~~|`)/g, "")
+        .replace(/\s+/g, " ")
+        .trim();
+    return text.length > MAX_PREVIEW_LENGTH ? `${text.slice(0, MAX_PREVIEW_LENGTH - 1).trimEnd()}…` : text;
+};
+
+/**
+ * Body of a comment as posted to an upstream issue. Comments posted with
+ * another account than the author's start with the author's name.
+ * @param {String} body - Body of the comment
+ * @param {String|null} authorName - Name to credit, null to post the body as is
+ * @returns {String}
+ */
+const formatMirroredBody = (body, authorName = null) => {
+    return authorName ? `**${authorName}** wrote:\n\n${body}` : body;
+};
+
+// https://github.com/{owner}/{repo}/issues/{number}, or /pull/{number}
+const GITHUB_ISSUE_URL_REGEX = /^https:\/\/github\.com\/([\w.-]+)\/([\w.-]+)\/(?:issues|pull)\/(\d+)(?:[/?#]|$)/;
+
+/**
+ * The GitHub issue or pull request comments of an object are posted to. Objects
+ * synced before the number was stored fall back to their URL.
+ * @param {Object} metadata - The object's metadata: { owner, repo, number, url }
+ * @returns {Object|null} - { owner, repo, number }, null when it cannot be told
+ */
+const getIssueReference = (metadata) => {
+    const match = GITHUB_ISSUE_URL_REGEX.exec(metadata?.url || "");
+    const owner = metadata?.owner || match?.[1];
+    const repo = metadata?.repo || match?.[2];
+    const number = Number(metadata?.number || match?.[3]);
+    if (!owner || !repo || !Number.isInteger(number) || number < 1) {
+        return null;
+    }
+    return { owner, repo, number };
+};
+
+export {
+    extractMentions,
+    toCommentPreview,
+    formatMirroredBody,
+    getIssueReference
+};
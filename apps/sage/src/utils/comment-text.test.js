@@ -0,0 +1,45 @@
+/**
+ * Test suite for comment bodies
+ */
+import { extractMentions, toCommentPreview, formatMirroredBody, getIssueReference } from './comment-text.service.js';
+import { createSuite } from './test-suite.js';
+
+async function testCommentText() {
+    console.log('🧪 Testing Comment Text Service...\n');
+
+    const { check, finish } = createSuite();
+
+    check('mentions', extractMentions('@sam can you check with @ana.lee? Thanks @Sam.'), ['sam', 'ana.lee']);
+    check('emails and paths are not mentions', extractMentions('Mail ana@example.com or see github.com/@org'), []);
+    check('mentions in code are ignored', extractMentions('Run `npm i @scope/pkg` then\n```\n@decorator\n```\nping @kim'), ['kim']);
+    check('unclosed code fence', extractMentions('@lee\n```js\n@inside'), ['lee']);
+    check('no body', extractMentions(null), []);
+
+    check('preview strips markdown', toCommentPreview('## Plan\n- **Ship** [docs](https://x.y)\n> quoted `code`'), 'Plan Ship docs quoted code');
+    check('long preview', toCommentPreview('word '.repeat(60)).length, 140);
+
+    check('mirrored body with author', formatMirroredBody('Looks good', 'Sam Lee'), '**Sam Lee** wrote:\n\nLooks good');
+    check('mirrored body as is', formatMirroredBody('Looks good'), 'Looks good');
+
+    check('issue from metadata', getIssueReference({ owner: 'acme', repo: 'api', number: 12 }), { owner: 'acme', repo: 'api', number: 12 });
+    check('issue number from the url', getIssueReference({ owner: 'acme', repo: 'api', url: 'https://github.com/acme/api/issues/34' }), { owner: 'acme', repo: 'api', number: 34 });
+    check('pull request url', getIssueReference({ url: 'https://github.com/acme/web.app/pull/7#discussion' }), { owner: 'acme', repo: 'web.app', number: 7 });
+    check('unknown issue', getIssueReference({ owner: 'acme', repo: 'api', url: 'https://github.com/acme/api' }), null);
+    check('no metadata', getIssueReference(undefined), null);
+
+    return finish();
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    testCommentText()
+        .then(success => {
+            process.exit(success ? 0 : 1);
+        })
+        .catch(error => {
+            console.error('Test execution failed:', error);
+            process.exit(1);
+        });
+}
+
+export { testCommentText };
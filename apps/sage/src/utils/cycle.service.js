@@ -0,0 +1,116 @@
+import moment from "moment-timezone";
+
+/**
+ * Cycle dates
+ *
+ * A cycle lasts `length` weeks and starts on `startDay` (0 is Sunday) at midnight in
+ * the user's timezone. Each cycle starts where the previous one ended, so changed
+ * settings take effect from the next cycle on.
+ */
+
+const DEFAULT_CYCLE_SETTINGS = { length: 1, startDay: 0 };
+const MAX_CYCLE_WEEKS = 8;
+
+/**
+ * Start of the cycle a date falls in, for a user without earlier cycles
+ * @param {Date} date
+ * @param {Object} settings - { startDay }
+ * @param {String} timezone - Timezone of the user
+ * @returns {Date} - Midnight of the last start day on or before the date
+ */
+const getCycleStart = (date, { startDay }, timezone = "UTC") => {
+    const day = moment.tz(date, timezone).startOf("day");
+    return day.subtract((day.day() - startDay + 7) % 7, "days").toDate();
+};
+
+/**
+ * End of a cycle: `length` weeks after its start, moved back to the start day when
+ * the start day changed since, so the next cycle starts on the right weekday
+ * @param {Date} startsAt - Start of the cycle
+ * @param {Object} settings - { length, startDay }
+ * @param {String} timezone - Timezone of the user
+ * @returns {Date}
+ */
+const getCycleEnd = (startsAt, { length, startDay }, timezone = "UTC") => {
+    const end = moment.tz(startsAt, timezone).startOf("day").add(length, "weeks");
+    return end.subtract((end.day() - startDay + 7) % 7, "days").toDate();
+};
+
+/**
+ * Dates of the cycle that follows another. Cycles that ended while nobody was
+ * around are skipped, so the result always contains `now`.
+ * @param {Date} previousEndsAt - End of the previous cycle, null for a first cycle
+ * @param {Object} settings - { length, startDay }
+ * @param {String} timezone - Timezone of the user
+ * @param {Date} now
+ * @returns {Object} - { startsAt, endsAt }
+ */
+const getNextCycleRange = (previousEndsAt, settings, timezone = "UTC", now = new Date()) => {
+    let startsAt = previousEndsAt ? new Date(previousEndsAt) : getCycleStart(now, settings, timezone);
+    let endsAt = getCycleEnd(startsAt, settings, timezone);
+    while (endsAt <= now) {
+        startsAt = endsAt;
+        endsAt = getCycleEnd(startsAt, settings, timezone);
+    }
+    return { startsAt, endsAt };
+};
+
+/**
+ * Counts objects per source
+ * @param {Array} objects - Objects with `source`
+ * @returns {Array} - [{ source, count }], largest first
+ */
+const countBySource = (objects) => {
+    const counts = new Map();
+    objects.forEach(object => {
+        const source = object.source || "momo";
+        counts.set(source, (counts.get(source) || 0) + 1);
+    });
+    return [...counts]
+        .map(([source, count]) => ({ source, count }))
+        .sort((a, b) => b.count - a.count || a.source.localeCompare(b.source));
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Items completed per cycle and per source, and the averages over those cycles
+ * @param {Array} cycles - Closed cycles with `completed` and `carriedOver`, newest first
+ * @returns {Object} - { cycles, average: { completed, carriedOver, bySource } }
+ */
+const summarizeVelocity = (cycles) => {
+    const rows = cycles.map(cycle => ({
+        cycle: cycle._id,
+        number: cycle.number,
+        startsAt: cycle.startsAt,
+        endsAt: cycle.endsAt,
+        completed: cycle.completed?.count || 0,
+        carriedOver: cycle.carriedOver?.count || 0,
+        bySource: (cycle.completed?.bySource || []).reduce((sources, { source, count }) => ({ ...sources, [source]: count }), {})
+    }));
+
+    const total = rows.length || 1;
+    const bySource = {};
+    rows.forEach(row => Object.entries(row.bySource).forEach(([source, count]) => {
+        bySource[source] = (bySource[source] || 0) + count;
+    }));
+
+    return {
+        cycles: rows,
+        average: {
+            completed: round(rows.reduce((sum, row) => sum + row.completed, 0) / total),
+            carriedOver: round(rows.reduce((sum, row) => sum + row.carriedOver, 0) / total),
+            bySource: Object.fromEntries(Object.entries(bySource).map(([source, count]) => [source, round(count / total)]))
+        }
+    };
+};
+
+export {
+    DEFAULT_CYCLE_SETTINGS,
+    MAX_CYCLE_WEEKS,
+    getCycleStart,
+    getCycleEnd,
+    getNextCycleRange,
+    countBySource,
+    summarizeVelocity
+};
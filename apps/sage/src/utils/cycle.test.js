@@ -0,0 +1,68 @@
+/**
+ * Test suite for cycle dates and velocity
+ */
+import { getCycleStart, getCycleEnd, getNextCycleRange, countBySource, summarizeVelocity } from './cycle.service.js';
+import { createSuite } from './test-suite.js';
+
+async function testCycles() {
+    console.log('🧪 Testing Cycle Service...\n');
+
+    const { check, finish } = createSuite();
+
+    // Wednesday 2026-06-10, 02:00 UTC is still Tuesday evening in New York
+    const now = new Date('2026-06-10T02:00:00Z');
+
+    check('sunday start in UTC', getCycleStart(now, { startDay: 0 }), new Date('2026-06-07T00:00:00Z'));
+    check('monday start in New York', getCycleStart(now, { startDay: 1 }, 'America/New_York'), new Date('2026-06-08T04:00:00Z'));
+    check('start on the start day', getCycleStart(new Date('2026-06-08T10:00:00Z'), { startDay: 1 }), new Date('2026-06-08T00:00:00Z'));
+
+    check('two week cycle', getCycleEnd(new Date('2026-06-07T00:00:00Z'), { length: 2, startDay: 0 }), new Date('2026-06-21T00:00:00Z'));
+    check('start day changed', getCycleEnd(new Date('2026-06-07T00:00:00Z'), { length: 1, startDay: 3 }), new Date('2026-06-10T00:00:00Z'));
+    check('across daylight saving', getCycleEnd(new Date('2026-10-25T23:00:00Z'), { length: 1, startDay: 1 }, 'Europe/Berlin'), new Date('2026-11-01T23:00:00Z'));
+
+    check('first cycle', getNextCycleRange(null, { length: 1, startDay: 0 }, 'UTC', now), {
+        startsAt: new Date('2026-06-07T00:00:00Z'),
+        endsAt: new Date('2026-06-14T00:00:00Z')
+    });
+    check('next cycle follows the previous one', getNextCycleRange(new Date('2026-06-07T00:00:00Z'), { length: 2, startDay: 0 }, 'UTC', now), {
+        startsAt: new Date('2026-06-07T00:00:00Z'),
+        endsAt: new Date('2026-06-21T00:00:00Z')
+    });
+    check('missed cycles are skipped', getNextCycleRange(new Date('2026-05-03T00:00:00Z'), { length: 1, startDay: 0 }, 'UTC', now), {
+        startsAt: new Date('2026-06-07T00:00:00Z'),
+        endsAt: new Date('2026-06-14T00:00:00Z')
+    });
+
+    check('count by source', countBySource([{ source: 'github' }, { source: 'linear' }, {}, { source: 'linear' }]), [
+        { source: 'linear', count: 2 },
+        { source: 'github', count: 1 },
+        { source: 'momo', count: 1 }
+    ]);
+
+    const velocity = summarizeVelocity([
+        { _id: 'b', number: 2, completed: { count: 5, bySource: [{ source: 'linear', count: 4 }, { source: 'momo', count: 1 }] }, carriedOver: { count: 2 } },
+        { _id: 'a', number: 1, completed: { count: 2, bySource: [{ source: 'linear', count: 2 }] }, carriedOver: { count: 0 } }
+    ]);
+    check('velocity per cycle', velocity.cycles.map(cycle => [cycle.number, cycle.completed, cycle.bySource]), [
+        [2, 5, { linear: 4, momo: 1 }],
+        [1, 2, { linear: 2 }]
+    ]);
+    check('average velocity', velocity.average, { completed: 3.5, carriedOver: 1, bySource: { linear: 3, momo: 0.5 } });
+    check('no cycles', summarizeVelocity([]).average, { completed: 0, carriedOver: 0, bySource: {} });
+
+    return finish();
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    testCycles()
+        .then(success => {
+            process.exit(success ? 0 : 1);
+        })
+        .catch(error => {
+            console.error('Test execution failed:', error);
+            process.exit(1);
+        });
+}
+
+export { testCycles };
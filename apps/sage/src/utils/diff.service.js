@@ -0,0 +1,62 @@
+/**
+ * Field-level diffing of documents for revision history
+ */
+
+// Sub-documents whose keys are diffed individually ("due.date" rather than "due")
+const NESTED_FIELDS = ["due", "cycle", "metadata"];
+
+const isPlainObject = (value) => Boolean(value) && value.constructor === Object;
+
+/**
+ * Converts a value into its JSON form so ObjectIds, populated refs and Dates compare by value
+ * @param {*} value - Any document value
+ * @returns {*} - JSON-safe copy, with undefined mapped to null
+ */
+const normalize = (value) => {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => (item && item._id ? normalize(item._id) : normalize(item)));
+    }
+    return JSON.parse(JSON.stringify(value));
+};
+
+const isEqual = (a, b) => JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+
+/**
+ * Lists the fields that differ between two document states
+ * @param {Object} before - Previous state (plain object)
+ * @param {Object} after - New state (plain object)
+ * @param {Array} fields - Top-level fields to compare
+ * @returns {Array} - [{ field, from, to }]
+ */
+const diffDocuments = (before, after, fields) => {
+    const changes = [];
+
+    for (const field of fields) {
+        const from = before?.[field];
+        const to = after?.[field];
+
+        const nested = NESTED_FIELDS.includes(field) &&
+            (from === undefined || from === null || isPlainObject(from)) &&
+            (to === undefined || to === null || isPlainObject(to));
+
+        if (nested) {
+            const keys = new Set([...Object.keys(from || {}), ...Object.keys(to || {})]);
+            for (const key of keys) {
+                if (!isEqual(from?.[key], to?.[key])) {
+                    changes.push({ field: `${field}.${key}`, from: normalize(from?.[key]), to: normalize(to?.[key]) });
+                }
+            }
+        } else if (!isEqual(from, to)) {
+            changes.push({ field, from: normalize(from), to: normalize(to) });
+        }
+    }
+
+    return changes;
+};
+
+export {
+    diffDocuments
+};
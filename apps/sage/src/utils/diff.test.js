@@ -0,0 +1,59 @@
+/**
+ * Test suite for the field diffs kept in revision history
+ */
+import { Types } from 'mongoose';
+import { diffDocuments } from './diff.service.js';
+import { createSuite } from './test-suite.js';
+
+async function testDiff() {
+    console.log('🧪 Testing Diff Service...\n');
+
+    const { check, finish } = createSuite();
+
+    const fields = ['title', 'status', 'due', 'labels', 'parent', 'metadata', 'isArchived'];
+    const label = new Types.ObjectId('64b000000000000000000001');
+    const before = {
+        title: 'Plan sprint',
+        status: 'todo',
+        due: { date: new Date('2026-10-19T09:00:00.000Z'), is_recurring: false },
+        labels: [label],
+        parent: null,
+        isArchived: false
+    };
+
+    check('identical states', diffDocuments(before, { ...before }, fields), []);
+    check('changed field', diffDocuments(before, { ...before, title: 'Plan the sprint' }, fields), [
+        { field: 'title', from: 'Plan sprint', to: 'Plan the sprint' }
+    ]);
+    check('nested keys are diffed one by one', diffDocuments(before, {
+        ...before,
+        due: { date: new Date('2026-10-20T09:00:00.000Z'), is_recurring: false }
+    }, fields), [
+        { field: 'due.date', from: '2026-10-19T09:00:00.000Z', to: '2026-10-20T09:00:00.000Z' }
+    ]);
+    check('nested value added', diffDocuments(before, { ...before, metadata: { url: 'https://github.com/acme/api/issues/1' } }, fields), [
+        { field: 'metadata.url', from: null, to: 'https://github.com/acme/api/issues/1' }
+    ]);
+    check('ids compare by value', diffDocuments(before, { ...before, labels: ['64b000000000000000000001'] }, fields), []);
+    check('populated refs compare by id', diffDocuments(before, { ...before, labels: [{ _id: label, name: 'bug' }] }, fields), []);
+    check('missing and null are the same', diffDocuments({ ...before, parent: undefined }, before, fields), []);
+    check('several fields', diffDocuments(before, { ...before, status: 'done', isArchived: true }, fields).map(change => change.field), ['status', 'isArchived']);
+    check('only listed fields', diffDocuments(before, { ...before, updatedAt: new Date() }, fields), []);
+    check('new document', diffDocuments(null, { title: 'New' }, ['title']), [{ field: 'title', from: null, to: 'New' }]);
+
+    return finish();
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    testDiff()
+        .then(success => {
+            process.exit(success ? 0 : 1);
+        })
+        .catch(error => {
+            console.error('Test execution failed:', error);
+            process.exit(1);
+        });
+}
+
+export { testDiff };
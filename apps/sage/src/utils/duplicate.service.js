@@ -0,0 +1,284 @@
+/**
+ * Duplicate detection: the same work item arriving from several sources, such as
+ * a Linear issue, the GitHub pull request that fixes it and the email about it
+ */
+
+const URL_REGEX = /https?:\/\/[^\s"'<>\\)\]]+/gi;
+// Linear identifiers such as "ENG-123"; only trusted when they point at an imported issue
+const LINEAR_ID_REGEX = /\b([A-Z][A-Z0-9]{1,9}-\d{1,6})\b/g;
+// GitHub references such as "octo/repo#12"
+const GITHUB_REF_REGEX = /\b([\w.-]+)\/([\w.-]+)#(\d+)\b/g;
+
+// Strength of each kind of evidence, from 0 to 1
+const SIGNAL_SCORES = {
+    // Both objects are the same link, e.g. an issue imported twice
+    "same-link": 1,
+    // One object links to the other, e.g. a PR that says "Fixes ENG-123"
+    reference: 0.9,
+    // Both objects link to the same issue or pull request
+    "shared-reference": 0.6
+};
+
+// Cosine similarity below which embeddings are not evidence at all
+const SIMILARITY_FLOOR = 0.82;
+const MAX_SIMILARITY_SCORE = 0.85;
+
+const MIN_DUPLICATE_SCORE = 0.7;
+const MAX_OBJECTS_PER_REFERENCE = 10;
+
+// Preferred canonical object when merging: the system of record comes first
+const SOURCE_PRIORITY = ["linear", "github", "momo"];
+
+/**
+ * Normalizes a URL so that links to the same page compare equal
+ * @param {String} url
+ * @returns {String|null} - Host and path, or null when the URL is invalid
+ */
+const normalizeUrl = (url) => {
+    let parsed;
+    try {
+        parsed = new URL(String(url).replace(/[.,;:!?]+$/, ""));
+    } catch {
+        return null;
+    }
+    const host = parsed.hostname.toLowerCase().replace(/^www\./, "");
+    const path = parsed.pathname.replace(/\/+$/, "");
+    // Gmail keeps the message in the fragment
+    const hash = host === "mail.google.com" ? parsed.hash : "";
+    return `${host}${path}${hash}`;
+};
+
+/**
+ * Reference key of a URL: Linear issues and GitHub issues or pull requests get a key
+ * of their own, so that any link to them matches
+ * @param {String} url
+ * @returns {String|null} - "linear:ENG-1", "github:owner/repo#1" or "url:host/path"
+ */
+const getUrlKey = (url) => {
+    const normalized = normalizeUrl(url);
+    if (!normalized) {
+        return null;
+    }
+
+    const linear = normalized.match(/^linear\.app\/[^/]+\/issue\/([a-z][a-z0-9]*-\d+)/i);
+    if (linear) {
+        return `linear:${linear[1].toUpperCase()}`;
+    }
+    const github = normalized.match(/^github\.com\/([\w.-]+)\/([\w.-]+)\/(?:issues|pull)\/(\d+)/i);
+    if (github) {
+        return `github:${github[1].toLowerCase()}/${github[2].toLowerCase()}#${github[3]}`;
+    }
+    return `url:${normalized}`;
+};
+
+const collectStrings = (value, strings = [], depth = 0) => {
+    if (value === null || value === undefined || depth > 20) {
+        return strings;
+    }
+    if (typeof value === "string") {
+        strings.push(value);
+    } else if (Array.isArray(value)) {
+        value.forEach(item => collectStrings(item, strings, depth + 1));
+    } else if (typeof value === "object" && !(value instanceof Date)) {
+        Object.values(value).forEach(item => collectStrings(item, strings, depth + 1));
+    }
+    return strings;
+};
+
+/**
+ * Links that identify an object and links it mentions
+ * @param {Object} object - Object with `title`, `description`, `source` and `metadata`
+ * @returns {Object} - { own, mentioned }, arrays of reference keys
+ */
+const extractObjectReferences = (object) => {
+    const { url, ...metadata } = object.metadata || {};
+    const own = new Set();
+    const mentioned = new Set();
+
+    const ownKey = url && getUrlKey(url);
+    if (ownKey) {
+        own.add(ownKey);
+    }
+    if (object.source === "github" && metadata.owner && metadata.repo && metadata.number) {
+        own.add(`github:${String(metadata.owner).toLowerCase()}/${String(metadata.repo).toLowerCase()}#${metadata.number}`);
+    }
+
+    const text = collectStrings([object.title, object.description, metadata]).join("\n");
+    for (const [match] of text.matchAll(URL_REGEX)) {
+        const key = getUrlKey(match);
+        if (key) {
+            mentioned.add(key);
+        }
+    }
+    for (const [, identifier] of text.matchAll(LINEAR_ID_REGEX)) {
+        mentioned.add(`linear:${identifier}`);
+    }
+    for (const [, owner, repo, number] of text.matchAll(GITHUB_REF_REGEX)) {
+        mentioned.add(`github:${owner.toLowerCase()}/${repo.toLowerCase()}#${number}`);
+    }
+
+    own.forEach(key => mentioned.delete(key));
+    return { own: [...own], mentioned: [...mentioned] };
+};
+
+/**
+ * Evidence score of an embedding similarity
+ * @param {Number} similarity - Cosine similarity, from 0 to 1
+ * @returns {Number}
+ */
+const getSimilarityScore = (similarity) => {
+    if (!similarity || similarity <= SIMILARITY_FLOOR) {
+        return 0;
+    }
+    const score = ((similarity - SIMILARITY_FLOOR) / (1 - SIMILARITY_FLOOR)) * MAX_SIMILARITY_SCORE;
+    return Math.round(Math.min(score, MAX_SIMILARITY_SCORE) * 100) / 100;
+};
+
+/**
+ * Combines independent pieces of evidence: each one closes part of the remaining gap to 1
+ * @param {Array} reasons - Reasons with a `score`
+ * @returns {Number}
+ */
+const combineScores = (reasons) => {
+    const score = 1 - reasons.reduce((rest, reason) => rest * (1 - reason.score), 1);
+    return Math.round(score * 100) / 100;
+};
+
+/**
+ * Reasons two objects look like the same work item
+ * @param {Object} a - References of the first object, from extractObjectReferences
+ * @param {Object} b - References of the second object
+ * @param {Number} similarity - Cosine similarity of their embeddings, if known
+ * @returns {Object} - { score, reasons }
+ */
+const scoreDuplicate = (a, b, similarity = null) => {
+    const reasons = [];
+    const seen = new Set();
+    const add = (type, key) => {
+        if (!seen.has(key)) {
+            seen.add(key);
+            reasons.push({ type, key, score: SIGNAL_SCORES[type] });
+        }
+    };
+
+    a.own.filter(key => b.own.includes(key)).forEach(key => add("same-link", key));
+    [...a.own.filter(key => b.mentioned.includes(key)), ...b.own.filter(key => a.mentioned.includes(key))]
+        .forEach(key => add("reference", key));
+    // Plain pages and bare Linear-like identifiers ("UTF-8") are too common to count on their own
+    a.mentioned
+        .filter(key => key.startsWith("github:") && b.mentioned.includes(key))
+        .forEach(key => add("shared-reference", key));
+
+    const similarityScore = getSimilarityScore(similarity);
+    if (similarityScore) {
+        reasons.push({ type: "similar", similarity: Math.round(similarity * 1000) / 1000, score: similarityScore });
+    }
+
+    return { score: combineScores(reasons), reasons };
+};
+
+/**
+ * Pairs of objects that share references
+ * @param {Array} objects - Items with `id` and `references`
+ * @param {Object} options
+ * @param {Number} options.minScore - Minimum score of a pair
+ * @returns {Array} - { ids: [a, b], score, reasons }, best first
+ */
+const findReferenceMatches = (objects, { minScore = MIN_DUPLICATE_SCORE } = {}) => {
+    const byKey = new Map();
+    for (const object of objects) {
+        for (const key of [...object.references.own, ...object.references.mentioned]) {
+            byKey.set(key, [...(byKey.get(key) || []), object]);
+        }
+    }
+
+    const pairs = new Map();
+    // A link that many objects share, such as a footer in every email, says nothing about any of them
+    for (const group of [...byKey.values()].filter(objectsWithKey => objectsWithKey.length <= MAX_OBJECTS_PER_REFERENCE)) {
+        for (let i = 0; i < group.length; i++) {
+            for (let j = i + 1; j < group.length; j++) {
+                const [a, b] = [group[i], group[j]].sort((x, y) => String(x.id).localeCompare(String(y.id)));
+                const pairKey = `${a.id}:${b.id}`;
+                if (String(a.id) !== String(b.id) && !pairs.has(pairKey)) {
+                    pairs.set(pairKey, { ids: [a.id, b.id], ...scoreDuplicate(a.references, b.references) });
+                }
+            }
+        }
+    }
+
+    return [...pairs.values()]
+        .filter(pair => pair.score >= minScore)
+        .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Joins matching pairs into groups, so that a Linear issue, its pull request and
+ * the email about them are suggested as one merge
+ * @param {Array} pairs - Pairs from findReferenceMatches
+ * @returns {Array} - { ids, score, pairs }, where score is the weakest link of the group
+ */
+const groupMatches = (pairs) => {
+    let groups = [];
+    for (const pair of pairs) {
+        const linked = groups.filter(group => pair.ids.some(id => group.ids.includes(id)));
+        groups = [
+            ...groups.filter(group => !linked.includes(group)),
+            {
+                ids: [...new Set([...linked.flatMap(group => group.ids), ...pair.ids])],
+                score: Math.min(pair.score, ...linked.map(group => group.score)),
+                pairs: [...linked.flatMap(group => group.pairs), pair]
+            }
+        ];
+    }
+    return groups.sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Object to keep when merging a group
+ * @param {Array} objects - Objects with `source` and `createdAt`
+ * @returns {Object}
+ */
+const pickCanonical = (objects) => [...objects].sort((a, b) => {
+    const rank = (object) => {
+        const index = SOURCE_PRIORITY.indexOf(object.source);
+        return index === -1 ? SOURCE_PRIORITY.length : index;
+    };
+    return rank(a) - rank(b) || new Date(a.createdAt || 0) - new Date(b.createdAt || 0);
+})[0];
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value) && !(value instanceof Date);
+
+/**
+ * Unions metadata: the canonical object's values win, missing ones are taken from
+ * the aliases and lists are joined
+ * @param {Object} base - Metadata of the canonical object
+ * @param {Array} others - Metadata of the aliases
+ * @returns {Object}
+ */
+const mergeMetadata = (base, others) => others.reduce((merged, other) => {
+    for (const [key, value] of Object.entries(other || {})) {
+        const current = merged[key];
+        if (current === undefined || current === null || current === "") {
+            merged[key] = value;
+        } else if (Array.isArray(current) && Array.isArray(value)) {
+            const known = new Set(current.map(item => JSON.stringify(item)));
+            merged[key] = [...current, ...value.filter(item => !known.has(JSON.stringify(item)))];
+        } else if (isPlainObject(current) && isPlainObject(value)) {
+            merged[key] = mergeMetadata(current, [value]);
+        }
+    }
+    return merged;
+}, { ...(base || {}) });
+
+export {
+    MIN_DUPLICATE_SCORE,
+    normalizeUrl,
+    getUrlKey,
+    extractObjectReferences,
+    getSimilarityScore,
+    scoreDuplicate,
+    findReferenceMatches,
+    groupMatches,
+    pickCanonical,
+    mergeMetadata
+};
@@ -0,0 +1,86 @@
+/**
+ * Test suite for duplicate detection
+ */
+import { normalizeUrl, getUrlKey, extractObjectReferences, getSimilarityScore, scoreDuplicate, findReferenceMatches, groupMatches, pickCanonical, mergeMetadata } from './duplicate.service.js';
+import { createSuite } from './test-suite.js';
+
+async function testDuplicates() {
+    console.log('🧪 Testing Duplicate Service...\n');
+
+    const { check, finish } = createSuite();
+
+    check('normalized url', normalizeUrl('https://www.Example.com/docs/?utm_source=mail#top'), 'example.com/docs');
+    check('gmail keeps the message', normalizeUrl('https://mail.google.com/mail/u/0/#inbox/18f2'), 'mail.google.com/mail/u/0#inbox/18f2');
+    check('invalid url', normalizeUrl('not a url'), null);
+    check('linear url key', getUrlKey('https://linear.app/acme/issue/eng-42/fix-login'), 'linear:ENG-42');
+    check('github url key', getUrlKey('https://github.com/Acme/Web/pull/7/files'), 'github:acme/web#7');
+
+    const linear = {
+        _id: 'a',
+        source: 'linear',
+        title: 'Login fails on Safari',
+        createdAt: '2026-03-01',
+        metadata: { url: 'https://linear.app/acme/issue/ENG-42/login-fails', state: { name: 'Todo' }, priority: 2 }
+    };
+    const pullRequest = {
+        _id: 'b',
+        source: 'github',
+        title: 'Fix Safari login',
+        createdAt: '2026-03-02',
+        description: 'Fixes ENG-42, see https://example.com/spec.',
+        metadata: { url: 'https://github.com/acme/web/pull/7', owner: 'acme', repo: 'web', number: 7, assignees: ['kim'] }
+    };
+    const email = {
+        _id: 'c',
+        source: 'gmail',
+        title: '[acme/web] Fix Safari login (PR #7)',
+        createdAt: '2026-03-02',
+        description: '<p>Merged <a href="https://github.com/acme/web/pull/7">#7</a> into main. UTF-8 encoded.</p>',
+        metadata: { url: 'https://mail.google.com/mail/u/0/#inbox/18f2', senderEmail: 'notifications@github.com' }
+    };
+
+    const references = [linear, pullRequest, email].map(object => ({ id: object._id, references: extractObjectReferences(object) }));
+    check('own and mentioned references', extractObjectReferences(pullRequest), {
+        own: ['github:acme/web#7'],
+        mentioned: ['url:example.com/spec', 'linear:ENG-42']
+    });
+
+    check('reference score', scoreDuplicate(references[0].references, references[1].references).score, 0.9);
+    check('similarity alone', getSimilarityScore(0.7), 0);
+    check('references and similarity add up', scoreDuplicate(references[0].references, references[1].references, 0.91).score, 0.94);
+
+    const pairs = findReferenceMatches(references);
+    check('matching pairs', pairs.map(pair => pair.ids), [['a', 'b'], ['b', 'c']]);
+    check('one group', groupMatches(pairs).map(group => group.ids), [['a', 'b', 'c']]);
+    check('too common to match', findReferenceMatches(Array.from({ length: 11 }, (_, index) => ({
+        id: String(index),
+        references: { own: [], mentioned: ['github:acme/web#1'] }
+    })), { minScore: 0 }), []);
+
+    check('canonical is the linear issue', pickCanonical([email, pullRequest, linear])._id, 'a');
+    check('merged metadata', mergeMetadata(linear.metadata, [pullRequest.metadata, { priority: null, assignees: ['kim', 'lee'] }]), {
+        url: 'https://linear.app/acme/issue/ENG-42/login-fails',
+        state: { name: 'Todo' },
+        priority: 2,
+        owner: 'acme',
+        repo: 'web',
+        number: 7,
+        assignees: ['kim', 'lee']
+    });
+
+    return finish();
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    testDuplicates()
+        .then(success => {
+            process.exit(success ? 0 : 1);
+        })
+        .catch(error => {
+            console.error('Test execution failed:', error);
+            process.exit(1);
+        });
+}
+
+export { testDuplicates };
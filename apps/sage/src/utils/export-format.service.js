@@ -0,0 +1,333 @@
+import moment from "moment-timezone";
+import { extractPlainText } from "./text.service.js";
+
+/**
+ * File layouts of the workspace export
+ *
+ * - json: one lossless document with every collection; its objects re-import
+ *   through the "sage" import source
+ * - csv: flat objects and journals for spreadsheets
+ * - markdown: a file per note, meeting and journal day, and a checklist per array
+ *   with sub-objects nested under their parents
+ */
+
+const EXPORT_FORMATS = ["json", "csv", "markdown"];
+const EXPORT_VERSION = 1;
+const MAX_SLUG_LENGTH = 50;
+
+const OBJECT_COLUMNS = [
+    "id", "title", "type", "status", "source", "isCompleted", "completedAt", "due", "recurrence",
+    "labels", "arrays", "blocks", "parentId", "estimateMinutes", "timeSpentMinutes", "url",
+    "createdAt", "updatedAt", "description"
+];
+const JOURNAL_COLUMNS = ["date", "array", "content", "createdAt", "updatedAt"];
+
+const slugify = (text) => String(text || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/-+$/g, "");
+
+const toId = (value) => (value?._id || value || "").toString();
+
+const formatDate = (value, timezone, format = "YYYY-MM-DD") => {
+    if (!value) {
+        return "";
+    }
+    const date = moment.tz(new Date(value), timezone);
+    return date.isValid() ? date.format(format) : "";
+};
+
+const toIsoString = (value) => {
+    if (!value) {
+        return "";
+    }
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? "" : date.toISOString();
+};
+
+/**
+ * Quotes a CSV field when needed. Values starting with a formula character are
+ * prefixed with an apostrophe so spreadsheets do not run them.
+ */
+const escapeCsvValue = (value) => {
+    let text = value === null || value === undefined ? "" : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\n\r]/.test(text) || text !== text.trim()
+        ? `"${text.replace(/"/g, "\"\"")}"`
+        : text;
+};
+
+/**
+ * Writes rows as CSV with a header line
+ * @param {Array} rows - Plain objects
+ * @param {Array} columns - Keys to write, in order
+ * @returns {String}
+ */
+const toCsv = (rows, columns) => {
+    const lines = [columns.join(",")];
+    rows.forEach(row => lines.push(columns.map(column => escapeCsvValue(row[column])).join(",")));
+    return `${lines.join("\r\n")}\r\n`;
+};
+
+const htmlToText = (html) => html
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/(p|div|h[1-6]|li|blockquote)>/gi, "\n")
+    .replace(/<li[^>]*>/gi, "- ")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, "\"")
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+const blockToMarkdown = (block, depth) => {
+    const indent = "  ".repeat(depth);
+    const text = extractPlainText(block.content);
+    let line;
+    switch (block.type) {
+    case "heading":
+        line = `${"#".repeat(Math.min(Number(block.props?.level) || 1, 6) + 1)} ${text}`;
+        break;
+    case "bulletListItem":
+        line = `${indent}- ${text}`;
+        break;
+    case "numberedListItem":
+        line = `${indent}1. ${text}`;
+        break;
+    case "checkListItem":
+        line = `${indent}- [${block.props?.checked ? "x" : " "}] ${text}`;
+        break;
+    case "codeBlock":
+        line = `\`\`\`\n${text}\n\`\`\``;
+        break;
+    default:
+        line = `${indent}${text}`;
+    }
+
+    const children = (block.children || []).map(child => blockToMarkdown(child, depth + 1));
+    return [line, ...children].filter(part => part.trim()).join("\n");
+};
+
+/**
+ * Turns a stored description (HTML, plain text or rich-text blocks) into Markdown
+ * @param {*} value - The description
+ * @returns {String}
+ */
+const toMarkdownText = (value) => {
+    if (!value) {
+        return "";
+    }
+    if (typeof value === "string") {
+        return /<[a-z][^>]*>/i.test(value) ? htmlToText(value) : value.trim();
+    }
+    if (Array.isArray(value)) {
+        return value.map(block => (block && typeof block === "object" ? blockToMarkdown(block, 0) : String(block)))
+            .filter(Boolean)
+            .join("\n\n");
+    }
+    return extractPlainText(value);
+};
+
+const buildNames = (documents, field = "name") => new Map(
+    (documents || []).map(document => [toId(document), document[field] || ""])
+);
+
+const namesOf = (ids, names) => (ids || []).map(id => names.get(toId(id))).filter(Boolean);
+
+const getObjectFileName = (object) => `${slugify(object.title) || "untitled"}-${toId(object).slice(-8)}.md`;
+
+const buildObjectRows = (data) => {
+    const labels = buildNames(data.labels);
+    const arrays = buildNames(data.arrays);
+    const blocks = buildNames(data.blocks);
+
+    return data.objects.map(object => ({
+        id: toId(object),
+        title: object.title || "",
+        type: object.type || "",
+        status: object.status === "null" ? "" : object.status || "",
+        source: object.source || "",
+        isCompleted: object.isCompleted ? "true" : "false",
+        completedAt: toIsoString(object.completedAt),
+        due: object.due?.date || "",
+        recurrence: object.due?.is_recurring ? object.due.string || object.recurrence?.rule || "" : "",
+        labels: namesOf(object.labels, labels).join("; "),
+        arrays: namesOf(object.arrays, arrays).join("; "),
+        blocks: namesOf(object.blocks, blocks).join("; "),
+        parentId: object.parent ? toId(object.parent) : "",
+        estimateMinutes: object.estimate ?? "",
+        timeSpentMinutes: object.timeSpent ? Math.round(object.timeSpent / 60) : "",
+        url: object.metadata?.url || "",
+        createdAt: toIsoString(object.createdAt),
+        updatedAt: toIsoString(object.updatedAt),
+        description: toMarkdownText(object.description)
+    }));
+};
+
+const buildJournalRows = (data, timezone) => {
+    const arrays = buildNames(data.arrays);
+
+    return data.journals.map(journal => ({
+        date: formatDate(journal.date, timezone),
+        array: journal.array ? arrays.get(toId(journal.array)) || "" : "",
+        content: toMarkdownText(journal.content),
+        createdAt: toIsoString(journal.createdAt),
+        updatedAt: toIsoString(journal.updatedAt)
+    }));
+};
+
+const describeObject = (object, labels, timezone) => {
+    const details = [];
+    if (object.due?.date) {
+        details.push(`due ${formatDate(object.due.date, timezone)}`);
+    }
+    namesOf(object.labels, labels).forEach(name => details.push(`#${name.replace(/\s+/g, "-")}`));
+    return details.length ? `${object.title || "Untitled"} (${details.join(", ")})` : object.title || "Untitled";
+};
+
+// Checklist of the objects in a group, with sub-objects nested under their parents
+const buildChecklist = (objects, labels, timezone) => {
+    const ids = new Set(objects.map(toId));
+    const children = new Map();
+    const roots = [];
+    objects.forEach(object => {
+        const parent = object.parent ? toId(object.parent) : null;
+        if (parent && ids.has(parent)) {
+            children.set(parent, [...(children.get(parent) || []), object]);
+        } else {
+            roots.push(object);
+        }
+    });
+
+    const lines = [];
+    const visit = (object, depth, seen) => {
+        if (seen.has(toId(object))) {
+            return;
+        }
+        seen.add(toId(object));
+        lines.push(`${"  ".repeat(depth)}- [${object.isCompleted ? "x" : " "}] ${describeObject(object, labels, timezone)}`);
+        (children.get(toId(object)) || []).forEach(child => visit(child, depth + 1, seen));
+    };
+    const seen = new Set();
+    roots.forEach(object => visit(object, 0, seen));
+
+    return lines.join("\n");
+};
+
+const buildNoteFile = (object, labels, arrays, timezone) => {
+    const details = [
+        `- Type: ${object.type || "note"}`,
+        object.source && object.source !== "momo" ? `- Source: ${object.source}` : null,
+        namesOf(object.labels, labels).length ? `- Labels: ${namesOf(object.labels, labels).join(", ")}` : null,
+        namesOf(object.arrays, arrays).length ? `- Arrays: ${namesOf(object.arrays, arrays).join(", ")}` : null,
+        object.due?.date ? `- Due: ${formatDate(object.due.date, timezone, "YYYY-MM-DD HH:mm")}` : null,
+        object.metadata?.url ? `- Link: ${object.metadata.url}` : null,
+        `- Created: ${formatDate(object.createdAt, timezone, "YYYY-MM-DD HH:mm")}`
+    ].filter(Boolean);
+
+    return `# ${object.title || "Untitled"}\n\n${details.join("\n")}\n\n${toMarkdownText(object.description)}\n`;
+};
+
+const buildMarkdownFiles = (data, root, timezone) => {
+    const labels = buildNames(data.labels);
+    const arrays = buildNames(data.arrays);
+    const files = [];
+
+    const notes = data.objects.filter(object => object.type === "note");
+    notes.forEach(object => files.push({
+        name: `${root}/notes/${getObjectFileName(object)}`,
+        content: buildNoteFile(object, labels, arrays, timezone)
+    }));
+
+    // Meetings are kept both as meeting objects and in the older meetings collection
+    const meetings = [...data.objects.filter(object => object.type === "meeting"), ...(data.meetings || [])];
+    meetings.forEach(meeting => files.push({
+        name: `${root}/meetings/${getObjectFileName(meeting)}`,
+        content: `# ${meeting.title || "Untitled"}\n\n- Date: ${formatDate(meeting.due?.date || meeting.metadata?.start?.dateTime || meeting.createdAt, timezone, "YYYY-MM-DD HH:mm")}\n\n${toMarkdownText(meeting.description)}\n`
+    }));
+
+    // One checklist per array, objects outside any array go to the inbox
+    const tasks = data.objects.filter(object => object.type !== "note" && object.type !== "meeting");
+    const groups = new Map([["inbox", { name: "Inbox", objects: [] }]]);
+    (data.arrays || []).forEach(array => groups.set(toId(array), { name: array.name || "Untitled", objects: [] }));
+    tasks.forEach(object => {
+        const keys = (object.arrays || []).map(toId).filter(key => groups.has(key));
+        (keys.length ? keys : ["inbox"]).forEach(key => groups.get(key).objects.push(object));
+    });
+    const usedNames = new Set();
+    groups.forEach(({ name, objects }, key) => {
+        if (!objects.length) {
+            return;
+        }
+        let fileName = slugify(name) || "array";
+        if (usedNames.has(fileName)) {
+            fileName = `${fileName}-${key.slice(-8)}`;
+        }
+        usedNames.add(fileName);
+        files.push({
+            name: `${root}/tasks/${fileName}.md`,
+            content: `# ${name}\n\n${buildChecklist(objects, labels, timezone)}\n`
+        });
+    });
+
+    (data.journals || []).forEach(journal => {
+        const date = formatDate(journal.date, timezone);
+        files.push({
+            name: `${root}/journals/${date}.md`,
+            content: `# ${date}\n\n${toMarkdownText(journal.content)}\n`
+        });
+    });
+
+    return files;
+};
+
+/**
+ * Lays out exported data as archive files
+ * @param {Object} data - { objects, labels, arrays, blocks, journals, meetings, types, sources, relations }
+ * @param {String} format - "json", "csv" or "markdown"
+ * @param {Object} options
+ * @param {Date} options.exportedAt - Time of the export
+ * @param {String} options.timezone - Timezone used for dates and journal days
+ * @returns {Array} - [{ name, content }]
+ */
+const buildExportFiles = (data, format, { exportedAt = new Date(), timezone = "UTC" } = {}) => {
+    const root = `sage-export-${formatDate(exportedAt, timezone)}`;
+
+    if (format === "json") {
+        return [{
+            name: `${root}/export.json`,
+            content: JSON.stringify({ version: EXPORT_VERSION, exportedAt, timezone, ...data }, null, 2)
+        }];
+    }
+    if (format === "csv") {
+        return [
+            { name: `${root}/objects.csv`, content: toCsv(buildObjectRows(data), OBJECT_COLUMNS) },
+            { name: `${root}/journals.csv`, content: toCsv(buildJournalRows(data, timezone), JOURNAL_COLUMNS) }
+        ];
+    }
+    if (format === "markdown") {
+        return buildMarkdownFiles(data, root, timezone);
+    }
+
+    const error = new Error(`format must be one of: ${EXPORT_FORMATS.join(", ")}`);
+    error.statusCode = 400;
+    throw error;
+};
+
+export {
+    EXPORT_FORMATS,
+    EXPORT_VERSION,
+    slugify,
+    toCsv,
+    toMarkdownText,
+    buildExportFiles
+};
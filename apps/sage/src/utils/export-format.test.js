@@ -0,0 +1,115 @@
+/**
+ * Test suite for export file layouts and the archive writer
+ */
+import { gunzipSync } from 'zlib';
+import { toCsv, toMarkdownText, slugify, buildExportFiles } from './export-format.service.js';
+import { createArchive } from './archive.service.js';
+import { createSuite } from './test-suite.js';
+
+// Reads entry names and contents back out of a .tar.gz
+const readArchive = (buffer) => {
+    const tar = gunzipSync(buffer);
+    const entries = [];
+    let offset = 0;
+    while (offset + 512 <= tar.length && tar[offset] !== 0) {
+        const name = tar.toString('utf-8', offset, offset + 100).replace(/\0.*$/s, '');
+        const size = parseInt(tar.toString('utf-8', offset + 124, offset + 136), 8);
+        entries.push({ name, content: tar.toString('utf-8', offset + 512, offset + 512 + size) });
+        offset += 512 + Math.ceil(size / 512) * 512;
+    }
+    return entries;
+};
+
+async function testExportFormat() {
+    console.log('🧪 Testing Export Format Service...\n');
+
+    const { check, finish } = createSuite();
+
+    // CSV
+    check(
+        'csv quoting',
+        toCsv([{ a: 'plain', b: 'with, comma' }, { a: 'say "hi"', b: 'two\nlines' }], ['a', 'b']),
+        'a,b\r\nplain,"with, comma"\r\n"say ""hi""","two\nlines"\r\n'
+    );
+    check('csv formula guard', toCsv([{ a: '=SUM(A1)' }], ['a']), "a\r\n'=SUM(A1)\r\n");
+    check('csv empty values', toCsv([{ a: null }], ['a', 'b']), 'a,b\r\n,\r\n');
+
+    // Markdown text
+    check('html to markdown', toMarkdownText('<p>Hello &amp; welcome</p><ul><li>one</li><li>two</li></ul>'), 'Hello & welcome\n- one\n- two');
+    check(
+        'blocks to markdown',
+        toMarkdownText([
+            { type: 'heading', props: { level: 1 }, content: [{ type: 'text', text: 'Plan' }] },
+            { type: 'checkListItem', props: { checked: true }, content: [{ type: 'text', text: 'Book flights' }], children: [] },
+            { type: 'bulletListItem', content: [{ type: 'text', text: 'Pack' }], children: [{ type: 'bulletListItem', content: [{ type: 'text', text: 'Shoes' }] }] }
+        ]),
+        '## Plan\n\n- [x] Book flights\n\n- Pack\n  - Shoes'
+    );
+    check('slug', slugify('Café meeting: Q4 / planning!'), 'cafe-meeting-q4-planning');
+
+    const data = {
+        objects: [
+            { _id: '66a000000000000000000001', title: 'Launch', type: 'todo', arrays: ['66a0000000000000000000a1'], labels: ['66a0000000000000000000c1'], isCompleted: false, due: { date: '2026-10-20T09:00:00.000Z' }, createdAt: '2026-10-01T09:00:00.000Z' },
+            { _id: '66a000000000000000000002', title: 'Write copy', type: 'todo', parent: '66a000000000000000000001', arrays: ['66a0000000000000000000a1'], isCompleted: true, createdAt: '2026-10-01T09:00:00.000Z' },
+            { _id: '66a000000000000000000003', title: 'Ideas', type: 'note', description: 'Some thoughts', createdAt: '2026-10-02T09:00:00.000Z' }
+        ],
+        labels: [{ _id: '66a0000000000000000000c1', name: 'urgent' }],
+        arrays: [{ _id: '66a0000000000000000000a1', name: 'Work' }],
+        blocks: [],
+        journals: [{ date: '2026-10-03T00:00:00.000Z', content: 'Good day' }],
+        meetings: []
+    };
+    const options = { exportedAt: new Date('2026-10-18T10:00:00.000Z'), timezone: 'UTC' };
+
+    const csv = buildExportFiles(data, 'csv', options);
+    check('csv files', csv.map(file => file.name), ['sage-export-2026-10-18/objects.csv', 'sage-export-2026-10-18/journals.csv']);
+    check('csv object row', csv[0].content.split('\r\n')[1].split(',').slice(0, 5), ['66a000000000000000000001', 'Launch', 'todo', '', '']);
+
+    const markdown = buildExportFiles(data, 'markdown', options);
+    check('markdown files', markdown.map(file => file.name).sort(), [
+        'sage-export-2026-10-18/journals/2026-10-03.md',
+        'sage-export-2026-10-18/notes/ideas-00000003.md',
+        'sage-export-2026-10-18/tasks/work.md'
+    ]);
+    check(
+        'markdown checklist nests sub-objects',
+        markdown.find(file => file.name.endsWith('work.md')).content,
+        '# Work\n\n- [ ] Launch (due 2026-10-20, #urgent)\n  - [x] Write copy\n'
+    );
+
+    const json = buildExportFiles(data, 'json', options);
+    check('json is lossless', JSON.parse(json[0].content).objects, data.objects);
+
+    let rejected = false;
+    try {
+        buildExportFiles(data, 'xml', options);
+    } catch (error) {
+        rejected = error.statusCode === 400;
+    }
+    check('unknown format', rejected, true);
+
+    // Archive
+    const archive = await createArchive([
+        { name: 'export/a.txt', content: 'hello' },
+        { name: 'export/b.txt', content: 'x'.repeat(600) }
+    ]);
+    const entries = readArchive(archive);
+    check('archive entries', entries.map(entry => [entry.name, entry.content.length]), [['export/a.txt', 5], ['export/b.txt', 600]]);
+    check('archive content', entries[0].content, 'hello');
+
+    return finish();
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    testExportFormat()
+        .then(success => {
+            process.exit(success ? 0 : 1);
+        })
+        .catch(error => {
+            console.error('Test execution failed:', error);
+            process.exit(1);
+        });
+}
+
+export { testExportFormat };
@@ -0,0 +1,584 @@
+import moment from "moment-timezone";
+import { Types } from "mongoose";
+import { escapeRegex } from "./text.service.js";
+
+/**
+ * Filter query language for objects
+ *
+ *   status:todo source:linear due:<7d label:bug
+ *   (type:todo OR type:meeting) NOT label:"waiting on"
+ *   -source:gmail created:>=2026-01-01 is:favorite "release notes"
+ *
+ * Terms next to each other are ANDed; OR, AND and NOT (or a leading "-") combine
+ * them and parentheses group them. A comma inside a value means any of the values
+ * (`status:todo,in-progress`). Words without a key search the title and text.
+ *
+ * Keys:
+ *   status      null, todo, in-progress, done, archive
+ *   type        todo, note, meeting, bookmark, ...
+ *   source      momo, linear, github, gmail, ...
+ *   label       label name, or `none`
+ *   array       array name, identifier or id, or `none`
+ *   priority    urgent, high, medium, low, none
+ *   due         due date (`due.date`)
+ *   created     creation date
+ *   updated     last update
+ *   completed   completion date
+ *   is          favorite, recurring, completed, open, archived
+ *   has         due, parent, labels, array
+ *   parent      object id, or `none`
+ *
+ * Dates accept today, tomorrow, yesterday, this-week, next-week, last-week, this-month,
+ * next-month, last-month, none, YYYY-MM-DD, full ISO timestamps, ranges (`a..b`),
+ * `overdue` (due only) and durations (`3d`, `12h`, `2w`, `1m`) with <, <=, >, >=.
+ * Durations point into the future for `due` and into the past for the other dates,
+ * and `<` reads as "closer to now than": `due:<7d` is due within the next 7 days
+ * (or overdue), `created:<7d` was created in the last 7 days.
+ */
+
+const MAX_QUERY_LENGTH = 500;
+const MAX_TERMS = 50;
+const MAX_DEPTH = 10;
+
+const STATUS_ALIASES = {
+    null: "null",
+    none: "null",
+    todo: "todo",
+    "in-progress": "in progress",
+    in_progress: "in progress",
+    inprogress: "in progress",
+    "in progress": "in progress",
+    done: "done",
+    archive: "archive",
+    archived: "archive"
+};
+
+// Linear stores priority as a number, other sources as a name
+const PRIORITY_VALUES = {
+    none: [0, "none"],
+    urgent: [1, "urgent"],
+    high: [2, "high"],
+    medium: [3, "medium"],
+    low: [4, "low"]
+};
+
+const DATE_FIELDS = {
+    due: "due.date",
+    created: "createdAt",
+    updated: "updatedAt",
+    completed: "completedAt"
+};
+
+const KEY_ALIASES = {
+    status: "status",
+    type: "type",
+    source: "source",
+    label: "label",
+    labels: "label",
+    array: "array",
+    arrays: "array",
+    priority: "priority",
+    due: "due",
+    created: "created",
+    updated: "updated",
+    completed: "completed",
+    is: "is",
+    has: "has",
+    parent: "parent"
+};
+
+const COMPARATORS = ["<=", ">=", "<", ">", "="];
+
+const queryError = (message) => {
+    const error = new Error(`Invalid filter query: ${message}`);
+    error.statusCode = 400;
+    return error;
+};
+
+/**
+ * Splits a query into parentheses, operators and terms
+ * @param {String} text - The query
+ * @returns {Array} - Tokens
+ */
+const tokenize = (text) => {
+    const tokens = [];
+    let index = 0;
+
+    while (index < text.length) {
+        const char = text[index];
+        if (/\s/.test(char)) {
+            index++;
+            continue;
+        }
+        if (char === "(" || char === ")") {
+            tokens.push({ type: char });
+            index++;
+            continue;
+        }
+
+        let negated = false;
+        if (char === "-" && index + 1 < text.length && !/[\s()]/.test(text[index + 1])) {
+            negated = true;
+            index++;
+        }
+
+        // A term runs to the next space or parenthesis outside of quotes
+        let raw = "";
+        let quoted = false;
+        while (index < text.length) {
+            const current = text[index];
+            if (current === "\"") {
+                quoted = !quoted;
+            } else if (!quoted && (/\s/.test(current) || current === "(" || current === ")")) {
+                break;
+            }
+            raw += current;
+            index++;
+        }
+        if (quoted) {
+            throw queryError("unterminated quote");
+        }
+
+        if (!negated && (raw === "AND" || raw === "OR" || raw === "NOT")) {
+            tokens.push({ type: raw });
+        } else {
+            tokens.push({ type: "term", raw, negated });
+        }
+    }
+
+    return tokens;
+};
+
+const unquote = (value) => value.replace(/"/g, "");
+
+const parseTerm = ({ raw, negated }) => {
+    const match = raw.match(/^([a-zA-Z]+):(.*)$/);
+    const key = match && KEY_ALIASES[match[1].toLowerCase()];
+
+    let node;
+    if (!key) {
+        const value = unquote(raw).trim();
+        if (!value) {
+            throw queryError("empty term");
+        }
+        node = { type: "text", value };
+    } else {
+        let rest = match[2];
+        const op = COMPARATORS.find(comparator => rest.startsWith(comparator)) || "=";
+        rest = rest.slice(op === "=" && !rest.startsWith("=") ? 0 : op.length);
+
+        const values = unquote(rest).split(",").map(value => value.trim()).filter(Boolean);
+        if (!values.length) {
+            throw queryError(`missing value for "${match[1]}"`);
+        }
+        node = { type: "filter", key, op, values };
+    }
+
+    return negated ? { type: "not", child: node } : node;
+};
+
+/**
+ * Parses a filter query into a tree of and/or/not/filter/text nodes
+ * @param {String} text - The query
+ * @returns {Object|null} - The tree, or null for an empty query
+ */
+const parseFilterQuery = (text) => {
+    if (typeof text !== "string" || !text.trim()) {
+        return null;
+    }
+    if (text.length > MAX_QUERY_LENGTH) {
+        throw queryError(`longer than ${MAX_QUERY_LENGTH} characters`);
+    }
+
+    const tokens = tokenize(text);
+    if (tokens.filter(token => token.type === "term").length > MAX_TERMS) {
+        throw queryError(`more than ${MAX_TERMS} terms`);
+    }
+
+    let position = 0;
+    const peek = () => tokens[position];
+
+    const parseOr = (depth) => {
+        const children = [parseAnd(depth)];
+        while (peek()?.type === "OR") {
+            position++;
+            children.push(parseAnd(depth));
+        }
+        return children.length === 1 ? children[0] : { type: "or", children };
+    };
+
+    const parseAnd = (depth) => {
+        const children = [parseUnary(depth)];
+        while (peek() && peek().type !== "OR" && peek().type !== ")") {
+            if (peek().type === "AND") {
+                position++;
+            }
+            children.push(parseUnary(depth));
+        }
+        return children.length === 1 ? children[0] : { type: "and", children };
+    };
+
+    const parseUnary = (depth) => {
+        const token = peek();
+        if (!token) {
+            throw queryError("unexpected end of query");
+        }
+        if (token.type === "NOT") {
+            position++;
+            return { type: "not", child: parseUnary(depth) };
+        }
+        if (token.type === "(") {
+            if (depth >= MAX_DEPTH) {
+                throw queryError("too many nested parentheses");
+            }
+            position++;
+            const node = parseOr(depth + 1);
+            if (peek()?.type !== ")") {
+                throw queryError("missing closing parenthesis");
+            }
+            position++;
+            return node;
+        }
+        if (token.type === "term") {
+            position++;
+            return parseTerm(token);
+        }
+        throw queryError(`unexpected "${token.type}"`);
+    };
+
+    const tree = parseOr(0);
+    if (position < tokens.length) {
+        throw queryError(`unexpected "${tokens[position].type}"`);
+    }
+    return tree;
+};
+
+const walk = (node, visit) => {
+    if (!node) {
+        return;
+    }
+    visit(node);
+    (node.children || []).forEach(child => walk(child, visit));
+    walk(node.child, visit);
+};
+
+/**
+ * Lists the label and array names a query refers to, so they can be looked up before compiling
+ * @param {Object} tree - Output of parseFilterQuery
+ * @returns {Object} - { labels, arrays, archived }
+ */
+const getFilterReferences = (tree) => {
+    const references = { labels: new Set(), arrays: new Set(), archived: false };
+
+    walk(tree, node => {
+        if (node.type !== "filter") {
+            return;
+        }
+        if (node.key === "label" || node.key === "array") {
+            node.values
+                .filter(value => value.toLowerCase() !== "none")
+                .forEach(value => references[`${node.key}s`].add(value));
+        }
+        if ((node.key === "is" && node.values.includes("archived")) || (node.key === "status" && node.values.includes("archive"))) {
+            references.archived = true;
+        }
+    });
+
+    return {
+        labels: [...references.labels],
+        arrays: [...references.arrays],
+        archived: references.archived
+    };
+};
+
+const anyOf = (conditions) => (conditions.length === 1 ? conditions[0] : { $or: conditions });
+
+// Resolves a date value to the interval it covers, in the user's timezone
+const resolveDate = (value, field, { now, timezone }) => {
+    const current = moment.tz(now, timezone);
+    const lower = value.toLowerCase();
+    const day = (offset) => ({
+        start: current.clone().add(offset, "day").startOf("day"),
+        end: current.clone().add(offset, "day").endOf("day")
+    });
+    const period = (unit, offset) => ({
+        start: current.clone().add(offset, unit).startOf(unit),
+        end: current.clone().add(offset, unit).endOf(unit)
+    });
+
+    const named = {
+        today: () => day(0),
+        tomorrow: () => day(1),
+        yesterday: () => day(-1),
+        "this-week": () => period("week", 0),
+        "next-week": () => period("week", 1),
+        "last-week": () => period("week", -1),
+        "this-month": () => period("month", 0),
+        "next-month": () => period("month", 1),
+        "last-month": () => period("month", -1)
+    };
+    const key = lower.replace(/_/g, "-");
+    if (named[key]) {
+        return named[key]();
+    }
+
+    const duration = lower.match(/^(\d{1,4})([hdwm])$/);
+    if (duration) {
+        const units = { h: "hours", d: "days", w: "weeks", m: "months" };
+        const amount = parseInt(duration[1], 10) * (field === "due" ? 1 : -1);
+        const point = current.clone().add(amount, units[duration[2]]);
+        return { start: point, end: point, duration: true };
+    }
+
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        const date = moment.tz(value, "YYYY-MM-DD", true, timezone);
+        if (date.isValid()) {
+            return { start: date.clone().startOf("day"), end: date.clone().endOf("day") };
+        }
+    }
+    if (/^\d{4}-\d{2}-\d{2}T/.test(value) && moment(value, moment.ISO_8601, true).isValid()) {
+        const point = moment.tz(value, timezone);
+        return { start: point, end: point };
+    }
+
+    throw queryError(`"${value}" is not a date`);
+};
+
+const compileDate = (key, op, value, context) => {
+    const path = DATE_FIELDS[key];
+    // due.date is stored as an ISO string, the other dates as Date
+    const format = (date) => (key === "due" ? date.toISOString() : date.toDate());
+    const lower = value.toLowerCase();
+
+    if (lower === "none") {
+        return { [path]: null };
+    }
+    if (lower === "overdue") {
+        if (key !== "due") {
+            throw queryError("only due dates can be overdue");
+        }
+        const startOfToday = moment.tz(context.now, context.timezone).startOf("day");
+        return { [path]: { $lt: format(startOfToday) }, isCompleted: false };
+    }
+
+    if (value.includes("..")) {
+        const [from, to] = value.split("..");
+        const start = resolveDate(from, key, context).start;
+        const end = resolveDate(to, key, context).end;
+        return { [path]: { $gte: format(start), $lte: format(end) } };
+    }
+
+    const { start, end, duration } = resolveDate(value, key, context);
+    const nowPoint = moment.tz(context.now, context.timezone);
+
+    if (duration) {
+        // Durations compare by distance from now, so the operator flips for past dates
+        const past = key !== "due";
+        if (op === "=") {
+            const [from, to] = past ? [start, nowPoint] : [nowPoint, start];
+            return { [path]: { $gte: format(from), $lte: format(to) } };
+        }
+        const flipped = { "<": ">", "<=": ">=", ">": "<", ">=": "<=" };
+        const mongoOp = { "<": "$lt", "<=": "$lte", ">": "$gt", ">=": "$gte" }[past ? flipped[op] : op];
+        return { [path]: { [mongoOp]: format(start) } };
+    }
+
+    switch (op) {
+    case "<":
+        return { [path]: { $lt: format(start) } };
+    case "<=":
+        return { [path]: { $lte: format(end) } };
+    case ">":
+        return { [path]: { $gt: format(end) } };
+    case ">=":
+        return { [path]: { $gte: format(start) } };
+    default:
+        return { [path]: { $gte: format(start), $lte: format(end) } };
+    }
+};
+
+const compileFilter = (node, context) => {
+    const { key, op, values } = node;
+    if (op !== "=" && !DATE_FIELDS[key]) {
+        throw queryError(`"${key}" does not support ${op}`);
+    }
+
+    switch (key) {
+    case "status":
+        return {
+            status: {
+                $in: values.map(value => {
+                    const status = STATUS_ALIASES[value.toLowerCase()];
+                    if (!status) {
+                        throw queryError(`unknown status "${value}"`);
+                    }
+                    return status;
+                })
+            }
+        };
+    case "type":
+    case "source":
+        return {
+            [key]: {
+                $in: values.map(value => {
+                    if (!/^[\w-]+$/.test(value)) {
+                        throw queryError(`invalid ${key} "${value}"`);
+                    }
+                    return value.toLowerCase();
+                })
+            }
+        };
+    case "label":
+    case "array": {
+        const field = `${key}s`;
+        return anyOf(values.map(value => {
+            if (value.toLowerCase() === "none") {
+                return { [field]: { $size: 0 } };
+            }
+            const ids = context.references?.[field]?.[value.toLowerCase()] || [];
+            return { [field]: { $in: ids } };
+        }));
+    }
+    case "priority":
+        return anyOf(values.map(value => {
+            const priority = PRIORITY_VALUES[value.toLowerCase()];
+            if (!priority) {
+                throw queryError(`unknown priority "${value}"`);
+            }
+            return { "metadata.priority": { $in: priority } };
+        }));
+    case "due":
+    case "created":
+    case "updated":
+    case "completed":
+        return anyOf(values.map(value => compileDate(key, op, value, context)));
+    case "is":
+        return anyOf(values.map(value => {
+            switch (value.toLowerCase()) {
+            case "favorite":
+            case "favourite":
+                return { isFavorite: true };
+            case "recurring":
+                return { "due.is_recurring": true };
+            case "completed":
+            case "done":
+                return { isCompleted: true };
+            case "open":
+                return { isCompleted: false };
+            case "archived":
+                return { isArchived: true };
+            default:
+                throw queryError(`unknown value "is:${value}"`);
+            }
+        }));
+    case "has":
+        return anyOf(values.map(value => {
+            switch (value.toLowerCase()) {
+            case "due":
+                return { "due.date": { $ne: null } };
+            case "parent":
+                return { parent: { $ne: null } };
+            case "labels":
+            case "label":
+                return { "labels.0": { $exists: true } };
+            case "array":
+            case "arrays":
+                return { "arrays.0": { $exists: true } };
+            default:
+                throw queryError(`unknown value "has:${value}"`);
+            }
+        }));
+    case "parent":
+        return anyOf(values.map(value => {
+            if (value.toLowerCase() === "none") {
+                return { parent: null };
+            }
+            if (!Types.ObjectId.isValid(value)) {
+                throw queryError(`invalid parent "${value}"`);
+            }
+            return { parent: new Types.ObjectId(value) };
+        }));
+    default:
+        throw queryError(`unknown key "${key}"`);
+    }
+};
+
+const compileNode = (node, context) => {
+    switch (node.type) {
+    case "and":
+        return { $and: node.children.map(child => compileNode(child, context)) };
+    case "or":
+        return { $or: node.children.map(child => compileNode(child, context)) };
+    case "not":
+        return { $nor: [compileNode(node.child, context)] };
+    case "text": {
+        const pattern = new RegExp(escapeRegex(node.value), "i");
+        return { $or: [{ title: pattern }, { searchText: pattern }] };
+    }
+    default:
+        return compileFilter(node, context);
+    }
+};
+
+/**
+ * Compiles a parsed filter query into a MongoDB query. Every value is validated or
+ * escaped, so user input never reaches the query as an operator.
+ * @param {Object} tree - Output of parseFilterQuery
+ * @param {Object} context
+ * @param {String} context.timezone - Timezone used for day and week boundaries
+ * @param {Date} context.now - Reference time, defaults to now
+ * @param {Object} context.references - { labels: { name: [ids] }, arrays: { name: [ids] } } with lowercase names
+ * @returns {Object} - MongoDB query (empty when the tree is null)
+ */
+const compileFilterQuery = (tree, { timezone = "UTC", now = new Date(), references = {} } = {}) => {
+    if (!tree) {
+        return {};
+    }
+    const context = {
+        timezone: moment.tz.zone(timezone) ? timezone : "UTC",
+        now,
+        references
+    };
+    return compileNode(tree, context);
+};
+
+const quoteValue = (value) => (/[\s,()"]/.test(value) ? `"${String(value).replace(/"/g, "")}"` : value);
+
+/**
+ * Builds a filter query from structured values, e.g. the entities the AI extracts
+ * @param {Object} filters - { status, type, source, label, array, priority, due, ... } with string or array values
+ * @returns {String}
+ */
+const buildFilterQuery = (filters = {}) => {
+    const terms = [];
+    for (const key in filters) {
+        const values = [].concat(filters[key] ?? []).map(value => String(value).trim()).filter(Boolean);
+        if (values.length) {
+            terms.push(`${key}:${values.map(quoteValue).join(",")}`);
+        }
+    }
+    return terms.join(" ");
+};
+
+/**
+ * Tells whether text is written in the filter language, i.e. has at least one `key:value` term
+ * @param {String} text
+ * @returns {Boolean}
+ */
+const isFilterQuery = (text) => {
+    if (typeof text !== "string") {
+        return false;
+    }
+    return text.split(/\s+/).some(word => {
+        const match = word.replace(/^[-(]+/, "").match(/^([a-zA-Z]+):\S/);
+        return Boolean(match && KEY_ALIASES[match[1].toLowerCase()]);
+    });
+};
+
+export {
+    parseFilterQuery,
+    compileFilterQuery,
+    getFilterReferences,
+    buildFilterQuery,
+    isFilterQuery
+};
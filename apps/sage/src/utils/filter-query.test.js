@@ -0,0 +1,69 @@
+/**
+ * Test suite for the filter query parser and compiler
+ */
+import { parseFilterQuery, compileFilterQuery, getFilterReferences, buildFilterQuery, isFilterQuery } from './filter-query.service.js';
+import { createSuite } from './test-suite.js';
+
+async function testFilterQuery() {
+    console.log('🧪 Testing Filter Query Service...\n');
+
+    const { check, rejects, finish } = createSuite();
+
+    const now = new Date('2026-10-18T12:00:00.000Z');
+    const compile = (text, references) => compileFilterQuery(parseFilterQuery(text), { timezone: 'UTC', now, references });
+
+    // Parsing
+    check('empty query', parseFilterQuery('  '), null);
+    check('implicit AND', parseFilterQuery('status:todo source:linear').type, 'and');
+    check('OR binds looser than AND', parseFilterQuery('a b OR c').children.map(child => child.type), ['and', 'text']);
+    check('negation with -', parseFilterQuery('-source:gmail'), { type: 'not', child: { type: 'filter', key: 'source', op: '=', values: ['gmail'] } });
+    check('quoted value', parseFilterQuery('label:"waiting on"').values, ['waiting on']);
+    check('comparator', parseFilterQuery('due:<=7d').op, '<=');
+    check('unknown key is text', parseFilterQuery('http://example.com'), { type: 'text', value: 'http://example.com' });
+    rejects('unbalanced parenthesis', () => parseFilterQuery('(status:todo'));
+    rejects('unterminated quote', () => parseFilterQuery('label:"bug'));
+
+    // Compiling
+    check('status aliases', compile('status:todo,in-progress'), { status: { $in: ['todo', 'in progress'] } });
+    check('NOT', compile('NOT type:note'), { $nor: [{ type: { $in: ['note'] } }] });
+    check('due within 7 days', compile('due:<7d'), { 'due.date': { $lt: '2026-10-25T12:00:00.000Z' } });
+    check('created in the last 7 days', compile('created:<7d'), { createdAt: { $gt: new Date('2026-10-11T12:00:00.000Z') } });
+    check('due today', compile('due:today'), { 'due.date': { $gte: '2026-10-18T00:00:00.000Z', $lte: '2026-10-18T23:59:59.999Z' } });
+    check('due before today', compile('due:<today'), { 'due.date': { $lt: '2026-10-18T00:00:00.000Z' } });
+    check('overdue', compile('due:overdue'), { 'due.date': { $lt: '2026-10-18T00:00:00.000Z' }, isCompleted: false });
+    check('no due date', compile('due:none'), { 'due.date': null });
+    check('date range', compile('completed:2026-10-01..2026-10-02'), {
+        completedAt: { $gte: new Date('2026-10-01T00:00:00.000Z'), $lte: new Date('2026-10-02T23:59:59.999Z') }
+    });
+    check('priority', compile('priority:high'), { 'metadata.priority': { $in: [2, 'high'] } });
+    check('labels by name', compile('label:Bug', { labels: { bug: ['l1'] } }), { labels: { $in: ['l1'] } });
+    check('unknown label matches nothing', compile('label:nope'), { labels: { $in: [] } });
+    check('is:favorite OR is:recurring', compile('is:favorite,recurring'), { $or: [{ isFavorite: true }, { 'due.is_recurring': true }] });
+    check('free text is escaped', compile('a.b').$or[0].title.source, 'a\\.b');
+    rejects('unknown status', () => compile('status:later'));
+    rejects('operator injection', () => compile('source:$where'));
+    rejects('comparator on non-date', () => compile('status:>todo'));
+    rejects('invalid parent', () => compile('parent:abc'));
+
+    // Helpers
+    check('references', getFilterReferences(parseFilterQuery('label:bug (array:Work OR is:archived)')), { labels: ['bug'], arrays: ['Work'], archived: true });
+    check('build from entities', buildFilterQuery({ source: ['linear'], status: ['in progress'], label: [] }), 'source:linear status:"in progress"');
+    check('detects filter syntax', isFilterQuery('status:todo fix login'), true);
+    check('plain text is not a filter', isFilterQuery('show my tasks for today'), false);
+
+    return finish();
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    testFilterQuery()
+        .then(success => {
+            process.exit(success ? 0 : 1);
+        })
+        .catch(error => {
+            console.error('Test execution failed:', error);
+            process.exit(1);
+        });
+}
+
+export { testFilterQuery };
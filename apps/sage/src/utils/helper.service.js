@@ -3,6 +3,8 @@ import path from "path";
 import handlebars from "handlebars";
 import { GoogleGenerativeAI } from "@google/generative-ai";
 import { Pinecone } from "@pinecone-database/pinecone";
+import { Object as ObjectModel } from "../models/lib/object.model.js";
+import { getRemainingMinutes } from "../services/lib/timeTracking.service.js";
 
 export const genAI = new GoogleGenerativeAI(process.env.GOOGLE_AI_API_KEY);
 
@@ -40,6 +42,9 @@ export const extractMetadata = (object) => {
         isCompleted: Boolean(object.isCompleted),
         isArchived: Boolean(object.isArchived),
         isFavorite: Boolean(object.isFavorite),
+        // Pinecone metadata cannot hold null, so objects without an estimate store -1
+        estimate: typeof object.estimate === "number" ? object.estimate : -1,
+        timeSpent: object.timeSpent || 0,
         completedAt: object.completedAt ? new Date(object.completedAt).toISOString() : "",
         dueDate: object.dueDate ? new Date(object.dueDate).toISOString() : "",
         createdAt: object.createdAt ? new Date(object.createdAt).toISOString() : "",
@@ -215,6 +220,10 @@ const SEARCH_PARAMS = {
     PRIORITY_LEVELS: ['high', 'medium', 'low']
 };
 
+// Filtered searches ask Pinecone for more candidates, since some are dropped by the filter
+const SEARCH_OVERFETCH = 5;
+const MAX_SEARCH_CANDIDATES = 100;
+
 export class SearchHandler {
     constructor (pineconeIndex) {
         this.pineconeIndex = pineconeIndex;
@@ -237,10 +246,13 @@ export class SearchHandler {
             return this.cache.get(cacheKey);
         }
 
-        // Use filters directly from QueryUnderstanding without rebuilding them
-        const rawFilter = { userId, ...parameters.filters };
-        const filter = this.preprocessFilters(rawFilter);
-        // const filter = { userId, ...parameters.filters };
+        // Searches from QueryUnderstanding carry the MongoDB query compiled from the filter
+        // language, so they match exactly what a typed filter matches: Pinecone only ranks
+        // the user's objects and the hits are checked against that query
+        const limit = parameters.limit || 10;
+        const filter = parameters.query
+            ? { userId: String(userId) }
+            : this.preprocessFilters({ userId, ...parameters.filters });
 
         try {
             // Generate embedding for semantic search
@@ -252,9 +264,12 @@ export class SearchHandler {
             const searchResults = await this.pineconeIndex.query({
                 vector: queryEmbedding,
                 filter,
-                topK: parameters.limit || 10,
+                topK: parameters.query ? Math.min(limit * SEARCH_OVERFETCH, MAX_SEARCH_CANDIDATES) : limit,
                 includeMetadata: true
             });
+            if (parameters.query) {
+                searchResults.matches = await this.filterMatches(searchResults.matches || [], parameters.query, limit);
+            }
             // console.log("seaech result:", searchResults)
             // Apply post-processing and sorting
             // const processedResults = this.processSearchResults(
@@ -279,11 +294,28 @@ export class SearchHandler {
         }
     }
 
+    /**
+     * Keeps the vector matches whose objects match a MongoDB query, in their ranked order
+     * @param {Array} matches - Pinecone matches with `metadata.objectId`
+     * @param {Object} query - MongoDB query on objects
+     * @param {Number} limit - Maximum number of matches kept
+     * @returns {Promise<Array>}
+     */
+    async filterMatches (matches, query, limit) {
+        const ids = matches
+            .map(match => match.metadata?.objectId)
+            .filter(id => /^[a-f\d]{24}$/i.test(id || ""));
+        const objects = await ObjectModel.find({ $and: [query, { _id: { $in: ids } }] }).select("_id").lean();
+        const matching = new Set(objects.map(object => object._id.toString()));
+
+        return matches.filter(match => matching.has(match.metadata?.objectId)).slice(0, limit);
+    }
+
     /**
      * Generate cache key for query caching
      */
     getCacheKey (query, userId, parameters) {
-        const filterString = JSON.stringify(parameters.filters || {});
+        const filterString = JSON.stringify(parameters.query || parameters.filters || {});
         const sortBy = parameters.sortBy || 'relevance';
         const limit = parameters.limit || 10;
         return `${userId}:${query.toLowerCase().trim()}:${filterString}:${sortBy}:${limit}`;
@@ -448,16 +480,24 @@ export class DayPlanner {
      * Generate a day plan based on undone items and user preferences
      */
     async generatePlan (items, parameters) {
+        // Estimates and tracked time change without the vectors being refreshed, so read them from the database
+        const ids = items.map(item => item.objectId).filter(Boolean);
+        const objects = await ObjectModel.find({ _id: { $in: ids } }).select("estimate timeSpent").lean();
+        const estimates = new Map(objects.map(object => [object._id.toString(), getRemainingMinutes(object)]));
+
         // Extract important info from each item to reduce token usage
-        const simplifiedItems = items.map(item => ({
-            id: item.id,
-            title: item.title,
-            priority: item.priority || "medium",
-            dueDate: item.dueDate,
-            estimatedTime: item.estimatedTime || "unknown",
-            type: item.type,
-            labels: item.labels || []
-        }));
+        const simplifiedItems = items.map(item => {
+            const remaining = estimates.get(item.objectId);
+            return {
+                id: item.id,
+                title: item.title,
+                priority: item.priority || "medium",
+                dueDate: item.dueDate,
+                estimatedTime: remaining === null || remaining === undefined ? "unknown" : `${remaining} minutes`,
+                type: item.type,
+                labels: item.labels || []
+            };
+        });
 
         // Set up default parameters
         const planningParams = {
@@ -530,7 +570,7 @@ export class PrioritizationHandler {
 
     async prioritizeTasks (userId, parameters) {
         try {
-            const tasks = await this.searchHandler.searchContent("", userId, parameters.filters);
+            const tasks = await this.searchHandler.searchContent("", userId, { query: parameters.query });
 
             if (!tasks || tasks.length === 0) {
                 return {
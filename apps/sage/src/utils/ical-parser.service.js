@@ -0,0 +1,371 @@
+import moment from "moment-timezone";
+import { parseRRule, getNextOccurrence } from "./recurrence.service.js";
+
+/**
+ * Reads iCalendar (.ics) files exported by Apple Reminders, Thunderbird, Outlook
+ * and Google Calendar into items the ical import service turns into objects:
+ *
+ *   { uid, kind: "todo"|"event", sequence, title, description, location, url,
+ *     due, estimate, isCompleted, completedAt, labels, attendees, organizer,
+ *     exdates, alarms: [{ at } | { before }] }
+ *
+ * Dates with a TZID are read in that zone, UTC dates as UTC and floating dates
+ * in the user's timezone. All-day dates become midnight in the user's timezone.
+ */
+
+// Outlook writes Windows zone names
+const WINDOWS_TIMEZONES = {
+    UTC: "UTC",
+    "GMT Standard Time": "Europe/London",
+    "W. Europe Standard Time": "Europe/Berlin",
+    "Romance Standard Time": "Europe/Paris",
+    "Central Europe Standard Time": "Europe/Budapest",
+    "E. Europe Standard Time": "Europe/Bucharest",
+    "Russian Standard Time": "Europe/Moscow",
+    "India Standard Time": "Asia/Kolkata",
+    "China Standard Time": "Asia/Shanghai",
+    "Tokyo Standard Time": "Asia/Tokyo",
+    "AUS Eastern Standard Time": "Australia/Sydney",
+    "Eastern Standard Time": "America/New_York",
+    "Central Standard Time": "America/Chicago",
+    "Mountain Standard Time": "America/Denver",
+    "Pacific Standard Time": "America/Los_Angeles",
+    "E. South America Standard Time": "America/Sao_Paulo"
+};
+
+const DATE_TIME_FORMAT = "YYYYMMDD[T]HHmmss";
+const DATE_FORMAT = "YYYYMMDD";
+
+const icalError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const unescapeText = (text) => text.replace(/\\([\\;,nN])/g, (match, char) => (char === "n" || char === "N" ? "\n" : char));
+
+// Splits on commas that are not escaped
+const splitValues = (text) => text.split(/(?<!\\),/).map(unescapeText).map(value => value.trim()).filter(Boolean);
+
+/**
+ * Parses one content line, e.g. `DTSTART;TZID="Europe/Berlin":20261020T090000`
+ * @param {String} line
+ * @returns {Object|null} - { name, params, value }
+ */
+const parseContentLine = (line) => {
+    let index = 0;
+    let quoted = false;
+    while (index < line.length && (quoted || line[index] !== ":")) {
+        if (line[index] === "\"") {
+            quoted = !quoted;
+        }
+        index++;
+    }
+    if (index >= line.length) {
+        return null;
+    }
+
+    const [name, ...rawParams] = line.slice(0, index).match(/(?:[^;"]|"[^"]*")+/g) || [];
+    const params = {};
+    rawParams.forEach(param => {
+        const separator = param.indexOf("=");
+        if (separator > 0) {
+            params[param.slice(0, separator).toUpperCase()] = param.slice(separator + 1).replace(/^"|"$/g, "");
+        }
+    });
+
+    return { name: (name || "").toUpperCase(), params, value: line.slice(index + 1) };
+};
+
+/**
+ * Parses .ics text into a component tree
+ * @param {String} text
+ * @returns {Array} - Top-level components: [{ type, properties: { NAME: [property] }, components }]
+ */
+const parseComponents = (text) => {
+    const lines = String(text || "")
+        .replace(/^\uFEFF/, "")
+        .replace(/\r?\n[ \t]/g, "")
+        .split(/\r?\n/)
+        .filter(line => line.trim());
+
+    const root = { type: "ROOT", properties: {}, components: [] };
+    const stack = [root];
+    for (const line of lines) {
+        const property = parseContentLine(line);
+        if (!property) {
+            continue;
+        }
+        const current = stack[stack.length - 1];
+        if (property.name === "BEGIN") {
+            const component = { type: property.value.trim().toUpperCase(), properties: {}, components: [] };
+            current.components.push(component);
+            stack.push(component);
+        } else if (property.name === "END") {
+            if (stack.length > 1) {
+                stack.pop();
+            }
+        } else {
+            (current.properties[property.name] = current.properties[property.name] || []).push(property);
+        }
+    }
+    return root.components;
+};
+
+const first = (component, name) => component.properties[name]?.[0] || null;
+
+const getText = (component, name) => {
+    const property = first(component, name);
+    return property ? unescapeText(property.value).trim() : "";
+};
+
+/**
+ * Resolves a TZID to an IANA zone
+ * @param {String} tzid
+ * @param {Object} aliases - TZIDs of the file's VTIMEZONEs mapped to IANA zones
+ * @returns {String|null}
+ */
+const resolveTimezone = (tzid, aliases = {}) => {
+    if (!tzid) {
+        return null;
+    }
+    const name = tzid.replace(/^\/+/, "");
+    if (moment.tz.zone(name)) {
+        return name;
+    }
+    if (aliases[tzid]) {
+        return aliases[tzid];
+    }
+    if (WINDOWS_TIMEZONES[name]) {
+        return WINDOWS_TIMEZONES[name];
+    }
+    // e.g. "/mozilla.org/20050126_1/Europe/Berlin"
+    const match = name.match(/([A-Za-z_]+\/[A-Za-z_]+(?:\/[A-Za-z_]+)?)$/);
+    return match && moment.tz.zone(match[1]) ? match[1] : null;
+};
+
+const getTimezoneAliases = (components) => {
+    const aliases = {};
+    components.filter(component => component.type === "VTIMEZONE").forEach(component => {
+        const tzid = getText(component, "TZID");
+        const location = getText(component, "X-LIC-LOCATION");
+        const zone = resolveTimezone(location) || resolveTimezone(tzid);
+        if (tzid && zone) {
+            aliases[tzid] = zone;
+        }
+    });
+    return aliases;
+};
+
+/**
+ * Reads a DATE or DATE-TIME value
+ * @param {String} value - e.g. "20261020", "20261020T090000" or "20261020T070000Z"
+ * @param {Object} params - Property parameters, TZID and VALUE
+ * @param {Object} context - { timezone, aliases, warn }
+ * @returns {Object|null} - { date: moment, allDay }
+ */
+const parseDateValue = (value, params, { timezone, aliases, warn }) => {
+    const text = value.trim();
+    if (params.VALUE === "DATE" || /^\d{8}$/.test(text)) {
+        const date = moment.tz(text, DATE_FORMAT, true, timezone);
+        return date.isValid() ? { date, allDay: true } : null;
+    }
+    if (text.endsWith("Z")) {
+        const date = moment.utc(text, `${DATE_TIME_FORMAT}[Z]`, true);
+        return date.isValid() ? { date, allDay: false } : null;
+    }
+
+    let zone = timezone;
+    if (params.TZID) {
+        zone = resolveTimezone(params.TZID, aliases);
+        if (!zone) {
+            warn(`Unknown timezone "${params.TZID}", read in ${timezone}`);
+            zone = timezone;
+        }
+    }
+    const date = moment.tz(text, DATE_TIME_FORMAT, true, zone);
+    return date.isValid() ? { date, allDay: false } : null;
+};
+
+const parseDateProperty = (component, name, context) => {
+    const property = first(component, name);
+    return property ? parseDateValue(property.value, property.params, context) : null;
+};
+
+/**
+ * Parses an iCalendar duration into minutes
+ * @param {String} text - e.g. "PT15M", "-P1DT2H" or "P1W"
+ * @returns {Number|null} - Signed minutes
+ */
+const parseDuration = (text) => {
+    const match = String(text || "").trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+    if (!match || match[0].replace(/[+-]/, "") === "P") {
+        return null;
+    }
+    const [, sign, weeks, days, hours, minutes, seconds] = match;
+    const total = (parseInt(weeks || 0, 10) * 7 * 24 * 60) +
+        (parseInt(days || 0, 10) * 24 * 60) +
+        (parseInt(hours || 0, 10) * 60) +
+        parseInt(minutes || 0, 10) +
+        Math.floor(parseInt(seconds || 0, 10) / 60);
+    return sign === "-" ? -total : total;
+};
+
+const parsePerson = (property) => ({
+    name: property.params.CN || null,
+    email: property.value.replace(/^mailto:/i, "").trim() || null,
+    status: property.params.PARTSTAT ? property.params.PARTSTAT.toLowerCase() : null
+});
+
+/**
+ * Reads VALARMs into reminders. Triggers before the start become relative
+ * reminders, everything else an absolute time.
+ */
+const parseAlarms = (component, start, end, context) => {
+    const alarms = [];
+    component.components.filter(child => child.type === "VALARM").forEach(alarm => {
+        const trigger = first(alarm, "TRIGGER");
+        if (!trigger) {
+            return;
+        }
+
+        if (trigger.params.VALUE === "DATE-TIME") {
+            const at = parseDateValue(trigger.value, trigger.params, context);
+            if (at) {
+                alarms.push({ at: at.date.toISOString() });
+            }
+            return;
+        }
+
+        const minutes = parseDuration(trigger.value);
+        const related = trigger.params.RELATED === "END" ? end : start;
+        if (minutes === null || !related) {
+            context.warn(`Could not read the alarm trigger "${trigger.value}"`);
+        } else if (minutes <= 0 && related === start) {
+            alarms.push({ before: -minutes });
+        } else {
+            alarms.push({ at: related.clone().add(minutes, "minutes").toISOString() });
+        }
+    });
+    return alarms;
+};
+
+const parseExdates = (component, context) => (component.properties.EXDATE || [])
+    .flatMap(property => property.value.split(",").map(value => parseDateValue(value, property.params, context)))
+    .filter(Boolean)
+    .map(({ date }) => date.toISOString());
+
+/**
+ * Builds the structured due of a component. Recurring items keep their RRULE
+ * in `due.string`; a first occurrence removed by EXDATE moves to the next one.
+ */
+const buildDue = (component, start, timezone, exdates, context) => {
+    if (!start) {
+        return null;
+    }
+
+    const due = { date: start.date.toISOString(), is_recurring: false, lang: "en", string: null, timezone };
+    const rrule = first(component, "RRULE");
+    if (!rrule) {
+        return due;
+    }
+
+    const rule = parseRRule(rrule.value);
+    if (!rule) {
+        context.warn(`Unsupported repeat rule "${rrule.value}", imported as a single item`);
+        return due;
+    }
+
+    let date = start.date.toDate();
+    const excluded = new Set(exdates);
+    for (let i = 0; date && excluded.has(date.toISOString()) && i < 100; i++) {
+        date = getNextOccurrence(rule, date, { anchor: start.date.toDate(), timezone: start.date.tz() || (start.date.isUTC() ? "UTC" : timezone) });
+    }
+    if (!date) {
+        context.warn("Every occurrence of the repeat rule is excluded, imported as a single item");
+        return due;
+    }
+
+    return { ...due, date: date.toISOString(), is_recurring: true, string: `RRULE:${rrule.value.replace(/^RRULE:/i, "")}` };
+};
+
+const parseItem = (component, context) => {
+    const kind = component.type === "VTODO" ? "todo" : "event";
+    const start = parseDateProperty(component, "DTSTART", context);
+    const dueProperty = kind === "todo" ? parseDateProperty(component, "DUE", context) : null;
+
+    let end = kind === "todo" ? dueProperty : parseDateProperty(component, "DTEND", context);
+    const duration = parseDuration(getText(component, "DURATION"));
+    if (!end && start && duration !== null) {
+        end = { date: start.date.clone().add(duration, "minutes"), allDay: start.allDay };
+    }
+
+    const anchor = kind === "todo" ? dueProperty || start : start;
+    const exdates = parseExdates(component, context);
+    const status = getText(component, "STATUS").toUpperCase();
+    const completed = parseDateProperty(component, "COMPLETED", context);
+
+    const minutes = kind === "event" && start && end && !start.allDay ? end.date.diff(start.date, "minutes") : null;
+
+    return {
+        uid: getText(component, "UID"),
+        kind,
+        sequence: parseInt(getText(component, "SEQUENCE"), 10) || 0,
+        title: getText(component, "SUMMARY"),
+        description: getText(component, "DESCRIPTION"),
+        location: getText(component, "LOCATION") || null,
+        url: getText(component, "URL") || null,
+        due: buildDue(component, anchor, context.timezone, exdates, context),
+        estimate: minutes > 0 ? minutes : null,
+        isCompleted: status === "COMPLETED" || Boolean(completed) || getText(component, "PERCENT-COMPLETE") === "100",
+        completedAt: completed ? completed.date.toISOString() : null,
+        isCancelled: status === "CANCELLED",
+        isOverride: Boolean(first(component, "RECURRENCE-ID")),
+        labels: (component.properties.CATEGORIES || []).flatMap(property => splitValues(property.value)),
+        attendees: (component.properties.ATTENDEE || []).map(parsePerson),
+        organizer: first(component, "ORGANIZER") ? parsePerson(first(component, "ORGANIZER")) : null,
+        exdates,
+        alarms: parseAlarms(component, anchor?.date || null, end?.date || null, context)
+    };
+};
+
+/**
+ * Parses the VTODOs and VEVENTs of an .ics file
+ * @param {String} text - The file contents
+ * @param {Object} options
+ * @param {String} options.timezone - Timezone of floating and all-day dates
+ * @returns {Object} - { calendarName, items, warnings }
+ */
+const parseIcs = (text, { timezone = "UTC" } = {}) => {
+    const calendars = parseComponents(text).filter(component => component.type === "VCALENDAR");
+    if (!calendars.length) {
+        throw icalError("The file is not an iCalendar file", 400);
+    }
+
+    const items = [];
+    const warnings = [];
+    calendars.forEach(calendar => {
+        const aliases = getTimezoneAliases(calendar.components);
+        calendar.components
+            .filter(component => component.type === "VTODO" || component.type === "VEVENT")
+            .forEach(component => {
+                const uid = getText(component, "UID");
+                const title = getText(component, "SUMMARY");
+                const warn = (message) => warnings.push({ uid, title, message });
+                if (!uid) {
+                    warn("Skipped an item without a UID");
+                    return;
+                }
+                items.push(parseItem(component, { timezone, aliases, warn }));
+            });
+    });
+
+    return { calendarName: getText(calendars[0], "X-WR-CALNAME") || null, items, warnings };
+};
+
+export {
+    parseComponents,
+    parseDuration,
+    resolveTimezone,
+    parseIcs
+};
@@ -0,0 +1,130 @@
+/**
+ * Test suite for reading .ics files
+ */
+import { parseComponents, parseDuration, resolveTimezone, parseIcs } from './ical-parser.service.js';
+import { createSuite } from './test-suite.js';
+
+async function testIcalParser() {
+    console.log('🧪 Testing iCalendar Parser Service...\n');
+
+    const { check, finish } = createSuite();
+
+    const ics = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'X-WR-CALNAME:Work',
+        'BEGIN:VTIMEZONE',
+        'TZID:Custom Berlin',
+        'X-LIC-LOCATION:Europe/Berlin',
+        'END:VTIMEZONE',
+        'BEGIN:VTODO',
+        'UID:todo-1@example.com',
+        'SUMMARY:File taxes\\, finally',
+        'DESCRIPTION:Collect receipts\\nand forms',
+        'DUE;VALUE=DATE:20261030',
+        'CATEGORIES:Finance,Home',
+        'STATUS:NEEDS-ACTION',
+        'BEGIN:VALARM',
+        'TRIGGER:-P1D',
+        'ACTION:DISPLAY',
+        'END:VALARM',
+        'END:VTODO',
+        'BEGIN:VTODO',
+        'UID:todo-2@example.com',
+        'SUMMARY:Water plants',
+        'DTSTART;TZID="Custom Berlin":20261019T080000',
+        'DUE;TZID="Custom Berlin":20261019T090000',
+        'RRULE:FREQ=WEEKLY;BYDAY=MO',
+        'EXDATE;TZID="Custom Berlin":20261019T090000',
+        'COMPLETED:20261012T070000Z',
+        'STATUS:COMPLETED',
+        'END:VTODO',
+        'BEGIN:VEVENT',
+        'UID:event-1@example.com',
+        'SEQUENCE:2',
+        'SUMMARY:Design review',
+        'DTSTART;TZID=Pacific Standard Time:20261021T100000',
+        'DTEND;TZID=Pacific Standard Time:20261021T111500',
+        'LOCATION:Room 4',
+        'ORGANIZER;CN=Ana:mailto:ana@example.com',
+        'ATTENDEE;CN="Lee, Sam";PARTSTAT=ACCEPTED:mailto:sam@example.com',
+        'ATTENDEE;PARTSTAT=NEEDS-ACTION:mailto:kim@example.com',
+        'BEGIN:VALARM',
+        'TRIGGER;RELATED=END:PT5M',
+        'END:VALARM',
+        'BEGIN:VALARM',
+        'TRIGGER;VALUE=DATE-TIME:20261021T160000Z',
+        'END:VALARM',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'UID:event-2@example.com',
+        'SUMMARY:Lunch with a very long title that wraps onto the next line of the fi',
+        ' le',
+        'DTSTART:20261022T120000',
+        'DURATION:PT45M',
+        'RRULE:FREQ=HOURLY',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'SUMMARY:No uid',
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ].join('\r\n');
+
+    check('component tree', parseComponents(ics)[0].components.map(component => component.type), ['VTIMEZONE', 'VTODO', 'VTODO', 'VEVENT', 'VEVENT', 'VEVENT']);
+    check('durations', ['PT15M', '-P1D', 'P1W', '-PT1H30M', 'P', 'bad'].map(parseDuration), [15, -1440, 10080, -90, null, null]);
+    check('timezones', ['Europe/Paris', 'Eastern Standard Time', '/mozilla.org/20050126_1/Europe/Berlin', 'Mars/Olympus'].map(zone => resolveTimezone(zone)), [
+        'Europe/Paris', 'America/New_York', 'Europe/Berlin', null
+    ]);
+
+    const { calendarName, items, warnings } = parseIcs(ics, { timezone: 'America/New_York' });
+    const [taxes, plants, review, lunch] = items;
+
+    check('calendar name', calendarName, 'Work');
+    check('all-day todo', [taxes.kind, taxes.title, taxes.description, taxes.due.date, taxes.labels], [
+        'todo', 'File taxes, finally', 'Collect receipts\nand forms', '2026-10-30T04:00:00.000Z', ['Finance', 'Home']
+    ]);
+    check('relative alarm', taxes.alarms, [{ before: 1440 }]);
+    check('recurring todo skips excluded first occurrence', [plants.due.date, plants.due.is_recurring, plants.due.string, plants.exdates], [
+        '2026-10-26T08:00:00.000Z', true, 'RRULE:FREQ=WEEKLY;BYDAY=MO', ['2026-10-19T07:00:00.000Z']
+    ]);
+    check('completed todo', [plants.isCompleted, plants.completedAt], [true, '2026-10-12T07:00:00.000Z']);
+    check('event with attendees', [review.kind, review.sequence, review.due.date, review.estimate, review.location], [
+        'event', 2, '2026-10-21T17:00:00.000Z', 75, 'Room 4'
+    ]);
+    check('people', [review.organizer, review.attendees], [
+        { name: 'Ana', email: 'ana@example.com', status: null },
+        [{ name: 'Lee, Sam', email: 'sam@example.com', status: 'accepted' }, { name: null, email: 'kim@example.com', status: 'needs-action' }]
+    ]);
+    check('absolute alarms', review.alarms, [{ at: '2026-10-21T18:20:00.000Z' }, { at: '2026-10-21T16:00:00.000Z' }]);
+    check('folded line and floating time', [lunch.title, lunch.due.date, lunch.estimate], [
+        'Lunch with a very long title that wraps onto the next line of the file', '2026-10-22T16:00:00.000Z', 45
+    ]);
+    check('unsupported rule', [lunch.due.is_recurring, warnings.map(warning => warning.message)], [false, [
+        'Unsupported repeat rule "FREQ=HOURLY", imported as a single item',
+        'Skipped an item without a UID'
+    ]]);
+
+    let rejected = false;
+    try {
+        parseIcs('hello');
+    } catch (error) {
+        rejected = error.statusCode === 400;
+    }
+    check('not a calendar', rejected, true);
+
+    return finish();
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    testIcalParser()
+        .then(success => {
+            process.exit(success ? 0 : 1);
+        })
+        .catch(error => {
+            console.error('Test execution failed:', error);
+            process.exit(1);
+        });
+}
+
+export { testIcalParser };
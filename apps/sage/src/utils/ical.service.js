@@ -0,0 +1,192 @@
+import moment from "moment-timezone";
+import { parseRecurrence, toRRule } from "./recurrence.service.js";
+import { extractPlainText } from "./text.service.js";
+
+/**
+ * iCalendar (RFC 5545) output for calendar subscriptions
+ *
+ * Timed items are written in UTC so the feed needs no VTIMEZONE. Items due at
+ * midnight in the user's timezone are treated as all-day.
+ */
+
+const PRODUCT_ID = "-//sage//Calendar Feed//EN";
+const UID_DOMAIN = "sage";
+const DEFAULT_DURATION_MINUTES = 30;
+const MAX_LINE_OCTETS = 75;
+const FEED_MODES = ["events", "todos"];
+
+const escapeText = (text) => String(text ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+/**
+ * Folds a content line at 75 octets without splitting a UTF-8 character
+ * @param {String} line
+ * @returns {String}
+ */
+const foldLine = (line) => {
+    if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) {
+        return line;
+    }
+
+    const parts = [];
+    let current = "";
+    let octets = 0;
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        // Continuation lines start with a space, which counts towards their length
+        const limit = parts.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+        if (octets + size > limit) {
+            parts.push(current);
+            current = "";
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    parts.push(current);
+    return parts.join("\r\n ");
+};
+
+const formatDateTime = (date) => moment.utc(date).format("YYYYMMDD[T]HHmmss[Z]");
+
+const formatDate = (date) => date.format("YYYYMMDD");
+
+const isAllDay = (date) => date.hours() === 0 && date.minutes() === 0 && date.seconds() === 0;
+
+const getObjectRRule = (object) => {
+    if (!object.due?.is_recurring) {
+        return null;
+    }
+    const rule = parseRecurrence(object.due.string) || parseRecurrence(object.recurrence?.rule);
+    return rule ? toRRule(rule) : null;
+};
+
+const describe = (object) => {
+    const parts = [extractPlainText(object.description, 2000)];
+    if (object.metadata?.url) {
+        parts.push(object.metadata.url);
+    }
+    return parts.filter(Boolean).join("\n\n");
+};
+
+/**
+ * Content lines of one dated object
+ * @param {Object} object - The object, with populated `labels`
+ * @param {Object} options
+ * @param {String} options.mode - "events" (VEVENT) or "todos" (VTODO)
+ * @param {String} options.timezone - Timezone deciding what counts as all-day
+ * @returns {Array} - Unfolded lines, empty when the object has no valid due date
+ */
+const buildObjectComponent = (object, { mode = "events", timezone = "UTC" } = {}) => {
+    const due = moment.tz(object.due?.date, moment.ISO_8601, timezone);
+    if (!object.due?.date || !due.isValid()) {
+        return [];
+    }
+
+    const component = mode === "todos" ? "VTODO" : "VEVENT";
+    const allDay = isAllDay(due);
+    const lines = [
+        `BEGIN:${component}`,
+        `UID:${object.uuid || object._id}@${UID_DOMAIN}`,
+        `DTSTAMP:${formatDateTime(object.updatedAt || new Date())}`,
+        `SUMMARY:${escapeText(object.title || "Untitled")}`
+    ];
+
+    if (mode === "todos") {
+        lines.push(allDay ? `DUE;VALUE=DATE:${formatDate(due)}` : `DUE:${formatDateTime(due)}`);
+        lines.push(`STATUS:${object.isCompleted ? "COMPLETED" : "NEEDS-ACTION"}`);
+        if (object.isCompleted && object.completedAt) {
+            lines.push(`COMPLETED:${formatDateTime(object.completedAt)}`);
+        }
+    } else if (allDay) {
+        lines.push(`DTSTART;VALUE=DATE:${formatDate(due)}`);
+        lines.push(`DTEND;VALUE=DATE:${formatDate(due.clone().add(1, "day"))}`);
+    } else {
+        const minutes = object.estimate || DEFAULT_DURATION_MINUTES;
+        lines.push(`DTSTART:${formatDateTime(due)}`);
+        lines.push(`DTEND:${formatDateTime(due.clone().add(minutes, "minutes"))}`);
+    }
+
+    const rrule = getObjectRRule(object);
+    if (rrule) {
+        lines.push(rrule);
+    }
+
+    const description = describe(object);
+    if (description) {
+        lines.push(`DESCRIPTION:${escapeText(description)}`);
+    }
+    const labels = (object.labels || []).map(label => label?.name).filter(Boolean);
+    if (labels.length) {
+        lines.push(`CATEGORIES:${labels.map(escapeText).join(",")}`);
+    }
+    if (object.createdAt) {
+        lines.push(`CREATED:${formatDateTime(object.createdAt)}`);
+    }
+    if (object.updatedAt) {
+        lines.push(`LAST-MODIFIED:${formatDateTime(object.updatedAt)}`);
+    }
+
+    lines.push(`END:${component}`);
+    return lines;
+};
+
+/**
+ * Content lines of an all-day event spanning a cycle
+ * @param {Object} cycle - { startsAt, endsAt, count }
+ * @param {String} timezone - Timezone of the cycle days
+ * @returns {Array}
+ */
+const buildCycleComponent = ({ startsAt, endsAt, count }, timezone = "UTC") => {
+    const start = moment.tz(startsAt, timezone).startOf("day");
+    const end = moment.tz(endsAt, timezone).startOf("day").add(1, "day");
+
+    return [
+        "BEGIN:VEVENT",
+        `UID:cycle-${formatDateTime(startsAt)}@${UID_DOMAIN}`,
+        `DTSTAMP:${formatDateTime(startsAt)}`,
+        `SUMMARY:${escapeText(`Cycle ${start.format("MMM D")} – ${end.clone().subtract(1, "day").format("MMM D")} (${count} ${count === 1 ? "item" : "items"})`)}`,
+        `DTSTART;VALUE=DATE:${formatDate(start)}`,
+        `DTEND;VALUE=DATE:${formatDate(end)}`,
+        "TRANSP:TRANSPARENT",
+        "END:VEVENT"
+    ];
+};
+
+/**
+ * Writes a calendar
+ * @param {Object} calendar
+ * @param {String} calendar.name - Shown by clients as the calendar name
+ * @param {String} calendar.timezone - Default timezone hint for clients
+ * @param {Array} calendar.components - Line arrays from the builders above
+ * @returns {String} - The .ics document
+ */
+const buildCalendar = ({ name, timezone = "UTC", components = [] }) => {
+    const lines = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        `PRODID:${PRODUCT_ID}`,
+        "CALSCALE:GREGORIAN",
+        "METHOD:PUBLISH",
+        `X-WR-CALNAME:${escapeText(name)}`,
+        `X-WR-TIMEZONE:${timezone}`,
+        // Ask clients to refresh hourly
+        "REFRESH-INTERVAL;VALUE=DURATION:PT1H",
+        "X-PUBLISHED-TTL:PT1H",
+        ...components.flat(),
+        "END:VCALENDAR"
+    ];
+    return `${lines.map(foldLine).join("\r\n")}\r\n`;
+};
+
+export {
+    FEED_MODES,
+    escapeText,
+    foldLine,
+    buildObjectComponent,
+    buildCycleComponent,
+    buildCalendar
+};
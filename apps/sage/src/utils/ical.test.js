@@ -0,0 +1,89 @@
+/**
+ * Test suite for iCalendar feed output
+ */
+import { escapeText, foldLine, buildObjectComponent, buildCycleComponent, buildCalendar } from './ical.service.js';
+import { createSuite } from './test-suite.js';
+
+async function testIcal() {
+    console.log('🧪 Testing iCalendar Service...\n');
+
+    const { check, finish } = createSuite();
+
+    const object = {
+        uuid: 'abc',
+        title: 'Review, plan; ship',
+        description: '<p>Line one</p>',
+        due: { date: '2026-10-20T13:00:00.000Z', is_recurring: false },
+        estimate: 45,
+        labels: [{ name: 'work' }, { name: 'q4' }],
+        isCompleted: false,
+        createdAt: new Date('2026-10-01T08:00:00Z'),
+        updatedAt: new Date('2026-10-02T08:00:00Z')
+    };
+    const timezone = 'America/New_York';
+
+    check('escape text', escapeText('a,b;c\\d\ne'), 'a\\,b\\;c\\\\d\\ne');
+    check('short lines are not folded', foldLine('SUMMARY:short'), 'SUMMARY:short');
+
+    const folded = foldLine(`DESCRIPTION:${'é'.repeat(60)}`);
+    check('fold at 75 octets', folded.split('\r\n').map(line => Buffer.byteLength(line) <= 75), [true, true]);
+    check('fold keeps characters', folded.replace(/\r\n /g, ''), `DESCRIPTION:${'é'.repeat(60)}`);
+
+    check('timed event', buildObjectComponent(object, { timezone }), [
+        'BEGIN:VEVENT',
+        'UID:abc@sage',
+        'DTSTAMP:20261002T080000Z',
+        'SUMMARY:Review\\, plan\\; ship',
+        'DTSTART:20261020T130000Z',
+        'DTEND:20261020T134500Z',
+        'DESCRIPTION:Line one',
+        'CATEGORIES:work,q4',
+        'CREATED:20261001T080000Z',
+        'LAST-MODIFIED:20261002T080000Z',
+        'END:VEVENT'
+    ]);
+
+    const allDay = { ...object, labels: [], description: '', due: { date: '2026-10-20T04:00:00.000Z', is_recurring: true, string: 'every monday' } };
+    check('all-day recurring event', buildObjectComponent(allDay, { timezone }).slice(4, 7), [
+        'DTSTART;VALUE=DATE:20261020',
+        'DTEND;VALUE=DATE:20261021',
+        'RRULE:FREQ=WEEKLY;BYDAY=MO'
+    ]);
+
+    const done = { ...object, isCompleted: true, completedAt: new Date('2026-10-19T10:00:00Z') };
+    check('completed todo', buildObjectComponent(done, { mode: 'todos', timezone }).slice(0, 7), [
+        'BEGIN:VTODO',
+        'UID:abc@sage',
+        'DTSTAMP:20261002T080000Z',
+        'SUMMARY:Review\\, plan\\; ship',
+        'DUE:20261020T130000Z',
+        'STATUS:COMPLETED',
+        'COMPLETED:20261019T100000Z'
+    ]);
+    check('no due date', buildObjectComponent({ ...object, due: { date: null } }), []);
+
+    check('cycle', buildCycleComponent({ startsAt: new Date('2026-10-18T04:00:00Z'), endsAt: new Date('2026-10-25T03:59:59Z'), count: 3 }, timezone).slice(3, 6), [
+        'SUMMARY:Cycle Oct 18 – Oct 24 (3 items)',
+        'DTSTART;VALUE=DATE:20261018',
+        'DTEND;VALUE=DATE:20261025'
+    ]);
+
+    const calendar = buildCalendar({ name: 'sage', timezone, components: [buildObjectComponent(object, { timezone })] });
+    check('calendar wrapper', [calendar.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'), calendar.endsWith('END:VEVENT\r\nEND:VCALENDAR\r\n')], [true, true]);
+
+    return finish();
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    testIcal()
+        .then(success => {
+            process.exit(success ? 0 : 1);
+        })
+        .catch(error => {
+            console.error('Test execution failed:', error);
+            process.exit(1);
+        });
+}
+
+export { testIcal };
@@ -0,0 +1,636 @@
+import moment from "moment-timezone";
+import { parseRecurrence, getNextOccurrence } from "./recurrence.service.js";
+import { extractPlainText } from "./text.service.js";
+
+/**
+ * Parsers for task manager exports
+ *
+ * Every parser returns the same shape, which the import service maps onto
+ * arrays (projects), blocks (sections) and objects (tasks):
+ *
+ *   { tasks: [{ key, parentKey, line, project, section, title, description, labels,
+ *               due, priority, isCompleted, completedAt, createdAt, externalId }],
+ *     warnings: [{ line, title, message }] }
+ *
+ * Tasks come parents first. `project` is null for tasks that belong in the inbox.
+ * Priorities use the Linear scale already stored on objects: 0 none, 1 urgent,
+ * 2 high, 3 medium, 4 low.
+ */
+
+const IMPORT_SOURCES = ["todoist", "ticktick", "csv", "sage"];
+const MAX_IMPORT_TASKS = 2000;
+
+const CSV_FIELDS = {
+    title: ["title", "name", "task", "content", "summary"],
+    description: ["description", "notes", "note", "details", "body"],
+    due: ["due", "due date", "duedate", "deadline", "date"],
+    labels: ["labels", "tags", "label", "tag"],
+    project: ["project", "list", "list name", "array", "folder"],
+    section: ["section", "column", "group", "block"],
+    parent: ["parent", "parent id", "parentid"],
+    id: ["id", "task id", "taskid", "key"],
+    completed: ["completed", "done", "is completed", "status"],
+    priority: ["priority"],
+    createdAt: ["created", "created at", "createdat", "created time"]
+};
+
+// Todoist's API uses 4 for p1, its CSV templates use 1 for p1
+const TODOIST_API_PRIORITIES = { 4: 1, 3: 2, 2: 3, 1: 0 };
+const TODOIST_CSV_PRIORITIES = { 1: 1, 2: 2, 3: 3, 4: 0 };
+const TICKTICK_PRIORITIES = { 5: 2, 3: 3, 1: 4, 0: 0 };
+const PRIORITY_NAMES = { none: 0, urgent: 1, high: 2, medium: 3, low: 4 };
+
+const DATE_FORMATS = [
+    moment.ISO_8601,
+    "YYYY-MM-DD HH:mm",
+    "YYYY/MM/DD",
+    "YYYY/MM/DD HH:mm",
+    "MM/DD/YYYY",
+    "MM/DD/YYYY HH:mm",
+    "D MMM YYYY",
+    "MMM D YYYY",
+    "MMM D, YYYY"
+];
+const DAY_MONTH_FORMATS = ["MMM D", "D MMM", "MMMM D", "D MMMM"];
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const TRUE_VALUES = /^(1|true|yes|y|x|done|completed?|checked)$/i;
+
+const importError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+/**
+ * Splits CSV text into rows of cells (RFC 4180: quoted fields may hold commas,
+ * quotes and line breaks). Blank lines are dropped.
+ * @param {String} text
+ * @returns {Array} - Rows of strings
+ */
+const parseCsvRows = (text) => {
+    const input = String(text || "").replace(/^\uFEFF/, "");
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === "\"" && input[i + 1] === "\"") {
+                field += "\"";
+                i++;
+            } else if (char === "\"") {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === "\"") {
+            quoted = true;
+        } else if (char === ",") {
+            row.push(field);
+            field = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && input[i + 1] === "\n") {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = "";
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ""));
+};
+
+/**
+ * Reads CSV text into records keyed by the header
+ * @param {String} text
+ * @param {Function} isHeader - Picks the header row, for files with lines above it
+ * @returns {Array} - [{ line, values }], `line` counting data rows from 1
+ */
+const parseCsv = (text, isHeader = () => true) => {
+    const rows = parseCsvRows(text);
+    const headerIndex = rows.findIndex(cells => isHeader(cells.map(cell => cell.trim())));
+    if (headerIndex === -1) {
+        throw importError("Could not find the header row of the CSV file", 400);
+    }
+
+    const header = rows[headerIndex].map(cell => cell.trim());
+    return rows.slice(headerIndex + 1).map((cells, index) => ({
+        line: index + 1,
+        values: Object.fromEntries(header.map((name, i) => [name, (cells[i] || "").trim()]))
+    }));
+};
+
+const splitList = (text) => String(text || "")
+    .split(/[,;]/)
+    .map(item => item.trim().replace(/^[#@]/, ""))
+    .filter(Boolean);
+
+const parseTimestamp = (value) => {
+    if (!value) {
+        return null;
+    }
+    const date = moment.utc(value, DATE_FORMATS, true);
+    return date.isValid() ? date.toDate() : null;
+};
+
+// "at 9am", "14:30" or "9:15 pm" at the end of a due string
+const extractTime = (text) => {
+    const match = text.match(/(?:^|\s+)(at\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i);
+    if (!match || !(match[1] || match[3] || match[4])) {
+        return { rest: text, time: null };
+    }
+
+    let hour = parseInt(match[2], 10);
+    const minute = parseInt(match[3] || "0", 10);
+    const meridiem = match[4]?.toLowerCase();
+    if (meridiem === "pm" && hour < 12) {
+        hour += 12;
+    } else if (meridiem === "am" && hour === 12) {
+        hour = 0;
+    }
+    if (hour > 23 || minute > 59) {
+        return { rest: text, time: null };
+    }
+    return { rest: text.slice(0, match.index).trim(), time: { hour, minute } };
+};
+
+const parseDayPhrase = (phrase, today) => {
+    if (!phrase || phrase === "today" || phrase === "tonight") {
+        return today.clone();
+    }
+    if (phrase === "tomorrow" || phrase === "tmr") {
+        return today.clone().add(1, "day");
+    }
+    if (phrase === "yesterday") {
+        return today.clone().subtract(1, "day");
+    }
+
+    let match = phrase.match(/^in (\d+) (day|week|month|year)s?$/);
+    if (match) {
+        return today.clone().add(parseInt(match[1], 10), match[2]);
+    }
+
+    match = phrase.match(/^(next )?([a-z]{3,9})$/);
+    const weekday = match && WEEKDAYS.findIndex(day => day.startsWith(match[2]));
+    if (match && weekday !== -1) {
+        const days = (weekday - today.day() + 7) % 7 || (match[1] ? 7 : 0);
+        return today.clone().add(days, "days");
+    }
+
+    const date = moment.tz(phrase, DATE_FORMATS.slice(1), true, today.tz());
+    if (date.isValid()) {
+        return date;
+    }
+
+    // "Jan 15" is the next Jan 15
+    const dayMonth = moment.tz(phrase, DAY_MONTH_FORMATS, true, today.tz()).year(today.year());
+    if (dayMonth.isValid()) {
+        return dayMonth.isBefore(today) ? dayMonth.add(1, "year") : dayMonth;
+    }
+    return null;
+};
+
+/**
+ * Turns a due date or phrase into the structured `due` of an object.
+ * Understands ISO and common numeric dates, "today", "tomorrow", weekdays,
+ * "in 3 days", an optional "at 9am" and recurring phrases such as "every monday".
+ * Text it cannot read is kept in `due.string` with a null `due.date`.
+ * @param {String} value - The due text
+ * @param {Object} options
+ * @param {String} options.timezone - Timezone of dates without an offset
+ * @param {Date} options.now - Reference time for relative phrases
+ * @returns {Object|null}
+ */
+const parseDue = (value, { timezone = "UTC", now = new Date() } = {}) => {
+    const text = String(value || "").trim();
+    if (!text) {
+        return null;
+    }
+
+    const due = { date: null, is_recurring: false, lang: "en", string: text, timezone };
+
+    const exact = moment.tz(text, [moment.ISO_8601], true, timezone);
+    if (exact.isValid()) {
+        return { ...due, date: exact.toISOString() };
+    }
+
+    const today = moment.tz(now, timezone).startOf("day");
+    const { rest, time } = extractTime(text.toLowerCase().replace(/\s+/g, " "));
+
+    const rule = parseRecurrence(text);
+    if (rule) {
+        const anchor = today.clone().set(time || {});
+        const first = getNextOccurrence(rule, anchor.clone().subtract(1, "ms").toDate(), { anchor: anchor.toDate(), timezone });
+        return { ...due, is_recurring: true, date: first ? first.toISOString() : null };
+    }
+
+    const day = parseDayPhrase(rest, today);
+    if (!day) {
+        return due;
+    }
+    return { ...due, date: day.set(time || { hour: 0, minute: 0 }).toISOString() };
+};
+
+const normalizePriority = (value, scale = null) => {
+    const text = String(value ?? "").trim().toLowerCase();
+    if (!text) {
+        return 0;
+    }
+    if (scale) {
+        return scale[text] ?? 0;
+    }
+    if (text in PRIORITY_NAMES) {
+        return PRIORITY_NAMES[text];
+    }
+    const number = parseInt(text.replace(/^p/, ""), 10);
+    return number >= 0 && number <= 4 ? number : 0;
+};
+
+// Todoist keeps labels in the task text, e.g. "Buy milk @errands"
+const extractInlineLabels = (text) => {
+    const labels = [];
+    const title = String(text || "")
+        .replace(/(^|\s)@([\p{L}\p{N}_-]+)/gu, (match, space, label) => {
+            labels.push(label);
+            return "";
+        })
+        .replace(/\s+/g, " ")
+        .trim();
+    return { title, labels };
+};
+
+/**
+ * Puts parents before their sub-tasks and detaches sub-tasks whose parent is
+ * missing or part of a cycle
+ */
+const orderTasks = (tasks, warnings) => {
+    const byKey = new Map(tasks.map(task => [task.key, task]));
+    const ordered = [];
+    const placed = new Set();
+    const visiting = new Set();
+
+    const place = (task) => {
+        if (placed.has(task.key)) {
+            return;
+        }
+        if (visiting.has(task.key)) {
+            warnings.push({ line: task.line, title: task.title, message: "Sub-task loop, imported without a parent" });
+            task.parentKey = null;
+            return;
+        }
+        visiting.add(task.key);
+
+        if (task.parentKey && !byKey.has(task.parentKey)) {
+            warnings.push({ line: task.line, title: task.title, message: "Parent task not found, imported without a parent" });
+            task.parentKey = null;
+        }
+        if (task.parentKey) {
+            place(byKey.get(task.parentKey));
+        }
+
+        visiting.delete(task.key);
+        if (!placed.has(task.key)) {
+            placed.add(task.key);
+            ordered.push(task);
+        }
+    };
+
+    tasks.forEach(place);
+    return ordered;
+};
+
+const createTask = (fields) => ({
+    parentKey: null,
+    project: null,
+    section: null,
+    description: "",
+    labels: [],
+    due: null,
+    priority: 0,
+    isCompleted: false,
+    completedAt: null,
+    createdAt: null,
+    externalId: null,
+    ...fields
+});
+
+const isInboxName = (name) => !name || /^inbox$/i.test(name.trim());
+
+const parseTodoistJson = (content, { timezone, now }) => {
+    let data;
+    try {
+        data = typeof content === "string" ? JSON.parse(content) : content;
+    } catch (error) {
+        throw importError(`Invalid Todoist JSON: ${error.message}`, 400);
+    }
+
+    const projects = new Map((data.projects || []).map(project => [
+        String(project.id),
+        project.inbox_project || project.is_inbox_project ? null : project.name
+    ]));
+    const sections = new Map((data.sections || []).map(section => [String(section.id), section.name]));
+    // Older sync exports list label ids on items
+    const labelNames = new Map((data.labels || []).map(label => [String(label.id), label.name]));
+    const items = data.items || data.tasks || (Array.isArray(data) ? data : []);
+
+    return items
+        .filter(item => item && !item.is_deleted)
+        .map((item, index) => {
+            const due = item.due
+                ? {
+                    ...parseDue(item.due.datetime || item.due.date, { timezone: item.due.timezone || timezone, now }),
+                    string: item.due.string || item.due.date,
+                    is_recurring: Boolean(item.due.is_recurring),
+                    lang: item.due.lang || "en"
+                }
+                : null;
+            const project = projects.get(String(item.project_id));
+
+            return createTask({
+                key: String(item.id ?? `item-${index + 1}`),
+                parentKey: item.parent_id ? String(item.parent_id) : null,
+                line: index + 1,
+                project: isInboxName(project) ? null : project,
+                section: item.section_id ? sections.get(String(item.section_id)) || null : null,
+                title: item.content || "",
+                description: item.description || "",
+                labels: (item.labels || []).map(label => labelNames.get(String(label)) || String(label)),
+                due,
+                priority: TODOIST_API_PRIORITIES[item.priority] ?? 0,
+                isCompleted: Boolean(item.checked ?? item.is_completed),
+                completedAt: parseTimestamp(item.completed_at),
+                createdAt: parseTimestamp(item.added_at || item.created_at),
+                externalId: item.id !== undefined ? String(item.id) : null
+            });
+        });
+};
+
+/**
+ * Todoist CSV exports hold one project. Rows are tasks, sections and notes;
+ * INDENT gives the sub-task depth.
+ */
+const parseTodoistCsv = (content, { timezone, now, projectName }) => {
+    const rows = parseCsv(content, cells => cells.includes("TYPE") && cells.includes("CONTENT"));
+    const project = isInboxName(projectName) ? null : projectName.trim();
+    const tasks = [];
+    const ancestors = [];
+    let section = null;
+
+    rows.forEach(({ line, values }) => {
+        const type = values.TYPE.toLowerCase();
+        if (type === "section") {
+            section = values.CONTENT || null;
+            ancestors.length = 0;
+            return;
+        }
+        if (type === "note") {
+            const last = tasks[tasks.length - 1];
+            if (last && values.CONTENT) {
+                last.description = [last.description, values.CONTENT].filter(Boolean).join("\n\n");
+            }
+            return;
+        }
+        if (type !== "task") {
+            return;
+        }
+
+        const depth = Math.max(1, parseInt(values.INDENT, 10) || 1);
+        ancestors.length = depth - 1;
+        const parent = ancestors.filter(Boolean).pop();
+        const { title, labels } = extractInlineLabels(values.CONTENT);
+
+        const task = createTask({
+            key: `line-${line}`,
+            parentKey: parent?.key || null,
+            line,
+            project,
+            section,
+            title,
+            description: values.DESCRIPTION || "",
+            labels,
+            due: parseDue(values.DATE, { timezone: values.TIMEZONE || timezone, now }),
+            priority: normalizePriority(values.PRIORITY, TODOIST_CSV_PRIORITIES)
+        });
+        ancestors[depth - 1] = task;
+        tasks.push(task);
+    });
+
+    return tasks;
+};
+
+const parseTickTickDue = (values, { timezone, now }) => {
+    const date = values["Due Date"] || values["Start Date"];
+    const repeat = values.Repeat;
+    if (!date && !repeat) {
+        return null;
+    }
+
+    const zone = values.Timezone || timezone;
+    const due = parseDue(date, { timezone: zone, now }) || { date: null, is_recurring: false, lang: "en", string: null, timezone: zone };
+    if (!repeat) {
+        return due;
+    }
+    return {
+        ...due,
+        is_recurring: true,
+        string: /^rrule:/i.test(repeat) ? repeat : `RRULE:${repeat}`
+    };
+};
+
+/**
+ * TickTick backups start with a few lines of metadata above the header. Lists
+ * become arrays and kanban columns become blocks.
+ */
+const parseTickTickCsv = (content, { timezone, now }) => {
+    const rows = parseCsv(content, cells => cells.includes("Title") && cells.includes("List Name"));
+
+    return rows
+        .filter(({ values }) => values.Title || values.Content)
+        .map(({ line, values }) => createTask({
+            key: values.taskId || `line-${line}`,
+            parentKey: values.parentId || null,
+            line,
+            project: isInboxName(values["List Name"]) ? null : values["List Name"],
+            section: values["Column Name"] || null,
+            title: values.Title,
+            description: values.Content || "",
+            labels: splitList(values.Tags),
+            due: parseTickTickDue(values, { timezone, now }),
+            priority: normalizePriority(values.Priority, TICKTICK_PRIORITIES),
+            // 1 is completed and 2 archived, which TickTick only allows for completed tasks
+            isCompleted: values.Status === "1" || values.Status === "2",
+            completedAt: parseTimestamp(values["Completed Time"]),
+            createdAt: parseTimestamp(values["Created Time"]),
+            externalId: values.taskId || null
+        }));
+};
+
+/**
+ * JSON exports of this app. Each object's first array becomes its project and its
+ * first block its section; old ids only link sub-tasks to their parents.
+ */
+const parseSageJson = (content) => {
+    let data;
+    try {
+        data = typeof content === "string" ? JSON.parse(content) : content;
+    } catch (error) {
+        throw importError(`Invalid export JSON: ${error.message}`, 400);
+    }
+    if (!data || !Array.isArray(data.objects)) {
+        throw importError("Not a JSON export: it has no objects", 400);
+    }
+
+    const names = (documents) => new Map((documents || []).map(document => [String(document._id), document.name]));
+    const arrays = names(data.arrays);
+    const blocks = names(data.blocks);
+    const labels = names(data.labels);
+
+    return data.objects.map((object, index) => {
+        const project = arrays.get(String(object.arrays?.[0]));
+        return createTask({
+            key: String(object._id ?? `object-${index + 1}`),
+            parentKey: object.parent ? String(object.parent) : null,
+            line: index + 1,
+            project: isInboxName(project) ? null : project,
+            section: blocks.get(String(object.blocks?.[0])) || null,
+            title: object.title || "",
+            description: typeof object.description === "string" ? object.description : extractPlainText(object.description),
+            labels: (object.labels || []).map(label => labels.get(String(label))).filter(Boolean),
+            due: object.due?.date || object.due?.string ? { ...object.due } : null,
+            priority: normalizePriority(object.metadata?.priority),
+            isCompleted: Boolean(object.isCompleted),
+            completedAt: parseTimestamp(object.completedAt),
+            createdAt: parseTimestamp(object.createdAt),
+            externalId: object._id ? String(object._id) : null
+        });
+    });
+};
+
+/**
+ * Matches CSV columns to task fields by common header names
+ * @param {Array} header - Column names
+ * @returns {Object} - { field: column }
+ */
+const guessCsvMapping = (header) => {
+    const mapping = {};
+    for (const [field, aliases] of Object.entries(CSV_FIELDS)) {
+        const column = header.find(name => aliases.includes(name.toLowerCase()));
+        if (column) {
+            mapping[field] = column;
+        }
+    }
+    return mapping;
+};
+
+/**
+ * Generic CSV with one task per row. `mapping` names the column of each field
+ * and falls back to common header names for fields it leaves out.
+ */
+const parseGenericCsv = (content, { timezone, now, mapping = {}, projectName }) => {
+    const rows = parseCsv(content);
+    const header = rows.length ? Object.keys(rows[0].values) : [];
+    const columns = { ...guessCsvMapping(header), ...mapping };
+
+    const missing = Object.values(columns).filter(column => !header.includes(column));
+    if (missing.length && rows.length) {
+        throw importError(`Columns not found in the CSV file: ${missing.join(", ")}`, 400);
+    }
+    if (!columns.title) {
+        throw importError("Map a column to the task title", 400);
+    }
+
+    const get = (values, field) => (columns[field] ? values[columns[field]] : "");
+
+    return rows
+        .filter(({ values }) => get(values, "title"))
+        .map(({ line, values }) => {
+            const project = get(values, "project") || projectName;
+            return createTask({
+                key: get(values, "id") || `line-${line}`,
+                parentKey: get(values, "parent") || null,
+                line,
+                project: isInboxName(project) ? null : project,
+                section: get(values, "section") || null,
+                title: get(values, "title"),
+                description: get(values, "description"),
+                labels: splitList(get(values, "labels")),
+                due: parseDue(get(values, "due"), { timezone, now }),
+                priority: normalizePriority(get(values, "priority")),
+                isCompleted: TRUE_VALUES.test(get(values, "completed")),
+                createdAt: parseTimestamp(get(values, "createdAt")),
+                externalId: get(values, "id") || null
+            });
+        });
+};
+
+/**
+ * Parses an export of another task manager, or a JSON export of this app
+ * @param {String} source - "todoist", "ticktick", "csv" or "sage"
+ * @param {String} content - The file contents
+ * @param {Object} options
+ * @param {String} options.timezone - Timezone of dates without one
+ * @param {Date} options.now - Reference time for relative due phrases
+ * @param {String} options.projectName - Array for CSV files that do not name one
+ * @param {Object} options.mapping - Column per field for generic CSV
+ * @returns {Object} - { tasks, warnings }
+ */
+const parseImport = (source, content, { timezone = "UTC", now = new Date(), projectName = null, mapping = {} } = {}) => {
+    const text = typeof content === "string" ? content.trim() : content;
+    if (!text) {
+        throw importError("The import file is empty", 400);
+    }
+
+    const options = { timezone, now, projectName, mapping };
+    let tasks;
+    if (source === "todoist") {
+        tasks = typeof text !== "string" || /^[[{]/.test(text)
+            ? parseTodoistJson(text, options)
+            : parseTodoistCsv(text, options);
+    } else if (source === "ticktick") {
+        tasks = parseTickTickCsv(text, options);
+    } else if (source === "csv") {
+        tasks = parseGenericCsv(text, options);
+    } else if (source === "sage") {
+        tasks = parseSageJson(text);
+    } else {
+        throw importError(`source must be one of: ${IMPORT_SOURCES.join(", ")}`, 400);
+    }
+
+    if (tasks.length > MAX_IMPORT_TASKS) {
+        throw importError(`Imports are limited to ${MAX_IMPORT_TASKS} tasks, this file has ${tasks.length}`, 400);
+    }
+
+    const warnings = [];
+    tasks.forEach(task => {
+        if (task.due && !task.due.date) {
+            warnings.push({ line: task.line, title: task.title, message: `Could not read the due date "${task.due.string}"` });
+        }
+    });
+    tasks = tasks.filter(task => {
+        if (!task.title) {
+            warnings.push({ line: task.line, title: "", message: "Skipped a task without a title" });
+        }
+        return task.title;
+    });
+
+    return { tasks: orderTasks(tasks, warnings), warnings };
+};
+
+export {
+    IMPORT_SOURCES,
+    MAX_IMPORT_TASKS,
+    parseCsv,
+    parseDue,
+    guessCsvMapping,
+    parseImport
+};
@@ -0,0 +1,138 @@
+/**
+ * Test suite for Todoist, TickTick, generic CSV and JSON export import parsing
+ */
+import { parseCsv, parseDue, guessCsvMapping, parseImport } from './import-parser.service.js';
+import { createSuite } from './test-suite.js';
+
+async function testImportParser() {
+    console.log('🧪 Testing Import Parser Service...\n');
+
+    const { check, rejects, finish } = createSuite();
+
+    // Thursday 2026-10-15, 10:00 in New York
+    const now = new Date('2026-10-15T14:00:00Z');
+    const options = { timezone: 'America/New_York', now };
+    const dueDate = (text) => parseDue(text, options)?.date;
+
+    // CSV
+    check(
+        'csv quoted fields',
+        parseCsv('a,b\r\n"x, y","say ""hi""\nthere"\r\n\r\n1,2').map(row => row.values),
+        [{ a: 'x, y', b: 'say "hi"\nthere' }, { a: '1', b: '2' }]
+    );
+    check('csv header guess', guessCsvMapping(['Task', 'Due Date', 'Tags', 'Notes']), { title: 'Task', description: 'Notes', due: 'Due Date', labels: 'Tags' });
+
+    // Due strings
+    check('iso date', dueDate('2026-11-02'), '2026-11-02T05:00:00.000Z');
+    check('iso with offset', dueDate('2026-11-02T16:00:00+0000'), '2026-11-02T16:00:00.000Z');
+    check('tomorrow at 9am', dueDate('tomorrow at 9am'), '2026-10-16T13:00:00.000Z');
+    check('weekday', dueDate('mon'), '2026-10-19T04:00:00.000Z');
+    check('next weekday', dueDate('next thursday'), '2026-10-22T04:00:00.000Z');
+    check('in n days', dueDate('in 3 days'), '2026-10-18T04:00:00.000Z');
+    check('month day', dueDate('Jan 15'), '2027-01-15T05:00:00.000Z');
+    check('numeric date with time', dueDate('11/02/2026 14:30'), '2026-11-02T19:30:00.000Z');
+    check(
+        'recurring',
+        parseDue('every monday at 9am', options),
+        { date: '2026-10-19T13:00:00.000Z', is_recurring: true, lang: 'en', string: 'every monday at 9am', timezone: 'America/New_York' }
+    );
+    check('unreadable due keeps text', parseDue('when pigs fly', options), { date: null, is_recurring: false, lang: 'en', string: 'when pigs fly', timezone: 'America/New_York' });
+
+    // Todoist JSON
+    const todoistJson = JSON.stringify({
+        projects: [{ id: 'p1', name: 'Inbox', inbox_project: true }, { id: 'p2', name: 'Work' }],
+        sections: [{ id: 's1', name: 'Next' }],
+        items: [
+            { id: 't2', content: 'Draft', project_id: 'p2', section_id: 's1', parent_id: 't1', priority: 1, labels: [] },
+            { id: 't1', content: 'Report', project_id: 'p2', section_id: 's1', priority: 4, labels: ['deep work'], due: { date: '2026-10-20', string: 'Oct 20', is_recurring: false } },
+            { id: 't3', content: 'Milk', project_id: 'p1', checked: true, labels: [] }
+        ]
+    });
+    const todoist = parseImport('todoist', todoistJson, options);
+    check('todoist json parents first', todoist.tasks.map(task => [task.key, task.parentKey]), [['t1', null], ['t2', 't1'], ['t3', null]]);
+    check('todoist json project and section', [todoist.tasks[0].project, todoist.tasks[0].section, todoist.tasks[2].project], ['Work', 'Next', null]);
+    check('todoist json fields', [todoist.tasks[0].priority, todoist.tasks[0].labels, todoist.tasks[0].due.string, todoist.tasks[2].isCompleted], [1, ['deep work'], 'Oct 20', true]);
+
+    // Todoist CSV
+    const todoistCsv = [
+        'TYPE,CONTENT,DESCRIPTION,PRIORITY,INDENT,AUTHOR,RESPONSIBLE,DATE,DATE_LANG,TIMEZONE',
+        'section,Planning,,,,,,,,',
+        'task,Plan launch @work @q4,,1,1,,,tomorrow,en,',
+        'task,Book venue,,4,2,,,,,',
+        'note,Call before Friday,,,,,,,,',
+        'task,Confirm catering,,4,3,,,,,',
+        'task,Send invites,,2,2,,,every monday,en,',
+        'task,Retro,,4,1,,,someday soon,en,'
+    ].join('\n');
+    const csv = parseImport('todoist', todoistCsv, { ...options, projectName: 'Launch' });
+    check('todoist csv hierarchy', csv.tasks.map(task => [task.title, task.parentKey]), [
+        ['Plan launch', null], ['Book venue', 'line-2'], ['Confirm catering', 'line-3'], ['Send invites', 'line-2'], ['Retro', null]
+    ]);
+    check('todoist csv labels and section', [csv.tasks[0].labels, csv.tasks[0].section, csv.tasks[0].project], [['work', 'q4'], 'Planning', 'Launch']);
+    check('todoist csv notes', csv.tasks[1].description, 'Call before Friday');
+    check('todoist csv recurring due', [csv.tasks[3].due.is_recurring, csv.tasks[3].priority], [true, 2]);
+    check('unreadable due warning', csv.warnings, [{ line: 7, title: 'Retro', message: 'Could not read the due date "someday soon"' }]);
+
+    // TickTick
+    const ticktick = [
+        '"Date: 2026-10-15+0000"',
+        '"Version: 7.1"',
+        '"Status: ',
+        '0 Normal',
+        '1 Completed',
+        '2 Archived"',
+        '"Folder Name","List Name","Title","Kind","Tags","Content","Is Check list","Start Date","Due Date","Reminder","Repeat","Priority","Status","Created Time","Completed Time","Order","Timezone","Is All Day","Is Floating","Column Name","Column Order","View Mode","taskId","parentId"',
+        '"","Home","Fix sink","TEXT","chores, urgent","Call plumber","N","","2026-10-20T16:00:00+0000","","FREQ=WEEKLY;INTERVAL=1","5","0","2026-10-01T10:00:00+0000","","1","Europe/Berlin","false","false","Doing","0","kanban","11",""',
+        '"","Home","Buy washer","TEXT","","","N","","","","","0","2","2026-10-01T10:00:00+0000","2026-10-02T10:00:00+0000","2","Europe/Berlin","false","false","","","list","12","11"'
+    ].join('\n');
+    const tick = parseImport('ticktick', ticktick, options);
+    check('ticktick rows', tick.tasks.map(task => [task.title, task.project, task.section, task.parentKey]), [['Fix sink', 'Home', 'Doing', null], ['Buy washer', 'Home', null, '11']]);
+    check('ticktick fields', [tick.tasks[0].labels, tick.tasks[0].priority, tick.tasks[0].due.date, tick.tasks[0].due.string, tick.tasks[1].isCompleted], [
+        ['chores', 'urgent'], 2, '2026-10-20T16:00:00.000Z', 'RRULE:FREQ=WEEKLY;INTERVAL=1', true
+    ]);
+
+    // Generic CSV
+    const generic = 'Name,When,Group,Done,Ref,Parent Ref\nWrite tests,2026-10-21,Dev,no,a,\nCover parser,,Dev,yes,b,a\nOrphan,,,no,c,zz';
+    const mapped = parseImport('csv', generic, { ...options, mapping: { due: 'When', section: 'Group', completed: 'Done', id: 'Ref', parent: 'Parent Ref' } });
+    check('generic csv mapping', mapped.tasks.map(task => [task.title, task.section, task.parentKey, task.isCompleted]), [
+        ['Write tests', 'Dev', null, false], ['Cover parser', 'Dev', 'a', true], ['Orphan', null, null, false]
+    ]);
+    check('generic csv missing parent', mapped.warnings.map(warning => warning.message), ['Parent task not found, imported without a parent']);
+    rejects('generic csv unknown column', () => parseImport('csv', generic, { mapping: { title: 'Nope' } }));
+    // JSON export of this app
+    const exported = JSON.stringify({
+        version: 1,
+        arrays: [{ _id: 'a1', name: 'Work' }],
+        blocks: [{ _id: 'b1', name: 'Next' }],
+        labels: [{ _id: 'l1', name: 'bug' }],
+        objects: [
+            { _id: 'o2', title: 'Write docs', parent: 'o1', labels: ['l1'], metadata: { priority: 2 }, isCompleted: true, completedAt: '2026-10-02T10:00:00.000Z' },
+            { _id: 'o1', title: 'Ship release', arrays: ['a1'], blocks: ['b1'], description: '<p>Tag it</p>', due: { date: '2026-10-20', is_recurring: false, lang: 'en', string: null, timezone: 'UTC' } }
+        ]
+    });
+    const sage = parseImport('sage', exported, options);
+    check('sage export rows', sage.tasks.map(task => [task.title, task.project, task.section, task.parentKey]), [
+        ['Ship release', 'Work', 'Next', null], ['Write docs', null, null, 'o1']
+    ]);
+    check('sage export fields', [sage.tasks[0].due.date, sage.tasks[1].labels, sage.tasks[1].priority, sage.tasks[1].isCompleted], ['2026-10-20', ['bug'], 2, true]);
+    rejects('not an export', () => parseImport('sage', '{"items":[]}'));
+    rejects('unknown source', () => parseImport('asana', generic));
+    rejects('empty file', () => parseImport('csv', '  '));
+    rejects('invalid json', () => parseImport('todoist', '{oops'));
+
+    return finish();
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    testImportParser()
+        .then(success => {
+            process.exit(success ? 0 : 1);
+        })
+        .catch(error => {
+            console.error('Test execution failed:', error);
+            process.exit(1);
+        });
+}
+
+export { testImportParser };
@@ -0,0 +1,174 @@
+import moment from "moment-timezone";
+
+/**
+ * Productivity insights
+ *
+ * Insights are built from daily rollups: one per user and day, in the user's timezone,
+ * with what was created, completed and overdue that day. Rollups of past days are
+ * stored, so a range only computes the days it has not seen yet.
+ */
+
+const INSIGHT_GROUPS = ["source", "type", "label"];
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const DAY_FORMAT = "YYYY-MM-DD";
+
+/**
+ * Days of a range, in the user's timezone
+ * @param {Date} from - Start of the range
+ * @param {Date} to - End of the range, included
+ * @param {String} timezone - Timezone of the user
+ * @returns {Array} - Day keys such as "2026-06-10", oldest first
+ */
+const getDayKeys = (from, to, timezone = "UTC") => {
+    const days = [];
+    const day = moment.tz(from, timezone).startOf("day");
+    const last = moment.tz(to, timezone).format(DAY_FORMAT);
+    while (day.format(DAY_FORMAT) <= last) {
+        days.push(day.format(DAY_FORMAT));
+        day.add(1, "day");
+    }
+    return days;
+};
+
+/**
+ * Start and end of a day, in the user's timezone
+ * @param {String} day - Day key
+ * @param {String} timezone - Timezone of the user
+ * @returns {Object} - { start, end }, the end being the start of the next day
+ */
+const getDayBounds = (day, timezone = "UTC") => {
+    const start = moment.tz(day, DAY_FORMAT, timezone);
+    return { start: start.toDate(), end: start.clone().add(1, "day").toDate() };
+};
+
+const getDayKey = (date, timezone = "UTC") => moment.tz(date, timezone).format(DAY_FORMAT);
+
+/**
+ * Objects overdue at the end of each day: due before it, created before it and
+ * not completed by then
+ * @param {Array} objects - Objects with `createdAt`, `completedAt` and `due.date`
+ * @param {Array} days - Day keys
+ * @param {String} timezone - Timezone of the user
+ * @returns {Object} - Count per day key
+ */
+const countOverdueByDay = (objects, days, timezone = "UTC") => {
+    const dated = objects
+        .map(object => ({
+            due: object.due?.date ? new Date(object.due.date) : null,
+            createdAt: object.createdAt ? new Date(object.createdAt) : null,
+            completedAt: object.completedAt ? new Date(object.completedAt) : null
+        }))
+        .filter(object => object.due && !isNaN(object.due.getTime()));
+
+    const counts = {};
+    days.forEach(day => {
+        const { end } = getDayBounds(day, timezone);
+        counts[day] = dated.filter(object => object.due < end &&
+            (!object.createdAt || object.createdAt < end) &&
+            (!object.completedAt || object.completedAt >= end)).length;
+    });
+    return counts;
+};
+
+/**
+ * Consecutive days with a journal entry
+ * @param {Array} days - Day keys with an entry
+ * @param {String} today - Day key of today
+ * @returns {Object} - { current, longest }; the current streak still counts until today ends
+ */
+const getJournalStreaks = (days, today) => {
+    const sorted = [...new Set(days)].sort();
+    let longest = 0;
+    let run = 0;
+    let previous = null;
+    sorted.forEach(day => {
+        const isNext = previous && moment.utc(previous, DAY_FORMAT).add(1, "day").format(DAY_FORMAT) === day;
+        run = isNext ? run + 1 : 1;
+        longest = Math.max(longest, run);
+        previous = day;
+    });
+
+    const yesterday = moment.utc(today, DAY_FORMAT).subtract(1, "day").format(DAY_FORMAT);
+    const current = previous === today || previous === yesterday ? run : 0;
+    return { current, longest };
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const addGroups = (totals, groups) => {
+    groups.forEach(({ group, key, created, completed }) => {
+        const id = `${group}:${key}`;
+        const total = totals.get(id) || { group, key, created: 0, completed: 0 };
+        total.created += created || 0;
+        total.completed += completed || 0;
+        totals.set(id, total);
+    });
+};
+
+/**
+ * Turns daily rollups into the insights of their range
+ * @param {Array} rollups - Rollups of the range, oldest first
+ * @param {Object} labels - Label names by id
+ * @returns {Object} - { totals, daily, completionRate: { source, type, label } }
+ */
+const summarizeRollups = (rollups, labels = {}) => {
+    const groups = new Map();
+    let leadTimeHours = 0;
+    let leadTimeCount = 0;
+
+    const daily = rollups.map(rollup => {
+        addGroups(groups, rollup.groups || []);
+        leadTimeHours += rollup.leadTime?.totalHours || 0;
+        leadTimeCount += rollup.leadTime?.count || 0;
+        return {
+            date: rollup.date,
+            created: rollup.created || 0,
+            completed: rollup.completed || 0,
+            overdue: rollup.overdue || 0,
+            averageLeadTimeHours: rollup.leadTime?.count ? round(rollup.leadTime.totalHours / rollup.leadTime.count) : null,
+            journaled: Boolean(rollup.journaled)
+        };
+    });
+
+    const completionRate = {};
+    INSIGHT_GROUPS.forEach(group => {
+        completionRate[group] = [...groups.values()]
+            .filter(total => total.group === group)
+            .map(({ key, created, completed }) => ({
+                key,
+                ...(group === "label" && { name: labels[key] || "Unknown" }),
+                created,
+                completed,
+                // Completed per created item: above 1 means the backlog shrank
+                rate: created ? round(completed / created * 100) / 100 : null
+            }))
+            .sort((a, b) => b.completed - a.completed || b.created - a.created);
+    });
+
+    const last = daily[daily.length - 1];
+    return {
+        totals: {
+            created: daily.reduce((sum, day) => sum + day.created, 0),
+            completed: daily.reduce((sum, day) => sum + day.completed, 0),
+            averagePerDay: daily.length ? round(daily.reduce((sum, day) => sum + day.completed, 0) / daily.length) : 0,
+            averageLeadTimeHours: leadTimeCount ? round(leadTimeHours / leadTimeCount) : null,
+            overdue: last ? last.overdue : 0,
+            journaledDays: daily.filter(day => day.journaled).length
+        },
+        daily,
+        completionRate
+    };
+};
+
+export {
+    INSIGHT_GROUPS,
+    DEFAULT_RANGE_DAYS,
+    MAX_RANGE_DAYS,
+    getDayKeys,
+    getDayBounds,
+    getDayKey,
+    countOverdueByDay,
+    getJournalStreaks,
+    summarizeRollups
+};
@@ -0,0 +1,101 @@
+/**
+ * Test suite for productivity insights
+ */
+import { getDayKeys, getDayBounds, countOverdueByDay, getJournalStreaks, summarizeRollups } from './insights.service.js';
+import { createSuite } from './test-suite.js';
+
+async function testInsights() {
+    console.log('🧪 Testing Insights Service...\n');
+
+    const { check, finish } = createSuite();
+
+    check('days of a range', getDayKeys(new Date('2026-06-08T10:00:00Z'), new Date('2026-06-10T01:00:00Z')), ['2026-06-08', '2026-06-09', '2026-06-10']);
+    check('days in the user timezone', getDayKeys(new Date('2026-06-08T10:00:00Z'), new Date('2026-06-10T01:00:00Z'), 'America/New_York'), ['2026-06-08', '2026-06-09']);
+    check('bounds of a day', getDayBounds('2026-06-09', 'Europe/Berlin'), {
+        start: new Date('2026-06-08T22:00:00Z'),
+        end: new Date('2026-06-09T22:00:00Z')
+    });
+
+    const objects = [
+        { due: { date: '2026-06-08T12:00:00Z' }, createdAt: '2026-06-01T00:00:00Z', completedAt: null },
+        { due: { date: '2026-06-08T12:00:00Z' }, createdAt: '2026-06-01T00:00:00Z', completedAt: '2026-06-09T08:00:00Z' },
+        { due: { date: '2026-06-09T12:00:00Z' }, createdAt: '2026-06-09T00:00:00Z', completedAt: null },
+        { due: { date: null }, createdAt: '2026-06-01T00:00:00Z' }
+    ];
+    check('overdue per day', countOverdueByDay(objects, ['2026-06-07', '2026-06-08', '2026-06-09', '2026-06-10']), {
+        '2026-06-07': 0,
+        '2026-06-08': 2,
+        '2026-06-09': 2,
+        '2026-06-10': 2
+    });
+
+    check('current streak', getJournalStreaks(['2026-06-01', '2026-06-08', '2026-06-09', '2026-06-10'], '2026-06-10'), { current: 3, longest: 3 });
+    check('streak kept until today ends', getJournalStreaks(['2026-06-08', '2026-06-09'], '2026-06-10'), { current: 2, longest: 2 });
+    check('broken streak', getJournalStreaks(['2026-06-01', '2026-06-02', '2026-06-03', '2026-06-07'], '2026-06-10'), { current: 0, longest: 3 });
+    check('no journal', getJournalStreaks([], '2026-06-10'), { current: 0, longest: 0 });
+
+    const insights = summarizeRollups([
+        {
+            date: '2026-06-08',
+            created: 4,
+            completed: 2,
+            overdue: 1,
+            leadTime: { totalHours: 30, count: 2 },
+            journaled: true,
+            groups: [
+                { group: 'source', key: 'linear', created: 3, completed: 2 },
+                { group: 'source', key: 'momo', created: 1, completed: 0 },
+                { group: 'label', key: 'l1', created: 2, completed: 1 }
+            ]
+        },
+        {
+            date: '2026-06-09',
+            created: 1,
+            completed: 3,
+            overdue: 0,
+            leadTime: { totalHours: 10, count: 3 },
+            groups: [
+                { group: 'source', key: 'linear', created: 1, completed: 3 },
+                { group: 'type', key: 'todo', created: 1, completed: 3 }
+            ]
+        }
+    ], { l1: 'Urgent' });
+    check('totals', insights.totals, {
+        created: 5,
+        completed: 5,
+        averagePerDay: 2.5,
+        averageLeadTimeHours: 8,
+        overdue: 0,
+        journaledDays: 1
+    });
+    check('daily', insights.daily.map(day => [day.date, day.completed, day.averageLeadTimeHours]), [['2026-06-08', 2, 15], ['2026-06-09', 3, 3.3]]);
+    check('completion rate by source', insights.completionRate.source, [
+        { key: 'linear', created: 4, completed: 5, rate: 1.25 },
+        { key: 'momo', created: 1, completed: 0, rate: 0 }
+    ]);
+    check('completion rate by label', insights.completionRate.label, [{ key: 'l1', name: 'Urgent', created: 2, completed: 1, rate: 0.5 }]);
+    check('empty range', summarizeRollups([]).totals, {
+        created: 0,
+        completed: 0,
+        averagePerDay: 0,
+        averageLeadTimeHours: null,
+        overdue: 0,
+        journaledDays: 0
+    });
+
+    return finish();
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    testInsights()
+        .then(success => {
+            process.exit(success ? 0 : 1);
+        })
+        .catch(error => {
+            console.error('Test execution failed:', error);
+            process.exit(1);
+        });
+}
+
+export { testInsights };
@@ -0,0 +1,51 @@
+/**
+ * Titles of notifications
+ */
+
+// Singular and plural names of what each source sends
+const SOURCE_NOUNS = {
+    linear: ["Linear issue", "Linear issues"],
+    github: ["GitHub item", "GitHub items"],
+    gmail: ["email", "emails"],
+    reminder: ["reminder", "reminders"],
+    cycle: ["cycle update", "cycle updates"],
+    snooze: ["snoozed item", "snoozed items"],
+    export: ["export", "exports"],
+    template: ["scheduled template", "scheduled templates"],
+    comment: ["comment", "comments"],
+    retention: ["retention run", "retention runs"]
+};
+
+const ACTION_VERBS = {
+    create: "created",
+    update: "updated",
+    delete: "deleted",
+    fire: "due",
+    rollover: "rolled over",
+    resurface: "back in your inbox",
+    ready: "ready to download",
+    mention: "mentions you",
+    complete: "completed"
+};
+
+/**
+ * Title of a notification, e.g. "Linear issue updated: Fix login" or "5 Linear issues updated"
+ * @param {String} source - Source of the events
+ * @param {String} action - What happened
+ * @param {Number} count - Number of grouped events
+ * @param {String} subject - Title of the object, used for a single event
+ */
+const describeNotification = (source, action, count, subject) => {
+    const [singular, plural] = SOURCE_NOUNS[source] || [`${source} item`, `${source} items`];
+    const verb = ACTION_VERBS[action] || action;
+
+    if (count > 1) {
+        return `${count} ${plural} ${verb}`;
+    }
+    const title = `${singular.charAt(0).toUpperCase()}${singular.slice(1)} ${verb}`;
+    return subject ? `${title}: ${subject}` : title;
+};
+
+export {
+    describeNotification
+};
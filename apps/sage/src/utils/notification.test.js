@@ -0,0 +1,51 @@
+/**
+ * Test suite for notification titles and the notification center payloads
+ */
+import { describeNotification } from './notification.service.js';
+import { MarkNotificationsReadPayload, NotificationSettingsPayload } from '../payloads/lib/notification.payload.js';
+import { createSuite } from './test-suite.js';
+
+async function testNotifications() {
+    console.log('🧪 Testing Notification Service...\n');
+
+    const { check, finish } = createSuite();
+
+    // Titles
+    check('single event with its subject', describeNotification('linear', 'update', 1, 'Fix login'), 'Linear issue updated: Fix login');
+    check('single event without a subject', describeNotification('reminder', 'fire', 1), 'Reminder due');
+    check('grouped events are counted', describeNotification('linear', 'update', 5, 'Fix login'), '5 Linear issues updated');
+    check('plural nouns', describeNotification('gmail', 'create', 2), '2 emails created');
+    check('multi-word verbs', describeNotification('snooze', 'resurface', 1, 'Call Sam'), 'Snoozed item back in your inbox: Call Sam');
+    check('unknown source', describeNotification('jira', 'update', 3), '3 jira items updated');
+    check('unknown action', describeNotification('github', 'reopen', 1), 'GitHub item reopen');
+
+    // Payloads
+    const id = '64b000000000000000000001';
+    const validates = (payload, body) => !payload.validate(body).error;
+    check('mark some as read', validates(MarkNotificationsReadPayload, { ids: [id] }), true);
+    check('mark all of a source as read', validates(MarkNotificationsReadPayload, { all: true, source: 'linear' }), true);
+    check('ids and all together', validates(MarkNotificationsReadPayload, { ids: [id], all: true }), false);
+    check('neither ids nor all', validates(MarkNotificationsReadPayload, { source: 'linear' }), false);
+    check('all: false', validates(MarkNotificationsReadPayload, { all: false }), false);
+    check('invalid id', validates(MarkNotificationsReadPayload, { ids: ['nope'] }), false);
+    check('mute sources', validates(NotificationSettingsPayload, { mutedSources: ['linear', 'gmail'] }), true);
+    check('unmute everything', validates(NotificationSettingsPayload, { mutedSources: [] }), true);
+    check('duplicate sources', validates(NotificationSettingsPayload, { mutedSources: ['linear', 'linear'] }), false);
+    check('muted sources are required', validates(NotificationSettingsPayload, {}), false);
+
+    return finish();
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    testNotifications()
+        .then(success => {
+            process.exit(success ? 0 : 1);
+        })
+        .catch(error => {
+            console.error('Test execution failed:', error);
+            process.exit(1);
+        });
+}
+
+export { testNotifications };
@@ -0,0 +1,300 @@
+import { Types } from "mongoose";
+
+/**
+ * Cursor pagination for list endpoints
+ *
+ * Lists are sorted by their own keys plus `_id`, so every document has a unique
+ * position. The cursor holds the sort values of the last document of a page and the
+ * next page continues strictly after them, which stays correct when documents are
+ * added or removed between requests.
+ */
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const MAX_FIELDS = 30;
+const FIELD_PATTERN = /^[a-zA-Z_]\w*(\.\w+)*$/;
+
+const paginationError = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+/**
+ * Reads `limit`, `after` and `fields` from a request query. Without `limit` or `after`
+ * the whole list is returned, as before pagination existed.
+ * @param {Object} query - req.query
+ * @returns {Object} - { limit, after, fields }
+ */
+const getPageOptions = (query = {}) => {
+    const page = {};
+
+    if (query.limit !== undefined) {
+        const limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+            throw paginationError(`limit must be a whole number between 1 and ${MAX_LIMIT}`);
+        }
+        page.limit = limit;
+    }
+
+    if (query.after !== undefined) {
+        if (typeof query.after !== "string" || !query.after) {
+            throw paginationError("Invalid cursor");
+        }
+        page.after = query.after;
+        page.limit = page.limit || DEFAULT_LIMIT;
+    }
+
+    if (query.fields !== undefined) {
+        const list = typeof query.fields === "string" ? query.fields.split(",") : query.fields;
+        const fields = Array.isArray(list)
+            ? list.map(field => String(field).trim()).filter(Boolean)
+            : [];
+        if (!fields.length || fields.length > MAX_FIELDS || fields.some(field => !FIELD_PATTERN.test(field))) {
+            throw paginationError(`fields must be a comma-separated list of up to ${MAX_FIELDS} field names`);
+        }
+        page.fields = fields;
+    }
+
+    return page;
+};
+
+// Sort entries with `_id` appended as the tie-breaker
+const toSortEntries = (sort) => {
+    const entries = [];
+    for (const key in sort) {
+        entries.push([key, sort[key] === -1 || sort[key] === "desc" ? -1 : 1]);
+    }
+    if (!entries.some(([key]) => key === "_id")) {
+        entries.push(["_id", entries.length ? entries[entries.length - 1][1] : -1]);
+    }
+    return entries;
+};
+
+const getValue = (doc, path) => {
+    const value = typeof doc.get === "function"
+        ? doc.get(path)
+        : path.split(".").reduce((current, key) => current?.[key], doc);
+    return value === undefined ? null : value;
+};
+
+const encodeValue = (value) => {
+    if (value instanceof Date) {
+        return { d: value.toISOString() };
+    }
+    if (value instanceof Types.ObjectId) {
+        return { o: value.toString() };
+    }
+    return value;
+};
+
+// Only plain values come back out of a cursor, never query operators
+const decodeValue = (value) => {
+    if (value === null || ["string", "number", "boolean"].includes(typeof value)) {
+        return value;
+    }
+    if (typeof value?.d === "string" && !isNaN(Date.parse(value.d))) {
+        return new Date(value.d);
+    }
+    if (typeof value?.o === "string" && /^[a-f\d]{24}$/i.test(value.o)) {
+        return new Types.ObjectId(value.o);
+    }
+    throw paginationError("Invalid cursor");
+};
+
+const encodeCursor = (entries, doc) => Buffer.from(JSON.stringify({
+    k: entries.map(([key]) => key),
+    v: entries.map(([key]) => encodeValue(getValue(doc, key)))
+})).toString("base64url");
+
+const decodeCursor = (cursor, entries) => {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, "base64url").toString("utf-8"));
+    } catch (error) {
+        throw paginationError("Invalid cursor");
+    }
+    const keys = entries.map(([key]) => key);
+    if (!decoded || JSON.stringify(decoded.k) !== JSON.stringify(keys) || decoded.v?.length !== keys.length) {
+        throw paginationError("Cursor does not belong to this list");
+    }
+    return decoded.v.map(decodeValue);
+};
+
+/**
+ * Builds the condition for documents sorted after the given values. MongoDB sorts
+ * missing values first in ascending order and last in descending order.
+ */
+const buildAfterQuery = (entries, values) => {
+    const clauses = [];
+
+    entries.forEach(([key, direction], index) => {
+        const equal = {};
+        entries.slice(0, index).forEach(([previous], position) => {
+            equal[previous] = values[position];
+        });
+
+        const value = values[index];
+        if (value === null) {
+            if (direction === 1) {
+                clauses.push({ ...equal, [key]: { $ne: null } });
+            }
+            return;
+        }
+        clauses.push({ ...equal, [key]: { [direction === 1 ? "$gt" : "$lt"]: value } });
+        if (direction === -1 && key !== "_id") {
+            clauses.push({ ...equal, [key]: null });
+        }
+    });
+
+    return { $or: clauses };
+};
+
+/**
+ * Checks that requested fields exist on a model and are not hidden with `select: false`
+ * (e.g. `searchText`), so `fields` cannot reveal more than a plain list does.
+ * Anything under a Mixed path, such as `metadata.url`, is allowed.
+ * @param {Schema} schema - Schema of the listed model
+ * @param {Array} fields - Fields from getPageOptions
+ */
+const checkSelectableFields = (schema, fields) => {
+    const hidden = [];
+    schema.eachPath((path, schemaType) => {
+        if (schemaType.options?.select === false) {
+            hidden.push(path);
+        }
+    });
+
+    const isKnown = (field) => {
+        const keys = field.split(".");
+        for (let index = 1; index <= keys.length; index++) {
+            const path = keys.slice(0, index).join(".");
+            const type = schema.pathType(path);
+            if (type === "real") {
+                // Mixed values, arrays and subdocuments are returned whole, so any key below them is fine
+                const schemaType = schema.path(path);
+                return index === keys.length || ["Mixed", "Array", "Embedded"].includes(schemaType.instance) || Boolean(schemaType.schema);
+            }
+            if (type !== "nested" && type !== "virtual") {
+                return false;
+            }
+        }
+        return true;
+    };
+
+    const refused = fields.filter(field => !isKnown(field) || hidden.some(path =>
+        field === path || field.startsWith(`${path}.`) || path.startsWith(`${field}.`)
+    ));
+    if (refused.length) {
+        throw paginationError(`Unknown fields: ${refused.join(", ")}`);
+    }
+};
+
+/**
+ * Fetches one page of a list
+ * @param {Model} Model - Mongoose model to query
+ * @param {Object} filter - Query filter
+ * @param {Object} options
+ * @param {Object} options.sort - Sort keys; `_id` is added as the tie-breaker
+ * @param {Number} options.limit - Page size; all documents when omitted
+ * @param {String} options.after - `nextCursor` of the previous page
+ * @param {Array} options.fields - Fields to return; `_id` and the sort keys are always included
+ * @param {*} options.populate - Passed to Query.populate
+ * @returns {Promise<Object>} - { items, total, nextCursor }
+ */
+const paginate = async (Model, filter, { sort = { createdAt: -1 }, limit, after, fields, populate } = {}) => {
+    const entries = toSortEntries(sort);
+    const query = after
+        ? { $and: [filter, buildAfterQuery(entries, decodeCursor(after, entries))] }
+        : filter;
+
+    if (fields) {
+        checkSelectableFields(Model.schema, fields);
+    }
+
+    const find = Model.find(query).sort(entries.reduce((result, [key, direction]) => ({ ...result, [key]: direction }), {}));
+    if (fields) {
+        find.select([...new Set([...fields, ...entries.map(([key]) => key)])].join(" "));
+    }
+    if (populate) {
+        find.populate(populate);
+    }
+    if (limit) {
+        find.limit(limit + 1);
+    }
+
+    const [items, total] = await Promise.all([
+        find,
+        Model.countDocuments(filter)
+    ]);
+
+    let nextCursor = null;
+    if (limit && items.length > limit) {
+        items.length = limit;
+        nextCursor = encodeCursor(entries, items[limit - 1]);
+    }
+
+    return { items, total, nextCursor };
+};
+
+const pickFields = (doc, fields) => {
+    const source = typeof doc.toObject === "function" ? doc.toObject() : doc;
+    const picked = { _id: source._id };
+    for (const field of fields) {
+        const value = getValue(source, field);
+        const keys = field.split(".");
+        let target = picked;
+        keys.slice(0, -1).forEach(key => {
+            target[key] = target[key] || {};
+            target = target[key];
+        });
+        target[keys[keys.length - 1]] = value;
+    }
+    return picked;
+};
+
+/**
+ * Pages through a list that was already fetched and sorted in memory
+ * @param {Array} list - Documents with an `_id`
+ * @param {Object} options - { limit, after, fields } from getPageOptions
+ * @returns {Object} - { items, total, nextCursor }
+ */
+const paginateList = (list, { limit, after, fields } = {}) => {
+    let start = 0;
+    if (after) {
+        const [id] = decodeCursor(after, [["_id", 1]]);
+        const index = list.findIndex(doc => String(doc._id) === String(id));
+        if (index === -1) {
+            throw paginationError("Cursor does not belong to this list");
+        }
+        start = index + 1;
+    }
+
+    const page = limit ? list.slice(start, start + limit) : list.slice(start);
+    const hasMore = Boolean(limit) && start + limit < list.length;
+
+    return {
+        items: fields ? page.map(doc => pickFields(doc, fields)) : page,
+        total: list.length,
+        nextCursor: hasMore ? encodeCursor([["_id", 1]], page[page.length - 1]) : null
+    };
+};
+
+/**
+ * Sets the `X-Total-Count` and `X-Next-Cursor` headers of a list response
+ */
+const setPageHeaders = (res, { total, nextCursor }) => {
+    res.set("X-Total-Count", String(total));
+    if (nextCursor) {
+        res.set("X-Next-Cursor", nextCursor);
+    }
+};
+
+export {
+    MAX_LIMIT,
+    getPageOptions,
+    checkSelectableFields,
+    paginate,
+    paginateList,
+    setPageHeaders
+};
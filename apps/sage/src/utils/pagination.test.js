@@ -0,0 +1,73 @@
+/**
+ * Test suite for list pagination
+ */
+import { Schema } from 'mongoose';
+import { MAX_LIMIT, getPageOptions, checkSelectableFields, paginateList } from './pagination.service.js';
+import { createSuite } from './test-suite.js';
+
+async function testPagination() {
+    console.log('🧪 Testing Pagination Service...\n');
+
+    const { check, rejects, finish } = createSuite();
+
+    // Request options
+    check('no options returns the whole list', getPageOptions({}), {});
+    check('limit', getPageOptions({ limit: '20' }), { limit: 20 });
+    check('cursor gets the default page size', getPageOptions({ after: 'abc' }), { after: 'abc', limit: 50 });
+    check('fields', getPageOptions({ fields: 'title, status,due.date' }), { fields: ['title', 'status', 'due.date'] });
+    rejects('limit above the maximum', () => getPageOptions({ limit: String(MAX_LIMIT + 1) }));
+    rejects('limit that is not a number', () => getPageOptions({ limit: 'ten' }));
+    rejects('empty cursor', () => getPageOptions({ after: '' }));
+    rejects('field with operators', () => getPageOptions({ fields: '$where' }));
+
+    // Selectable fields
+    const schema = new Schema({
+        title: String,
+        searchText: { type: String, select: false },
+        metadata: { type: Schema.Types.Mixed },
+        due: { date: Date, string: String },
+        labels: [{ type: Schema.Types.ObjectId }]
+    });
+    const selects = (fields) => {
+        try {
+            checkSelectableFields(schema, fields);
+            return true;
+        } catch (error) {
+            return error.statusCode;
+        }
+    };
+    check('schema fields', selects(['title', 'labels', 'due']), true);
+    check('nested field', selects(['due.date']), true);
+    check('keys under a Mixed field', selects(['metadata.url']), true);
+    check('hidden field is refused', selects(['title', 'searchText']), 400);
+    check('unknown field is refused', selects(['password']), 400);
+    check('keys under a plain field are refused', selects(['title.length']), 400);
+
+    // In-memory lists
+    const list = ['a', 'b', 'c', 'd', 'e'].map((title, index) => ({ _id: `64b00000000000000000000${index}`, title, status: 'todo' }));
+    const first = paginateList(list, { limit: 2 });
+    check('first page', first.items.map(item => item.title), ['a', 'b']);
+    check('total', first.total, 5);
+    const second = paginateList(list, { limit: 2, after: first.nextCursor });
+    check('next page continues after the cursor', second.items.map(item => item.title), ['c', 'd']);
+    const last = paginateList(list, { limit: 2, after: second.nextCursor });
+    check('last page has no cursor', [last.items.map(item => item.title), last.nextCursor], [['e'], null]);
+    check('picked fields keep the id', paginateList(list, { fields: ['title'] }).items[0], { _id: list[0]._id, title: 'a' });
+    rejects('cursor from another list', () => paginateList(list.slice(0, 2), { limit: 2, after: second.nextCursor }));
+
+    return finish();
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    testPagination()
+        .then(success => {
+            process.exit(success ? 0 : 1);
+        })
+        .catch(error => {
+            console.error('Test execution failed:', error);
+            process.exit(1);
+        });
+}
+
+export { testPagination };
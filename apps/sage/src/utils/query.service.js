@@ -1,3 +1,7 @@
+import { buildFilterQuery, isFilterQuery } from "./filter-query.service.js";
+import { buildObjectFilter } from "../services/lib/object.service.js";
+import { User } from "../models/core/user.model.js";
+
 const INTENTS = {
     SEARCH: 'search',
     CREATE: 'create',
@@ -99,6 +103,17 @@ export class QueryUnderstanding {
             return this.searchCache.get(cacheKey);
         }
 
+        // Queries typed in the filter language (e.g. "status:todo due:<7d") need no model
+        if (isFilterQuery(query)) {
+            return this.processAnalysis({
+                intent: { primary: INTENTS.SEARCH, confidence: 1, action: 'filter' },
+                entities: {},
+                parameters: {},
+                context: {},
+                filterQuery: query
+            }, query, userId);
+        }
+
         try {
             const analysisPrompt = `
             Analyze this user query: "${query}"
@@ -230,17 +245,38 @@ export class QueryUnderstanding {
         }
     }
 
+    /**
+     * Writes the entities of an analysis in the filter query language, so AI searches
+     * compile through the same parser as filters typed by the user
+     * @param {Object} entities - Entities extracted by analyzeQuery
+     * @returns {String}
+     */
+    toFilterQuery (entities = {}) {
+        const list = (values) => [].concat(values || []).filter(value => typeof value === 'string' && value.trim());
+        const timeRanges = Object.values(SEARCH_PARAMS.TIME_RANGES);
+        const dueDate = entities.dueDate ? new Date(entities.dueDate) : null;
+
+        return [
+            buildFilterQuery({
+                source: list(entities.source).map(source => this.validateSource(source)).filter(Boolean),
+                type: list(entities.type).map(type => this.validateType(type)),
+                status: list(entities.status).map(status => this.validateStatus(status)),
+                due: list(entities.timeRange).map(range => range.toLowerCase()).filter(range => timeRanges.includes(range)),
+                label: list(entities.labels),
+                priority: this.validatePriority(entities.priority) || []
+            }),
+            dueDate && !isNaN(dueDate.getTime()) ? `due:${dueDate.toISOString().slice(0, 10)}` : ''
+        ].filter(Boolean).join(' ');
+    }
+
     async handleSearchIntent (analysis, context) {
+        const filterQuery = analysis.filterQuery || this.toFilterQuery(analysis.entities);
+        const user = await User.findById(context.userId).select('timezone');
+
         const searchParams = {
-            filters: {
-                ...this.buildSourceFilters(analysis.entities.source),
-                ...this.buildTypeFilters(analysis.entities.type),
-                ...this.buildStatusFilters(analysis.entities.status),
-                ...this.buildTimeFilters(analysis.entities.timeRange),
-                ...this.buildDueDateFilter(analysis.entities.dueDate),
-                ...this.buildPriorityFilter(analysis.entities.priority),
-                ...this.buildLabelFilters(analysis.entities.labels)
-            },
+            filterQuery,
+            // Search results are checked against this query, the one typed filters use
+            query: await buildObjectFilter(context.userId, filterQuery, { timezone: user?.timezone }),
             userId: context.userId,
             sortBy: analysis.parameters.sortBy || SEARCH_PARAMS.SORT_OPTIONS.RELEVANCE,
             limit: analysis.parameters.limit || 10
@@ -261,21 +297,17 @@ export class QueryUnderstanding {
     async handlePrioritizationIntent (analysis, context) {
         const criteria = analysis.entities.prioritizationCriteria || ['importance', 'urgency', 'due date'];
 
-        const taskFilters = {
-            status: { $ne: 'done' },
-            userId: context.userId,
-            ...this.buildSourceFilters(analysis.entities.source),
-            ...this.buildTypeFilters(analysis.entities.type),
-            ...this.buildTimeFilters(analysis.entities.timeRange),
-            ...this.buildLabelFilters(analysis.entities.labels)
-        };
+        // Open tasks only, written in the filter language like searches
+        const filterQuery = [this.toFilterQuery(analysis.entities), '-status:done'].filter(Boolean).join(' ');
+        const user = await User.findById(context.userId).select('timezone');
 
         const prioritizationPrompt = await this.buildPrioritizationPrompt(criteria, context);
 
         return {
             type: 'prioritization',
             parameters: {
-                filters: taskFilters,
+                filterQuery,
+                query: await buildObjectFilter(context.userId, filterQuery, { timezone: user?.timezone }),
                 criteria,
                 prompt: prioritizationPrompt,
                 userId: context.userId
@@ -287,198 +319,6 @@ export class QueryUnderstanding {
         };
     }
 
-    buildSourceFilters (sources) {
-        if (!sources || sources.length === 0) return {};
-
-        // Validate all sources
-        const validSources = sources
-            .map(source => this.validateSource(source))
-            .filter(source => source !== null);
-
-        if (validSources.length === 0) return {};
-
-        return {
-            source: { $in: validSources }
-        };
-    }
-
-    buildTypeFilters (types) {
-        if (!types || types.length === 0) return {};
-
-        // Validate all types
-        const validTypes = types
-            .map(type => this.validateType(type))
-            .filter(type => type !== null);
-
-        if (validTypes.length === 0) return {};
-
-        return {
-            type: { $in: validTypes }
-        };
-    }
-
-    buildStatusFilters (statuses) {
-        if (!statuses || statuses.length === 0) return {};
-
-        // Validate all statuses
-        const validStatuses = statuses
-            .map(status => this.validateStatus(status))
-            .filter(status => status !== null);
-
-        if (validStatuses.length === 0) return {};
-
-        return {
-            status: { $in: validStatuses }
-        };
-    }
-
-    buildPriorityFilter (priority) {
-        if (!priority || priority.length === 0) return {};
-
-        const validPriority = this.validatePriority(priority);
-        if (!validPriority) return {};
-
-        return { priority: validPriority };
-    }
-
-    // TODO: Need improvment
-    buildLabelFilters (labels) {
-        if (!labels || labels.length === 0) return {};
-
-        return { labels: { $in: labels } };
-    }
-
-    buildDueDateFilter (dueDate) {
-        if (!dueDate) return {};
-
-        // Handle specific due date (assuming ISO format)
-        try {
-            const date = new Date(dueDate);
-            if (!isNaN(date.getTime())) {
-                const startOfDay = new Date(date.setHours(0, 0, 0, 0));
-                const endOfDay = new Date(date.setHours(23, 59, 59, 999));
-
-                return {
-                    dueDate: {
-                        $gte: startOfDay.toISOString(),
-                        $lte: endOfDay.toISOString()
-                    }
-                };
-            }
-        } catch (e) {
-            console.warn("Invalid due date format:", dueDate);
-        }
-
-        return {};
-    }
-
-    buildTimeFilters (timeRanges) {
-        if (!timeRanges || timeRanges.length === 0) return {};
-
-        const now = new Date();
-        const timeFilters = { $or: [] };
-
-        const today = new Date();
-        const startOfDay = new Date(today.setHours(0, 0, 0, 0));
-        const endOfDay = new Date(today.setHours(23, 59, 59, 999));
-
-        timeRanges.forEach(range => {
-            const filter = {};
-
-            switch (range.toLowerCase()) {
-            case SEARCH_PARAMS.TIME_RANGES.TODAY:
-                filter.dueDate = {
-                    $gte: startOfDay,
-                    $lt: endOfDay
-                };
-                break;
-            case SEARCH_PARAMS.TIME_RANGES.YESTERDAY:
-                // eslint-disable-next-line no-case-declarations
-                const yesterdayStart = new Date(now);
-                yesterdayStart.setDate(now.getDate() - 1);
-                yesterdayStart.setHours(0, 0, 0, 0);
-                // eslint-disable-next-line no-case-declarations
-                const yesterdayEnd = new Date(now);
-                yesterdayEnd.setDate(now.getDate() - 1);
-                yesterdayEnd.setHours(23, 59, 59, 999);
-
-                filter.dueDate = {
-                    $gte: yesterdayStart.toISOString(),
-                    $lte: yesterdayEnd.toISOString()
-                };
-                break;
-
-            case SEARCH_PARAMS.TIME_RANGES.THIS_WEEK:
-                // eslint-disable-next-line no-case-declarations
-                const weekStart = new Date(now);
-                weekStart.setDate(now.getDate() - now.getDay());
-                weekStart.setHours(0, 0, 0, 0);
-                // eslint-disable-next-line no-case-declarations
-                const weekEnd = new Date(now);
-                weekEnd.setDate(weekStart.getDate() + 6);
-                weekEnd.setHours(23, 59, 59, 999);
-
-                filter.dueDate = {
-                    $gte: weekStart.toISOString(),
-                    $lte: weekEnd.toISOString()
-                };
-                break;
-
-            case SEARCH_PARAMS.TIME_RANGES.NEXT_WEEK:
-                // eslint-disable-next-line no-case-declarations
-                const nextWeekStart = new Date(now);
-                nextWeekStart.setDate(now.getDate() - now.getDay() + 7);
-                nextWeekStart.setHours(0, 0, 0, 0);
-                // eslint-disable-next-line no-case-declarations
-                const nextWeekEnd = new Date(now);
-                nextWeekEnd.setDate(nextWeekStart.getDate() + 6);
-                nextWeekEnd.setHours(23, 59, 59, 999);
-
-                filter.dueDate = {
-                    $gte: nextWeekStart.toISOString(),
-                    $lte: nextWeekEnd.toISOString()
-                };
-                break;
-
-            case SEARCH_PARAMS.TIME_RANGES.THIS_MONTH:
-                // eslint-disable-next-line no-case-declarations
-                const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-                // eslint-disable-next-line no-case-declarations
-                const monthEnd = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59, 999);
-
-                filter.dueDate = {
-                    $gte: monthStart.toISOString(),
-                    $lte: monthEnd.toISOString()
-                };
-                break;
-
-            case SEARCH_PARAMS.TIME_RANGES.NEXT_MONTH:
-                // eslint-disable-next-line no-case-declarations
-                const nextMonthStart = new Date(now.getFullYear(), now.getMonth() + 1, 1);
-                // eslint-disable-next-line no-case-declarations
-                const nextMonthEnd = new Date(now.getFullYear(), now.getMonth() + 2, 0, 23, 59, 59, 999);
-
-                filter.dueDate = {
-                    $gte: nextMonthStart.toISOString(),
-                    $lte: nextMonthEnd.toISOString()
-                };
-                break;
-
-            case SEARCH_PARAMS.TIME_RANGES.OVERDUE:
-                filter.dueDate = { $lt: now.toISOString() };
-                filter.isCompleted = false;
-                break;
-            }
-
-            if (Object.keys(filter).length > 0) {
-                timeFilters.$or.push(filter);
-            }
-        });
-
-        // If no valid time ranges were found, return empty object
-        return timeFilters.$or.length > 0 ? timeFilters : {};
-    }
-
     async buildPrioritizationPrompt (criteria, context) {
         const criteriaStr = criteria.join(', ');
 
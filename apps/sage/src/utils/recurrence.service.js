@@ -0,0 +1,463 @@
+import moment from "moment-timezone";
+
+/**
+ * Recurrence rules for objects.
+ *
+ * `due.string` is free text ("every weekday", "every 3 days after completion",
+ * "monthly on the 15th") or a raw RRULE. Both are parsed into the same rule
+ * shape, which maps 1:1 onto RFC 5545 RRULE parts:
+ *
+ *   { freq, interval, byDay, byMonthDay, until, count, afterCompletion }
+ *
+ * `afterCompletion` has no RRULE equivalent and is kept alongside the rule.
+ */
+
+const WEEKDAY_CODES = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const WORKWEEK = ["MO", "TU", "WE", "TH", "FR"];
+const WEEKEND = ["SA", "SU"];
+
+const WEEKDAY_NAMES = {
+    sunday: "SU",
+    sun: "SU",
+    monday: "MO",
+    mon: "MO",
+    tuesday: "TU",
+    tue: "TU",
+    tues: "TU",
+    wednesday: "WE",
+    wed: "WE",
+    thursday: "TH",
+    thu: "TH",
+    thur: "TH",
+    thurs: "TH",
+    friday: "FR",
+    fri: "FR",
+    saturday: "SA",
+    sat: "SA"
+};
+
+const UNIT_FREQUENCIES = {
+    day: "DAILY",
+    week: "WEEKLY",
+    month: "MONTHLY",
+    year: "YEARLY"
+};
+
+const ADVERB_FREQUENCIES = {
+    daily: "DAILY",
+    weekly: "WEEKLY",
+    monthly: "MONTHLY",
+    yearly: "YEARLY",
+    annually: "YEARLY"
+};
+
+const ORDINALS = {
+    first: 1,
+    "1st": 1,
+    second: 2,
+    "2nd": 2,
+    third: 3,
+    "3rd": 3,
+    fourth: 4,
+    "4th": 4,
+    last: -1
+};
+
+// Upper bound on candidate periods scanned when looking for the next match
+const MAX_PERIODS = 400;
+
+const createRule = (freq, overrides = {}) => ({
+    freq,
+    interval: 1,
+    byDay: [],
+    byMonthDay: [],
+    until: null,
+    count: null,
+    afterCompletion: false,
+    ...overrides
+});
+
+const parseDayList = (text) => {
+    const tokens = text
+        .split(/,|\band\b|&|\s+/)
+        .map(token => token.trim())
+        .filter(Boolean);
+
+    if (!tokens.length) {
+        return null;
+    }
+
+    const days = [];
+    for (const token of tokens) {
+        if (/^(weekday|workday)s?$/.test(token)) {
+            days.push(...WORKWEEK);
+        } else if (/^weekends?$/.test(token)) {
+            days.push(...WEEKEND);
+        } else {
+            const code = WEEKDAY_NAMES[token.replace(/s$/, "")] || WEEKDAY_NAMES[token];
+            if (!code) {
+                return null;
+            }
+            days.push(code);
+        }
+    }
+
+    return [...new Set(days)];
+};
+
+const parseMonthDays = (text) => {
+    if (/^last( day)?$/.test(text)) {
+        return [-1];
+    }
+
+    const tokens = text
+        .split(/,|\band\b|&|\s+/)
+        .map(token => token.trim())
+        .filter(Boolean);
+
+    const days = [];
+    for (const token of tokens) {
+        const match = token.match(/^(\d{1,2})(st|nd|rd|th)?$/);
+        if (!match) {
+            return null;
+        }
+        const day = parseInt(match[1], 10);
+        if (day < 1 || day > 31) {
+            return null;
+        }
+        days.push(day);
+    }
+
+    return days.length ? [...new Set(days)].sort((a, b) => a - b) : null;
+};
+
+const parseOrdinalDay = (text) => {
+    const match = text.match(/^(first|1st|second|2nd|third|3rd|fourth|4th|last)\s+([a-z]+)$/);
+    if (!match) {
+        return null;
+    }
+    const code = WEEKDAY_NAMES[match[2]];
+    if (!code) {
+        return null;
+    }
+    return [`${ORDINALS[match[1]]}${code}`];
+};
+
+// Applies the "on ..." part of a phrase ("on weekdays", "on the 15th", "on the last friday")
+const applyModifier = (rule, modifier) => {
+    const text = modifier.replace(/^on\s+/, "").replace(/^the\s+/, "").trim();
+    if (!text) {
+        return rule;
+    }
+
+    const ordinalDay = parseOrdinalDay(text);
+    if (ordinalDay) {
+        return { ...rule, freq: rule.freq === "WEEKLY" ? "MONTHLY" : rule.freq, byDay: ordinalDay };
+    }
+
+    const days = parseDayList(text);
+    if (days) {
+        return { ...rule, freq: rule.freq === "DAILY" ? "WEEKLY" : rule.freq, byDay: days };
+    }
+
+    const monthDays = parseMonthDays(text);
+    if (monthDays) {
+        return { ...rule, freq: rule.freq === "YEARLY" ? "YEARLY" : "MONTHLY", byMonthDay: monthDays };
+    }
+
+    return null;
+};
+
+/**
+ * Parses an RRULE ("RRULE:FREQ=WEEKLY;BYDAY=MO,WE" or the bare part list)
+ * @param {String} text - The RRULE text
+ * @returns {Object|null} - The rule, or null if it is not a supported RRULE
+ */
+const parseRRule = (text) => {
+    const parts = text.trim().replace(/^rrule:/i, "").split(";");
+    const values = {};
+
+    for (const part of parts) {
+        const [key, value] = part.split("=");
+        if (key && value) {
+            values[key.trim().toUpperCase()] = value.trim().toUpperCase();
+        }
+    }
+
+    if (!["DAILY", "WEEKLY", "MONTHLY", "YEARLY"].includes(values.FREQ)) {
+        return null;
+    }
+
+    const interval = values.INTERVAL ? parseInt(values.INTERVAL, 10) : 1;
+    const byDay = values.BYDAY ? values.BYDAY.split(",").filter(day => /^(-?\d)?(SU|MO|TU|WE|TH|FR|SA)$/.test(day)) : [];
+    const byMonthDay = values.BYMONTHDAY
+        ? values.BYMONTHDAY.split(",").map(day => parseInt(day, 10)).filter(day => day && day >= -31 && day <= 31)
+        : [];
+
+    let until = null;
+    if (values.UNTIL) {
+        const parsed = moment.utc(values.UNTIL, ["YYYYMMDD[T]HHmmss[Z]", "YYYYMMDD"], true);
+        until = parsed.isValid() ? parsed.toDate() : null;
+    }
+
+    return createRule(values.FREQ, {
+        interval: interval > 0 ? interval : 1,
+        byDay,
+        byMonthDay,
+        until,
+        count: values.COUNT ? parseInt(values.COUNT, 10) || null : null
+    });
+};
+
+/**
+ * Parses a recurrence phrase or RRULE into a rule
+ * @param {String|null} text - The free-text `due.string` or an RRULE
+ * @returns {Object|null} - The rule, or null when the text does not describe a recurrence
+ */
+const parseRecurrence = (text) => {
+    if (!text || typeof text !== "string") {
+        return null;
+    }
+
+    if (/^rrule:|(^|;)freq=/i.test(text.trim())) {
+        return parseRRule(text);
+    }
+
+    let phrase = text.trim().toLowerCase().replace(/\s+/g, " ");
+
+    let afterCompletion = false;
+    if (/^every!/.test(phrase)) {
+        afterCompletion = true;
+        phrase = phrase.replace(/^every!/, "every");
+    }
+    if (/\bafter (completion|completed|done|completing)\b/.test(phrase)) {
+        afterCompletion = true;
+        phrase = phrase.replace(/\s*\bafter (completion|completed|done|completing)\b/, "");
+    }
+
+    // Time of day is carried by `due.date`, not by the rule
+    phrase = phrase.replace(/\s+at\s+\d{1,2}(:\d{2})?\s*(am|pm)?$/, "").trim();
+
+    let rule = null;
+    let match;
+
+    if ((match = phrase.match(/^(daily|weekly|monthly|yearly|annually)\b(.*)$/))) {
+        rule = applyModifier(createRule(ADVERB_FREQUENCIES[match[1]]), match[2].trim());
+    } else if ((match = phrase.match(/^every (other |(\d+) )?(day|week|month|year)s?\b(.*)$/))) {
+        const interval = match[1] === "other " ? 2 : parseInt(match[2] || "1", 10);
+        rule = applyModifier(createRule(UNIT_FREQUENCIES[match[3]], { interval }), match[4].trim());
+    } else if ((match = phrase.match(/^every (.+)$/))) {
+        const rest = match[1].replace(/^the /, "");
+        const ordinalDay = parseOrdinalDay(rest.replace(/ of (the|every) month$/, ""));
+        const days = parseDayList(rest);
+        const monthDays = parseMonthDays(rest.replace(/ of (the|every) month$/, "").replace(/ day$/, ""));
+
+        if (ordinalDay) {
+            rule = createRule("MONTHLY", { byDay: ordinalDay });
+        } else if (days) {
+            rule = createRule("WEEKLY", { byDay: days });
+        } else if (monthDays && /\d(st|nd|rd|th)|last/.test(rest)) {
+            rule = createRule("MONTHLY", { byMonthDay: monthDays });
+        }
+    }
+
+    if (!rule || !rule.interval) {
+        return null;
+    }
+
+    return { ...rule, afterCompletion };
+};
+
+/**
+ * Serializes a rule as an RRULE string
+ * @param {Object} rule - A rule produced by parseRecurrence
+ * @returns {String} - e.g. "RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE"
+ */
+const toRRule = (rule) => {
+    const parts = [`FREQ=${rule.freq}`];
+
+    if (rule.interval && rule.interval !== 1) {
+        parts.push(`INTERVAL=${rule.interval}`);
+    }
+    if (rule.byDay?.length) {
+        parts.push(`BYDAY=${rule.byDay.join(",")}`);
+    }
+    if (rule.byMonthDay?.length) {
+        parts.push(`BYMONTHDAY=${rule.byMonthDay.join(",")}`);
+    }
+    if (rule.count) {
+        parts.push(`COUNT=${rule.count}`);
+    }
+    if (rule.until) {
+        parts.push(`UNTIL=${moment.utc(rule.until).format("YYYYMMDD[T]HHmmss[Z]")}`);
+    }
+
+    return `RRULE:${parts.join(";")}`;
+};
+
+const atTimeOf = (day, start) => day.clone().set({
+    hour: start.hour(),
+    minute: start.minute(),
+    second: start.second(),
+    millisecond: start.millisecond()
+});
+
+// Resolves a BYDAY entry with an ordinal ("2TU", "-1FR") to a day of the given month
+const nthWeekdayOfMonth = (month, entry) => {
+    const [, ordinal, code] = entry.match(/^(-?\d)?([A-Z]{2})$/);
+    const weekday = WEEKDAY_CODES.indexOf(code);
+    const n = parseInt(ordinal || "1", 10);
+
+    if (n > 0) {
+        const first = month.clone().startOf("month");
+        const offset = (weekday - first.day() + 7) % 7;
+        const day = first.add(offset + (n - 1) * 7, "days");
+        return day.month() === month.month() ? day : null;
+    }
+
+    const last = month.clone().endOf("month").startOf("day");
+    const offset = (last.day() - weekday + 7) % 7;
+    const day = last.subtract(offset + (-n - 1) * 7, "days");
+    return day.month() === month.month() ? day : null;
+};
+
+const monthCandidates = (rule, month, start) => {
+    if (rule.byDay.length) {
+        return rule.byDay
+            .map(entry => nthWeekdayOfMonth(month, entry))
+            .filter(Boolean);
+    }
+
+    const daysInMonth = month.daysInMonth();
+    const monthDays = rule.byMonthDay.length ? rule.byMonthDay : [start.date()];
+
+    return monthDays.map(day => {
+        // Clamp so "the 31st" still fires in shorter months
+        const date = day < 0 ? daysInMonth + day + 1 : Math.min(day, daysInMonth);
+        return month.clone().date(Math.max(date, 1));
+    });
+};
+
+const firstAfter = (candidates, start, from) => candidates
+    .map(day => atTimeOf(day, start))
+    .filter(day => day.isSameOrAfter(start) && day.isAfter(from))
+    .sort((a, b) => a.valueOf() - b.valueOf())[0] || null;
+
+/**
+ * Finds the first occurrence of a rule strictly after a point in time
+ * @param {Object} rule - A rule produced by parseRecurrence
+ * @param {Date|String} after - Occurrences at or before this instant are skipped
+ * @param {Object} options
+ * @param {Date|String} options.anchor - The first occurrence of the series (DTSTART)
+ * @param {String} options.timezone - IANA timezone the series is evaluated in
+ * @returns {Date|null} - The next occurrence, or null once the series has ended
+ */
+const getNextOccurrence = (rule, after, { anchor = after, timezone = "UTC" } = {}) => {
+    const from = moment.tz(after, timezone);
+    const start = moment.tz(anchor, timezone);
+    const interval = rule.interval || 1;
+    let next = null;
+
+    if (rule.freq === "DAILY" || (rule.freq === "WEEKLY" && !rule.byDay.length)) {
+        const step = rule.freq === "DAILY" ? interval : interval * 7;
+        let n = Math.max(0, Math.floor(from.diff(start, "days") / step));
+        next = start.clone().add(n * step, "days");
+        while (!next.isAfter(from)) {
+            n++;
+            next = start.clone().add(n * step, "days");
+        }
+    } else if (rule.freq === "WEEKLY") {
+        const startWeek = start.clone().startOf("isoWeek");
+        const cursor = moment.max(from, start).clone().startOf("day");
+        for (let i = 0; i < 7 * interval + 7 && !next; i++) {
+            const day = cursor.clone().add(i, "days");
+            const week = day.clone().startOf("isoWeek").diff(startWeek, "weeks");
+            if (week % interval === 0 && rule.byDay.includes(WEEKDAY_CODES[day.day()])) {
+                next = firstAfter([day], start, from);
+            }
+        }
+    } else if (rule.freq === "MONTHLY") {
+        const startMonth = start.clone().startOf("month");
+        const skip = Math.max(0, from.clone().startOf("month").diff(startMonth, "months") - interval);
+        for (let k = skip - (skip % interval); k < skip + MAX_PERIODS && !next; k += interval) {
+            const month = startMonth.clone().add(k, "months");
+            next = firstAfter(monthCandidates(rule, month, start), start, from);
+        }
+    } else if (rule.freq === "YEARLY") {
+        const skip = Math.max(0, from.year() - start.year() - interval);
+        for (let k = skip - (skip % interval); k < skip + MAX_PERIODS && !next; k += interval) {
+            const year = start.clone().startOf("year").add(k, "years").month(start.month());
+            const candidates = rule.byMonthDay.length || rule.byDay.length
+                ? monthCandidates(rule, year, start)
+                : [year.clone().date(Math.min(start.date(), year.daysInMonth()))];
+            next = firstAfter(candidates, start, from);
+        }
+    }
+
+    if (!next || (rule.until && next.isAfter(rule.until))) {
+        return null;
+    }
+
+    return next.toDate();
+};
+
+/**
+ * Computes the due date of the instance that follows a completed one.
+ * Fixed schedules skip occurrences that were missed while the item was overdue;
+ * "after completion" schedules count from the completion day.
+ * @param {Object} rule - A rule produced by parseRecurrence
+ * @param {Object} options
+ * @param {Date|String} options.due - Due date of the completed instance
+ * @param {Date|String} options.completedAt - When the instance was completed
+ * @param {String} options.timezone - IANA timezone of the user
+ * @returns {Date|null}
+ */
+const getNextDueDate = (rule, { due, completedAt = new Date(), timezone = "UTC" }) => {
+    const dueAt = moment.tz(due, timezone);
+
+    if (rule.afterCompletion) {
+        const completedDay = atTimeOf(moment.tz(completedAt, timezone).startOf("day"), dueAt);
+        return getNextOccurrence({ ...rule, byDay: rule.freq === "WEEKLY" ? rule.byDay : [] }, completedDay, {
+            anchor: completedDay,
+            timezone
+        });
+    }
+
+    const startOfToday = moment.tz(completedAt, timezone).startOf("day").subtract(1, "millisecond");
+    return getNextOccurrence(rule, moment.max(dueAt, startOfToday), { anchor: due, timezone });
+};
+
+/**
+ * Lists the occurrences of a series within a window
+ * @param {Object} rule - A rule produced by parseRecurrence
+ * @param {Object} options
+ * @param {Date|String} options.anchor - The first occurrence of the series
+ * @param {Date} options.from - Start of the window (inclusive)
+ * @param {Date} options.to - End of the window (inclusive)
+ * @param {String} options.timezone - IANA timezone of the user
+ * @param {Number} options.limit - Maximum number of occurrences to return
+ * @returns {Date[]}
+ */
+const getOccurrences = (rule, { anchor, from, to, timezone = "UTC", limit = 50 }) => {
+    const occurrences = [];
+    let cursor = getNextOccurrence(rule, new Date(new Date(from).getTime() - 1), { anchor, timezone });
+
+    // Later instances of "after completion" series depend on when each one is done
+    const max = rule.afterCompletion ? 1 : limit;
+
+    while (cursor && cursor <= new Date(to) && occurrences.length < max) {
+        occurrences.push(cursor);
+        cursor = getNextOccurrence(rule, cursor, { anchor, timezone });
+    }
+
+    return occurrences;
+};
+
+export {
+    parseRecurrence,
+    parseRRule,
+    toRRule,
+    getNextOccurrence,
+    getNextDueDate,
+    getOccurrences
+};
@@ -0,0 +1,108 @@
+/**
+ * Test suite for the recurrence rule parser and occurrence calculator
+ */
+import { parseRecurrence, toRRule, getNextOccurrence, getNextDueDate, getOccurrences } from './recurrence.service.js';
+import { createSuite } from './test-suite.js';
+
+async function testRecurrence() {
+    console.log('🧪 Testing Recurrence Service...\n');
+
+    const { check, finish } = createSuite();
+
+    // Parsing free text into RRULEs
+    check('daily', toRRule(parseRecurrence('daily')), 'RRULE:FREQ=DAILY');
+    check('every other day', toRRule(parseRecurrence('every other day')), 'RRULE:FREQ=DAILY;INTERVAL=2');
+    check('every weekday', toRRule(parseRecurrence('every weekday')), 'RRULE:FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR');
+    check('weekly on weekdays', toRRule(parseRecurrence('Weekly on weekdays')), 'RRULE:FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR');
+    check('every mon and wed', toRRule(parseRecurrence('every mon and wed')), 'RRULE:FREQ=WEEKLY;BYDAY=MO,WE');
+    check('every 2 weeks on friday', toRRule(parseRecurrence('every 2 weeks on friday')), 'RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=FR');
+    check('monthly on the 15th', toRRule(parseRecurrence('monthly on the 15th')), 'RRULE:FREQ=MONTHLY;BYMONTHDAY=15');
+    check('every month on the last friday', toRRule(parseRecurrence('every month on the last friday')), 'RRULE:FREQ=MONTHLY;BYDAY=-1FR');
+    check('every last day', toRRule(parseRecurrence('every last day of the month')), 'RRULE:FREQ=MONTHLY;BYMONTHDAY=-1');
+    check('every 3 days after completion', parseRecurrence('every 3 days after completion').afterCompletion, true);
+    check('every! 3 days', parseRecurrence('every! 3 days').interval, 3);
+    check('raw RRULE', toRRule(parseRecurrence('RRULE:FREQ=WEEKLY;BYDAY=TU,TH;COUNT=5')), 'RRULE:FREQ=WEEKLY;BYDAY=TU,TH;COUNT=5');
+    check('unparseable text', parseRecurrence('whenever I feel like it'), null);
+    check('empty text', parseRecurrence(null), null);
+
+    // Computing next occurrences
+    const weekdays = parseRecurrence('every weekday');
+    check(
+        'weekday after friday is monday',
+        getNextOccurrence(weekdays, '2026-10-16T09:00:00.000Z', { timezone: 'UTC' }).toISOString(),
+        '2026-10-19T09:00:00.000Z'
+    );
+
+    const monthly = parseRecurrence('monthly on the 31st');
+    check(
+        '31st clamps to end of shorter month',
+        getNextOccurrence(monthly, '2026-10-31T08:00:00.000Z', { timezone: 'UTC' }).toISOString(),
+        '2026-11-30T08:00:00.000Z'
+    );
+
+    const lastFriday = parseRecurrence('every month on the last friday');
+    check(
+        'last friday of next month',
+        getNextOccurrence(lastFriday, '2026-10-30T10:00:00.000Z', { timezone: 'UTC' }).toISOString(),
+        '2026-11-27T10:00:00.000Z'
+    );
+
+    check(
+        'local time is kept across a DST change',
+        getNextOccurrence(parseRecurrence('daily'), '2026-10-24T07:00:00.000Z', { timezone: 'Europe/Berlin' }).toISOString(),
+        '2026-10-25T08:00:00.000Z'
+    );
+
+    check(
+        'fixed schedule skips missed occurrences',
+        getNextDueDate(parseRecurrence('daily'), {
+            due: '2026-10-10T09:00:00.000Z',
+            completedAt: '2026-10-18T15:00:00.000Z',
+            timezone: 'UTC'
+        }).toISOString(),
+        '2026-10-18T09:00:00.000Z'
+    );
+
+    check(
+        'after completion counts from the completion day',
+        getNextDueDate(parseRecurrence('every 3 days after completion'), {
+            due: '2026-10-10T09:00:00.000Z',
+            completedAt: '2026-10-18T15:00:00.000Z',
+            timezone: 'UTC'
+        }).toISOString(),
+        '2026-10-21T09:00:00.000Z'
+    );
+
+    check(
+        'occurrences within a window',
+        getOccurrences(parseRecurrence('every 2 weeks on friday'), {
+            anchor: '2026-10-02T09:00:00.000Z',
+            from: new Date('2026-10-01T00:00:00.000Z'),
+            to: new Date('2026-11-15T00:00:00.000Z'),
+            timezone: 'UTC'
+        }).map(date => date.toISOString().slice(0, 10)),
+        ['2026-10-02', '2026-10-16', '2026-10-30', '2026-11-13']
+    );
+
+    check(
+        'series ends at UNTIL',
+        getNextOccurrence(parseRecurrence('RRULE:FREQ=DAILY;UNTIL=20261020T000000Z'), '2026-10-20T09:00:00.000Z', { timezone: 'UTC' }),
+        null
+    );
+
+    return finish();
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    testRecurrence()
+        .then(success => {
+            process.exit(success ? 0 : 1);
+        })
+        .catch(error => {
+            console.error('Test execution failed:', error);
+            process.exit(1);
+        });
+}
+
+export { testRecurrence };
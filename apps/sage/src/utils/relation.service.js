@@ -0,0 +1,38 @@
+/**
+ * Relations between objects: the one stored form of each relation
+ */
+
+const RELATION_TYPES = ["blocks", "blocked-by", "relates-to", "duplicates"];
+
+// Relation types that must not loop back on themselves
+const ACYCLIC_TYPES = ["blocks", "duplicates"];
+
+/**
+ * Stores "blocked-by" as "blocks" in the other direction, and "relates-to", which has
+ * no direction, with the lower id first, so each relation has one form
+ * @param {String} from - Id of the object the relation starts from
+ * @param {String} to - Id of the related object
+ * @param {String} type - One of RELATION_TYPES
+ * @returns {Object} - { from, to, type }
+ */
+const normalizeRelation = (from, to, type) => {
+    if (!RELATION_TYPES.includes(type)) {
+        const error = new Error(`Relation type must be one of: ${RELATION_TYPES.join(", ")}`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    if (type === "blocked-by") {
+        return { from: to, to: from, type: "blocks" };
+    }
+    if (type === "relates-to" && from.toString() > to.toString()) {
+        return { from: to, to: from, type };
+    }
+    return { from, to, type };
+};
+
+export {
+    RELATION_TYPES,
+    ACYCLIC_TYPES,
+    normalizeRelation
+};
@@ -0,0 +1,37 @@
+/**
+ * Test suite for the stored form of relations
+ */
+import { normalizeRelation } from './relation.service.js';
+import { createSuite } from './test-suite.js';
+
+async function testRelations() {
+    console.log('🧪 Testing Relation Service...\n');
+
+    const { check, rejects, finish } = createSuite();
+
+    const a = '64b000000000000000000001';
+    const b = '64b000000000000000000002';
+
+    check('blocks keeps its direction', normalizeRelation(b, a, 'blocks'), { from: b, to: a, type: 'blocks' });
+    check('blocked-by is stored as blocks', normalizeRelation(a, b, 'blocked-by'), { from: b, to: a, type: 'blocks' });
+    check('duplicates keeps its direction', normalizeRelation(b, a, 'duplicates'), { from: b, to: a, type: 'duplicates' });
+    check('relates-to puts the lower id first', normalizeRelation(b, a, 'relates-to'), { from: a, to: b, type: 'relates-to' });
+    check('relates-to is the same either way', normalizeRelation(a, b, 'relates-to'), normalizeRelation(b, a, 'relates-to'));
+    rejects('unknown type', () => normalizeRelation(a, b, 'parent-of'));
+
+    return finish();
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    testRelations()
+        .then(success => {
+            process.exit(success ? 0 : 1);
+        })
+        .catch(error => {
+            console.error('Test execution failed:', error);
+            process.exit(1);
+        });
+}
+
+export { testRelations };
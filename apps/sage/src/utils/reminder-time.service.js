@@ -0,0 +1,121 @@
+/**
+ * Reminder times
+ *
+ * A reminder either fires at an absolute time or a number of minutes before the
+ * object is due. Relative reminders have no time while the object has no due date.
+ */
+import moment from "moment-timezone";
+
+const MAX_OFFSET_MINUTES = 60 * 24 * 60;
+
+const UNIT_MINUTES = {
+    m: 1,
+    min: 1,
+    mins: 1,
+    minute: 1,
+    minutes: 1,
+    h: 60,
+    hr: 60,
+    hrs: 60,
+    hour: 60,
+    hours: 60,
+    d: 60 * 24,
+    day: 60 * 24,
+    days: 60 * 24,
+    w: 60 * 24 * 7,
+    week: 60 * 24 * 7,
+    weeks: 60 * 24 * 7
+};
+
+const OFFSET_PATTERN = /^(\d+)\s*([a-z]+)(?:\s+before(?:\s+(?:due|the due date))?)?$/;
+
+const reminderError = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+/**
+ * Reads how long before the due date a reminder fires
+ * @param {Number|String} value - Minutes, or text such as "30m", "2 hours" or "1d before due"
+ * @returns {Number} - Minutes before the due date
+ */
+const parseReminderOffset = (value) => {
+    if (typeof value === "number") {
+        if (!Number.isInteger(value) || value < 0 || value > MAX_OFFSET_MINUTES) {
+            throw reminderError(`Reminder offset must be a whole number of minutes up to ${MAX_OFFSET_MINUTES}`);
+        }
+        return value;
+    }
+
+    const text = String(value || "").trim().toLowerCase();
+    if (text === "at due" || text === "when due" || text === "0") {
+        return 0;
+    }
+
+    const match = text.match(OFFSET_PATTERN);
+    if (!match || !UNIT_MINUTES[match[2]]) {
+        throw reminderError(`Invalid reminder offset "${value}", use e.g. "30m before due"`);
+    }
+    const minutes = Number(match[1]) * UNIT_MINUTES[match[2]];
+    if (minutes > MAX_OFFSET_MINUTES) {
+        throw reminderError("Reminder offset is too far before the due date");
+    }
+    return minutes;
+};
+
+/**
+ * Formats an offset for display, e.g. 90 -> "1h 30m before due"
+ */
+const formatReminderOffset = (minutes) => {
+    if (!minutes) {
+        return "at due time";
+    }
+    const days = Math.floor(minutes / (60 * 24));
+    const hours = Math.floor((minutes % (60 * 24)) / 60);
+    const rest = minutes % 60;
+    const parts = [days && `${days}d`, hours && `${hours}h`, rest && `${rest}m`].filter(Boolean);
+
+    return `${parts.join(" ")} before due`;
+};
+
+/**
+ * Works out when a reminder fires. A snooze wins over the reminder's own time.
+ * @param {Object} reminder - { type, remindAt, offset, snoozedUntil }
+ * @param {Object} object - The object the reminder belongs to, with `due.date`
+ * @returns {Date|null} - Null when a relative reminder's object has no due date
+ */
+const getReminderTime = (reminder, object) => {
+    if (reminder.snoozedUntil) {
+        return new Date(reminder.snoozedUntil);
+    }
+    if (reminder.type === "absolute") {
+        return reminder.remindAt ? new Date(reminder.remindAt) : null;
+    }
+
+    const due = object?.due?.date ? new Date(object.due.date) : null;
+    if (!due || isNaN(due.getTime())) {
+        return null;
+    }
+    return new Date(due.getTime() - (reminder.offset || 0) * 60 * 1000);
+};
+
+/**
+ * Due date as shown in a reminder, in the user's timezone. An unknown timezone
+ * falls back to UTC instead of failing the reminder.
+ * @param {Date} date - Due date
+ * @param {String} timezone - IANA timezone of the user
+ * @returns {String} - e.g. "Oct 19, 2026, 9:00 AM"
+ */
+const formatReminderDue = (date, timezone) => {
+    const timeZone = timezone && moment.tz.zone(timezone) ? timezone : "UTC";
+    return new Date(date).toLocaleString("en-US", { timeZone, dateStyle: "medium", timeStyle: "short" });
+};
+
+export {
+    MAX_OFFSET_MINUTES,
+    parseReminderOffset,
+    formatReminderOffset,
+    getReminderTime,
+    formatReminderDue
+};
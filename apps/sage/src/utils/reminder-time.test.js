@@ -0,0 +1,69 @@
+/**
+ * Test suite for reminder offsets and reminder times
+ */
+import { parseReminderOffset, formatReminderOffset, getReminderTime, formatReminderDue } from './reminder-time.service.js';
+import { createSuite } from './test-suite.js';
+
+async function testReminders() {
+    console.log('🧪 Testing Reminder Time Service...\n');
+
+    const { check, rejects, finish } = createSuite();
+
+    // Offsets
+    check('minutes as a number', parseReminderOffset(45), 45);
+    check('short unit', parseReminderOffset('30m'), 30);
+    check('before due', parseReminderOffset('30m before due'), 30);
+    check('spelled out unit', parseReminderOffset('2 hours before'), 120);
+    check('days', parseReminderOffset('1d'), 1440);
+    check('weeks', parseReminderOffset('1 week before the due date'), 10080);
+    check('at due time', parseReminderOffset('at due'), 0);
+    rejects('unknown unit', () => parseReminderOffset('3 fortnights'));
+    rejects('negative number', () => parseReminderOffset(-5));
+    rejects('free text', () => parseReminderOffset('tomorrow-ish'));
+    rejects('too far ahead', () => parseReminderOffset('100w'));
+
+    // Display
+    check('format zero', formatReminderOffset(0), 'at due time');
+    check('format mixed', formatReminderOffset(1530), '1d 1h 30m before due');
+
+    // Reminder times
+    const object = { due: { date: '2026-10-20T09:00:00.000Z' } };
+    check(
+        'relative to due date',
+        getReminderTime({ type: 'relative', offset: 30 }, object).toISOString(),
+        '2026-10-20T08:30:00.000Z'
+    );
+    check('relative without due date', getReminderTime({ type: 'relative', offset: 30 }, { due: { date: null } }), null);
+    check(
+        'absolute',
+        getReminderTime({ type: 'absolute', remindAt: '2026-10-19T12:00:00.000Z' }, object).toISOString(),
+        '2026-10-19T12:00:00.000Z'
+    );
+    check(
+        'snooze wins',
+        getReminderTime({ type: 'relative', offset: 30, snoozedUntil: '2026-10-20T08:45:00.000Z' }, object).toISOString(),
+        '2026-10-20T08:45:00.000Z'
+    );
+
+    // Due dates in reminders
+    const due = new Date('2026-10-19T16:30:00.000Z');
+    check('due in the user timezone', formatReminderDue(due, 'Europe/Paris'), 'Oct 19, 2026, 6:30 PM');
+    check('unknown timezone falls back to UTC', formatReminderDue(due, 'Mars/Olympus'), 'Oct 19, 2026, 4:30 PM');
+    check('no timezone', formatReminderDue(due, null), 'Oct 19, 2026, 4:30 PM');
+
+    return finish();
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    testReminders()
+        .then(success => {
+            process.exit(success ? 0 : 1);
+        })
+        .catch(error => {
+            console.error('Test execution failed:', error);
+            process.exit(1);
+        });
+}
+
+export { testReminders };
@@ -0,0 +1,103 @@
+/**
+ * Retention policies: which objects a policy applies to and how it reads to the user
+ */
+
+// "done": completed for `days`, "stale": untouched for `days`, "archived": archived for `days`
+const RETENTION_STATES = ["done", "stale", "archived"];
+// "delete" moves objects to the trash, where they can still be restored until it is emptied
+const RETENTION_ACTIONS = ["archive", "delete"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SOURCE_NAMES = {
+    momo: "Momo",
+    linear: "Linear",
+    github: "GitHub",
+    gmail: "Gmail",
+    notion: "Notion",
+    x: "X"
+};
+
+/**
+ * Why a policy cannot be saved
+ * @param {Object} policy - { state, action, days }
+ * @returns {String|null} - The reason, or null when the policy is valid
+ */
+const getPolicyError = ({ state, action }) => {
+    if (state === "archived" && action === "archive") {
+        return "Archived items can only be deleted";
+    }
+    return null;
+};
+
+/**
+ * MongoDB filter for the objects a policy applies to, without the user.
+ * Favorites and snoozed objects are always kept.
+ * @param {Object} policy - { state, action, days, type, source }
+ * @param {Date} now - Time of the run
+ * @returns {Object}
+ */
+const buildPolicyFilter = ({ state, action, days, type, source }, now = new Date()) => {
+    const cutoff = new Date(now.getTime() - days * DAY_MS);
+    const filter = {
+        isDeleted: false,
+        isFavorite: false,
+        "snooze.isSnoozed": { $ne: true }
+    };
+
+    if (type) {
+        filter.type = type;
+    }
+    if (source) {
+        filter.source = source;
+    }
+    if (action === "archive") {
+        filter.isArchived = false;
+    }
+
+    if (state === "done") {
+        filter.isCompleted = true;
+        filter.completedAt = { $lte: cutoff };
+    } else if (state === "stale") {
+        filter.isCompleted = false;
+        filter.updatedAt = { $lte: cutoff };
+    } else {
+        filter.isArchived = true;
+        // Objects archived before archivedAt existed count from their last change
+        filter.$or = [
+            { archivedAt: { $lte: cutoff } },
+            { archivedAt: null, updatedAt: { $lte: cutoff } }
+        ];
+    }
+
+    return filter;
+};
+
+/**
+ * Sentence for a policy, e.g. "Archive done items after 14 days" or
+ * "Delete Gmail items once archived for 30 days"
+ * @param {Object} policy - { state, action, days, type, source }
+ * @returns {String}
+ */
+const describePolicy = ({ state, action, days, type, source }) => {
+    const noun = type ? `${type}s` : "items";
+    const subject = source ? `${SOURCE_NAMES[source] || source} ${noun}` : noun;
+    const period = `${days} ${days === 1 ? "day" : "days"}`;
+    const verb = action === "delete" ? "Delete" : "Archive";
+
+    if (state === "done") {
+        return `${verb} done ${subject} after ${period}`;
+    }
+    if (state === "stale") {
+        return `${verb} ${subject} untouched for ${period}`;
+    }
+    return `${verb} ${subject} once archived for ${period}`;
+};
+
+export {
+    RETENTION_STATES,
+    RETENTION_ACTIONS,
+    getPolicyError,
+    buildPolicyFilter,
+    describePolicy
+};
@@ -0,0 +1,66 @@
+/**
+ * Test suite for retention policies
+ */
+import { getPolicyError, buildPolicyFilter, describePolicy } from './retention.service.js';
+import { createSuite } from './test-suite.js';
+
+async function testRetention() {
+    console.log('🧪 Testing Retention Service...\n');
+
+    const { check, finish } = createSuite();
+
+    const now = new Date('2026-05-31T12:00:00Z');
+
+    check('archive done items', buildPolicyFilter({ state: 'done', action: 'archive', days: 14 }, now), {
+        isDeleted: false,
+        isFavorite: false,
+        'snooze.isSnoozed': { $ne: true },
+        isArchived: false,
+        isCompleted: true,
+        completedAt: { $lte: '2026-05-17T12:00:00.000Z' }
+    });
+    check('archive stale bookmarks', buildPolicyFilter({ state: 'stale', action: 'archive', days: 90, type: 'bookmark' }, now), {
+        isDeleted: false,
+        isFavorite: false,
+        'snooze.isSnoozed': { $ne: true },
+        type: 'bookmark',
+        isArchived: false,
+        isCompleted: false,
+        updatedAt: { $lte: '2026-03-02T12:00:00.000Z' }
+    });
+    check('delete archived emails', buildPolicyFilter({ state: 'archived', action: 'delete', days: 30, source: 'gmail' }, now), {
+        isDeleted: false,
+        isFavorite: false,
+        'snooze.isSnoozed': { $ne: true },
+        source: 'gmail',
+        isArchived: true,
+        $or: [
+            { archivedAt: { $lte: '2026-05-01T12:00:00.000Z' } },
+            { archivedAt: null, updatedAt: { $lte: '2026-05-01T12:00:00.000Z' } }
+        ]
+    });
+
+    check('archiving archived items', getPolicyError({ state: 'archived', action: 'archive' }), 'Archived items can only be deleted');
+    check('valid policy', getPolicyError({ state: 'done', action: 'delete' }), null);
+
+    check('done description', describePolicy({ state: 'done', action: 'archive', days: 14 }), 'Archive done items after 14 days');
+    check('stale description', describePolicy({ state: 'stale', action: 'archive', days: 90, type: 'bookmark' }), 'Archive bookmarks untouched for 90 days');
+    check('archived description', describePolicy({ state: 'archived', action: 'delete', days: 30, source: 'gmail' }), 'Delete Gmail items once archived for 30 days');
+    check('one day', describePolicy({ state: 'done', action: 'delete', days: 1, source: 'acme' }), 'Delete done acme items after 1 day');
+
+    return finish();
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    testRetention()
+        .then(success => {
+            process.exit(success ? 0 : 1);
+        })
+        .catch(error => {
+            console.error('Test execution failed:', error);
+            process.exit(1);
+        });
+}
+
+export { testRetention };
@@ -0,0 +1,57 @@
+import { createHmac, timingSafeEqual } from "crypto";
+
+/**
+ * Signed, expiring links to private files. The signature covers the path and
+ * the expiry, so a link cannot be reused for another file or extended.
+ */
+
+const sign = (path, expires, secret) => createHmac("sha256", secret)
+    .update(`${path}\n${expires}`)
+    .digest("base64url");
+
+/**
+ * Query string of a signed link
+ * @param {String} path - Path of the file route, e.g. "/files/<id>"
+ * @param {Object} options
+ * @param {String} options.secret - Signing secret
+ * @param {Number} options.ttlSeconds - How long the link works
+ * @param {Date} options.now - Current time
+ * @returns {Object} - { expires, signature, expiresAt }
+ */
+const signPath = (path, { secret, ttlSeconds = 900, now = new Date() }) => {
+    if (!secret) {
+        throw new Error("A secret is required to sign file links");
+    }
+    const expires = Math.floor(now.getTime() / 1000) + Number(ttlSeconds);
+    return { expires, signature: sign(path, expires, secret), expiresAt: new Date(expires * 1000) };
+};
+
+/**
+ * Checks a signed link
+ * @param {String} path - Path the link was signed for
+ * @param {Object} query - { expires, signature } from the link
+ * @param {Object} options - { secret, now }
+ * @returns {String|null} - Why the link is refused, null when it is valid
+ */
+const verifySignedPath = (path, { expires, signature }, { secret, now = new Date() }) => {
+    if (!secret) {
+        throw new Error("A secret is required to verify file links");
+    }
+    if (!expires || !signature || !/^\d+$/.test(String(expires))) {
+        return "Missing or malformed signature";
+    }
+    const expected = Buffer.from(sign(path, Number(expires), secret));
+    const given = Buffer.from(String(signature));
+    if (expected.length !== given.length || !timingSafeEqual(expected, given)) {
+        return "Invalid signature";
+    }
+    if (Number(expires) * 1000 < now.getTime()) {
+        return "Link has expired";
+    }
+    return null;
+};
+
+export {
+    signPath,
+    verifySignedPath
+};
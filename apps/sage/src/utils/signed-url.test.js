@@ -0,0 +1,56 @@
+/**
+ * Test suite for signed file links
+ */
+import { signPath, verifySignedPath } from './signed-url.service.js';
+import { createSuite } from './test-suite.js';
+
+async function testSignedUrl() {
+    console.log('🧪 Testing Signed URL Service...\n');
+
+    const { check, finish } = createSuite();
+
+    const secret = 'test-secret';
+    const now = new Date('2026-10-18T10:00:00Z');
+    const { expires, signature, expiresAt } = signPath('/files/abc', { secret, ttlSeconds: 600, now });
+
+    check('expiry', [expires, expiresAt.toISOString()], [1792318200, '2026-10-18T10:10:00.000Z']);
+    check('valid link', verifySignedPath('/files/abc', { expires, signature }, { secret, now }), null);
+    check('other file', verifySignedPath('/files/abd', { expires, signature }, { secret, now }), 'Invalid signature');
+    check('extended expiry', verifySignedPath('/files/abc', { expires: expires + 3600, signature }, { secret, now }), 'Invalid signature');
+    check('other secret', verifySignedPath('/files/abc', { expires, signature }, { secret: 'other', now }), 'Invalid signature');
+    check('expired', verifySignedPath('/files/abc', { expires, signature }, { secret, now: new Date('2026-10-18T10:10:01Z') }), 'Link has expired');
+    check('missing signature', verifySignedPath('/files/abc', { expires }, { secret, now }), 'Missing or malformed signature');
+    check('malformed expiry', verifySignedPath('/files/abc', { expires: '1e12', signature }, { secret, now }), 'Missing or malformed signature');
+
+    let rejected = false;
+    try {
+        signPath('/files/abc', { secret: undefined });
+    } catch {
+        rejected = true;
+    }
+    check('secret required', rejected, true);
+
+    rejected = false;
+    try {
+        verifySignedPath('/files/abc', { expires, signature }, { secret: undefined, now });
+    } catch {
+        rejected = true;
+    }
+    check('secret required to verify', rejected, true);
+
+    return finish();
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    testSignedUrl()
+        .then(success => {
+            process.exit(success ? 0 : 1);
+        })
+        .catch(error => {
+            console.error('Test execution failed:', error);
+            process.exit(1);
+        });
+}
+
+export { testSignedUrl };
@@ -0,0 +1,52 @@
+/**
+ * Snooze times: when a snoozed object comes back to the inbox
+ */
+
+const snoozeError = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+/**
+ * When a snoozed object wakes up
+ * @param {Object} options
+ * @param {Date} options.until - Requested time; a deadline with "externalChange"
+ * @param {String} options.condition - "date" (default), "nextCycle" or "externalChange"
+ * @param {Date} cycleEndsAt - End of the current cycle, used by "nextCycle"
+ * @param {Date} now
+ * @returns {Date|null} - Null for an "externalChange" snooze without a deadline
+ */
+const getWakeTime = ({ until, condition = "date" }, cycleEndsAt = null, now = new Date()) => {
+    let wakeAt = until ? new Date(until) : null;
+    if (condition === "nextCycle") {
+        // The current cycle ends where the next one starts
+        wakeAt = cycleEndsAt ? new Date(cycleEndsAt) : null;
+    } else if (condition === "date" && !wakeAt) {
+        throw snoozeError("A time is required to snooze until a date");
+    }
+    if (wakeAt && !(wakeAt.getTime() > now.getTime())) {
+        throw snoozeError("Snooze time must be in the future");
+    }
+    return wakeAt;
+};
+
+/**
+ * Options of the delayed job that resurfaces an object. The id includes the snooze
+ * time, so snoozing again schedules a new job and the old one finds the time changed.
+ * @param {Object} object - Snoozed object with `_id` and `snooze.until`
+ * @param {Number} now - Current time in milliseconds
+ * @returns {Object} - { jobId, delay }
+ */
+const getResurfaceJob = (object, now = Date.now()) => {
+    const until = object.snooze.until;
+    return {
+        jobId: `snooze-${object._id}-${until.getTime()}`,
+        delay: Math.max(until.getTime() - now, 0)
+    };
+};
+
+export {
+    getWakeTime,
+    getResurfaceJob
+};
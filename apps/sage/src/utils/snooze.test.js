@@ -0,0 +1,54 @@
+/**
+ * Test suite for snooze times
+ */
+import { getWakeTime, getResurfaceJob } from './snooze.service.js';
+import { createSuite } from './test-suite.js';
+
+async function testSnooze() {
+    console.log('🧪 Testing Snooze Service...\n');
+
+    const { check, rejects, finish } = createSuite();
+
+    const now = new Date('2026-10-18T12:00:00.000Z');
+    const later = '2026-10-19T08:00:00.000Z';
+    const cycleEndsAt = new Date('2026-10-25T00:00:00.000Z');
+
+    // Wake time
+    check('until a date', getWakeTime({ until: later }, null, now), new Date(later));
+    check('date is the default condition', getWakeTime({ until: later, condition: 'date' }, null, now), new Date(later));
+    check('next cycle wakes when the current one ends', getWakeTime({ condition: 'nextCycle' }, cycleEndsAt, now), cycleEndsAt);
+    check('next cycle ignores the requested time', getWakeTime({ until: later, condition: 'nextCycle' }, cycleEndsAt, now), cycleEndsAt);
+    check('external change without a deadline', getWakeTime({ condition: 'externalChange' }, null, now), null);
+    check('external change with a deadline', getWakeTime({ until: later, condition: 'externalChange' }, null, now), new Date(later));
+    rejects('date without a time', () => getWakeTime({ condition: 'date' }, null, now));
+    rejects('time in the past', () => getWakeTime({ until: '2026-10-18T11:00:00.000Z' }, null, now));
+    rejects('time right now', () => getWakeTime({ until: now }, null, now));
+    rejects('deadline in the past', () => getWakeTime({ until: '2026-10-01', condition: 'externalChange' }, null, now));
+    rejects('cycle already over', () => getWakeTime({ condition: 'nextCycle' }, new Date('2026-10-18T00:00:00.000Z'), now));
+    rejects('invalid time', () => getWakeTime({ until: 'tomorrow' }, null, now));
+
+    // Resurface job
+    const object = { _id: '64b000000000000000000001', snooze: { until: new Date(later) } };
+    check('delayed until the wake time', getResurfaceJob(object, now.getTime()), {
+        jobId: `snooze-64b000000000000000000001-${new Date(later).getTime()}`,
+        delay: 20 * 60 * 60 * 1000
+    });
+    check('overdue objects resurface right away', getResurfaceJob(object, new Date('2026-10-20').getTime()).delay, 0);
+    check('snoozing again schedules a new job', getResurfaceJob({ ...object, snooze: { until: cycleEndsAt } }).jobId === getResurfaceJob(object).jobId, false);
+
+    return finish();
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    testSnooze()
+        .then(success => {
+            process.exit(success ? 0 : 1);
+        })
+        .catch(error => {
+            console.error('Test execution failed:', error);
+            process.exit(1);
+        });
+}
+
+export { testSnooze };
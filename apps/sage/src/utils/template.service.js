@@ -0,0 +1,219 @@
+import handlebars from "handlebars";
+import moment from "moment-timezone";
+import { parseRecurrence, getNextOccurrence } from "./recurrence.service.js";
+
+/**
+ * Rendering of object templates
+ *
+ * Titles and descriptions are Handlebars templates with two helpers:
+ *   {{date}}                   date of the run, "YYYY-MM-DD"
+ *   {{date "MMM D" offset=7}}  formatted, optionally shifted by a number of days
+ *   {{input "customer"}}       a value given when the template is used
+ *
+ * Due dates are offsets from the day of the run: { days, time: "HH:mm" }.
+ * Schedules are a recurrence phrase or RRULE plus a time of day.
+ */
+
+const DATE_FORMAT = "YYYY-MM-DD";
+const MAX_TEMPLATE_NODES = 200;
+const MAX_TEMPLATE_DEPTH = 10;
+
+// Own instance so these helpers stay out of the global one used for email templates
+const renderer = handlebars.create();
+
+renderer.registerHelper("date", function (...args) {
+    const options = args.pop();
+    const format = typeof args[0] === "string" ? args[0] : DATE_FORMAT;
+    const offset = Number(options.hash.offset) || 0;
+    return options.data.root.today.clone().add(offset, "days").format(format);
+});
+
+renderer.registerHelper("input", function (name, options) {
+    return options.data.root.inputs[name] ?? "";
+});
+
+const templateError = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+// Every string in a node that is rendered
+const collectStrings = (value, strings = []) => {
+    if (typeof value === "string") {
+        strings.push(value);
+    } else if (Array.isArray(value)) {
+        value.forEach(item => collectStrings(item, strings));
+    } else if (value && typeof value === "object") {
+        Object.values(value).forEach(item => collectStrings(item, strings));
+    }
+    return strings;
+};
+
+const walk = (node, visit, depth = 0) => {
+    visit(node, depth);
+    (node.children || []).forEach(child => walk(child, visit, depth + 1));
+};
+
+const findInputs = (ast, names) => {
+    const visitNode = (node) => {
+        if (!node || typeof node !== "object") {
+            return;
+        }
+        if ((node.type === "MustacheStatement" || node.type === "SubExpression") &&
+            node.path?.original === "input" && node.params[0]?.type === "StringLiteral") {
+            names.add(node.params[0].value);
+        }
+        Object.values(node).forEach(child => {
+            if (Array.isArray(child)) {
+                child.forEach(visitNode);
+            } else if (child && typeof child === "object") {
+                visitNode(child);
+            }
+        });
+    };
+    visitNode(ast);
+};
+
+/**
+ * Checks a template tree and lists the inputs it asks for
+ * @param {Object} root - { title, description, children, ... }
+ * @returns {Array} - Input names, in order of first use
+ */
+const getTemplateInputs = (root) => {
+    const names = new Set();
+    let count = 0;
+
+    walk(root, (node, depth) => {
+        count += 1;
+        if (count > MAX_TEMPLATE_NODES) {
+            throw templateError(`Templates are limited to ${MAX_TEMPLATE_NODES} objects`);
+        }
+        if (depth > MAX_TEMPLATE_DEPTH) {
+            throw templateError(`Templates are limited to ${MAX_TEMPLATE_DEPTH} levels of sub-objects`);
+        }
+        collectStrings([node.title, node.description]).forEach(text => {
+            try {
+                findInputs(renderer.parse(text), names);
+            } catch (error) {
+                throw templateError(`Invalid placeholder in "${text.slice(0, 50)}": ${error.message.split("\n")[0]}`);
+            }
+        });
+    });
+    return [...names];
+};
+
+/**
+ * Due date of a node
+ * @param {Object} dueOffset - { days, time: "HH:mm" }, null for no due date
+ * @param {Object} today - Start of the run day, a moment in the user's timezone
+ * @returns {Object|null} - Structured due
+ */
+const getTemplateDue = (dueOffset, today) => {
+    if (!dueOffset || dueOffset.days === null || dueOffset.days === undefined) {
+        return null;
+    }
+    const date = today.clone().add(dueOffset.days, "days");
+    if (dueOffset.time) {
+        const [hour, minute] = dueOffset.time.split(":").map(Number);
+        date.set({ hour, minute });
+    }
+    return { date: date.toISOString(), is_recurring: false, lang: "en", string: null, timezone: today.tz() };
+};
+
+const renderValue = (value, context) => {
+    if (typeof value === "string") {
+        return renderer.compile(value, { noEscape: true })(context);
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => renderValue(item, context));
+    }
+    if (value && typeof value === "object" && value.constructor === Object) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, renderValue(item, context)]));
+    }
+    return value;
+};
+
+/**
+ * Renders a template tree into the objects to create
+ * @param {Object} root - The template's root node
+ * @param {Object} options
+ * @param {Date} options.date - Day of the run
+ * @param {String} options.timezone - Timezone of the user
+ * @param {Object} options.inputs - Values for {{input}} placeholders
+ * @returns {Object} - { title, description, type, labels, due, children }
+ */
+const renderTemplateTree = (root, { date = new Date(), timezone = "UTC", inputs = {} } = {}) => {
+    const missing = getTemplateInputs(root).filter(name => inputs[name] === undefined || inputs[name] === "");
+    if (missing.length) {
+        throw templateError(`Missing template inputs: ${missing.join(", ")}`);
+    }
+
+    const context = { today: moment.tz(date, timezone).startOf("day"), inputs };
+    const render = (node) => ({
+        title: renderValue(node.title || "", context).trim(),
+        description: renderValue(node.description ?? "", context),
+        type: node.type || "todo",
+        labels: node.labels || [],
+        due: getTemplateDue(node.dueOffset, context.today),
+        children: (node.children || []).map(render)
+    });
+    return render(root);
+};
+
+/**
+ * Turns an object tree into template nodes, with due dates relative to the root's
+ * @param {Object} root - Object with nested `children`, as returned by getObjectTree
+ * @param {String} timezone - Timezone of the user
+ * @returns {Object} - The template's root node
+ */
+const toTemplateNode = (root, timezone = "UTC") => {
+    const base = moment.tz(root.due?.date || new Date(), timezone).startOf("day");
+    const convert = (object) => {
+        let dueOffset = { days: null, time: null };
+        if (object.due?.date) {
+            const due = moment.tz(object.due.date, timezone);
+            dueOffset = {
+                days: due.clone().startOf("day").diff(base, "days"),
+                time: due.hours() || due.minutes() ? due.format("HH:mm") : null
+            };
+        }
+        return {
+            title: object.title || "",
+            description: object.description ?? "",
+            type: object.type || "todo",
+            labels: (object.labels || []).map(label => label._id || label),
+            dueOffset,
+            children: (object.children || []).map(convert)
+        };
+    };
+    return convert(root);
+};
+
+/**
+ * Next time a scheduled template runs
+ * @param {Object} schedule - { rule, time: "HH:mm", startsAt }
+ * @param {Date} after - Runs at or before this are skipped
+ * @param {String} timezone - Timezone of the user
+ * @returns {Date|null} - Null when the rule has no more occurrences
+ */
+const getNextTemplateRun = (schedule, after, timezone = "UTC") => {
+    const rule = parseRecurrence(schedule.rule);
+    if (!rule) {
+        throw templateError(`Unsupported schedule "${schedule.rule}"`);
+    }
+    const [hour, minute] = (schedule.time || "09:00").split(":").map(Number);
+    // Interval rules such as "every other week" count from the day the schedule was set
+    const anchor = moment.tz(schedule.startsAt || after, timezone).startOf("day").set({ hour, minute });
+    return getNextOccurrence(rule, after, { anchor, timezone });
+};
+
+export {
+    MAX_TEMPLATE_NODES,
+    MAX_TEMPLATE_DEPTH,
+    getTemplateInputs,
+    getTemplateDue,
+    renderTemplateTree,
+    toTemplateNode,
+    getNextTemplateRun
+};
@@ -0,0 +1,99 @@
+/**
+ * Test suite for rendering object templates
+ */
+import { getTemplateInputs, getTemplateDue, renderTemplateTree, toTemplateNode, getNextTemplateRun } from './template.service.js';
+import moment from 'moment-timezone';
+import { createSuite } from './test-suite.js';
+
+async function testTemplate() {
+    console.log('🧪 Testing Template Service...\n');
+
+    const { check, finish } = createSuite();
+
+    const getError = (fn) => {
+        try {
+            fn();
+            return null;
+        } catch (error) {
+            return [error.statusCode, error.message];
+        }
+    };
+
+    const root = {
+        title: 'Onboard {{input "customer"}}',
+        description: 'Kick-off on {{date "dddd, MMM D"}}',
+        type: 'todo',
+        labels: ['l1'],
+        dueOffset: { days: 7, time: null },
+        children: [
+            { title: 'Send contract to {{input "customer"}} & co', dueOffset: { days: 1, time: '17:30' }, children: [] },
+            {
+                title: 'Review {{date offset=14}}',
+                description: [{ type: 'paragraph', content: [{ text: 'Owner: {{input "owner"}}' }] }],
+                children: []
+            }
+        ]
+    };
+
+    check('inputs in order of use', getTemplateInputs(root), ['customer', 'owner']);
+    check('invalid placeholder', getError(() => getTemplateInputs({ title: 'Hi {{input "x"', children: [] }))?.[0], 400);
+    check('missing inputs', getError(() => renderTemplateTree(root, { inputs: { customer: 'Acme' } })), [400, 'Missing template inputs: owner']);
+
+    const today = moment.tz('2026-10-18T22:30:00Z', 'Europe/Berlin').startOf('day');
+    check('due offset with time', getTemplateDue({ days: 1, time: '17:30' }, today), {
+        date: '2026-10-20T15:30:00.000Z', is_recurring: false, lang: 'en', string: null, timezone: 'Europe/Berlin'
+    });
+    check('due offset across DST', getTemplateDue({ days: 7 }, today).date, '2026-10-25T23:00:00.000Z');
+    check('no due offset', getTemplateDue({ days: null }, today), null);
+
+    const tree = renderTemplateTree(root, {
+        date: new Date('2026-10-18T22:30:00Z'),
+        timezone: 'Europe/Berlin',
+        inputs: { customer: 'Acme', owner: 'Sam' }
+    });
+    check('rendered root', [tree.title, tree.description, tree.type, tree.labels], ['Onboard Acme', 'Kick-off on Monday, Oct 19', 'todo', ['l1']]);
+    check('no HTML escaping', tree.children[0].title, 'Send contract to Acme & co');
+    check('date offset and block descriptions', [tree.children[1].title, tree.children[1].description[0].content[0].text, tree.children[1].type], [
+        'Review 2026-11-02', 'Owner: Sam', 'todo'
+    ]);
+
+    const captured = toTemplateNode({
+        title: 'Launch',
+        type: 'todo',
+        due: { date: '2026-10-20T00:00:00.000Z' },
+        labels: [{ _id: 'l2', name: 'Work' }],
+        children: [
+            { title: 'Draft', due: { date: '2026-10-18T16:00:00.000Z' }, children: [] },
+            { title: 'Notes', type: 'note', due: { date: null }, children: [] }
+        ]
+    }, 'America/New_York');
+    check('captured root', [captured.labels, captured.dueOffset], [['l2'], { days: 0, time: '20:00' }]);
+    check('captured children', captured.children.map(child => [child.type, child.dueOffset]), [
+        ['todo', { days: -1, time: '12:00' }],
+        ['note', { days: null, time: null }]
+    ]);
+
+    const now = new Date('2026-10-18T10:00:00Z');
+    check('next weekly run', getNextTemplateRun({ rule: 'every monday', time: '09:00' }, now, 'America/New_York'), new Date('2026-10-19T13:00:00Z'));
+    check('first daily run later today', getNextTemplateRun({ rule: 'daily', time: '08:00' }, now, 'America/New_York'), new Date('2026-10-18T12:00:00Z'));
+    check('interval from the start day', getNextTemplateRun({
+        rule: 'every 2 weeks', time: '09:00', startsAt: new Date('2026-10-05T12:00:00Z')
+    }, now, 'UTC'), new Date('2026-10-19T09:00:00Z'));
+    check('unsupported schedule', getError(() => getNextTemplateRun({ rule: 'sometimes' }, now))?.[0], 400);
+
+    return finish();
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    testTemplate()
+        .then(success => {
+            process.exit(success ? 0 : 1);
+        })
+        .catch(error => {
+            console.error('Test execution failed:', error);
+            process.exit(1);
+        });
+}
+
+export { testTemplate };
@@ -0,0 +1,46 @@
+/**
+ * Checks shared by the test suites under utils. Values are compared by their JSON
+ * form, so dates, arrays and plain objects compare by value.
+ */
+
+/**
+ * Starts a suite that counts its checks
+ * @returns {Object} - { check, rejects, finish }
+ */
+const createSuite = () => {
+    let passed = 0;
+    let total = 0;
+
+    const check = (name, actual, expected) => {
+        total++;
+        const a = JSON.stringify(actual);
+        const e = JSON.stringify(expected);
+        if (a === e) {
+            passed++;
+            console.log(`✅ ${name}`);
+        } else {
+            console.log(`❌ ${name} - expected ${e}, got ${a}`);
+        }
+    };
+
+    // Expects `fn` to throw an error with the given status code
+    const rejects = (name, fn, statusCode = 400) => {
+        try {
+            fn();
+            check(name, 'no error', statusCode);
+        } catch (error) {
+            check(name, error.statusCode, statusCode);
+        }
+    };
+
+    const finish = () => {
+        console.log(`\n📊 Results: ${passed}/${total} tests passed`);
+        return passed === total;
+    };
+
+    return { check, rejects, finish };
+};
+
+export {
+    createSuite
+};
@@ -0,0 +1,142 @@
+/**
+ * Plain-text helpers for search: flattening rich content and highlighting matches
+ */
+
+// Keys of rich-text nodes that carry structure or styling rather than content
+const IGNORED_KEYS = ["id", "type", "props", "styles", "attrs", "marks", "level", "textColor", "backgroundColor", "textAlignment"];
+
+const MAX_TEXT_LENGTH = 20000;
+
+const stripHtml = (text) => text
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, " ")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, "\"")
+    .replace(/&#39;/g, "'");
+
+/**
+ * Flattens a string, rich-text document (block arrays, nested `content`/`children`)
+ * or plain object into whitespace-separated text
+ * @param {*} value - Any stored value
+ * @param {Number} maxLength - Maximum length of the result
+ * @returns {String}
+ */
+const extractPlainText = (value, maxLength = MAX_TEXT_LENGTH) => {
+    const parts = [];
+    let length = 0;
+
+    const visit = (node, depth) => {
+        if (length >= maxLength || node === null || node === undefined || depth > 20) {
+            return;
+        }
+        if (typeof node === "string") {
+            const text = stripHtml(node).replace(/\s+/g, " ").trim();
+            if (text) {
+                parts.push(text);
+                length += text.length + 1;
+            }
+            return;
+        }
+        if (typeof node === "number") {
+            parts.push(String(node));
+            length += String(node).length + 1;
+            return;
+        }
+        if (Array.isArray(node)) {
+            node.forEach(item => visit(item, depth + 1));
+            return;
+        }
+        if (typeof node === "object" && node.constructor === Object) {
+            for (const key of Object.keys(node)) {
+                if (!IGNORED_KEYS.includes(key)) {
+                    visit(node[key], depth + 1);
+                }
+            }
+        }
+    };
+
+    visit(value, 0);
+    return parts.join(" ").slice(0, maxLength);
+};
+
+/**
+ * Splits a search query into the plain terms used for highlighting,
+ * dropping negated terms and very short words
+ * @param {String} query - Search query, as passed to MongoDB $text
+ * @returns {Array} - Lowercase terms
+ */
+const getQueryTerms = (query) => (query || "")
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(term => term && !term.startsWith("-"))
+    .map(term => term.replace(/[^\p{L}\p{N}]+/gu, ""))
+    .filter(term => term.length > 1)
+    // Match "meetings" against "meeting" the way the text index stems words
+    .map(term => term.replace(/(ing|ies|es|ed|s)$/, "") || term);
+
+const escapeHtml = (text) => text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const getTermsRegex = (terms) => new RegExp(`(^|[^\\p{L}\\p{N}])((?:${terms.map(escapeRegex).join("|")})[\\p{L}\\p{N}]*)`, "giu");
+
+/**
+ * Wraps words starting with any of the terms in <mark> tags. The rest of the text is HTML-escaped.
+ * @param {String} text - Text to highlight
+ * @param {Array} terms - Terms from getQueryTerms
+ * @returns {String}
+ */
+const highlightText = (text, terms) => {
+    const escaped = escapeHtml(text || "");
+    if (!terms.length) {
+        return escaped;
+    }
+    return escaped.replace(getTermsRegex(terms), "$1<mark>$2</mark>");
+};
+
+/**
+ * Cuts a window of text around the first match and highlights it
+ * @param {String} text - Full text
+ * @param {Array} terms - Terms from getQueryTerms
+ * @param {Number} length - Approximate length of the snippet
+ * @returns {String} - Highlighted snippet, or an empty string when nothing matches
+ */
+const buildSnippet = (text, terms, length = 160) => {
+    if (!text || !terms.length) {
+        return "";
+    }
+
+    const match = getTermsRegex(terms).exec(text);
+    if (!match) {
+        return "";
+    }
+
+    const position = match.index + match[1].length;
+    let start = Math.max(0, position - Math.floor(length / 3));
+    let end = Math.min(text.length, start + length);
+    // Avoid cutting words in half at either end
+    if (start > 0) {
+        const space = text.indexOf(" ", start);
+        start = space !== -1 && space < position ? space + 1 : start;
+    }
+    if (end < text.length) {
+        const space = text.lastIndexOf(" ", end);
+        end = space > position ? space : end;
+    }
+
+    return `${start > 0 ? "…" : ""}${highlightText(text.slice(start, end), terms)}${end < text.length ? "…" : ""}`;
+};
+
+export {
+    extractPlainText,
+    getQueryTerms,
+    escapeRegex,
+    highlightText,
+    buildSnippet
+};
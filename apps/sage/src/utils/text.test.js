@@ -0,0 +1,57 @@
+/**
+ * Test suite for the plain-text helpers behind search
+ */
+import { extractPlainText, getQueryTerms, highlightText, buildSnippet } from './text.service.js';
+import { createSuite } from './test-suite.js';
+
+async function testText() {
+    console.log('🧪 Testing Text Service...\n');
+
+    const { check, finish } = createSuite();
+
+    // extractPlainText
+    check('plain string', extractPlainText('  Plan   the sprint '), 'Plan the sprint');
+    check('strips html', extractPlainText('<p>Call <b>Anna</b> &amp; Bob</p><script>alert(1)</script>'), 'Call Anna & Bob');
+    check('flattens rich-text blocks', extractPlainText([
+        { id: '1', type: 'paragraph', props: { textColor: 'red' }, content: [{ type: 'text', text: 'First', styles: {} }] },
+        { id: '2', type: 'paragraph', content: [{ type: 'text', text: 'second' }], children: [{ content: 'nested' }] }
+    ]), 'First second nested');
+    check('numbers are kept', extractPlainText({ points: 3 }), '3');
+    check('respects the maximum length', extractPlainText('abcdefghij', 4), 'abcd');
+    check('empty values', extractPlainText(null), '');
+
+    // getQueryTerms
+    check('drops negated and short terms', getQueryTerms('meeting -draft a notes'), ['meet', 'not']);
+    check('stems like the text index', getQueryTerms('Stories planned'), ['stor', 'plann']);
+    check('empty query', getQueryTerms(''), []);
+
+    // highlightText
+    check('marks word prefixes', highlightText('Meeting notes', ['meet']), '<mark>Meeting</mark> notes');
+    check('escapes html', highlightText('<b>meet</b>', ['meet']), '&lt;b&gt;<mark>meet</mark>&lt;/b&gt;');
+    check('no terms', highlightText('a < b', []), 'a &lt; b');
+
+    // buildSnippet
+    const long = `${'intro '.repeat(40)}the budget review is due ${'outro '.repeat(40)}`;
+    const snippet = buildSnippet(long, ['budget']);
+    check('snippet contains the match', snippet.includes('<mark>budget</mark>'), true);
+    check('snippet is cut at both ends', snippet.startsWith('…') && snippet.endsWith('…'), true);
+    check('snippet starts on a whole word', snippet.slice(1).split(' ')[0], 'intro');
+    check('no match', buildSnippet('nothing here', ['budget']), '');
+    check('journal markup is stripped before the snippet', buildSnippet(extractPlainText('<p>Weekly <em>review</em></p>'), ['review']), 'Weekly <mark>review</mark>');
+
+    return finish();
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    testText()
+        .then(success => {
+            process.exit(success ? 0 : 1);
+        })
+        .catch(error => {
+            console.error('Test execution failed:', error);
+            process.exit(1);
+        });
+}
+
+export { testText };
@@ -0,0 +1,59 @@
+import moment from "moment-timezone";
+
+/**
+ * Tracked time: durations of entries, estimates and report ranges
+ */
+
+const timeError = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+/**
+ * Minutes left on an object's estimate
+ * @param {Object} object - Object with `estimate` (minutes) and `timeSpent` (seconds)
+ * @returns {Number|null} - Null when the object has no estimate
+ */
+const getRemainingMinutes = (object) => {
+    if (object?.estimate === null || object?.estimate === undefined) {
+        return null;
+    }
+    return Math.max(Math.round(object.estimate - (object.timeSpent || 0) / 60), 0);
+};
+
+/**
+ * Start, end and duration of a manual entry
+ * @param {Object} entryData - { startedAt, endedAt } or { startedAt, duration } in seconds
+ * @returns {Object} - { startedAt, endedAt, duration }, the duration in whole seconds
+ */
+const getEntryTimes = ({ startedAt, endedAt, duration }) => {
+    const start = new Date(startedAt);
+    const end = endedAt ? new Date(endedAt) : new Date(start.getTime() + duration * 1000);
+    if (isNaN(start.getTime()) || isNaN(end.getTime()) || end <= start) {
+        throw timeError("A time entry must end after it starts");
+    }
+    return { startedAt: start, endedAt: end, duration: Math.round((end - start) / 1000) };
+};
+
+/**
+ * Date range of a time report, the last 7 days by default
+ * @param {Object} options - { from, to, timezone }
+ * @param {Date} now
+ * @returns {Object} - { start, end, zone }; unknown timezones fall back to UTC
+ */
+const getReportRange = ({ from, to, timezone = "UTC" } = {}, now = new Date()) => {
+    const zone = moment.tz.zone(timezone) ? timezone : "UTC";
+    const end = to ? new Date(to) : now;
+    const start = from ? new Date(from) : moment(end).subtract(7, "days").toDate();
+    if (isNaN(start.getTime()) || isNaN(end.getTime()) || start > end) {
+        throw timeError("Invalid date range");
+    }
+    return { start, end, zone };
+};
+
+export {
+    getRemainingMinutes,
+    getEntryTimes,
+    getReportRange
+};
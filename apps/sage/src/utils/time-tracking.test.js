@@ -0,0 +1,70 @@
+/**
+ * Test suite for time entries, estimates and time reports
+ */
+import { getRemainingMinutes, getEntryTimes, getReportRange } from './time-tracking.service.js';
+import { createSuite } from './test-suite.js';
+
+async function testTimeTracking() {
+    console.log('🧪 Testing Time Tracking Service...\n');
+
+    const { check, rejects, finish } = createSuite();
+
+    // Remaining estimate
+    check('no estimate', getRemainingMinutes({ timeSpent: 600 }), null);
+    check('nothing tracked yet', getRemainingMinutes({ estimate: 60 }), 60);
+    check('tracked seconds count as minutes', getRemainingMinutes({ estimate: 60, timeSpent: 1530 }), 35);
+    check('never below zero', getRemainingMinutes({ estimate: 30, timeSpent: 3600 }), 0);
+    check('zero estimate', getRemainingMinutes({ estimate: 0, timeSpent: 0 }), 0);
+
+    // Entries
+    const startedAt = '2026-10-18T09:00:00.000Z';
+    check('from an end date', getEntryTimes({ startedAt, endedAt: '2026-10-18T09:45:30.000Z' }), {
+        startedAt: new Date(startedAt),
+        endedAt: new Date('2026-10-18T09:45:30.000Z'),
+        duration: 2730
+    });
+    check('from a duration', getEntryTimes({ startedAt, duration: 900 }), {
+        startedAt: new Date(startedAt),
+        endedAt: new Date('2026-10-18T09:15:00.000Z'),
+        duration: 900
+    });
+    check('end date wins over duration', getEntryTimes({ startedAt, endedAt: '2026-10-18T10:00:00.000Z', duration: 60 }).duration, 3600);
+    rejects('ending when it starts', () => getEntryTimes({ startedAt, endedAt: startedAt }));
+    rejects('ending before it starts', () => getEntryTimes({ startedAt, endedAt: '2026-10-18T08:00:00.000Z' }));
+    rejects('no end and no duration', () => getEntryTimes({ startedAt }));
+    rejects('invalid start', () => getEntryTimes({ startedAt: 'soon', duration: 60 }));
+
+    // Report range
+    const now = new Date('2026-10-18T12:00:00.000Z');
+    check('last 7 days by default', getReportRange({}, now), {
+        start: new Date('2026-10-11T12:00:00.000Z'),
+        end: now,
+        zone: 'UTC'
+    });
+    check('7 days before the end', getReportRange({ to: '2026-10-10T00:00:00.000Z' }, now).start, new Date('2026-10-03T00:00:00.000Z'));
+    check('explicit range', getReportRange({ from: '2026-10-01', to: '2026-10-02' }, now), {
+        start: new Date('2026-10-01'),
+        end: new Date('2026-10-02'),
+        zone: 'UTC'
+    });
+    check('known timezone', getReportRange({ timezone: 'Europe/Paris' }, now).zone, 'Europe/Paris');
+    check('unknown timezone falls back to UTC', getReportRange({ timezone: 'Mars/Olympus' }, now).zone, 'UTC');
+    rejects('start after end', () => getReportRange({ from: '2026-10-05', to: '2026-10-01' }, now));
+    rejects('invalid date', () => getReportRange({ from: 'yesterday' }, now));
+
+    return finish();
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    testTimeTracking()
+        .then(success => {
+            process.exit(success ? 0 : 1);
+        })
+        .catch(error => {
+            console.error('Test execution failed:', error);
+            process.exit(1);
+        });
+}
+
+export { testTimeTracking };
@@ -0,0 +1,45 @@
+/**
+ * Trash entries: which trashed items come back together when one of them is restored
+ */
+
+const toId = (id) => (id?._id || id).toString();
+
+/**
+ * Ids of the objects under one object, through `parent`
+ * @param {Array} objects - Objects with `_id` and `parent`
+ * @param {String} rootId - Id of the object whose sub-objects are collected
+ * @returns {Array} - Ids of its descendants, as strings, nearest first
+ */
+const getSubtreeIds = (objects, rootId) => {
+    const root = toId(rootId);
+    const descendants = [];
+    let frontier = [root];
+
+    while (frontier.length) {
+        frontier = objects
+            .filter(object => object.parent && frontier.includes(toId(object.parent)))
+            .map(object => toId(object._id))
+            .filter(id => id !== root && !descendants.includes(id));
+        descendants.push(...frontier);
+    }
+    return descendants;
+};
+
+/**
+ * Splits the cascade of a trash entry into the items restored and the ones left in it
+ * @param {Array} cascade - { itemType, item } of the items trashed with the entry's root
+ * @param {Array} ids - Ids of the items being restored
+ * @returns {Object} - { restored, remaining }
+ */
+const splitCascade = (cascade, ids) => {
+    const restoredIds = ids.map(toId);
+    return {
+        restored: cascade.filter(item => restoredIds.includes(toId(item.item))),
+        remaining: cascade.filter(item => !restoredIds.includes(toId(item.item)))
+    };
+};
+
+export {
+    getSubtreeIds,
+    splitCascade
+};
@@ -0,0 +1,55 @@
+/**
+ * Test suite for restoring items out of a trash entry
+ */
+import { getSubtreeIds, splitCascade } from './trash.service.js';
+import { createSuite } from './test-suite.js';
+
+async function testTrash() {
+    console.log('🧪 Testing Trash Service...\n');
+
+    const { check, finish } = createSuite();
+
+    // root ─ a ─ a1 ─ a11
+    //      └ b
+    const objects = [
+        { _id: 'a', parent: 'root' },
+        { _id: 'b', parent: 'root' },
+        { _id: 'a1', parent: 'a' },
+        { _id: 'a11', parent: 'a1' },
+        { _id: 'other', parent: null }
+    ];
+    check('subtree of the root', getSubtreeIds(objects, 'root'), ['a', 'b', 'a1', 'a11']);
+    check('subtree of a cascaded child', getSubtreeIds(objects, 'a'), ['a1', 'a11']);
+    check('leaf has no subtree', getSubtreeIds(objects, 'b'), []);
+    check('parent cycles end', getSubtreeIds([{ _id: 'x', parent: 'y' }, { _id: 'y', parent: 'x' }], 'x'), ['y']);
+
+    const cascade = [
+        { itemType: 'object', item: 'a' },
+        { itemType: 'object', item: 'b' },
+        { itemType: 'object', item: 'a1' },
+        { itemType: 'block', item: 'k' }
+    ];
+    check('restoring a child leaves its siblings', splitCascade(cascade, ['a', ...getSubtreeIds(objects, 'a')]), {
+        restored: [{ itemType: 'object', item: 'a' }, { itemType: 'object', item: 'a1' }],
+        remaining: [{ itemType: 'object', item: 'b' }, { itemType: 'block', item: 'k' }]
+    });
+    check('restoring the root alone keeps the cascade', splitCascade(cascade, ['root']).remaining.length, 4);
+    check('restoring everything empties the entry', splitCascade(cascade, ['root', 'a', 'b', 'a1', 'k']).remaining, []);
+    check('ids compare by value', splitCascade([{ itemType: 'block', item: { _id: 'k' } }], [{ _id: 'k' }]).restored.length, 1);
+
+    return finish();
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    testTrash()
+        .then(success => {
+            process.exit(success ? 0 : 1);
+        })
+        .catch(error => {
+            console.error('Test execution failed:', error);
+            process.exit(1);
+        });
+}
+
+export { testTrash };
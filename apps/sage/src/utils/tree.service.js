@@ -0,0 +1,45 @@
+/**
+ * Sub-task trees: progress of an object from its children
+ */
+
+const toId = (id) => (id?._id || id).toString();
+
+/**
+ * Progress of an object from its direct children. Each child counts once, plus
+ * the sub-tasks already counted in its own progress.
+ * @param {Array} children - Live children with `isCompleted` and `progress`
+ * @returns {Object} - { total, completed, percent }
+ */
+const computeProgress = (children) => {
+    const progress = { total: 0, completed: 0, percent: 0 };
+    for (const child of children) {
+        progress.total += 1 + (child.progress?.total || 0);
+        progress.completed += (child.isCompleted ? 1 : 0) + (child.progress?.completed || 0);
+    }
+    progress.percent = progress.total ? Math.round((progress.completed / progress.total) * 100) : 0;
+    return progress;
+};
+
+/**
+ * Parents whose progress changes when the objects of a subtree change, in the order
+ * to refresh them: a parent only comes after all of its children that are parents
+ * @param {Array} levels - Levels of the subtree, nearest first: [[{ _id, parent }]]
+ * @returns {Array} - Ids of the parents, as strings
+ */
+const getParentsDeepestFirst = (levels) => {
+    const parents = [];
+    for (const level of [...levels].reverse()) {
+        for (const child of level) {
+            const parent = toId(child.parent);
+            if (!parents.includes(parent)) {
+                parents.push(parent);
+            }
+        }
+    }
+    return parents;
+};
+
+export {
+    computeProgress,
+    getParentsDeepestFirst
+};
@@ -0,0 +1,56 @@
+/**
+ * Test suite for sub-task progress
+ */
+import { computeProgress, getParentsDeepestFirst } from './tree.service.js';
+import { createSuite } from './test-suite.js';
+
+async function testTree() {
+    console.log('🧪 Testing Tree Service...\n');
+
+    const { check, finish } = createSuite();
+
+    // Progress
+    check('no children', computeProgress([]), { total: 0, completed: 0, percent: 0 });
+    check('direct children', computeProgress([
+        { isCompleted: true },
+        { isCompleted: false },
+        { isCompleted: false }
+    ]), { total: 3, completed: 1, percent: 33 });
+    check('grandchildren count through their parent', computeProgress([
+        { isCompleted: false, progress: { total: 2, completed: 2 } },
+        { isCompleted: true, progress: { total: 1, completed: 1 } }
+    ]), { total: 5, completed: 4, percent: 80 });
+    check('all done', computeProgress([
+        { isCompleted: true, progress: { total: 0, completed: 0 } },
+        { isCompleted: true }
+    ]), { total: 2, completed: 2, percent: 100 });
+
+    // Refresh order
+    //   root ─ a ─ c ─ e
+    //        └ b └ d
+    const levels = [
+        [{ _id: 'a', parent: 'root' }, { _id: 'b', parent: 'root' }],
+        [{ _id: 'c', parent: 'a' }, { _id: 'd', parent: 'a' }],
+        [{ _id: 'e', parent: 'c' }]
+    ];
+    check('deepest parents first, each once', getParentsDeepestFirst(levels), ['c', 'a', 'root']);
+    check('levels are left as they are', levels[0][0]._id, 'a');
+    check('populated parents', getParentsDeepestFirst([[{ _id: 'a', parent: { _id: 'root' } }]]), ['root']);
+    check('empty subtree', getParentsDeepestFirst([]), []);
+
+    return finish();
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    testTree()
+        .then(success => {
+            process.exit(success ? 0 : 1);
+        })
+        .catch(error => {
+            console.error('Test execution failed:', error);
+            process.exit(1);
+        });
+}
+
+export { testTree };
@@ -0,0 +1,72 @@
+import moment from "moment-timezone";
+
+/**
+ * Grouping of the objects of saved views
+ */
+
+const addToGroup = (groups, key, name, object) => {
+    if (!groups.has(key)) {
+        groups.set(key, { key, name, objects: [] });
+    }
+    groups.get(key).objects.push(object);
+};
+
+/**
+ * Splits objects into groups, keeping the order of the objects within each group.
+ * Objects with several labels or arrays appear in each of their groups.
+ * @param {Array} objects - Sorted objects
+ * @param {String} groupBy - One of the view groupings
+ * @param {Object} options
+ * @param {String} options.timezone - Timezone used to find the week of due dates
+ * @param {Map} options.names - Names of the labels or arrays by id; ids without a name are ignored
+ * @returns {Array} - [{ key, name, objects }], objects without a value last
+ */
+const groupObjects = (objects, groupBy, { timezone = "UTC", names = new Map() } = {}) => {
+    const groups = new Map();
+    const none = { key: null, name: "None", objects: [] };
+
+    if (groupBy === "source" || groupBy === "status") {
+        objects.forEach(object => {
+            const value = object[groupBy];
+            if (value && value !== "null") {
+                addToGroup(groups, value, value, object);
+            } else {
+                none.objects.push(object);
+            }
+        });
+    } else if (groupBy === "label" || groupBy === "array") {
+        const field = `${groupBy}s`;
+        objects.forEach(object => {
+            const keys = (object[field] || []).map(id => id.toString()).filter(id => names.has(id));
+            if (!keys.length) {
+                none.objects.push(object);
+            }
+            keys.forEach(key => addToGroup(groups, key, names.get(key), object));
+        });
+    } else if (groupBy === "dueWeek") {
+        objects.forEach(object => {
+            if (!object.due?.date) {
+                none.objects.push(object);
+                return;
+            }
+            const week = moment.tz(object.due.date, timezone).startOf("week");
+            addToGroup(groups, week.format("YYYY-MM-DD"), `Week of ${week.format("MMM D, YYYY")}`, object);
+        });
+        // Weeks read in calendar order rather than in the order of the objects
+        const sorted = [...groups.values()].sort((a, b) => a.key.localeCompare(b.key));
+        groups.clear();
+        sorted.forEach(group => groups.set(group.key, group));
+    } else {
+        return [{ key: null, name: "All", objects }];
+    }
+
+    const result = [...groups.values()];
+    if (none.objects.length) {
+        result.push(none);
+    }
+    return result;
+};
+
+export {
+    groupObjects
+};
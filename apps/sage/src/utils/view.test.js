@@ -0,0 +1,67 @@
+/**
+ * Test suite for the grouping of saved views
+ */
+import { groupObjects } from './view.service.js';
+import { createSuite } from './test-suite.js';
+
+async function testViews() {
+    console.log('🧪 Testing View Service...\n');
+
+    const { check, finish } = createSuite();
+
+    const objects = [
+        { title: 'a', source: 'linear', status: 'todo', labels: ['l1', 'l2'], due: { date: '2026-10-21T10:00:00.000Z' } },
+        { title: 'b', source: 'github', status: 'null', labels: ['l2'], due: { date: '2026-10-13T10:00:00.000Z' } },
+        { title: 'c', source: 'linear', status: 'done', labels: ['gone'], due: null },
+        { title: 'd', source: null, status: 'todo', labels: [] }
+    ];
+    const summary = (groups) => groups.map(group => [group.key, group.name, group.objects.map(object => object.title)]);
+
+    check('no grouping', summary(groupObjects(objects, null)), [[null, 'All', ['a', 'b', 'c', 'd']]]);
+    check('by source, objects without one last', summary(groupObjects(objects, 'source')), [
+        ['linear', 'linear', ['a', 'c']],
+        ['github', 'github', ['b']],
+        [null, 'None', ['d']]
+    ]);
+    check('"null" status counts as none', summary(groupObjects(objects, 'status')), [
+        ['todo', 'todo', ['a', 'd']],
+        ['done', 'done', ['c']],
+        [null, 'None', ['b']]
+    ]);
+
+    const names = new Map([['l1', 'Bug'], ['l2', 'Backend']]);
+    check('objects appear under each of their labels', summary(groupObjects(objects, 'label', { names })), [
+        ['l1', 'Bug', ['a']],
+        ['l2', 'Backend', ['a', 'b']],
+        [null, 'None', ['c', 'd']]
+    ]);
+    check('labels without a name are ignored', summary(groupObjects(objects, 'label')), [[null, 'None', ['a', 'b', 'c', 'd']]]);
+
+    check('due weeks in calendar order', summary(groupObjects(objects, 'dueWeek')), [
+        ['2026-10-11', 'Week of Oct 11, 2026', ['b']],
+        ['2026-10-18', 'Week of Oct 18, 2026', ['a']],
+        [null, 'None', ['c', 'd']]
+    ]);
+    check('due weeks in the user timezone', summary(groupObjects([
+        { title: 'e', due: { date: '2026-10-18T02:00:00.000Z' } }
+    ], 'dueWeek', { timezone: 'America/Los_Angeles' })), [
+        ['2026-10-11', 'Week of Oct 11, 2026', ['e']]
+    ]);
+    check('empty view', groupObjects([], 'source'), []);
+
+    return finish();
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    testViews()
+        .then(success => {
+            process.exit(success ? 0 : 1);
+        })
+        .catch(error => {
+            console.error('Test execution failed:', error);
+            process.exit(1);
+        });
+}
+
+export { testViews };